@@ -0,0 +1,564 @@
+/**
+ * CSharpChecker.js - Compile-Time Checks for the Orbrya C# Subset
+ *
+ * Walks the AST from CSharpParser *without running it* and reports every
+ * problem it can find as a structured diagnostic. Because nothing runs,
+ * mistakes in code that would never be reached still get underlined.
+ *
+ * DIAGNOSTIC SHAPE:
+ * { severity: 'error'|'warning', line, column, range: { start, end }, code, message }
+ * - line/column are 1-based, range is character offsets into the source
+ * - code is the real C# compiler code where one exists (CS0103 etc.)
+ *
+ * CHECKS:
+ * - Syntax errors from the lexer/parser (missing ';', unbalanced braces, ...)
+ * - Unknown variables and methods, wrong argument counts
+ * - Type mismatches: float → int, string → int, conditions that aren't bool
+ * - Statements that do nothing (treeCount < 50;)
+ * - Unreachable code after an endless loop, return or break (warning)
+ */
+
+import { CSharpError } from './CSharpLexer.js';
+import { parseCSharp } from './CSharpParser.js';
+import { BUILTINS, NUMERIC_TYPES, builtinProperty, conversionError, describeType } from './CSharpInterpreter.js';
+
+const UNKNOWN = { type: 'unknown' };
+const VOID = { type: 'void' };
+const BOOL = { type: 'bool' };
+
+/**
+ * Turn a thrown CSharpError into a diagnostic
+ */
+export function diagnosticFromError(err, severity = 'error') {
+    const loc = err.loc || { line: 1, column: 1, start: 0, end: 0 };
+    return {
+        severity,
+        line: loc.line,
+        column: loc.column,
+        range: { start: loc.start, end: loc.end },
+        code: err.code || 'Exception',
+        message: err.message
+    };
+}
+
+/**
+ * Parse and check source in one go
+ * @returns {Object} { program, diagnostics } - program is null on a syntax error
+ */
+export function compileCSharp(source) {
+    let program;
+    try {
+        program = parseCSharp(source);
+    } catch (err) {
+        if (!(err instanceof CSharpError)) throw err;
+        return { program: null, diagnostics: [diagnosticFromError(err)] };
+    }
+    return { program, diagnostics: new CSharpChecker(program).check() };
+}
+
+/**
+ * Variable types by name, mirroring the interpreter's Scope
+ */
+class TypeScope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.vars = new Map();
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.vars.has(name)) return scope.vars.get(name);
+        }
+        return null;
+    }
+}
+
+export class CSharpChecker {
+    constructor(program) {
+        this.program = program;
+        this.diagnostics = [];
+        this.methods = new Map();
+        this.instanceScope = null;
+        this.currentMethod = null;
+        this.loops = []; // { hasBreak } for each enclosing loop
+    }
+
+    /**
+     * Run all checks
+     * @returns {Array<Diagnostic>} Sorted by position
+     */
+    check() {
+        const globals = new TypeScope();
+        globals.vars.set('treeCount', { type: 'int' });
+        globals.vars.set('scene', { type: 'ForestScene' });
+
+        // Same class the interpreter runs, so top-level statements see its fields
+        const mainClass = this.program.classes.find(c => c.baseType === 'ScenarioBase') || this.program.classes[0];
+        let mainScope = globals;
+
+        for (const classDecl of this.program.classes) {
+            const scope = this.checkClass(classDecl, globals);
+            if (classDecl === mainClass) mainScope = scope;
+        }
+
+        if (this.program.statements.length > 0) {
+            this.methods = mainClass ? new Map(mainClass.methods.map(m => [m.name, m])) : new Map();
+            this.instanceScope = mainScope;
+            this.currentMethod = null;
+            this.checkStatements(this.program.statements, new TypeScope(mainScope));
+        }
+
+        return this.diagnostics.sort((a, b) => a.range.start - b.range.start);
+    }
+
+    checkClass(classDecl, globals) {
+        this.methods = new Map();
+        for (const method of classDecl.methods) {
+            if (this.methods.has(method.name)) {
+                this.report(`'${method.name}()' is declared twice`, method.loc, 'CS0111');
+            }
+            this.methods.set(method.name, method);
+        }
+
+        this.instanceScope = new TypeScope(globals);
+        this.currentMethod = null;
+        for (const field of classDecl.fields) {
+            this.checkStatement(field, this.instanceScope);
+        }
+
+        for (const method of classDecl.methods) {
+            this.currentMethod = method;
+            const scope = new TypeScope(this.instanceScope);
+            for (const param of method.params) {
+                this.declare(scope, param.name, { type: param.varType }, param.loc);
+            }
+            this.checkStatement(method.body, scope);
+        }
+        this.currentMethod = null;
+
+        return this.instanceScope;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // STATEMENTS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Check a statement list, warning once about code after a statement
+     * that never finishes
+     * @returns {boolean} Whether the end of the list can be reached
+     */
+    checkStatements(statements, scope) {
+        let reachable = true;
+        for (const statement of statements) {
+            if (!reachable && statement.type !== 'EmptyStatement') {
+                const last = statements[statements.length - 1];
+                this.report('Unreachable code detected - the code above never finishes', {
+                    line: statement.loc.line,
+                    column: statement.loc.column,
+                    start: statement.loc.start,
+                    end: last.loc.end
+                }, 'CS0162', 'warning');
+                reachable = true; // Only warn once per block
+            }
+            if (!this.checkStatement(statement, scope)) reachable = false;
+        }
+        return reachable;
+    }
+
+    /**
+     * @returns {boolean} Whether execution can continue after this statement
+     */
+    checkStatement(node, scope) {
+        switch (node.type) {
+            case 'BlockStatement':
+                return this.checkStatements(node.body, new TypeScope(scope));
+
+            case 'EmptyStatement':
+                return true;
+
+            case 'VariableDeclaration':
+                for (const decl of node.declarations) {
+                    let type = { type: node.varType };
+                    if (decl.init) {
+                        const value = this.typeOf(decl.init, scope);
+                        if (node.varType === 'var') {
+                            type = value;
+                            if (value.type === 'null' || value.type === 'void') {
+                                this.report(`Can't infer a type for '${decl.name}' from ${value.type === 'null' ? 'null' : 'nothing'}`, decl.loc, 'CS0815');
+                                type = UNKNOWN;
+                            }
+                        } else {
+                            this.checkConversion(value, node.varType, decl.init.loc);
+                        }
+                    } else if (node.varType === 'var') {
+                        this.report(`'var ${decl.name}' needs a starting value`, decl.loc, 'CS0818');
+                        type = UNKNOWN;
+                    }
+                    this.declare(scope, decl.name, type, decl.loc);
+                }
+                return true;
+
+            case 'ExpressionStatement': {
+                const kind = node.expression.type;
+                if (kind !== 'AssignmentExpression' && kind !== 'UpdateExpression' && kind !== 'CallExpression') {
+                    this.report('This line computes a value but does nothing with it', node.expression.loc, 'CS0201');
+                }
+                this.typeOf(node.expression, scope);
+                return true;
+            }
+
+            case 'IfStatement': {
+                this.checkCondition(node.test, scope);
+                const consequent = this.checkStatement(node.consequent, scope);
+                const alternate = node.alternate ? this.checkStatement(node.alternate, scope) : true;
+                return consequent || alternate;
+            }
+
+            case 'WhileStatement':
+            case 'DoWhileStatement': {
+                this.checkCondition(node.test, scope);
+                return this.checkLoopBody(node, node.body, scope);
+            }
+
+            case 'ForStatement': {
+                const loopScope = new TypeScope(scope);
+                if (node.init) this.checkStatement(node.init, loopScope);
+                if (node.test) this.checkCondition(node.test, loopScope);
+                for (const update of node.update) this.typeOf(update, loopScope);
+                return this.checkLoopBody(node, node.body, loopScope);
+            }
+
+            case 'BreakStatement':
+            case 'ContinueStatement': {
+                const keyword = node.type === 'BreakStatement' ? 'break' : 'continue';
+                if (this.loops.length === 0) {
+                    this.report(`'${keyword}' only works inside a loop`, node.loc, 'CS0139');
+                } else if (keyword === 'break') {
+                    this.loops[this.loops.length - 1].hasBreak = true;
+                }
+                return false;
+            }
+
+            case 'ReturnStatement':
+                this.checkReturn(node, scope);
+                return false;
+
+            default:
+                this.report(`Unsupported statement: ${node.type}`, node.loc, 'ORB002');
+                return true;
+        }
+    }
+
+    /**
+     * A loop only finishes if its condition can become false or it has a break
+     */
+    checkLoopBody(node, body, scope) {
+        this.loops.push({ hasBreak: false });
+        this.checkStatement(body, scope);
+        const { hasBreak } = this.loops.pop();
+
+        const test = node.test;
+        const alwaysTrue = !test || (test.type === 'Literal' && test.value === true);
+        return !alwaysTrue || hasBreak;
+    }
+
+    checkReturn(node, scope) {
+        const value = node.argument ? this.typeOf(node.argument, scope) : VOID;
+        const method = this.currentMethod;
+        if (!method) return;
+
+        if (method.returnType === 'void') {
+            if (node.argument) {
+                this.report(`${method.name}() is void, so it can't return a value`, node.argument.loc, 'CS0127');
+            }
+        } else if (!node.argument) {
+            this.report(`${method.name}() must return a ${method.returnType}`, node.loc, 'CS0126');
+        } else {
+            this.checkConversion(value, method.returnType, node.argument.loc);
+        }
+    }
+
+    checkCondition(node, scope) {
+        const value = this.typeOf(node, scope);
+        if (value.type !== 'bool' && value.type !== 'unknown') {
+            this.report(`Condition must be true or false, but this is ${describeType(value)}`, node.loc, 'CS0029');
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPRESSIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Work out the static type of an expression, reporting problems on the way.
+     * Returns UNKNOWN after an error so one mistake isn't reported twice.
+     */
+    typeOf(node, scope) {
+        switch (node.type) {
+            case 'Literal':
+                return { type: node.valueType };
+
+            case 'InterpolatedString':
+                node.parts.forEach(part => typeof part !== 'string' && this.typeOf(part, scope));
+                return { type: 'string' };
+
+            case 'Identifier': {
+                const entry = scope.lookup(node.name);
+                if (entry) return entry;
+                if (BUILTINS[node.name]) return { type: 'class', value: node.name };
+                return this.report(`The name '${node.name}' does not exist here`, node.loc, 'CS0103');
+            }
+
+            case 'ThisExpression':
+                return { type: 'this' };
+
+            case 'MemberExpression': {
+                const property = builtinProperty(node, scope);
+                return property ? { type: property.type } : this.resolveReference(node, scope);
+            }
+
+            case 'CallExpression':
+                return this.typeOfCall(node, scope);
+
+            case 'UnaryExpression': {
+                const arg = this.typeOf(node.argument, scope);
+                if (arg.type === 'unknown') return UNKNOWN;
+                if (node.operator === '!') {
+                    if (arg.type !== 'bool') {
+                        return this.report(`'!' needs true/false, not ${describeType(arg)}`, node.loc, 'CS0023');
+                    }
+                    return BOOL;
+                }
+                return this.requireNumber(arg, node.operator, node.loc) ? arg : UNKNOWN;
+            }
+
+            case 'UpdateExpression': {
+                const entry = this.resolveReference(node.argument, scope);
+                if (entry.type === 'unknown') return UNKNOWN;
+                return this.requireNumber(entry, node.operator, node.loc) ? entry : UNKNOWN;
+            }
+
+            case 'BinaryExpression': {
+                const left = this.typeOf(node.left, scope);
+                const right = this.typeOf(node.right, scope);
+                return this.binary(node.operator, left, right, node);
+            }
+
+            case 'LogicalExpression':
+                this.checkCondition(node.left, scope);
+                this.checkCondition(node.right, scope);
+                return BOOL;
+
+            case 'ConditionalExpression': {
+                this.checkCondition(node.test, scope);
+                const a = this.typeOf(node.consequent, scope);
+                const b = this.typeOf(node.alternate, scope);
+                if (a.type === b.type) return a;
+                if (NUMERIC_TYPES.has(a.type) && NUMERIC_TYPES.has(b.type)) return { type: 'float' };
+                if (a.type === 'null') return b;
+                if (b.type === 'null') return a;
+                return UNKNOWN;
+            }
+
+            case 'AssignmentExpression': {
+                const entry = this.resolveReference(node.target, scope);
+                let value = this.typeOf(node.value, scope);
+                if (entry.type === 'unknown') return UNKNOWN;
+                if (node.operator !== '=') {
+                    value = this.binary(node.operator.slice(0, -1), entry, value, node);
+                }
+                this.checkConversion(value, entry.type, node.value.loc);
+                return entry;
+            }
+
+            case 'CastExpression': {
+                const value = this.typeOf(node.argument, scope);
+                if (value.type === 'unknown') return { type: node.targetType };
+                if (NUMERIC_TYPES.has(node.targetType)) {
+                    const ok = this.requireNumber(value, `(${node.targetType})`, node.loc);
+                    return ok ? { type: node.targetType === 'int' ? 'int' : 'float' } : UNKNOWN;
+                }
+                this.checkConversion(value, node.targetType, node.loc);
+                return { type: node.targetType };
+            }
+
+            case 'NewExpression':
+                return this.report(`Creating a new ${node.typeName} isn't supported in Orbrya scripts`, node.loc, 'ORB002');
+
+            default:
+                return this.report(`Unsupported expression: ${node.type}`, node.loc, 'ORB002');
+        }
+    }
+
+    typeOfCall(node, scope) {
+        const callee = node.callee;
+        const argTypes = node.args.map(arg => this.typeOf(arg, scope));
+
+        // Methods declared in the student's class
+        const ownMethod = callee.type === 'Identifier' ? callee.name
+            : (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression') ? callee.property
+            : null;
+        if (ownMethod && this.methods.has(ownMethod)) {
+            const method = this.methods.get(ownMethod);
+            if (argTypes.length !== method.params.length) {
+                return this.report(
+                    `${method.name}() takes ${method.params.length} argument(s) but got ${argTypes.length}`, node.loc, 'CS1501'
+                );
+            }
+            method.params.forEach((param, i) => this.checkConversion(argTypes[i], param.varType, node.args[i].loc));
+            return { type: method.returnType };
+        }
+
+        let receiver;
+        let name;
+        if (callee.type === 'Identifier') {
+            receiver = 'ScenarioBase';
+            name = callee.name;
+        } else if (callee.type === 'MemberExpression') {
+            const target = callee.object.type === 'ThisExpression'
+                ? { type: 'class', value: 'ScenarioBase' }
+                : this.typeOf(callee.object, scope);
+            name = callee.property;
+
+            if (target.type === 'unknown' || target.type === 'null') {
+                return UNKNOWN;
+            } else if (target.type === 'class') {
+                receiver = target.value;
+            } else if (target.type === 'ForestScene') {
+                receiver = 'scene';
+            } else {
+                return this.report(`${describeType(target)} has no method '${name}'`, node.loc, 'CS1061');
+            }
+        } else {
+            return this.report('Only methods can be called', node.loc, 'CS1955');
+        }
+
+        const builtin = BUILTINS[receiver]?.[name];
+        if (!builtin) {
+            const where = receiver === 'ScenarioBase' ? '' : `${receiver}.`;
+            return this.report(`Unknown method '${where}${name}()'`, node.loc, where ? 'CS0117' : 'CS0103');
+        }
+
+        const minArgs = builtin.minArgs ?? builtin.params.length;
+        if (argTypes.length < minArgs || argTypes.length > builtin.params.length) {
+            return this.report(
+                `${name}() takes ${builtin.params.length} argument(s) but got ${argTypes.length}`, node.loc, 'CS1501'
+            );
+        }
+        argTypes.forEach((type, i) => {
+            const param = builtin.params[i];
+            if (param === 'number') {
+                if (type.type !== 'unknown' && !NUMERIC_TYPES.has(type.type)) {
+                    this.report(`Argument ${i + 1}: cannot convert from ${describeType(type)} to a number`, node.args[i].loc, 'CS1503');
+                }
+            } else if (param !== 'object') {
+                this.checkConversion(type, param, node.args[i].loc);
+            }
+        });
+        return { type: typeof builtin.returns === 'function' ? builtin.returns(argTypes) : builtin.returns };
+    }
+
+    /**
+     * Type of something that can be assigned to (a variable or this.field)
+     */
+    resolveReference(node, scope) {
+        if (node.type === 'Identifier') {
+            return this.typeOf(node, scope);
+        }
+        if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression') {
+            const entry = this.instanceScope.lookup(node.property);
+            if (!entry) {
+                return this.report(`This class has no field '${node.property}'`, node.loc, 'CS1061');
+            }
+            return entry;
+        }
+        if (builtinProperty(node, scope)) {
+            return this.report(`'${this.describeNode(node)}' is read-only - it can't be changed`, node.loc, 'CS0200');
+        }
+        if (node.type === 'MemberExpression') {
+            const target = this.typeOf(node.object, scope);
+            if (target.type === 'unknown') return UNKNOWN;
+        }
+        return this.report(`Can't read or change '${this.describeNode(node)}'`, node.loc, 'CS1061');
+    }
+
+    binary(operator, left, right, node) {
+        if (left.type === 'unknown' || right.type === 'unknown') return UNKNOWN;
+
+        if (operator === '+' && (left.type === 'string' || right.type === 'string')) {
+            return { type: 'string' };
+        }
+
+        if (operator === '==' || operator === '!=') {
+            const comparable = left.type === right.type
+                || (NUMERIC_TYPES.has(left.type) && NUMERIC_TYPES.has(right.type))
+                || left.type === 'null' || right.type === 'null';
+            if (!comparable) {
+                return this.report(
+                    `Operator '${operator}' can't compare ${describeType(left)} with ${describeType(right)}`, node.loc, 'CS0019'
+                );
+            }
+            return BOOL;
+        }
+
+        if (!this.requireNumber(left, operator, node.loc) || !this.requireNumber(right, operator, node.loc)) {
+            return UNKNOWN;
+        }
+        if (['<', '<=', '>', '>='].includes(operator)) return BOOL;
+
+        const isInt = left.type === 'int' && right.type === 'int';
+        if (isInt && (operator === '/' || operator === '%') && this.isZeroLiteral(node.right ?? node.value)) {
+            this.report('Division by zero - this would crash', node.loc, 'CS0020');
+        }
+        return { type: isInt ? 'int' : 'float' };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    checkConversion(value, type, loc) {
+        if (value.type === 'unknown' || type === 'unknown') return;
+        const problem = conversionError(value, type);
+        if (problem) this.report(problem.message, loc, problem.code);
+    }
+
+    requireNumber(value, operator, loc) {
+        if (!NUMERIC_TYPES.has(value.type)) {
+            this.report(`Operator '${operator}' needs numbers, not ${describeType(value)}`, loc, 'CS0019');
+            return false;
+        }
+        return true;
+    }
+
+    isZeroLiteral(node) {
+        return node && node.type === 'Literal' && node.value === 0;
+    }
+
+    declare(scope, name, type, loc) {
+        if (scope.vars.has(name)) {
+            this.report(`A variable named '${name}' is already declared here`, loc, 'CS0128');
+            return;
+        }
+        scope.vars.set(name, type);
+    }
+
+    describeNode(node) {
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression') return `${this.describeNode(node.object)}.${node.property}`;
+        if (node.type === 'ThisExpression') return 'this';
+        return 'expression';
+    }
+
+    /**
+     * Record a diagnostic
+     * @returns {Object} UNKNOWN, so callers can `return this.report(...)`
+     */
+    report(message, loc, code, severity = 'error') {
+        this.diagnostics.push(diagnosticFromError(new CSharpError(message, loc, code), severity));
+        return UNKNOWN;
+    }
+}
+
+export default CSharpChecker;
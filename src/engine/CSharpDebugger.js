@@ -0,0 +1,185 @@
+/**
+ * CSharpDebugger.js - Step-Through Debugger for Student C# Code
+ *
+ * Drives CSharpInterpreter's execution generator one pause point at a
+ * time so students can watch the code run: every statement and every
+ * loop test is a place the debugger can stop.
+ *
+ * COMMANDS:
+ * - stepInto()  - Stop at the very next statement, entering method calls
+ * - stepOver()  - Stop at the next statement in the same method (or its caller)
+ * - stepOut()   - Run to the end of this method, stop back in its caller
+ * - continue()  - Run until a breakpoint line is hit or the program ends
+ * - stop()      - Abandon the session
+ *
+ * Before the first pause every step command stops on the first statement.
+ * The instruction budget still applies, so Continue on `while (true)`
+ * ends with budgetExceeded instead of freezing the tab.
+ *
+ * CALLBACKS:
+ * - onPause(PauseInfo)   - { line, column, start, end, reason, variables, callStack, steps }
+ * - onFinish(RunResult)  - { completed, steps, budgetExceeded, lastLoop, error }
+ */
+
+import { CSharpError } from './CSharpLexer.js';
+import { parseCSharp } from './CSharpParser.js';
+import { CSharpInterpreter, LOOP_TYPES } from './CSharpInterpreter.js';
+
+export class CSharpDebugger {
+    constructor(host = {}, options = {}) {
+        this.host = host;
+        this.instructionBudget = options.instructionBudget ?? 3000;
+        this.breakpoints = options.breakpoints ?? new Set();
+        this.random = options.random; // Random.Range source - see CSharpInterpreter
+
+        this.interpreter = null;
+        this.execution = null;
+        this.state = 'idle'; // idle | paused | finished
+        this.current = null; // { node, line, depth }
+        this.steps = 0;
+        this.lastLoop = null;
+
+        // Callbacks for UI updates
+        this.onPause = null;
+        this.onFinish = null;
+    }
+
+    /**
+     * Compile the code and get ready to step. Nothing runs until a
+     * step/continue command is given.
+     * @param {string|Program} source - C# source or a parsed Program
+     * @returns {CSharpError|null} Compile error, if any
+     */
+    start(source) {
+        let program;
+        try {
+            program = typeof source === 'string' ? parseCSharp(source) : source;
+        } catch (err) {
+            this.state = 'finished';
+            return err;
+        }
+
+        this.interpreter = new CSharpInterpreter(this.host, { instructionBudget: this.instructionBudget, random: this.random });
+        this.execution = this.interpreter.execute(program);
+        this.state = 'paused';
+        this.current = null;
+        this.steps = 0;
+        this.lastLoop = null;
+        return null;
+    }
+
+    isActive() {
+        return this.state === 'paused';
+    }
+
+    stepInto() {
+        return this.resume('step', () => true);
+    }
+
+    stepOver() {
+        if (!this.current) return this.stepInto();
+        const depth = this.current.depth;
+        return this.resume('step', (next) => next.depth <= depth);
+    }
+
+    stepOut() {
+        if (!this.current) return this.stepInto();
+        const depth = this.current.depth;
+        return this.resume('step', (next) => next.depth < depth);
+    }
+
+    continue() {
+        return this.resume('breakpoint', (next) => this.breakpoints.has(next.line));
+    }
+
+    stop() {
+        if (this.state !== 'paused') return;
+        this.execution.return();
+        this.finish({ completed: false, steps: this.steps, budgetExceeded: false, error: null, stopped: true });
+    }
+
+    toggleBreakpoint(line) {
+        if (this.breakpoints.has(line)) {
+            this.breakpoints.delete(line);
+            return false;
+        }
+        this.breakpoints.add(line);
+        return true;
+    }
+
+    /**
+     * Advance until `shouldPause` accepts a pause point.
+     *
+     * Pause points on the line we are already stopped at are skipped, so a
+     * step always moves somewhere visible - unless the loop came back
+     * around to the exact same statement, which is worth showing.
+     */
+    resume(reason, shouldPause) {
+        if (this.state !== 'paused') return null;
+
+        const from = this.current;
+        let moved = from === null;
+
+        while (true) {
+            let next;
+            try {
+                next = this.execution.next();
+            } catch (err) {
+                const error = err instanceof CSharpError ? err : new CSharpError(`Runtime error: ${err.message}`, null, 'Exception');
+                return this.finish({ completed: false, steps: this.steps, budgetExceeded: false, error });
+            }
+
+            if (next.done) {
+                return this.finish({ completed: true, steps: this.steps, budgetExceeded: false, error: null });
+            }
+
+            this.steps++;
+            if (LOOP_TYPES.has(next.value.type)) this.lastLoop = next.value;
+            if (this.steps >= this.instructionBudget) {
+                this.execution.return();
+                return this.finish({
+                    completed: false, steps: this.steps, budgetExceeded: true, lastLoop: this.lastLoop, error: null
+                });
+            }
+
+            const point = this.describePoint(next.value);
+            if (!moved) {
+                moved = point.line !== from.line || point.depth !== from.depth || point.node === from.node;
+            }
+            if (moved && shouldPause(point)) {
+                return this.pause(point, reason);
+            }
+        }
+    }
+
+    describePoint(node) {
+        // do/while pauses before its test, which sits on the closing line
+        const loc = node.type === 'DoWhileStatement' ? node.test.loc : node.loc;
+        return { node, loc, line: loc.line, depth: this.interpreter.callStack.length };
+    }
+
+    pause(point, reason) {
+        this.current = point;
+        const info = {
+            line: point.line,
+            column: point.loc.column,
+            start: point.loc.start,
+            end: point.loc.end,
+            reason,
+            variables: this.interpreter.getVariables(),
+            callStack: this.interpreter.callStack.map(frame => frame.name).reverse(),
+            steps: this.steps
+        };
+        if (this.onPause) this.onPause(info);
+        return info;
+    }
+
+    finish(result) {
+        this.state = 'finished';
+        this.current = null;
+        if (this.onFinish) this.onFinish(result);
+        return result;
+    }
+}
+
+export default CSharpDebugger;
@@ -0,0 +1,91 @@
+/**
+ * CSharpDebugger Test Suite
+ * Run in browser console: window.testCSharpDebugger()
+ */
+
+import { CSharpDebugger } from './CSharpDebugger.js';
+
+// Line numbers below are this program's
+const PROGRAM = `public class Demo : ScenarioBase
+{
+    void Start()
+    {
+        int total = 0;
+        total = Add(total, 2);
+        total = Add(total, 3);
+        Debug.Log(total);
+    }
+
+    int Add(int a, int b)
+    {
+        int sum = a + b;
+        return sum;
+    }
+}`;
+
+export function runCSharpDebuggerTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    console.log('═'.repeat(50));
+    console.log('CSHARP DEBUGGER TEST SUITE');
+    console.log('═'.repeat(50));
+
+    // Commands from a fresh session: expected = the line each one stops
+    // on, or 'done' once the program has finished
+    console.log('\nSTEPPING TESTS:');
+    const stepTests = [
+        { name: 'stepInto enters calls', commands: ['stepInto', 'stepInto', 'stepInto', 'stepInto', 'stepInto'], expected: [5, 6, 13, 14, 7] },
+        { name: 'stepOver skips calls', commands: ['stepInto', 'stepOver', 'stepOver', 'stepOver', 'stepOver'], expected: [5, 6, 7, 8, 'done'] },
+        { name: 'stepOver before the first pause', commands: ['stepOver', 'stepOver'], expected: [5, 6] },
+        { name: 'stepOut returns to the caller', commands: ['stepInto', 'stepInto', 'stepInto', 'stepOut'], expected: [5, 6, 13, 7] },
+        { name: 'stepOut before the first pause', commands: ['stepOut'], expected: [5] },
+        { name: 'stepOut of Start finishes', commands: ['stepInto', 'stepOut'], expected: [5, 'done'] },
+        { name: 'continue without breakpoints', commands: ['continue'], expected: ['done'] },
+        { name: 'breakpoint hit on every call', commands: ['continue', 'continue', 'continue'], breakpoints: [13], expected: [13, 13, 'done'] },
+        { name: 'continue after stepping', commands: ['stepInto', 'continue', 'stepOut'], breakpoints: [14], expected: [5, 14, 7] }
+    ];
+
+    stepTests.forEach(({ name, commands, breakpoints = [], expected }) => {
+        const debug = new CSharpDebugger({}, { breakpoints: new Set(breakpoints) });
+        const error = debug.start(PROGRAM);
+        const actual = error ? [error.message] : commands.map(command => {
+            const result = debug[command]();
+            return result?.line ?? (result?.completed ? 'done' : JSON.stringify(result));
+        });
+        const success = JSON.stringify(actual) === JSON.stringify(expected);
+
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    });
+
+    // What a pause shows: the method's own variables and the call stack
+    console.log('\nPAUSE INFO TESTS:');
+    const debug = new CSharpDebugger({}, { breakpoints: new Set([14]) });
+    debug.start(PROGRAM);
+    debug.continue();
+    const pause = debug.continue();
+    const inAdd = pause?.variables.sum?.value === '5' && pause.variables.a?.value === '2' && !('total' in pause.variables);
+    const stack = JSON.stringify(pause?.callStack) === JSON.stringify(['Add', 'Start']);
+    const pauseSuccess = pause?.reason === 'breakpoint' && inAdd && stack;
+    if (pauseSuccess) passed++; else failed++;
+    results.push({ name: 'second hit sees its own call', success: pauseSuccess, errors: pauseSuccess ? [] : [`got ${JSON.stringify(pause)}`] });
+    console.log(`${pauseSuccess ? '✅' : '❌'} second hit sees its own call`);
+    if (!pauseSuccess) console.log(`   → got ${JSON.stringify(pause)}`);
+
+    const total = stepTests.length + 1;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testCSharpDebugger = runCSharpDebuggerTests;
+    console.log('[CSharpDebugger Test] Run window.testCSharpDebugger() to execute tests');
+}
@@ -0,0 +1,964 @@
+/**
+ * CSharpInterpreter.js - Tree-Walking Interpreter for the Orbrya C# Subset
+ *
+ * Runs the AST from CSharpParser against a "host" that owns the real scene.
+ * Student code behaves the way it reads: variables, arithmetic, if/else and
+ * loops are actually executed, and SpawnTree() is only called as often as
+ * the code really calls it.
+ *
+ * SAFETY:
+ * Infinite loops are stopped by an INSTRUCTION BUDGET instead of a tree cap.
+ * Every statement and every loop test costs one instruction; when the budget
+ * runs out the program is halted and result.budgetExceeded is set.
+ *
+ * STEPPING:
+ * Execution is written as generators that yield the AST node about to run.
+ * run() simply drives the generator to completion, counting yields against
+ * the budget.
+ *
+ * HOST API (all optional):
+ * - host.spawnTree(tree)     - SpawnTree(x, z, type, scale); tree = { x, z, type, scale }
+ * - host.spawnRock(rock)     - SpawnRock(x, z, scale)
+ * - host.setSkyColor(color)  - SetSkyColor("#ff8800")
+ * - host.clearTrees()        - ClearTrees()
+ * - host.getTreeCount()      - GetTreeCount() (counted here if the host doesn't say)
+ * - host.log(message)        - Debug.Log(...) / Console.WriteLine(...)
+ * - host.showFps()           - Profiler.ShowFPS()
+ * - host.createTreeMesh(tree) - CreateTreeMesh(x, z, type, scale); a tree as its own meshes
+ * - host.combineMeshes()     - CombineMeshes(); batch the CreateTreeMesh trees
+ * - host.createSpark()       - CreateSpark(); returns the new object's id
+ * - host.destroy(id, delay)  - Destroy(spark) / Destroy(spark, 2f)
+ * - host.recycleSpark()      - RecycleSpark(); id of a burned-out spark, or null
+ * - host.dropRock(rock)      - DropRock(x, y, z, scale); returns the rock's id
+ * - host.simulatePhysics(seconds) - Physics.Simulate(step)
+ * - host.deltaTime(), host.fixedDeltaTime() - Time.deltaTime / Time.fixedDeltaTime
+ *                              (FIXED_DELTA_TIME when the host doesn't say)
+ * See SceneAPI.js for what each scene call means, FrameRunner.js for sparks,
+ * PhysicsWorld.js for rocks.
+ *
+ * IMPLICIT ScenarioBase MEMBERS:
+ * - int treeCount = 0    (student code may redeclare it as a field)
+ * - ForestScene scene
+ * - SpawnTree(), GetScene<T>()
+ *
+ * callMethod('Update') runs one of the class's methods again after run() -
+ * FrameRunner uses it to tick a script.
+ */
+
+import { CSharpError } from './CSharpLexer.js';
+import { parseCSharp } from './CSharpParser.js';
+import { TREE_TYPES, DEFAULT_TREE_TYPE, FIXED_DELTA_TIME, isColorString } from './SceneAPI.js';
+
+// Control-flow signals returned from statements
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+
+const VOID = { type: 'void', value: undefined };
+const NULL = { type: 'null', value: null };
+const SCENE = { type: 'ForestScene', value: { isScene: true } };
+
+// Lifecycle methods run first/last; everything else runs in declaration order
+const STARTUP_METHODS = ['Awake', 'Initialize', 'Start'];
+const SHUTDOWN_METHODS = ['OnComplete'];
+
+export const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement']);
+
+export const NUMERIC_TYPES = new Set(['int', 'float', 'double']);
+const VALUE_TYPES = new Set(['int', 'float', 'double', 'bool', 'string']);
+
+/**
+ * Position arguments come as a pair: SpawnTree() or SpawnTree(x, z, ...)
+ */
+function position(args, node) {
+    if (args.length === 1) {
+        throw new CSharpError(
+            `${node.callee.property || node.callee.name}() needs both x and z`, node.loc, 'CS7036'
+        );
+    }
+    return args.length >= 2 ? { x: args[0].value, z: args[1].value } : { x: null, z: null };
+}
+
+/**
+ * SpawnTree / CreateTreeMesh arguments: (x, z, type, scale), all optional
+ */
+function treeArgs(args, node) {
+    const type = args[2]?.value ?? DEFAULT_TREE_TYPE;
+    if (!TREE_TYPES[type]) {
+        const known = Object.keys(TREE_TYPES).map(t => `"${t}"`).join(', ');
+        throw new CSharpError(`Unknown tree type "${type}" - use ${known}`, node.args[2].loc, 'ArgumentException');
+    }
+    return { ...position(args, node), type, scale: args[3]?.value ?? null };
+}
+
+const SCENE_METHODS = {
+    SpawnTree: {
+        params: ['float', 'float', 'string', 'float'], minArgs: 0, returns: 'void',
+        call: (interp, args, node) => {
+            const tree = treeArgs(args, node);
+            interp.spawnedTrees++;
+            return interp.callHost('spawnTree', tree);
+        }
+    },
+    CreateTreeMesh: {
+        params: ['float', 'float', 'string', 'float'], minArgs: 0, returns: 'void',
+        call: (interp, args, node) => {
+            const tree = treeArgs(args, node);
+            interp.spawnedTrees++;
+            return interp.callHost('createTreeMesh', tree);
+        }
+    },
+    CombineMeshes: {
+        params: [], returns: 'void',
+        call: (interp) => interp.callHost('combineMeshes')
+    },
+    SpawnRock: {
+        params: ['float', 'float', 'float'], minArgs: 0, returns: 'void',
+        call: (interp, args, node) => interp.callHost('spawnRock', { ...position(args, node), scale: args[2]?.value ?? null })
+    },
+    SetSkyColor: {
+        params: ['string'], returns: 'void',
+        call: (interp, args, node) => {
+            const color = args[0].value;
+            if (color === null || !isColorString(color)) {
+                throw new CSharpError(
+                    `"${color}" isn't a color - try "#87CEEB" or "orange"`, node.args[0].loc, 'ArgumentException'
+                );
+            }
+            return interp.callHost('setSkyColor', color);
+        }
+    },
+    ClearTrees: {
+        params: [], returns: 'void',
+        call: (interp) => {
+            interp.spawnedTrees = 0;
+            return interp.callHost('clearTrees');
+        }
+    },
+    GetTreeCount: {
+        params: [], returns: 'int',
+        call: (interp) => ({ type: 'int', value: interp.queryHost('getTreeCount') ?? interp.spawnedTrees })
+    }
+};
+
+/**
+ * A GameObject value ({ type: 'GameObject' }) - compared by reference
+ */
+function gameObject(id, name) {
+    return { type: 'GameObject', value: { isGameObject: true, id, name } };
+}
+
+// Scene objects that stay in memory until Destroy() frees them (FrameRunner.js)
+const OBJECT_METHODS = {
+    CreateSpark: {
+        params: [], returns: 'GameObject',
+        call: (interp) => gameObject(interp.queryHost('createSpark') ?? interp.nextObjectId++, 'Spark')
+    },
+    RecycleSpark: {
+        params: [], returns: 'GameObject',
+        call: (interp) => {
+            const id = interp.queryHost('recycleSpark');
+            return id == null ? NULL : gameObject(id, 'Spark');
+        }
+    },
+    Destroy: {
+        params: ['GameObject', 'float'], minArgs: 1, returns: 'void',
+        call: (interp, [target, delay]) => {
+            // Like Unity, destroying null does nothing
+            if (!target.value) return VOID;
+            return interp.callHost('destroy', target.value.id, delay?.value ?? 0);
+        }
+    }
+};
+
+// Rocks that fall and bounce (PhysicsWorld.js)
+const PHYSICS_METHODS = {
+    DropRock: {
+        params: ['float', 'float', 'float', 'float'], minArgs: 3, returns: 'GameObject',
+        call: (interp, [x, y, z, scale]) => {
+            const rock = { x: x.value, y: y.value, z: z.value, scale: scale?.value ?? 1 };
+            return gameObject(interp.queryHost('dropRock', rock) ?? interp.nextObjectId++, 'Rock');
+        }
+    }
+};
+
+/**
+ * Engine methods student code can call, keyed by receiver.
+ * - params:  parameter types ('object' accepts anything, 'number' any
+ *            int/float without converting it)
+ * - minArgs: optional, for trailing optional parameters
+ * - returns: return type, used by CSharpChecker - or (argTypes) => type
+ * - call:    (interpreter, args, node) => value
+ */
+export const BUILTINS = {
+    ScenarioBase: {
+        ...SCENE_METHODS,
+        ...OBJECT_METHODS,
+        ...PHYSICS_METHODS,
+        GetScene: { params: [], returns: 'ForestScene', call: () => SCENE }
+    },
+    scene: SCENE_METHODS,
+    Random: {
+        Range: {
+            params: ['number', 'number'],
+            returns: (argTypes) => argTypes.every(t => t.type === 'int') ? 'int' : 'float',
+            call: (interp, [min, max]) => {
+                // Unity: the int version never returns max, the float one can
+                if (min.type === 'int' && max.type === 'int') {
+                    const value = max.value > min.value ? min.value + Math.floor(interp.random() * (max.value - min.value)) : min.value;
+                    return { type: 'int', value };
+                }
+                return { type: 'float', value: min.value + interp.random() * (max.value - min.value) };
+            }
+        }
+    },
+    Debug: {
+        Log: { params: ['object'], returns: 'void', call: (interp, args) => interp.callHost('log', formatValue(args[0])) }
+    },
+    Console: {
+        WriteLine: {
+            params: ['object'], minArgs: 0, returns: 'void',
+            call: (interp, args) => interp.callHost('log', formatValue(args[0] ?? VOID))
+        }
+    },
+    Profiler: {
+        ShowFPS: { params: [], returns: 'void', call: (interp) => interp.callHost('showFps') }
+    },
+    Physics: {
+        Simulate: {
+            params: ['float'], returns: 'void',
+            call: (interp, [seconds]) => interp.callHost('simulatePhysics', seconds.value)
+        }
+    },
+    Time: {}   // Properties only - see BUILTIN_PROPERTIES
+};
+
+/**
+ * Engine values student code can read (never assign), keyed by class.
+ * - type: the value's type
+ * - get:  (interpreter) => value
+ */
+export const BUILTIN_PROPERTIES = {
+    Time: {
+        deltaTime: { type: 'float', get: (interp) => interp.queryHost('deltaTime') ?? FIXED_DELTA_TIME },
+        fixedDeltaTime: { type: 'float', get: (interp) => interp.queryHost('fixedDeltaTime') ?? FIXED_DELTA_TIME }
+    }
+};
+
+/**
+ * The BUILTIN_PROPERTIES entry `node` reads (Time.deltaTime), or null -
+ * a variable called Time hides the class, as in C#
+ */
+export function builtinProperty(node, scope) {
+    if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier') return null;
+    if (scope.lookup(node.object.name)) return null;
+    return BUILTIN_PROPERTIES[node.object.name]?.[node.property] ?? null;
+}
+
+/**
+ * Format a runtime value the way C# prints it (True/False, 2.5, null)
+ */
+export function formatValue(val) {
+    switch (val.type) {
+        case 'bool': return val.value ? 'True' : 'False';
+        case 'null': return 'null';
+        case 'void': return '';
+        case 'string': return val.value ?? 'null';
+        default:
+            if (val.value && val.value.isScene) return 'ForestScene';
+            if (val.value && val.value.isGameObject) return val.value.name;
+            return String(val.value);
+    }
+}
+
+/**
+ * Describe a value's type for error messages ("a float", "Debug")
+ */
+export function describeType(value) {
+    if (value.type === 'void') return 'nothing (void)';
+    if (value.type === 'class') return value.value;
+    return `${/^[aeiou]/.test(value.type) ? 'an' : 'a'} ${value.type}`;
+}
+
+/**
+ * C#'s implicit conversion rules, shared by the interpreter and CSharpChecker.
+ * Only the value's type is looked at, so the checker can pass { type } alone.
+ * @returns {Object|null} { code, message } if the conversion isn't allowed
+ */
+export function conversionError(value, type) {
+    if (type === 'var' || type === value.type) return null;
+
+    if (type === 'float' || type === 'double') {
+        if (NUMERIC_TYPES.has(value.type)) return null;
+    } else if (type === 'int') {
+        if (value.type === 'float' || value.type === 'double') {
+            return { code: 'CS0266', message: `Cannot convert ${value.type} to int without a cast - try (int)` };
+        }
+    } else if (type === 'string') {
+        if (value.type === 'null') return null;
+    } else if (type !== 'bool') {
+        // Engine object types (ForestScene, GameObject, ...)
+        const isObject = !VALUE_TYPES.has(value.type) && !['class', 'this', 'void'].includes(value.type);
+        if (isObject) return null;
+    }
+
+    return { code: 'CS0029', message: `Cannot convert ${describeType(value)} to ${type}` };
+}
+
+/**
+ * Lexical scope - variables are stored as { type, value } entries so
+ * assignment can mutate them in place
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.vars = new Map();
+    }
+
+    lookup(name) {
+        let scope = this;
+        while (scope) {
+            if (scope.vars.has(name)) return scope.vars.get(name);
+            scope = scope.parent;
+        }
+        return null;
+    }
+
+    declare(name, type, value, loc) {
+        if (this.vars.has(name)) {
+            throw new CSharpError(`A variable named '${name}' is already declared here`, loc, 'CS0128');
+        }
+        const entry = { type, value };
+        this.vars.set(name, entry);
+        return entry;
+    }
+
+    /**
+     * Flatten visible variables (inner scopes win) - used for watch panes
+     */
+    snapshot() {
+        const result = {};
+        const chain = [];
+        for (let scope = this; scope; scope = scope.parent) chain.unshift(scope);
+        for (const scope of chain) {
+            for (const [name, entry] of scope.vars) {
+                result[name] = { type: entry.type, value: formatValue({ type: entry.type, value: entry.value }) };
+            }
+        }
+        return result;
+    }
+}
+
+export class CSharpInterpreter {
+    constructor(host = {}, options = {}) {
+        this.host = host;
+        this.instructionBudget = options.instructionBudget ?? 3000;
+        this.maxCallDepth = options.maxCallDepth ?? 64;
+        this.random = options.random ?? Math.random;
+
+        this.program = null;
+        this.methods = new Map();
+        this.globals = null;
+        this.instanceScope = null;
+        this.callStack = [];
+        this.activeScope = null;
+        this.spawnedTrees = 0;
+        this.nextObjectId = 1; // GameObject ids when the host doesn't hand them out
+    }
+
+    /**
+     * Parse (if needed) and run a program to completion
+     * @param {string|Program} source - C# source or a parsed Program
+     * @returns {RunResult} { completed, steps, budgetExceeded, lastLoop, error }
+     *   lastLoop is the loop node that was still spinning when the budget ran out
+     */
+    run(source) {
+        return this.drive(() => this.execute(typeof source === 'string' ? parseCSharp(source) : source));
+    }
+
+    /**
+     * Run one of the class's own parameterless methods again, with a fresh
+     * instruction budget - fields keep the values run() left them with
+     * @param {string} name - e.g. 'Update'
+     * @returns {RunResult}
+     */
+    callMethod(name) {
+        const method = this.methods.get(name);
+        if (!method) {
+            return {
+                completed: false, steps: 0, budgetExceeded: false, lastLoop: null,
+                error: new CSharpError(`This class has no method '${name}()'`, null, 'CS1061')
+            };
+        }
+        return this.drive(() => this.invoke(method, [], method.loc));
+    }
+
+    /**
+     * Step a generator to the end, counting steps against the budget
+     * @param {Function} start - Returns the generator (called inside the try)
+     */
+    drive(start) {
+        const result = { completed: false, steps: 0, budgetExceeded: false, lastLoop: null, error: null };
+
+        try {
+            const execution = start();
+            let lastLoop = null;
+            let step;
+
+            while (!(step = execution.next()).done) {
+                result.steps++;
+                if (LOOP_TYPES.has(step.value.type)) lastLoop = step.value;
+                if (result.steps >= this.instructionBudget) {
+                    result.budgetExceeded = true;
+                    result.lastLoop = lastLoop;
+                    execution.return();
+                    return result;
+                }
+            }
+            result.completed = true;
+        } catch (err) {
+            result.error = err instanceof CSharpError ? err : new CSharpError(`Runtime error: ${err.message}`, null, 'Exception');
+        }
+
+        return result;
+    }
+
+    /**
+     * Execute a program, yielding each statement / loop test before it runs
+     */
+    *execute(program) {
+        this.program = program;
+        this.callStack = [];
+        this.activeScope = null;
+        this.spawnedTrees = 0;
+        this.globals = new Scope();
+        this.globals.declare('treeCount', 'int', 0);
+        this.globals.declare('scene', 'ForestScene', SCENE.value);
+        this.instanceScope = this.globals;
+
+        const mainClass = program.classes.find(c => c.baseType === 'ScenarioBase') || program.classes[0];
+
+        if (mainClass) {
+            this.methods = new Map(mainClass.methods.map(m => [m.name, m]));
+            this.instanceScope = new Scope(this.globals);
+
+            for (const field of mainClass.fields) {
+                yield* this.execStatement(field, this.instanceScope);
+            }
+            for (const method of this.getEntryMethods(mainClass)) {
+                yield* this.invoke(method, [], method.loc);
+            }
+        }
+
+        if (program.statements.length > 0) {
+            const scope = new Scope(this.instanceScope);
+            this.callStack.push({ name: 'Main', scope, loc: program.loc });
+            for (const statement of program.statements) {
+                const signal = yield* this.execStatement(statement, scope);
+                if (signal && signal.type === 'return') break;
+            }
+            this.callStack.pop();
+        }
+    }
+
+    /**
+     * Parameterless methods that nothing else calls are entry points:
+     * Initialize/Start first, OnComplete last, the rest in source order
+     */
+    getEntryMethods(classDecl) {
+        const called = new Set();
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (node.type === 'CallExpression') {
+                const callee = node.callee;
+                if (callee.type === 'Identifier') called.add(callee.name);
+                if (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression') {
+                    called.add(callee.property);
+                }
+            }
+            for (const key of Object.keys(node)) {
+                if (key !== 'loc') visit(node[key]);
+            }
+        };
+        classDecl.methods.forEach(m => visit(m.body));
+
+        const entries = classDecl.methods.filter(m => m.params.length === 0 && !called.has(m.name));
+        const rank = (m) => {
+            if (STARTUP_METHODS.includes(m.name)) return 0;
+            if (SHUTDOWN_METHODS.includes(m.name)) return 2;
+            return 1;
+        };
+        return entries.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Current variables for debugging/watch UIs
+     */
+    getVariables() {
+        const frame = this.callStack[this.callStack.length - 1];
+        return (this.activeScope || frame?.scope || this.instanceScope || this.globals)?.snapshot() || {};
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // STATEMENTS
+    // ═══════════════════════════════════════════════════════════════
+
+    *execStatement(node, scope) {
+        switch (node.type) {
+            case 'BlockStatement': {
+                const inner = new Scope(scope);
+                for (const statement of node.body) {
+                    const signal = yield* this.execStatement(statement, inner);
+                    if (signal) return signal;
+                }
+                return null;
+            }
+
+            case 'EmptyStatement':
+                return null;
+
+            case 'VariableDeclaration': {
+                yield* this.pausePoint(node, scope);
+                for (const decl of node.declarations) {
+                    let value;
+                    let type = node.varType;
+                    if (decl.init) {
+                        value = yield* this.evaluate(decl.init, scope);
+                        if (type === 'var') {
+                            if (value.type === 'null' || value.type === 'void') {
+                                throw new CSharpError(`Can't infer a type for '${decl.name}' from ${formatValue(value) || 'nothing'}`, decl.loc, 'CS0815');
+                            }
+                            type = value.type;
+                        }
+                        value = this.coerce(value, type, decl.init.loc);
+                    } else {
+                        if (type === 'var') {
+                            throw new CSharpError(`'var ${decl.name}' needs a starting value`, decl.loc, 'CS0818');
+                        }
+                        value = this.defaultValue(type);
+                    }
+                    scope.declare(decl.name, type, value.value, decl.loc);
+                }
+                return null;
+            }
+
+            case 'ExpressionStatement':
+                yield* this.pausePoint(node, scope);
+                yield* this.evaluate(node.expression, scope);
+                return null;
+
+            case 'IfStatement': {
+                yield* this.pausePoint(node, scope);
+                if (yield* this.evaluateCondition(node.test, scope)) {
+                    return yield* this.execStatement(node.consequent, scope);
+                } else if (node.alternate) {
+                    return yield* this.execStatement(node.alternate, scope);
+                }
+                return null;
+            }
+
+            case 'WhileStatement': {
+                while (true) {
+                    yield* this.pausePoint(node, scope);
+                    if (!(yield* this.evaluateCondition(node.test, scope))) break;
+                    const signal = yield* this.execStatement(node.body, scope);
+                    if (signal === BREAK) break;
+                    if (signal && signal !== CONTINUE) return signal;
+                }
+                return null;
+            }
+
+            case 'DoWhileStatement': {
+                while (true) {
+                    const signal = yield* this.execStatement(node.body, scope);
+                    if (signal === BREAK) break;
+                    if (signal && signal !== CONTINUE) return signal;
+                    yield* this.pausePoint(node, scope);
+                    if (!(yield* this.evaluateCondition(node.test, scope))) break;
+                }
+                return null;
+            }
+
+            case 'ForStatement': {
+                const loopScope = new Scope(scope);
+                yield* this.pausePoint(node, scope);
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') {
+                        yield* this.execStatement(node.init, loopScope);
+                    } else {
+                        yield* this.evaluate(node.init.expression, loopScope);
+                    }
+                }
+                while (true) {
+                    if (node.test && !(yield* this.evaluateCondition(node.test, loopScope))) break;
+                    const signal = yield* this.execStatement(node.body, loopScope);
+                    if (signal === BREAK) break;
+                    if (signal && signal !== CONTINUE) return signal;
+                    yield* this.pausePoint(node, loopScope);
+                    for (const update of node.update) {
+                        yield* this.evaluate(update, loopScope);
+                    }
+                }
+                return null;
+            }
+
+            case 'BreakStatement':
+                yield* this.pausePoint(node, scope);
+                return BREAK;
+
+            case 'ContinueStatement':
+                yield* this.pausePoint(node, scope);
+                return CONTINUE;
+
+            case 'ReturnStatement': {
+                yield* this.pausePoint(node, scope);
+                const value = node.argument ? yield* this.evaluate(node.argument, scope) : VOID;
+                return { type: 'return', value };
+            }
+
+            default:
+                throw new CSharpError(`Unsupported statement: ${node.type}`, node.loc, 'ORB002');
+        }
+    }
+
+    /**
+     * Yield a pause point, remembering which scope is live there so
+     * getVariables() can show block-level locals
+     */
+    *pausePoint(node, scope) {
+        this.activeScope = scope;
+        yield node;
+    }
+
+    *evaluateCondition(node, scope) {
+        const value = yield* this.evaluate(node, scope);
+        if (value.type !== 'bool') {
+            throw new CSharpError(`Condition must be true or false, but this is ${describeType(value)}`, node.loc, 'CS0029');
+        }
+        return value.value;
+    }
+
+    *invoke(method, args, loc) {
+        if (args.length !== method.params.length) {
+            throw new CSharpError(
+                `${method.name}() takes ${method.params.length} argument(s) but got ${args.length}`, loc, 'CS1501'
+            );
+        }
+        if (this.callStack.length >= this.maxCallDepth) {
+            throw new CSharpError(`Too many nested calls to ${method.name}() - is it calling itself forever?`, loc, 'StackOverflowException');
+        }
+
+        const scope = new Scope(this.instanceScope);
+        method.params.forEach((param, i) => {
+            scope.declare(param.name, param.varType, this.coerce(args[i], param.varType, loc).value, param.loc);
+        });
+
+        this.callStack.push({ name: method.name, scope, loc });
+        try {
+            const signal = yield* this.execStatement(method.body, scope);
+            return signal && signal.type === 'return' ? signal.value : VOID;
+        } finally {
+            this.callStack.pop();
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPRESSIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    *evaluate(node, scope) {
+        switch (node.type) {
+            case 'Literal':
+                if (node.valueType === 'null') return NULL;
+                return { type: node.valueType, value: node.value };
+
+            case 'InterpolatedString': {
+                let text = '';
+                for (const part of node.parts) {
+                    text += typeof part === 'string' ? part : formatValue(yield* this.evaluate(part, scope));
+                }
+                return { type: 'string', value: text };
+            }
+
+            case 'Identifier': {
+                const entry = scope.lookup(node.name);
+                if (entry) return { type: entry.type, value: entry.value };
+                if (BUILTINS[node.name]) return { type: 'class', value: node.name };
+                throw new CSharpError(`The name '${node.name}' does not exist here`, node.loc, 'CS0103');
+            }
+
+            case 'ThisExpression':
+                return { type: 'this', value: null };
+
+            case 'MemberExpression': {
+                const property = builtinProperty(node, scope);
+                if (property) return { type: property.type, value: property.get(this) };
+                const entry = this.resolveReference(node, scope);
+                return { type: entry.type, value: entry.value };
+            }
+
+            case 'CallExpression':
+                return yield* this.evaluateCall(node, scope);
+
+            case 'UnaryExpression': {
+                const arg = yield* this.evaluate(node.argument, scope);
+                if (node.operator === '!') {
+                    if (arg.type !== 'bool') {
+                        throw new CSharpError(`'!' needs true/false, not ${describeType(arg)}`, node.loc, 'CS0023');
+                    }
+                    return { type: 'bool', value: !arg.value };
+                }
+                this.requireNumber(arg, node.operator, node.loc);
+                const value = node.operator === '-' ? -arg.value : arg.value;
+                return { type: arg.type, value: arg.type === 'int' ? value | 0 : value };
+            }
+
+            case 'UpdateExpression': {
+                const entry = this.resolveReference(node.argument, scope);
+                this.requireNumber({ type: entry.type, value: entry.value }, node.operator, node.loc);
+                const old = entry.value;
+                const next = node.operator === '++' ? old + 1 : old - 1;
+                entry.value = entry.type === 'int' ? next | 0 : next;
+                return { type: entry.type, value: node.prefix ? entry.value : old };
+            }
+
+            case 'BinaryExpression': {
+                const left = yield* this.evaluate(node.left, scope);
+                const right = yield* this.evaluate(node.right, scope);
+                return this.binary(node.operator, left, right, node.loc);
+            }
+
+            case 'LogicalExpression': {
+                const left = yield* this.evaluateCondition(node.left, scope);
+                if (node.operator === '&&' && !left) return { type: 'bool', value: false };
+                if (node.operator === '||' && left) return { type: 'bool', value: true };
+                return { type: 'bool', value: yield* this.evaluateCondition(node.right, scope) };
+            }
+
+            case 'ConditionalExpression': {
+                const test = yield* this.evaluateCondition(node.test, scope);
+                return yield* this.evaluate(test ? node.consequent : node.alternate, scope);
+            }
+
+            case 'AssignmentExpression': {
+                const entry = this.resolveReference(node.target, scope);
+                let value = yield* this.evaluate(node.value, scope);
+                if (node.operator !== '=') {
+                    const current = { type: entry.type, value: entry.value };
+                    value = this.binary(node.operator.slice(0, -1), current, value, node.loc);
+                }
+                entry.value = this.coerce(value, entry.type, node.loc).value;
+                return { type: entry.type, value: entry.value };
+            }
+
+            case 'CastExpression': {
+                const value = yield* this.evaluate(node.argument, scope);
+                if (node.targetType === 'int') {
+                    this.requireNumber(value, '(int)', node.loc);
+                    return { type: 'int', value: Math.trunc(value.value) | 0 };
+                }
+                if (node.targetType === 'float' || node.targetType === 'double') {
+                    this.requireNumber(value, `(${node.targetType})`, node.loc);
+                    return { type: 'float', value: value.value };
+                }
+                return this.coerce(value, node.targetType, node.loc);
+            }
+
+            case 'NewExpression':
+                throw new CSharpError(`Creating a new ${node.typeName} isn't supported in Orbrya scripts`, node.loc, 'ORB002');
+
+            default:
+                throw new CSharpError(`Unsupported expression: ${node.type}`, node.loc, 'ORB002');
+        }
+    }
+
+    *evaluateCall(node, scope) {
+        const callee = node.callee;
+
+        // Methods declared in the student's class
+        const ownMethod = callee.type === 'Identifier' ? callee.name
+            : (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression') ? callee.property
+            : null;
+        if (ownMethod && this.methods.has(ownMethod)) {
+            const args = [];
+            for (const arg of node.args) args.push(yield* this.evaluate(arg, scope));
+            return yield* this.invoke(this.methods.get(ownMethod), args, node.loc);
+        }
+
+        let receiver;
+        let name;
+        if (callee.type === 'Identifier') {
+            receiver = 'ScenarioBase';
+            name = callee.name;
+        } else if (callee.type === 'MemberExpression') {
+            const target = callee.object.type === 'ThisExpression'
+                ? { type: 'class', value: 'ScenarioBase' }
+                : yield* this.evaluate(callee.object, scope);
+            name = callee.property;
+
+            if (target.type === 'class') {
+                receiver = target.value;
+            } else if (target.value && target.value.isScene) {
+                receiver = 'scene';
+            } else if (target.type === 'null' || target.value === null) {
+                throw new CSharpError(
+                    `'${this.describeNode(callee.object)}' is null - did you forget to assign it?`, callee.object.loc,
+                    'NullReferenceException'
+                );
+            } else {
+                throw new CSharpError(`${describeType(target)} has no method '${name}'`, node.loc, 'CS1061');
+            }
+        } else {
+            throw new CSharpError('Only methods can be called', node.loc, 'CS1955');
+        }
+
+        const builtin = BUILTINS[receiver]?.[name];
+        if (!builtin) {
+            const where = receiver === 'ScenarioBase' ? '' : `${receiver === 'scene' ? 'scene' : receiver}.`;
+            throw new CSharpError(`Unknown method '${where}${name}()'`, node.loc, where ? 'CS0117' : 'CS0103');
+        }
+
+        const minArgs = builtin.minArgs ?? builtin.params.length;
+        if (node.args.length < minArgs || node.args.length > builtin.params.length) {
+            throw new CSharpError(
+                `${name}() takes ${builtin.params.length} argument(s) but got ${node.args.length}`, node.loc, 'CS1501'
+            );
+        }
+
+        const args = [];
+        for (let i = 0; i < node.args.length; i++) {
+            const value = yield* this.evaluate(node.args[i], scope);
+            const type = builtin.params[i];
+            if (type === 'number' && !NUMERIC_TYPES.has(value.type)) {
+                throw new CSharpError(
+                    `Argument ${i + 1}: cannot convert from ${describeType(value)} to a number`, node.args[i].loc, 'CS1503'
+                );
+            }
+            args.push(type === 'object' || type === 'number' ? value : this.coerce(value, type, node.args[i].loc));
+        }
+        return builtin.call(this, args, node) ?? VOID;
+    }
+
+    /**
+     * Call an optional host hook; missing hooks are silently skipped
+     */
+    callHost(method, ...args) {
+        if (typeof this.host[method] === 'function') {
+            this.host[method](...args);
+        }
+        return VOID;
+    }
+
+    /**
+     * Ask the host for a value; undefined if it has no such hook
+     */
+    queryHost(method, ...args) {
+        return typeof this.host[method] === 'function' ? this.host[method](...args) : undefined;
+    }
+
+    /**
+     * Find the mutable { type, value } entry an lvalue refers to
+     */
+    resolveReference(node, scope) {
+        if (node.type === 'Identifier') {
+            const entry = scope.lookup(node.name);
+            if (!entry) {
+                throw new CSharpError(`The name '${node.name}' does not exist here`, node.loc, 'CS0103');
+            }
+            return entry;
+        }
+        if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression') {
+            const entry = this.instanceScope.lookup(node.property);
+            if (!entry) {
+                throw new CSharpError(`This class has no field '${node.property}'`, node.loc, 'CS1061');
+            }
+            return entry;
+        }
+        if (builtinProperty(node, scope)) {
+            throw new CSharpError(`'${this.describeNode(node)}' is read-only - it can't be changed`, node.loc, 'CS0200');
+        }
+        throw new CSharpError(`Can't read or change '${this.describeNode(node)}'`, node.loc, 'CS1061');
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // VALUES & TYPES
+    // ═══════════════════════════════════════════════════════════════
+
+    binary(operator, left, right, loc) {
+        // String concatenation
+        if (operator === '+' && (left.type === 'string' || right.type === 'string')) {
+            return { type: 'string', value: formatValue(left) + formatValue(right) };
+        }
+
+        if (operator === '==' || operator === '!=') {
+            const equal = left.value === right.value;
+            return { type: 'bool', value: operator === '==' ? equal : !equal };
+        }
+
+        this.requireNumber(left, operator, loc);
+        this.requireNumber(right, operator, loc);
+        const isInt = left.type === 'int' && right.type === 'int';
+        const a = left.value;
+        const b = right.value;
+
+        switch (operator) {
+            case '<': return { type: 'bool', value: a < b };
+            case '<=': return { type: 'bool', value: a <= b };
+            case '>': return { type: 'bool', value: a > b };
+            case '>=': return { type: 'bool', value: a >= b };
+        }
+
+        if (isInt && (operator === '/' || operator === '%') && b === 0) {
+            throw new CSharpError('Attempted to divide by zero', loc, 'DivideByZeroException');
+        }
+
+        let value;
+        switch (operator) {
+            case '+': value = a + b; break;
+            case '-': value = a - b; break;
+            case '*': value = isInt ? Math.imul(a, b) : a * b; break;
+            case '/': value = isInt ? Math.trunc(a / b) : a / b; break;
+            case '%': value = a % b; break;
+            default:
+                throw new CSharpError(`Unsupported operator '${operator}'`, loc, 'CS0019');
+        }
+        return isInt ? { type: 'int', value: value | 0 } : { type: 'float', value };
+    }
+
+    /**
+     * Convert a value for storage in a variable of the given type,
+     * following C#'s implicit conversion rules
+     */
+    coerce(value, type, loc) {
+        const problem = conversionError(value, type);
+        if (problem) {
+            throw new CSharpError(problem.message, loc, problem.code);
+        }
+        if (type === 'var' || type === value.type) return value;
+        return { type, value: value.value };
+    }
+
+    defaultValue(type) {
+        if (type === 'int' || type === 'float' || type === 'double') return { type, value: 0 };
+        if (type === 'bool') return { type, value: false };
+        return { type, value: null };
+    }
+
+    requireNumber(value, operator, loc) {
+        if (!NUMERIC_TYPES.has(value.type)) {
+            throw new CSharpError(`Operator '${operator}' needs numbers, not ${describeType(value)}`, loc, 'CS0019');
+        }
+    }
+
+    describeNode(node) {
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression') return `${this.describeNode(node.object)}.${node.property}`;
+        if (node.type === 'ThisExpression') return 'this';
+        return 'expression';
+    }
+}
+
+export default CSharpInterpreter;
@@ -0,0 +1,253 @@
+/**
+ * CSharpInterpreter Test Suite
+ * Run in browser console: window.testCSharpInterpreter()
+ */
+
+import { CSharpInterpreter } from './CSharpInterpreter.js';
+import { compileCSharp } from './CSharpChecker.js';
+import { parseCSharp } from './CSharpParser.js';
+import { analyzeLoops } from './LoopAnalyzer.js';
+import { CodeExecutor } from './CodeExecutor.js';
+import { FrameRunner } from './FrameRunner.js';
+import { PhysicsWorld } from './PhysicsWorld.js';
+
+function runCode(code, budget = 3000) {
+    let trees = 0;
+    const logs = [];
+    const interpreter = new CSharpInterpreter({
+        spawnTree: () => { trees++; },
+        log: (message) => logs.push(message)
+    }, { instructionBudget: budget });
+    const run = interpreter.run(code);
+    return { trees, logs, run };
+}
+
+export function runCSharpInterpreterTests() {
+    const results = [];
+
+    console.log('═'.repeat(50));
+    console.log('CSHARP INTERPRETER TEST SUITE');
+    console.log('═'.repeat(50));
+
+    const testCases = [
+        // Loops spawn exactly what they say
+        { name: 'while with literal limit', code: 'while (treeCount < 50) { SpawnTree(); treeCount++; }', expected: { trees: 50 } },
+        { name: 'computed limit', code: 'int limit = 10 * 5; while (treeCount < limit) { SpawnTree(); treeCount++; }', expected: { trees: 50 } },
+        { name: 'for with if', code: 'for (int i = 0; i < 40; i++) { if (i % 2 == 0) SpawnTree(); }', expected: { trees: 20 } },
+        { name: 'do-while runs once', code: 'do { SpawnTree(); } while (false);', expected: { trees: 1 } },
+        { name: 'break exits loop', code: 'while (true) { SpawnTree(); treeCount++; if (treeCount >= 5) break; }', expected: { trees: 5 } },
+
+        // Arithmetic follows C# rules
+        { name: 'int division truncates', code: 'Debug.Log(7 / 2);', expected: { logs: ['3'] } },
+        { name: 'float division', code: 'Debug.Log(7 / 2f);', expected: { logs: ['3.5'] } },
+        { name: 'string interpolation', code: 'int n = 4; Debug.Log($"Spawned {n * 2} trees");', expected: { logs: ['Spawned 8 trees'] } },
+
+        // Scene API
+        { name: 'positioned trees', code: 'for (int i = 0; i < 5; i++) { SpawnTree(i * 2, 0, "oak", 1.5f); }', expected: { trees: 5 } },
+        { name: 'GetTreeCount follows spawns', code: 'SpawnTree(); ClearTrees(); SpawnTree(); SpawnTree(); Debug.Log(GetTreeCount());', expected: { logs: ['2'] } },
+        { name: 'Random.Range int excludes max', code: 'for (int i = 0; i < 50; i++) { if (Random.Range(0, 3) == 3) Debug.Log("bad"); }', expected: { logs: [] } },
+        { name: 'unknown tree type', code: '\nSpawnTree(0, 0, "cactus");', expected: { errorLine: 2 } },
+
+        // Safety stop
+        { name: 'infinite loop hits budget', code: 'while (true) { SpawnTree(); }', expected: { budgetExceeded: true } },
+        { name: 'forgotten increment hits budget', code: 'while (treeCount < 50) { SpawnTree(); }', expected: { budgetExceeded: true } },
+
+        // Errors point at the line
+        { name: 'missing semicolon', code: 'int x = 5\nSpawnTree();', expected: { errorLine: 1 } },
+        { name: 'float to int', code: 'int x = 2.5f;', expected: { errorLine: 1 } },
+        { name: 'unknown method', code: '\nSpawnTrees();', expected: { errorLine: 2 } },
+
+        // Scene objects without a host still work
+        { name: 'CreateSpark returns a GameObject', code: 'GameObject spark = CreateSpark(); Debug.Log(spark);', expected: { logs: ['Spark'] } },
+        { name: 'Destroy null does nothing', code: 'GameObject spark = null; Destroy(spark); Debug.Log("ok");', expected: { logs: ['ok'] } },
+        { name: 'RecycleSpark with nothing to reuse', code: 'GameObject spark = RecycleSpark(); Debug.Log(spark == null);', expected: { logs: ['True'] } },
+        { name: 'Destroy needs a GameObject', code: 'Destroy(5);', expected: { errorLine: 1 } },
+
+        // Separate tree meshes count as trees
+        { name: 'CreateTreeMesh counts trees', code: 'CreateTreeMesh(); CreateTreeMesh(0, 0, "oak"); CombineMeshes(); Debug.Log(GetTreeCount());', expected: { logs: ['2'] } },
+        { name: 'CreateTreeMesh unknown type', code: '\nCreateTreeMesh(0, 0, "cactus");', expected: { errorLine: 2 } }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    testCases.forEach(({ name, code, expected }) => {
+        let outcome;
+        try {
+            outcome = runCode(code);
+        } catch (err) {
+            outcome = { trees: 0, logs: [], run: { error: err } };
+        }
+        const { trees, logs, run } = outcome;
+        const errors = [];
+
+        if (expected.trees !== undefined && trees !== expected.trees) {
+            errors.push(`trees: expected ${expected.trees}, got ${trees}`);
+        }
+        if (expected.logs && JSON.stringify(logs) !== JSON.stringify(expected.logs)) {
+            errors.push(`logs: expected ${JSON.stringify(expected.logs)}, got ${JSON.stringify(logs)}`);
+        }
+        if (expected.budgetExceeded !== undefined && run.budgetExceeded !== expected.budgetExceeded) {
+            errors.push(`budgetExceeded: expected ${expected.budgetExceeded}, got ${run.budgetExceeded}`);
+        }
+        if (expected.errorLine !== undefined && run.error?.loc?.line !== expected.errorLine) {
+            errors.push(`error line: expected ${expected.errorLine}, got ${run.error?.loc?.line ?? 'no error'}`);
+        }
+        if (expected.errorLine === undefined && run.error) {
+            errors.push(`unexpected error: ${run.error.message}`);
+        }
+
+        const success = errors.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors });
+
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        errors.forEach(e => console.log(`   → ${e}`));
+    });
+
+    // Compile-time diagnostics: expected [code, line, column]
+    console.log('\nDIAGNOSTIC TESTS:');
+    const diagnosticTests = [
+        { code: 'int x = 5\nSpawnTree();', expected: ['CS1002', 1, 10] },
+        { code: 'while (treeCount < 5) {\n    SpawnTree();\n', expected: ['CS1513', 1, 23] },
+        { code: 'int a = 1;\nint b = c + 1;', expected: ['CS0103', 2, 9] },
+        { code: 'int x = 2.5f;', expected: ['CS0266', 1, 9] },
+        { code: 'if (treeCount) { SpawnTree(); }', expected: ['CS0029', 1, 5] },
+        { code: 'while (true) { SpawnTree(); }\nDebug.Log("done");', expected: ['CS0162', 2, 1] },
+        { code: 'Time.deltaTime = 1f;', expected: ['CS0200', 1, 1] }
+    ];
+
+    diagnosticTests.forEach(({ code, expected }) => {
+        const [first] = compileCSharp(code).diagnostics;
+        const actual = first ? [first.code, first.line, first.column] : [];
+        const success = JSON.stringify(actual) === JSON.stringify(expected);
+        if (success) passed++; else failed++;
+        results.push({ name: expected[0], success, errors: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} ${expected[0]} at ${expected[1]}:${expected[2]}`);
+        if (!success) console.log(`   → got ${JSON.stringify(actual)}`);
+    });
+
+    // Static loop analysis: expected [status, bound]
+    console.log('\nLOOP ANALYSIS TESTS:');
+    const loopTests = [
+        { code: 'while (treeCount < 50) { SpawnTree(); treeCount++; }', expected: ['terminates', 50] },
+        { code: 'while (treeCount < 50) { SpawnTree(); }', expected: ['infinite', null] },
+        { code: 'while (treeCount < 50) { SpawnTree(); treeCount--; }', expected: ['infinite', null] },
+        { code: 'while (treeCount != 50) { SpawnTree(); treeCount += 3; }', expected: ['infinite', null] },
+        { code: 'while (treeCount != 50) { SpawnTree(); treeCount += 2; }', expected: ['terminates', 25] },
+        { code: 'for (int i = 0; i <= 40; i += 2) { SpawnTree(); }', expected: ['terminates', 21] },
+        { code: 'int i = 10; while (i > 0) { SpawnTree(); i--; }', expected: ['terminates', 10] },
+        { code: 'while (true) { treeCount++; if (treeCount >= 5) break; }', expected: ['terminates', 5] },
+        { code: 'while (treeCount < 50) { if (treeCount % 2 == 0) treeCount++; }', expected: ['unknown', null] },
+        // Updates are summed per variable: +2 then -1 is a step of 1, ++ then -- none
+        { code: 'int i = 0; while (i < 10) { i += 2; i -= 1; }', expected: ['terminates', 10] },
+        { code: 'for (int i = 0; i < 10; i++) { i--; }', expected: ['infinite', null], reason: 'ends every iteration where it started' },
+        { code: 'int i = 0; while (i * 2 < 10) { i++; }', expected: ['unknown', null], reason: "'i * 2' changes inside the loop" },
+        // An update on both sides of an if/else happens every iteration
+        { code: 'int i = 0; while (i < 5) { if (GetTreeCount() > 2) { i++; } else { i++; } }', expected: ['terminates', 5] },
+        { code: 'int i = 0; while (i < 6) { if (GetTreeCount() > 2) { i += 2; } else { i++; } }', expected: ['terminates', 6] },
+        { code: 'int i = 0; while (i < 6) { if (GetTreeCount() > 2) { i++; } else { i--; } }', expected: ['unknown', null], reason: 'sometimes moves the wrong way' },
+        // Ten steps of 0.1 make 0.9999999999999999, so x < 1 runs an 11th time
+        { code: 'for (float x = 0; x < 1; x += 0.1f) { SpawnTree(); }', expected: ['terminates', 11] },
+        { code: 'for (double x = 1; x > 0; x -= 0.1) { SpawnTree(); }', expected: ['terminates', 11] },
+        { code: 'for (float x = 0; x < 5; x += 0.5f) { SpawnTree(); }', expected: ['terminates', 10] }
+    ];
+
+    loopTests.forEach(({ code, expected, reason }) => {
+        const [loop] = analyzeLoops(parseCSharp(code));
+        const actual = loop ? [loop.status, loop.bound] : [];
+        const success = JSON.stringify(actual) === JSON.stringify(expected) && (!reason || loop.reason.includes(reason));
+        if (success) passed++; else failed++;
+        results.push({ name: code, success, errors: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} ${code}`);
+        if (!success) console.log(`   → got ${JSON.stringify(actual)}: ${loop?.reason}`);
+    });
+
+    // Budget stops: a loop proven to finish is "too much work", not
+    // infinite - expected [terminates, first error starts with, code]
+    console.log('\nBUDGET STOP TESTS:');
+    const budgetTests = [
+        { code: 'while (treeCount < 1000) { SpawnTree(); treeCount++; }', expected: [true, '⏳ Too much work!', 'ORB004'] },
+        { code: 'int i = 0; while (i < 5000) { i++; }', expected: [true, '⏳ Too much work!', 'ORB004'] },
+        { code: 'while (true) { SpawnTree(); }', expected: [false, '⚠️ Infinite loop!', 'ORB003'] }
+    ];
+
+    budgetTests.forEach(({ code, expected }) => {
+        const parsed = new CodeExecutor(null).parseStudentCode(code);
+        const [prefix] = parsed.errors.map(error => error.slice(0, expected[1].length));
+        const actual = [parsed.terminates, prefix, parsed.diagnostics[0]?.code];
+        const success = parsed.budgetExceeded && JSON.stringify(actual) === JSON.stringify(expected);
+        if (success) passed++; else failed++;
+        results.push({ name: code, success, errors: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} ${code}`);
+        if (!success) console.log(`   → got ${JSON.stringify(actual)}: ${parsed.errors.join('; ')}`);
+    });
+
+    // FrameRunner: sparks still in memory after 10 simulated seconds of
+    // Update() - expected [live, stopped]
+    console.log('\nFRAME RUNNER TESTS:');
+    const campfire = (update) => `public class Campfire : ScenarioBase { public void Update() { ${update} } }`;
+    const runnerTests = [
+        { name: 'leak: never destroyed', update: 'GameObject spark = CreateSpark();', expected: [201, null] },
+        { name: 'Destroy after lifetime', update: 'GameObject spark = CreateSpark(); Destroy(spark, 1.5f);', expected: [30, null] },
+        { name: 'pool with RecycleSpark', update: 'GameObject spark = RecycleSpark(); if (spark == null) spark = CreateSpark();', expected: [31, null] },
+        { name: 'endless Update() stops', update: 'while (true) { }', expected: [0, 'budget'] },
+        { name: 'too many objects stops', update: 'for (int i = 0; i < 100; i++) { CreateSpark(); }', expected: [1600, 'outOfMemory'] }
+    ];
+
+    runnerTests.forEach(({ name, update, expected }) => {
+        const runner = new FrameRunner();
+        runner.load(campfire(update));
+        const { live, stopped } = runner.simulate(10);
+        const actual = [live, stopped];
+        const success = JSON.stringify(actual) === JSON.stringify(expected);
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → got ${JSON.stringify(actual)}`);
+    });
+
+    // Physics: 4 rocks dropped from 30-60 m, Update() every frame for 10
+    // seconds at 15 FPS - expected [outOfBounds, resting]
+    console.log('\nPHYSICS TESTS:');
+    const rockslide = (update) => `public class Rockslide : ScenarioBase {
+        private float saved = 0f;
+        public void Start() { for (int i = 3; i <= 6; i++) { DropRock(i * 5f, i * 10f, 0f); } }
+        public void Update() { ${update} } }`;
+    const physicsTests = [
+        { name: 'step by frame time tunnels', update: 'Physics.Simulate(Time.deltaTime);', expected: [3, 1] },
+        { name: 'one fixed step per frame falls behind', update: 'Physics.Simulate(Time.fixedDeltaTime);', expected: [0, 0] },
+        {
+            name: 'fixed timestep lands every rock',
+            update: 'saved += Time.deltaTime; while (saved >= Time.fixedDeltaTime) { Physics.Simulate(Time.fixedDeltaTime); saved -= Time.fixedDeltaTime; }',
+            expected: [0, 4]
+        }
+    ];
+
+    physicsTests.forEach(({ name, update, expected }) => {
+        const world = new PhysicsWorld();
+        const runner = new FrameRunner({}, { host: world.scriptHooks() });
+        runner.load(rockslide(update));
+        runner.simulateFrames(10, 15);
+        const { outOfBounds, resting } = world.metrics();
+        const actual = [outOfBounds, resting];
+        const success = JSON.stringify(actual) === JSON.stringify(expected);
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → got ${JSON.stringify(actual)}`);
+    });
+
+    const total = testCases.length + diagnosticTests.length + loopTests.length + budgetTests.length + runnerTests.length + physicsTests.length;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed/total*100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testCSharpInterpreter = runCSharpInterpreterTests;
+    console.log('[CSharpInterpreter Test] Run window.testCSharpInterpreter() to execute tests');
+}
@@ -0,0 +1,229 @@
+/**
+ * CSharpLexer.js - Tokenizer for the Orbrya C# Subset
+ *
+ * Turns student C# source into a flat token list for CSharpParser.
+ * Every token remembers its line, column and character offsets so
+ * errors can point at the exact spot in the editor.
+ *
+ * SUPPORTED TOKENS:
+ * - Numbers: 50, 2.5, 0.5f
+ * - Strings: "text", $"Spawned {treeCount} trees"
+ * - Identifiers and C# keywords
+ * - Operators: + - * / % ++ -- += -= == != < <= && || ! ...
+ * - Comments (// and block) are skipped
+ */
+
+export const KEYWORDS = new Set([
+    'using', 'namespace', 'class', 'public', 'private', 'protected', 'internal',
+    'static', 'override', 'virtual', 'readonly', 'const',
+    'void', 'int', 'float', 'double', 'bool', 'string', 'var',
+    'if', 'else', 'for', 'while', 'do', 'break', 'continue', 'return',
+    'new', 'this', 'true', 'false', 'null'
+]);
+
+// Longest operators first so "<=" wins over "<"
+const PUNCTUATORS = [
+    '++', '--', '+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=', '&&', '||', '=>',
+    '+', '-', '*', '/', '%', '=', '<', '>', '!', '(', ')', '{', '}', '[', ']',
+    ';', ',', '.', ':', '?'
+];
+
+/**
+ * Error raised for invalid student code, with the source location attached.
+ * `code` follows the real C# compiler where one exists (CS1002 = ';' expected)
+ * so students can look it up; runtime problems use the .NET exception name.
+ */
+export class CSharpError extends Error {
+    constructor(message, loc = null, code = null) {
+        super(message);
+        this.name = 'CSharpError';
+        this.loc = loc;
+        this.code = code;
+    }
+}
+
+export class CSharpLexer {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+        this.line = 1;
+        this.column = 1;
+        this.tokens = [];
+    }
+
+    /**
+     * Tokenize only source[start..end) - used for {holes} in interpolated strings
+     */
+    static tokenizeRange(source, start, end, line, column) {
+        const lexer = new CSharpLexer(source.slice(0, end));
+        lexer.pos = start;
+        lexer.line = line;
+        lexer.column = column;
+        return lexer.tokenize();
+    }
+
+    /**
+     * Tokenize the whole source
+     * @returns {Array<Token>} Tokens, always ending with an 'eof' token
+     */
+    tokenize() {
+        while (true) {
+            this.skipWhitespaceAndComments();
+            if (this.pos >= this.source.length) break;
+            this.tokens.push(this.readToken());
+        }
+        this.tokens.push(this.makeToken('eof', null, this.pos, this.line, this.column));
+        return this.tokens;
+    }
+
+    skipWhitespaceAndComments() {
+        while (this.pos < this.source.length) {
+            const ch = this.source[this.pos];
+            const next = this.source[this.pos + 1];
+
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') {
+                this.advance();
+            } else if (ch === '/' && next === '/') {
+                while (this.pos < this.source.length && this.source[this.pos] !== '\n') {
+                    this.advance();
+                }
+            } else if (ch === '/' && next === '*') {
+                const start = this.location();
+                this.advance(2);
+                while (this.pos < this.source.length && !(this.source[this.pos] === '*' && this.source[this.pos + 1] === '/')) {
+                    this.advance();
+                }
+                if (this.pos >= this.source.length) {
+                    throw new CSharpError('Comment is never closed - add */', start, 'CS1035');
+                }
+                this.advance(2);
+            } else {
+                break;
+            }
+        }
+    }
+
+    readToken() {
+        const start = this.pos;
+        const line = this.line;
+        const column = this.column;
+        const ch = this.source[this.pos];
+
+        // Numbers: 50, 2.5, 0.5f
+        if (this.isDigit(ch) || (ch === '.' && this.isDigit(this.source[this.pos + 1]))) {
+            let isFloat = false;
+            while (this.isDigit(this.peek())) this.advance();
+            if (this.peek() === '.' && this.isDigit(this.source[this.pos + 1])) {
+                isFloat = true;
+                this.advance();
+                while (this.isDigit(this.peek())) this.advance();
+            }
+            if (/[fFdD]/.test(this.peek() || '')) {
+                isFloat = true;
+                this.advance();
+            }
+            const text = this.source.slice(start, this.pos);
+            const token = this.makeToken('number', parseFloat(text), start, line, column);
+            token.isFloat = isFloat;
+            return token;
+        }
+
+        // Strings: "text" and interpolated $"text {expr}"
+        if (ch === '"' || (ch === '$' && this.source[this.pos + 1] === '"')) {
+            const interpolated = ch === '$';
+            if (interpolated) this.advance();
+            return this.readString(start, line, column, interpolated);
+        }
+
+        // Identifiers and keywords
+        if (this.isIdentifierStart(ch)) {
+            while (this.isIdentifierPart(this.peek())) this.advance();
+            const text = this.source.slice(start, this.pos);
+            const type = KEYWORDS.has(text) ? 'keyword' : 'identifier';
+            return this.makeToken(type, text, start, line, column);
+        }
+
+        // Operators and punctuation
+        for (const punct of PUNCTUATORS) {
+            if (this.source.startsWith(punct, this.pos)) {
+                this.advance(punct.length);
+                return this.makeToken('punctuator', punct, start, line, column);
+            }
+        }
+
+        throw new CSharpError(`Unexpected character '${ch}'`, {
+            line, column, start, end: start + 1
+        }, 'CS1056');
+    }
+
+    readString(start, line, column, interpolated) {
+        this.advance(); // Opening quote
+        let value = '';
+
+        while (this.pos < this.source.length && this.source[this.pos] !== '"') {
+            const ch = this.source[this.pos];
+            if (ch === '\n') break;
+            if (ch === '\\') {
+                const escaped = this.source[this.pos + 1];
+                const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+                value += escapes[escaped] ?? escaped;
+                this.advance(2);
+                continue;
+            }
+            value += ch;
+            this.advance();
+        }
+
+        if (this.source[this.pos] !== '"') {
+            throw new CSharpError('String is never closed - add "', {
+                line, column, start, end: this.pos
+            }, 'CS1010');
+        }
+        this.advance(); // Closing quote
+
+        const token = this.makeToken(interpolated ? 'interpolated' : 'string', value, start, line, column);
+        // Interpolated strings keep their raw text and offset so the parser
+        // can tokenize each {hole} in place
+        token.contentStart = start + (interpolated ? 2 : 1);
+        token.raw = this.source.slice(token.contentStart, this.pos - 1);
+        return token;
+    }
+
+    makeToken(type, value, start, line, column) {
+        return { type, value, line, column, start, end: this.pos };
+    }
+
+    location() {
+        return { line: this.line, column: this.column, start: this.pos, end: this.pos + 1 };
+    }
+
+    advance(count = 1) {
+        for (let i = 0; i < count; i++) {
+            if (this.source[this.pos] === '\n') {
+                this.line++;
+                this.column = 1;
+            } else {
+                this.column++;
+            }
+            this.pos++;
+        }
+    }
+
+    peek() {
+        return this.source[this.pos];
+    }
+
+    isDigit(ch) {
+        return ch >= '0' && ch <= '9';
+    }
+
+    isIdentifierStart(ch) {
+        return /[A-Za-z_]/.test(ch);
+    }
+
+    isIdentifierPart(ch) {
+        return ch !== undefined && /[A-Za-z0-9_]/.test(ch);
+    }
+}
+
+export default CSharpLexer;
@@ -0,0 +1,713 @@
+/**
+ * CSharpParser.js - Recursive-Descent Parser for the Orbrya C# Subset
+ *
+ * Builds an AST from CSharpLexer tokens. The subset is deliberately small
+ * but real: it is enough to read every template the AI "writes".
+ *
+ * SUPPORTED SYNTAX:
+ * - using directives (ignored), one or more classes with fields and methods
+ * - Top-level statements (snippets without a class wrapper)
+ * - Variables: int, float, double, bool, string, var, class types
+ * - Statements: if/else, while, do/while, for, break, continue, return, blocks
+ * - Expressions: arithmetic, comparison, logical, assignment (= += -= ...),
+ *   ++/--, ternary, casts like (int)x, method calls, member access,
+ *   generic calls like GetScene<ForestScene>(), interpolated strings
+ *
+ * Every node carries loc: { line, column, start, end } pointing into the source.
+ */
+
+import { CSharpLexer, CSharpError } from './CSharpLexer.js';
+
+const PRIMITIVE_TYPES = new Set(['int', 'float', 'double', 'bool', 'string', 'var', 'void']);
+const MODIFIERS = new Set(['public', 'private', 'protected', 'internal', 'static', 'override', 'virtual', 'readonly', 'const']);
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=']);
+
+// C# compiler codes for "X expected" errors
+const EXPECTED_CODES = {
+    ';': 'CS1002',
+    ')': 'CS1026',
+    '{': 'CS1514',
+    '}': 'CS1513'
+};
+
+// Binary operator precedence (higher binds tighter)
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '==': 3, '!=': 3,
+    '<': 4, '<=': 4, '>': 4, '>=': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6
+};
+
+export class CSharpParser {
+    constructor(source, tokens = null) {
+        this.source = source;
+        this.tokens = tokens || new CSharpLexer(source).tokenize();
+        this.index = 0;
+    }
+
+    /**
+     * Parse a whole compilation unit
+     * @returns {Program} { type: 'Program', usings, classes, statements, loc }
+     */
+    parse() {
+        const start = this.peek();
+        const program = { type: 'Program', usings: [], classes: [], statements: [] };
+
+        while (this.check('keyword', 'using')) {
+            program.usings.push(this.parseUsing());
+        }
+
+        while (!this.check('eof')) {
+            if (this.isClassAhead()) {
+                program.classes.push(this.parseClass());
+            } else {
+                program.statements.push(this.parseStatement());
+            }
+        }
+
+        program.loc = this.locFrom(start);
+        return program;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DECLARATIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    parseUsing() {
+        const start = this.expect('keyword', 'using');
+        const name = this.parseQualifiedName();
+        this.expectSemicolon();
+        return { type: 'Using', name, loc: this.locFrom(start) };
+    }
+
+    isClassAhead() {
+        let i = this.index;
+        while (this.tokens[i].type === 'keyword' && MODIFIERS.has(this.tokens[i].value)) i++;
+        return this.tokens[i].type === 'keyword' && this.tokens[i].value === 'class';
+    }
+
+    parseClass() {
+        const start = this.peek();
+        this.parseModifiers();
+        this.expect('keyword', 'class');
+        const name = this.expectIdentifier('class name').value;
+
+        let baseType = null;
+        if (this.match('punctuator', ':')) {
+            baseType = this.parseQualifiedName();
+        }
+
+        this.expect('punctuator', '{');
+        const fields = [];
+        const methods = [];
+
+        while (!this.check('punctuator', '}')) {
+            if (this.check('eof')) {
+                throw this.error(`Class '${name}' is missing its closing '}'`, start, 'CS1513');
+            }
+            const member = this.parseMember();
+            if (member.type === 'MethodDeclaration') {
+                methods.push(member);
+            } else {
+                fields.push(member);
+            }
+        }
+        this.expect('punctuator', '}');
+
+        return { type: 'ClassDeclaration', name, baseType, fields, methods, loc: this.locFrom(start) };
+    }
+
+    parseMember() {
+        const start = this.peek();
+        const modifiers = this.parseModifiers();
+        const varType = this.parseType();
+        const nameToken = this.expectIdentifier('member name');
+
+        if (this.check('punctuator', '(')) {
+            const params = this.parseParameters();
+            const body = this.parseBlock();
+            return {
+                type: 'MethodDeclaration',
+                name: nameToken.value,
+                returnType: varType,
+                modifiers,
+                params,
+                body,
+                loc: this.locFrom(start)
+            };
+        }
+
+        // Field: rewind the name and reuse the local declaration parser
+        this.index--;
+        const declaration = this.parseDeclarators(varType, start);
+        this.expectSemicolon();
+        declaration.modifiers = modifiers;
+        declaration.loc = this.locFrom(start);
+        return declaration;
+    }
+
+    parseModifiers() {
+        const modifiers = [];
+        while (this.peek().type === 'keyword' && MODIFIERS.has(this.peek().value)) {
+            modifiers.push(this.advance().value);
+        }
+        return modifiers;
+    }
+
+    parseParameters() {
+        this.expect('punctuator', '(');
+        const params = [];
+        if (!this.check('punctuator', ')')) {
+            do {
+                const start = this.peek();
+                const paramType = this.parseType();
+                const name = this.expectIdentifier('parameter name').value;
+                params.push({ type: 'Parameter', varType: paramType, name, loc: this.locFrom(start) });
+            } while (this.match('punctuator', ','));
+        }
+        this.expect('punctuator', ')');
+        return params;
+    }
+
+    parseType() {
+        const token = this.peek();
+        if (token.type === 'keyword' && PRIMITIVE_TYPES.has(token.value)) {
+            this.advance();
+            return token.value;
+        }
+        if (token.type === 'identifier') {
+            return this.parseQualifiedName();
+        }
+        throw this.error(`Expected a type but found ${this.describe(token)}`, token, 'CS1031');
+    }
+
+    parseQualifiedName() {
+        let name = this.expectIdentifier('name').value;
+        while (this.check('punctuator', '.') && this.peekAt(1).type === 'identifier') {
+            this.advance();
+            name += '.' + this.advance().value;
+        }
+        return name;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // STATEMENTS
+    // ═══════════════════════════════════════════════════════════════
+
+    parseStatement() {
+        const token = this.peek();
+
+        if (token.type === 'punctuator') {
+            if (token.value === '{') return this.parseBlock();
+            if (token.value === ';') {
+                this.advance();
+                return { type: 'EmptyStatement', loc: this.locFrom(token) };
+            }
+        }
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if': return this.parseIf();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'for': return this.parseFor();
+                case 'break':
+                case 'continue': {
+                    this.advance();
+                    this.expectSemicolon();
+                    return {
+                        type: token.value === 'break' ? 'BreakStatement' : 'ContinueStatement',
+                        loc: this.locFrom(token)
+                    };
+                }
+                case 'return': {
+                    this.advance();
+                    const argument = this.check('punctuator', ';') ? null : this.parseExpression();
+                    this.expectSemicolon();
+                    return { type: 'ReturnStatement', argument, loc: this.locFrom(token) };
+                }
+            }
+        }
+
+        if (this.isDeclarationAhead()) {
+            const declaration = this.parseLocalDeclaration();
+            this.expectSemicolon();
+            declaration.loc = this.locFrom(token);
+            return declaration;
+        }
+
+        const expression = this.parseExpression();
+        this.expectSemicolon();
+        return { type: 'ExpressionStatement', expression, loc: this.locFrom(token) };
+    }
+
+    parseBlock() {
+        const start = this.expect('punctuator', '{');
+        const body = [];
+        while (!this.check('punctuator', '}')) {
+            if (this.check('eof')) {
+                throw this.error("Missing '}' to close this block", start, 'CS1513');
+            }
+            body.push(this.parseStatement());
+        }
+        this.expect('punctuator', '}');
+        return { type: 'BlockStatement', body, loc: this.locFrom(start) };
+    }
+
+    parseIf() {
+        const start = this.expect('keyword', 'if');
+        const test = this.parseCondition('if');
+        const consequent = this.parseStatement();
+        const alternate = this.match('keyword', 'else') ? this.parseStatement() : null;
+        return { type: 'IfStatement', test, consequent, alternate, loc: this.locFrom(start) };
+    }
+
+    parseWhile() {
+        const start = this.expect('keyword', 'while');
+        const test = this.parseCondition('while');
+        const body = this.parseStatement();
+        return { type: 'WhileStatement', test, body, loc: this.locFrom(start) };
+    }
+
+    parseDoWhile() {
+        const start = this.expect('keyword', 'do');
+        const body = this.parseStatement();
+        this.expect('keyword', 'while');
+        const test = this.parseCondition('while');
+        this.expectSemicolon();
+        return { type: 'DoWhileStatement', test, body, loc: this.locFrom(start) };
+    }
+
+    parseFor() {
+        const start = this.expect('keyword', 'for');
+        this.expect('punctuator', '(');
+
+        let init = null;
+        if (!this.check('punctuator', ';')) {
+            const initStart = this.peek();
+            if (this.isDeclarationAhead()) {
+                init = this.parseLocalDeclaration();
+            } else {
+                init = { type: 'ExpressionStatement', expression: this.parseExpression() };
+            }
+            init.loc = this.locFrom(initStart);
+        }
+        this.expect('punctuator', ';');
+
+        const test = this.check('punctuator', ';') ? null : this.parseExpression();
+        this.expect('punctuator', ';');
+
+        const update = [];
+        if (!this.check('punctuator', ')')) {
+            do {
+                update.push(this.parseExpression());
+            } while (this.match('punctuator', ','));
+        }
+        this.expect('punctuator', ')');
+
+        const body = this.parseStatement();
+        return { type: 'ForStatement', init, test, update, body, loc: this.locFrom(start) };
+    }
+
+    parseCondition(keyword) {
+        if (!this.check('punctuator', '(')) {
+            throw this.error(`Expected '(' after '${keyword}'`, this.peek(), 'CS1003');
+        }
+        this.advance();
+        const test = this.parseExpression();
+        this.expect('punctuator', ')');
+        return test;
+    }
+
+    /**
+     * A declaration starts with a primitive type, or with "TypeName name"
+     */
+    isDeclarationAhead() {
+        const token = this.peek();
+        if (token.type === 'keyword' && PRIMITIVE_TYPES.has(token.value) && token.value !== 'void') {
+            return true;
+        }
+        if (token.type === 'keyword' && token.value === 'const') {
+            return true;
+        }
+        if (token.type !== 'identifier') return false;
+
+        // Skip a dotted type name, then look for an identifier
+        let i = this.index + 1;
+        while (this.tokens[i].type === 'punctuator' && this.tokens[i].value === '.' &&
+               this.tokens[i + 1].type === 'identifier') {
+            i += 2;
+        }
+        return this.tokens[i].type === 'identifier';
+    }
+
+    parseLocalDeclaration() {
+        const start = this.peek();
+        const isConst = this.match('keyword', 'const');
+        const varType = this.parseType();
+        const declaration = this.parseDeclarators(varType, start);
+        if (isConst) declaration.modifiers = ['const'];
+        return declaration;
+    }
+
+    parseDeclarators(varType, start) {
+        const declarations = [];
+        do {
+            const nameToken = this.expectIdentifier('variable name');
+            let init = null;
+            if (this.match('punctuator', '=')) {
+                init = this.parseExpression();
+            }
+            declarations.push({ name: nameToken.value, init, loc: this.locFrom(nameToken) });
+        } while (this.match('punctuator', ','));
+
+        return { type: 'VariableDeclaration', varType, declarations, modifiers: [], loc: this.locFrom(start) };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPRESSIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    parseExpression() {
+        return this.parseAssignment();
+    }
+
+    parseAssignment() {
+        const start = this.peek();
+        const left = this.parseConditional();
+
+        const token = this.peek();
+        if (token.type === 'punctuator' && ASSIGNMENT_OPERATORS.has(token.value)) {
+            if (left.type !== 'Identifier' && left.type !== 'MemberExpression') {
+                throw this.error('Only variables can be assigned to', left.loc, 'CS0131');
+            }
+            this.advance();
+            const value = this.parseAssignment();
+            return {
+                type: 'AssignmentExpression',
+                operator: token.value,
+                target: left,
+                value,
+                loc: this.locFrom(start)
+            };
+        }
+        return left;
+    }
+
+    parseConditional() {
+        const start = this.peek();
+        const test = this.parseBinary(1);
+        if (this.match('punctuator', '?')) {
+            const consequent = this.parseAssignment();
+            this.expect('punctuator', ':');
+            const alternate = this.parseAssignment();
+            return { type: 'ConditionalExpression', test, consequent, alternate, loc: this.locFrom(start) };
+        }
+        return test;
+    }
+
+    parseBinary(minPrecedence) {
+        const start = this.peek();
+        let left = this.parseUnary();
+
+        while (true) {
+            const token = this.peek();
+            const precedence = token.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) break;
+
+            this.advance();
+            const right = this.parseBinary(precedence + 1);
+            left = {
+                type: token.value === '&&' || token.value === '||' ? 'LogicalExpression' : 'BinaryExpression',
+                operator: token.value,
+                left,
+                right,
+                loc: this.locFrom(start)
+            };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+
+        if (token.type === 'punctuator' && (token.value === '!' || token.value === '-' || token.value === '+')) {
+            this.advance();
+            const argument = this.parseUnary();
+            return { type: 'UnaryExpression', operator: token.value, argument, loc: this.locFrom(token) };
+        }
+
+        if (token.type === 'punctuator' && (token.value === '++' || token.value === '--')) {
+            this.advance();
+            const argument = this.parseUnary();
+            return { type: 'UpdateExpression', operator: token.value, prefix: true, argument, loc: this.locFrom(token) };
+        }
+
+        // Cast: (int)expr, (float)expr
+        if (token.type === 'punctuator' && token.value === '(' &&
+            this.peekAt(1).type === 'keyword' && PRIMITIVE_TYPES.has(this.peekAt(1).value) &&
+            this.peekAt(2).type === 'punctuator' && this.peekAt(2).value === ')') {
+            this.advance();
+            const targetType = this.advance().value;
+            this.advance();
+            const argument = this.parseUnary();
+            return { type: 'CastExpression', targetType, argument, loc: this.locFrom(token) };
+        }
+
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        const start = this.peek();
+        let expression = this.parsePrimary();
+
+        while (true) {
+            if (this.match('punctuator', '.')) {
+                const property = this.expectIdentifier('member name').value;
+                expression = { type: 'MemberExpression', object: expression, property, loc: this.locFrom(start) };
+            } else if (this.check('punctuator', '(')) {
+                const args = this.parseArguments();
+                expression = { type: 'CallExpression', callee: expression, args, typeArgs: [], loc: this.locFrom(start) };
+            } else if (this.isGenericCallAhead()) {
+                // GetScene<ForestScene>()
+                this.advance();
+                const typeArgs = [this.parseType()];
+                this.expect('punctuator', '>');
+                const args = this.parseArguments();
+                expression = { type: 'CallExpression', callee: expression, args, typeArgs, loc: this.locFrom(start) };
+            } else if (this.check('punctuator', '++') || this.check('punctuator', '--')) {
+                const operator = this.advance().value;
+                expression = { type: 'UpdateExpression', operator, prefix: false, argument: expression, loc: this.locFrom(start) };
+            } else {
+                break;
+            }
+        }
+        return expression;
+    }
+
+    isGenericCallAhead() {
+        return this.check('punctuator', '<') &&
+            this.peekAt(1).type === 'identifier' &&
+            this.peekAt(2).type === 'punctuator' && this.peekAt(2).value === '>' &&
+            this.peekAt(3).type === 'punctuator' && this.peekAt(3).value === '(';
+    }
+
+    parseArguments() {
+        this.expect('punctuator', '(');
+        const args = [];
+        if (!this.check('punctuator', ')')) {
+            do {
+                args.push(this.parseExpression());
+            } while (this.match('punctuator', ','));
+        }
+        this.expect('punctuator', ')');
+        return args;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.advance();
+            return {
+                type: 'Literal',
+                value: token.value,
+                valueType: token.isFloat ? 'float' : 'int',
+                loc: this.locFrom(token)
+            };
+        }
+
+        if (token.type === 'string') {
+            this.advance();
+            return { type: 'Literal', value: token.value, valueType: 'string', loc: this.locFrom(token) };
+        }
+
+        if (token.type === 'interpolated') {
+            this.advance();
+            return this.parseInterpolated(token);
+        }
+
+        if (token.type === 'keyword') {
+            if (token.value === 'true' || token.value === 'false') {
+                this.advance();
+                return { type: 'Literal', value: token.value === 'true', valueType: 'bool', loc: this.locFrom(token) };
+            }
+            if (token.value === 'null') {
+                this.advance();
+                return { type: 'Literal', value: null, valueType: 'null', loc: this.locFrom(token) };
+            }
+            if (token.value === 'this') {
+                this.advance();
+                return { type: 'ThisExpression', loc: this.locFrom(token) };
+            }
+            if (token.value === 'new') {
+                this.advance();
+                const typeName = this.parseType();
+                const args = this.parseArguments();
+                return { type: 'NewExpression', typeName, args, loc: this.locFrom(token) };
+            }
+        }
+
+        if (token.type === 'identifier') {
+            this.advance();
+            return { type: 'Identifier', name: token.value, loc: this.locFrom(token) };
+        }
+
+        if (this.match('punctuator', '(')) {
+            const expression = this.parseExpression();
+            this.expect('punctuator', ')');
+            return expression;
+        }
+
+        throw this.error(`Unexpected ${this.describe(token)}`, token, 'CS1525');
+    }
+
+    /**
+     * Split $"Spawned {treeCount} trees" into text parts and parsed {holes}
+     */
+    parseInterpolated(token) {
+        const parts = [];
+        const raw = token.raw;
+        let text = '';
+        let i = 0;
+
+        while (i < raw.length) {
+            if (raw[i] === '{' && raw[i + 1] === '{') {
+                text += '{';
+                i += 2;
+            } else if (raw[i] === '}' && raw[i + 1] === '}') {
+                text += '}';
+                i += 2;
+            } else if (raw[i] === '{') {
+                const close = raw.indexOf('}', i);
+                if (close === -1) {
+                    throw this.error("Missing '}' in interpolated string", token, 'CS8076');
+                }
+                if (text) parts.push(text);
+                text = '';
+
+                const holeStart = token.contentStart + i + 1;
+                const holeEnd = token.contentStart + close;
+                const tokens = CSharpLexer.tokenizeRange(
+                    this.source, holeStart, holeEnd, token.line, token.column + (holeStart - token.start)
+                );
+                const holeParser = new CSharpParser(this.source, tokens);
+                parts.push(holeParser.parseExpression());
+                if (!holeParser.check('eof')) {
+                    throw this.error('Unexpected text in interpolated string', holeParser.peek(), 'CS1525');
+                }
+                i = close + 1;
+            } else if (raw[i] === '\\') {
+                const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+                text += escapes[raw[i + 1]] ?? raw[i + 1];
+                i += 2;
+            } else {
+                text += raw[i];
+                i++;
+            }
+        }
+        if (text) parts.push(text);
+
+        return { type: 'InterpolatedString', parts, loc: this.locFrom(token) };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // TOKEN HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    peekAt(offset) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    previous() {
+        return this.tokens[Math.max(0, this.index - 1)];
+    }
+
+    advance() {
+        const token = this.tokens[this.index];
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    check(type, value = undefined) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    match(type, value) {
+        if (this.check(type, value)) {
+            return this.advance();
+        }
+        return null;
+    }
+
+    expect(type, value) {
+        if (this.check(type, value)) {
+            return this.advance();
+        }
+        const token = this.peek();
+        throw this.error(`Expected '${value}' but found ${this.describe(token)}`, token, EXPECTED_CODES[value] || 'CS1003');
+    }
+
+    expectIdentifier(what) {
+        const token = this.peek();
+        if (token.type === 'identifier') {
+            return this.advance();
+        }
+        throw this.error(`Expected ${what} but found ${this.describe(token)}`, token, 'CS1001');
+    }
+
+    /**
+     * Missing semicolons are reported at the end of the previous token,
+     * which is where the student forgot to type it
+     */
+    expectSemicolon() {
+        if (this.match('punctuator', ';')) return;
+        const prev = this.previous();
+        throw this.error(`Missing ';' after ${this.describe(prev)}`, {
+            line: prev.line,
+            column: prev.column + (prev.end - prev.start),
+            start: prev.end,
+            end: prev.end + 1
+        }, 'CS1002');
+    }
+
+    /**
+     * Location spanning from a start token (or loc) to the last consumed token
+     */
+    locFrom(start) {
+        const end = this.previous();
+        return {
+            line: start.line,
+            column: start.column,
+            start: start.start,
+            end: Math.max(end.end, start.start)
+        };
+    }
+
+    describe(token) {
+        if (token.type === 'eof') return 'end of code';
+        if (token.type === 'string' || token.type === 'interpolated') return 'a string';
+        return `'${token.value}'`;
+    }
+
+    error(message, at, code = null) {
+        const loc = at ? { line: at.line, column: at.column, start: at.start, end: at.end ?? at.start + 1 } : null;
+        return new CSharpError(message, loc, code);
+    }
+}
+
+/**
+ * Convenience wrapper: parse source into a Program AST
+ */
+export function parseCSharp(source) {
+    return new CSharpParser(source).parse();
+}
+
+export default CSharpParser;
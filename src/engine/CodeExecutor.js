@@ -1,23 +1,57 @@
 /**
  * CodeExecutor.js - C# Template Code Execution Engine
  * 
- * Parses student C# code and applies changes to the 3D scene.
- * Uses regex-based parsing to extract loop conditions.
+ * Compiles student C# code with CSharpParser + CSharpChecker, runs it
+ * with CSharpInterpreter and applies the result to the 3D scene.
  * 
- * SUPPORTED PATTERNS:
- * - while (treeCount < N)  → spawns N trees
- * - while (treeCount <= N) → spawns N+1 trees  
- * - while (true)           → infinite (capped at 1000)
- * - for (... i < N ...)    → spawns N trees
- * - maxTrees = N           → spawns N trees
+ * The code runs for real: variables, arithmetic, if/else and loops
+ * behave the way they read, and the forest gets exactly as many trees
+ * as the code calls SpawnTree() for.
+ * 
+ * EXAMPLES:
+ * - while (treeCount < 50) { SpawnTree(); treeCount++; }  → 50 trees
+ * - int limit = 10 * 5; while (treeCount < limit) ...     → 50 trees
+ * - for (int i = 0; i < 40; i++) { if (i % 2 == 0) SpawnTree(); } → 20 trees
+ * - while (true) { ... }  → stopped by the instruction budget + warning
+ *
+ * Before running, LoopAnalyzer checks every loop statically: loops it
+ * can't prove will stop get an ORB003 warning explaining why, and
+ * `terminates` tells graders whether the code really finishes. A proven
+ * loop that runs out of budget is "too much work" (ORB004), not infinite.
+ *
+ * execute() is async: the code runs in a CodeSandbox Web Worker with an
+ * instruction budget and a wall-clock timeout, scene calls (SpawnTree,
+ * SpawnRock, SetSkyColor, ClearTrees - see SceneAPI.js) are applied in
+ * batches as they happen, and cancel() stops it.
+ * parseStudentCode() / validate() stay synchronous dry runs.
+ *
+ * debug() starts a CSharpDebugger session instead, so the same code can
+ * be stepped through line by line.
+ *
+ * Random.Range draws from the scene's seed (SeededRandom), so the dry run,
+ * the real run and the debugger all see the same "random" numbers.
+ *
+ * Every problem is also returned as a structured diagnostic
+ * ({ severity, line, column, range, code, message }) so the editor can
+ * underline it; `errors` keeps the plain "Line N: message" strings.
  */
 
+import { CSharpInterpreter } from './CSharpInterpreter.js';
+import { compileCSharp, diagnosticFromError } from './CSharpChecker.js';
+import { CSharpError } from './CSharpLexer.js';
+import { CSharpDebugger } from './CSharpDebugger.js';
+import { analyzeLoops } from './LoopAnalyzer.js';
+import { CodeSandbox } from './CodeSandbox.js';
+import { SeededRandom } from './SeededRandom.js';
+
 export class CodeExecutor {
     constructor(sceneController, profiler = null) {
         this.sceneController = sceneController;
         this.profiler = profiler;
         this.lastResult = null;
-        this.maxTreeLimit = 1000; // Safety cap for infinite loops
+        this.instructionBudget = 3000; // Safety stop for infinite loops
+        this.timeoutMs = 2000;         // Wall-clock limit for execute()
+        this.sandbox = new CodeSandbox();
         this.history = [];
         
         // Callbacks for UI updates
@@ -27,114 +61,197 @@ export class CodeExecutor {
     }
 
     /**
-     * Parse student code to extract the tree limit
+     * Compile and dry-run student code to find out what it would do
      * @param {string} code - C# code from editor
      * @returns {ParseResult}
      */
     parseStudentCode(code) {
+        const { result, program } = this.compile(code);
+        if (!program) return result;
+
+        // Dry run against a recording host
+        let trees = 0;
+        const interpreter = new CSharpInterpreter({
+            spawnTree: () => { trees++; },
+            createTreeMesh: () => { trees++; },
+            clearTrees: () => { trees = 0; },
+            log: (message) => result.logs.push(message)
+        }, { instructionBudget: this.instructionBudget, random: this.scriptRandom().next });
+
+        return this.applyRun(result, interpreter.run(program), trees);
+    }
+
+    /**
+     * Compile + analyze without running anything
+     * @returns {Object} { result: ParseResult, program: Program|null }
+     */
+    compile(code) {
         const result = {
             valid: false,
             limit: null,
             condition: null,
             pattern: null,
             errors: [],
-            warnings: []
+            warnings: [],
+            diagnostics: [],
+            logs: [],
+            steps: 0,
+            budgetExceeded: false,
+            timedOut: false,
+            loops: [],
+            terminates: false
         };
 
-        const cleanCode = this.stripComments(code);
-        
-        // Try multiple patterns in order of specificity
-        
-        // Pattern 1: while (treeCount < N) or while (treeCount <= N)
-        const whileMatch = cleanCode.match(/while\s*\(\s*(.+?)\s*\)/);
-        if (whileMatch) {
-            const condition = whileMatch[1].trim();
-            result.condition = condition;
-            result.pattern = 'while';
-            
-            const limit = this.extractLimitFromCondition(condition);
-            if (limit !== null) {
-                result.limit = Math.min(limit, this.maxTreeLimit);
-                result.valid = true;
-                if (limit > this.maxTreeLimit) {
-                    result.warnings.push(`Capped at ${this.maxTreeLimit} trees for safety`);
-                }
-            } else if (condition === 'true') {
-                result.limit = this.maxTreeLimit;
-                result.valid = true;
-                result.errors.push("⚠️ 'while (true)' = infinite loop!");
-                result.warnings.push(`Safety cap: spawning ${this.maxTreeLimit} trees`);
-            } else if (condition === 'false') {
-                result.limit = 0;
-                result.valid = true;
-                result.warnings.push("'while (false)' spawns 0 trees");
-            } else {
-                result.errors.push(`Can't parse: "${condition}"`);
-                result.errors.push("💡 Try: treeCount < 50");
-            }
-            
-            this.addPerformanceWarnings(result);
-            return result;
+        const { program, diagnostics } = compileCSharp(code);
+        result.diagnostics = diagnostics;
+        const compileErrors = diagnostics.filter(d => d.severity === 'error');
+        if (compileErrors.length > 0) {
+            result.errors = compileErrors.map(d => this.formatDiagnostic(d));
+            return { result, program: null };
         }
 
-        // Pattern 2: for (int i = 0; i < N; i++)
-        const forMatch = cleanCode.match(/for\s*\([^;]+;\s*\w+\s*(<|<=)\s*(\d+)/);
-        if (forMatch) {
-            result.pattern = 'for';
-            const op = forMatch[1];
-            let limit = parseInt(forMatch[2], 10);
-            if (op === '<=') limit += 1;
-            result.limit = Math.min(limit, this.maxTreeLimit);
-            result.condition = `i ${op} ${forMatch[2]}`;
-            result.valid = true;
-            this.addPerformanceWarnings(result);
-            return result;
+        const loop = this.findFirstLoop(program);
+        if (loop) {
+            result.pattern = loop.pattern;
+            result.condition = loop.test ? code.slice(loop.test.loc.start, loop.test.loc.end) : 'true';
+        } else {
+            result.pattern = 'statements';
         }
 
-        // Pattern 3: maxTrees = N or treeCount = N (direct assignment)
-        const assignMatch = cleanCode.match(/(maxTrees|treeCount|count)\s*=\s*(\d+)/i);
-        if (assignMatch) {
-            result.pattern = 'assignment';
-            result.limit = Math.min(parseInt(assignMatch[2], 10), this.maxTreeLimit);
-            result.condition = `${assignMatch[1]} = ${assignMatch[2]}`;
-            result.valid = true;
-            this.addPerformanceWarnings(result);
+        // Static termination check
+        const analysis = this.analyzeLoops(program);
+        result.loops = analysis.loops;
+        result.diagnostics.push(...analysis.diagnostics);
+
+        return { result, program };
+    }
+
+    /**
+     * Fold a run (dry run or sandbox) into the parse result
+     * @param {ParseResult} result - From compile()
+     * @param {RunResult} run - { completed, steps, budgetExceeded, timedOut?, lastLoop, error }
+     * @param {number} trees - Trees in the scene when the run ended
+     */
+    applyRun(result, run, trees) {
+        result.steps = run.steps;
+        result.budgetExceeded = run.budgetExceeded;
+        result.timedOut = !!run.timedOut;
+        result.limit = trees;
+
+        if (run.error) {
+            const diagnostic = diagnosticFromError(run.error);
+            result.diagnostics.push(diagnostic);
+            result.errors.push(this.formatDiagnostic(diagnostic));
             return result;
         }
 
-        // No pattern found
-        result.errors.push("Couldn't find a loop or tree count.");
-        result.errors.push("💡 Add: while (treeCount < 50)");
+        result.valid = true;
+
+        // Proven by analysis, or - since the dry run is deterministic - by
+        // actually finishing, as long as no loop is known to run forever
+        const proven = result.loops.every(l => l.status === 'terminates');
+        const neverEnds = result.loops.some(l => l.status === 'infinite');
+        result.terminates = proven || (run.completed && !neverEnds);
+
+        if (run.budgetExceeded) {
+            const { message, loop } = this.budgetStop(result.loops, run.lastLoop);
+            const finishes = loop?.status === 'terminates';
+            // A loop that may not stop already has its ORB003 warning
+            if (run.lastLoop && (!loop || finishes)) {
+                result.diagnostics.push(diagnosticFromError(new CSharpError(
+                    message, run.lastLoop.loc, finishes ? 'ORB004' : 'ORB001'
+                ), 'warning'));
+            }
+            result.errors.push(`${finishes ? '⏳' : '⚠️'} ${message}`);
+            result.warnings.push(`Safety stop: ${trees} trees were spawned before the budget ran out`);
+        } else if (run.timedOut) {
+            result.errors.push(`⏱️ Too slow! Stopped after ${this.timeoutMs / 1000}s`);
+            result.warnings.push(`Time limit: ${trees} trees were spawned before the code was stopped`);
+        } else if (trees === 0) {
+            result.warnings.push('This code never calls SpawnTree() - 0 trees');
+        }
+
+        this.addPerformanceWarnings(result);
         return result;
     }
 
     /**
-     * Extract numeric limit from a condition like "treeCount < 50"
+     * Why the instruction budget stopped a run. A loop LoopAnalyzer proved
+     * will stop just had too much to do - calling it infinite would
+     * contradict the analysis (and the grader).
+     * @param {LoopReport[]} loops - From analyzeLoops()
+     * @param {Object|null} lastLoop - Loop node still running at the stop
+     * @returns {{message: string, loop: LoopReport|null}}
      */
-    extractLimitFromCondition(condition) {
-        // treeCount < N
-        let match = condition.match(/\w+\s*<\s*(\d+)/);
-        if (match) return parseInt(match[1], 10);
-        
-        // treeCount <= N  
-        match = condition.match(/\w+\s*<=\s*(\d+)/);
-        if (match) return parseInt(match[1], 10) + 1;
-        
-        // N > treeCount
-        match = condition.match(/(\d+)\s*>\s*\w+/);
-        if (match) return parseInt(match[1], 10);
-        
-        // N >= treeCount
-        match = condition.match(/(\d+)\s*>=\s*\w+/);
-        if (match) return parseInt(match[1], 10) + 1;
-        
-        // treeCount != N
-        match = condition.match(/\w+\s*!=\s*(\d+)/);
-        if (match) return parseInt(match[1], 10);
-        
+    budgetStop(loops, lastLoop) {
+        const loop = (lastLoop && loops.find(l => l.loc.start === lastLoop.loc.start)) || null;
+        if (loop?.status === 'terminates') {
+            const stops = loop.bound !== null ? `stops after ${loop.bound} iterations` : 'does stop';
+            return { message: `Too much work! This loop ${stops}, but the ${this.instructionBudget}-instruction budget ran out first`, loop };
+        }
+        return { message: `Infinite loop! Stopped after ${this.instructionBudget} instructions`, loop };
+    }
+
+    /**
+     * Find the first loop in the program (for display in the console)
+     */
+    findFirstLoop(node) {
+        if (!node || typeof node !== 'object') return null;
+        if (Array.isArray(node)) {
+            for (const child of node) {
+                const found = this.findFirstLoop(child);
+                if (found) return found;
+            }
+            return null;
+        }
+        const patterns = { WhileStatement: 'while', DoWhileStatement: 'do', ForStatement: 'for' };
+        if (patterns[node.type]) {
+            return { pattern: patterns[node.type], test: node.test };
+        }
+        for (const key of ['classes', 'statements', 'methods', 'body', 'consequent', 'alternate']) {
+            const found = this.findFirstLoop(node[key]);
+            if (found) return found;
+        }
         return null;
     }
 
+    /**
+     * Run LoopAnalyzer and turn unproven loops into ORB003 warnings
+     * @returns {Object} { loops: LoopReport[], diagnostics }
+     */
+    analyzeLoops(program) {
+        const loops = analyzeLoops(program);
+        const diagnostics = loops
+            .filter(loop => loop.status !== 'terminates')
+            .map(loop => {
+                // Underline the condition (or the bare keyword), not the whole loop
+                const loc = loop.node.test ? loop.node.test.loc : { ...loop.loc, end: loop.loc.start + loop.kind.length };
+                return diagnosticFromError(new CSharpError(
+                    `${loop.status === 'infinite' ? 'Infinite loop' : 'This loop may not stop'}: ${loop.reason}`,
+                    loc, 'ORB003'
+                ), 'warning');
+            });
+        return { loops, diagnostics };
+    }
+
+    /**
+     * Format a diagnostic as "Line N: message"
+     */
+    formatDiagnostic(diagnostic) {
+        return `Line ${diagnostic.line}: ${diagnostic.message}`;
+    }
+
+    /**
+     * Compile-time diagnostics plus loop analysis - nothing runs. Cheap enough to call
+     * while the student types.
+     * @returns {Array<Diagnostic>}
+     */
+    diagnose(code) {
+        const { program, diagnostics } = compileCSharp(code);
+        if (!program || diagnostics.some(d => d.severity === 'error')) return diagnostics;
+        return [...diagnostics, ...this.analyzeLoops(program).diagnostics];
+    }
+
     /**
      * Add performance warnings based on tree count
      */
@@ -162,26 +279,30 @@ export class CodeExecutor {
     }
 
     /**
-     * Execute code - parse and apply to scene
+     * Execute code - compile, then run it in the sandbox and stream the
+     * trees into the scene
+     * @returns {Promise<Object>} execResult (cancelled: true if stopped)
      */
-    execute(code) {
+    async execute(code) {
         console.log('[CodeExecutor] Execute called');
         const execResult = {
             success: false,
+            cancelled: false,
             treeCount: 0,
             previousCount: this.sceneController.currentTreeCount,
             errors: [],
             warnings: [],
+            diagnostics: [],
+            logs: [],
             fpsBefore: this.profiler?.metrics?.fps || null,
             fpsAfter: null
         };
 
-        // Parse
-        const parsed = this.parseStudentCode(code);
-        execResult.errors = parsed.errors;
-        execResult.warnings = parsed.warnings;
-        
-        if (!parsed.valid || parsed.limit === null) {
+        // Compile
+        const { result: parsed, program } = this.compile(code);
+        if (!program) {
+            execResult.errors = parsed.errors;
+            execResult.diagnostics = parsed.diagnostics;
             if (this.onError) this.onError(execResult);
             return execResult;
         }
@@ -192,31 +313,125 @@ export class CodeExecutor {
             timestamp: Date.now()
         });
 
-        // Execute!
-        try {
-            console.log(`[CodeExecutor] Spawning ${parsed.limit} trees...`);
-            this.sceneController.spawnTrees(parsed.limit);
-            
-            execResult.success = true;
-            execResult.treeCount = parsed.limit;
-            
-            // Capture FPS after delay
-            setTimeout(() => {
-                execResult.fpsAfter = this.profiler?.metrics?.fps || null;
-                console.log(`[CodeExecutor] FPS: ${execResult.fpsBefore} → ${execResult.fpsAfter}`);
-            }, 1000);
-
-            this.lastResult = execResult;
-            if (this.onExecute) this.onExecute(execResult);
-            
-        } catch (err) {
-            execResult.errors.push(`Runtime error: ${err.message}`);
+        // Run - the scene changes batch by batch
+        this.sceneController.resetScene();
+        const run = await this.sandbox.run(code, {
+            onCommands: (commands) => this.applyCommands(commands),
+            onLog: (message) => parsed.logs.push(message)
+        }, { instructionBudget: this.instructionBudget, timeoutMs: this.timeoutMs, randomSeed: this.scriptSeed() });
+
+        execResult.treeCount = run.treeCount;
+        execResult.logs = parsed.logs;
+
+        if (run.cancelled) {
+            console.log(`[CodeExecutor] Cancelled with ${run.treeCount} trees`);
+            execResult.cancelled = true;
+            return execResult;
+        }
+
+        this.applyRun(parsed, run, run.treeCount);
+        execResult.errors = parsed.errors;
+        execResult.warnings = parsed.warnings;
+        execResult.diagnostics = parsed.diagnostics;
+
+        if (!parsed.valid) {
             if (this.onError) this.onError(execResult);
+            return execResult;
         }
 
+        console.log(`[CodeExecutor] Spawned ${run.treeCount} trees in ${run.steps} steps`);
+        execResult.success = true;
+
+        // Capture FPS after delay
+        setTimeout(() => {
+            execResult.fpsAfter = this.profiler?.metrics?.fps || null;
+            console.log(`[CodeExecutor] FPS: ${execResult.fpsBefore} → ${execResult.fpsAfter}`);
+        }, 1000);
+
+        this.lastResult = execResult;
+        if (this.onExecute) this.onExecute(execResult);
+
         return execResult;
     }
 
+    /**
+     * Apply a batch of scene commands from the sandbox, in order
+     */
+    applyCommands(commands) {
+        for (const command of commands) {
+            switch (command.op) {
+                case 'tree': this.sceneController.addTree(command); break;
+                case 'rock': this.sceneController.addRock(command); break;
+                case 'sky': this.sceneController.setSkyColor(command.color); break;
+                case 'clear': this.sceneController.clearTrees(); break;
+                case 'treeMesh': this.sceneController.addTreeMesh(command); break;
+                case 'combine': this.sceneController.combineTreeMeshes(); break;
+            }
+        }
+    }
+
+    /**
+     * Seed for Random.Range - the scene's seed, or a fixed one when
+     * there's no scene (graders), so grading is repeatable too
+     */
+    scriptSeed() {
+        return this.sceneController?.seed ?? 0;
+    }
+
+    scriptRandom() {
+        return new SeededRandom(this.scriptSeed());
+    }
+
+    /**
+     * Stop a running execute(). Trees spawned so far stay.
+     * @returns {boolean} true if something was running
+     */
+    cancel() {
+        return this.sandbox.cancel();
+    }
+
+    isRunning() {
+        return this.sandbox.isRunning();
+    }
+
+    /**
+     * Start a step-through debug session. The scene is cleared and trees
+     * are added one at a time as the code calls SpawnTree().
+     * @param {string} code - C# code from editor
+     * @param {Object} options - { breakpoints: Set<number>, onLog: (message) => void }
+     * @returns {Object} { session: CSharpDebugger|null, errors: string[], diagnostics, loops }
+     *   loops = LoopAnalyzer reports, for budgetStop() if the session runs out
+     */
+    debug(code, options = {}) {
+        const { program, diagnostics } = compileCSharp(code);
+        const compileErrors = diagnostics.filter(d => d.severity === 'error');
+        if (compileErrors.length > 0) {
+            return { session: null, errors: compileErrors.map(d => this.formatDiagnostic(d)), diagnostics, loops: [] };
+        }
+
+        const session = new CSharpDebugger({
+            spawnTree: (tree) => this.sceneController.addTree(tree),
+            spawnRock: (rock) => this.sceneController.addRock(rock),
+            setSkyColor: (color) => this.sceneController.setSkyColor(color),
+            clearTrees: () => this.sceneController.clearTrees(),
+            createTreeMesh: (tree) => this.sceneController.addTreeMesh(tree),
+            combineMeshes: () => this.sceneController.combineTreeMeshes(),
+            getTreeCount: () => this.sceneController.currentTreeCount,
+            log: (message) => { if (options.onLog) options.onLog(message); }
+        }, { instructionBudget: this.instructionBudget, breakpoints: options.breakpoints, random: this.scriptRandom().next });
+
+        session.start(program);
+
+        // Save for undo
+        this.history.push({
+            treeCount: this.sceneController.currentTreeCount,
+            timestamp: Date.now()
+        });
+        this.sceneController.resetScene();
+
+        return { session, errors: [], diagnostics, loops: analyzeLoops(program) };
+    }
+
     /**
      * Undo last execution
      */
@@ -229,15 +444,6 @@ export class CodeExecutor {
         return { success: true, treeCount: prev.treeCount };
     }
 
-    /**
-     * Strip comments from C# code
-     */
-    stripComments(code) {
-        return code
-            .replace(/\/\/.*$/gm, '')      // Single-line
-            .replace(/\/\*[\s\S]*?\*\//g, ''); // Multi-line
-    }
-
     /**
      * Format errors for display
      */
@@ -256,7 +462,7 @@ export class CodeExecutor {
      * Quick execute with specific tree count (for testing)
      */
     quickRun(count) {
-        return this.execute(`while (treeCount < ${count}) { }`);
+        return this.execute(`while (treeCount < ${count}) { SpawnTree(); treeCount++; }`);
     }
 
     /**
@@ -0,0 +1,140 @@
+/**
+ * CodeSandbox.js - Preemptible Runner for Student C#
+ *
+ * Runs code in a dedicated Web Worker (CodeSandbox.worker.js) with two
+ * limits:
+ * - instructionBudget - statements/loop tests before the safety stop
+ * - timeoutMs         - wall-clock limit; the worker is terminated
+ *
+ * Scene calls (SpawnTree, SpawnRock, SetSkyColor, ClearTrees) come back
+ * in ordered batches through onCommands, so the forest grows while the
+ * code runs instead of all at once at the end. cancel() terminates the
+ * worker immediately (the editor's Stop button).
+ *
+ * Where Workers aren't available (Node test runs) the same runner is
+ * called inline - the budget still applies, the timeout can't.
+ *
+ * USAGE:
+ * const sandbox = new CodeSandbox({ timeoutMs: 2000 });
+ * const result = await sandbox.run(code, { onCommands: cmds => apply(cmds) });
+ * // result: { completed, steps, budgetExceeded, timedOut, cancelled, treeCount, lastLoop, error }
+ * // treeCount = trees in the scene at the end (SpawnTree calls since the last ClearTrees)
+ */
+
+import { CSharpError } from './CSharpLexer.js';
+import { runSandboxed } from './CodeSandbox.worker.js';
+
+export class CodeSandbox {
+    constructor(options = {}) {
+        this.instructionBudget = options.instructionBudget ?? 3000;
+        this.timeoutMs = options.timeoutMs ?? 2000;
+        this.batchSize = options.batchSize ?? 25;
+
+        this.worker = null;
+        this.finishRun = null; // Settles the pending run() promise
+    }
+
+    isRunning() {
+        return this.finishRun !== null;
+    }
+
+    /**
+     * Run code in the sandbox. Only one run at a time - starting a new
+     * one cancels the previous run.
+     * @param {string} code - C# source
+     * @param {Object} handlers - { onCommands(commands), onLog(message) }
+     * @param {Object} limits - Per-run { instructionBudget, timeoutMs } overrides, plus
+     *                        randomSeed for Random.Range (SeededRandom)
+     * @returns {Promise<SandboxResult>}
+     */
+    run(code, handlers = {}, limits = {}) {
+        if (this.isRunning()) this.cancel();
+
+        const timeoutMs = limits.timeoutMs ?? this.timeoutMs;
+        const request = {
+            type: 'run',
+            code,
+            instructionBudget: limits.instructionBudget ?? this.instructionBudget,
+            batchSize: this.batchSize,
+            randomSeed: limits.randomSeed ?? null
+        };
+
+        return new Promise((resolve) => {
+            let treeCount = 0;
+            let timer = null;
+
+            const finish = (result) => {
+                clearTimeout(timer);
+                this.finishRun = null;
+                this.disposeWorker();
+                resolve({
+                    completed: false,
+                    steps: 0,
+                    budgetExceeded: false,
+                    timedOut: false,
+                    cancelled: false,
+                    lastLoop: null,
+                    error: null,
+                    ...result,
+                    treeCount
+                });
+            };
+
+            const receive = (message) => {
+                if (this.finishRun !== finish) return; // Stale message from a cancelled run
+                if (message.type === 'commands') {
+                    for (const command of message.commands) {
+                        if (command.op === 'tree' || command.op === 'treeMesh') treeCount++;
+                        if (command.op === 'clear') treeCount = 0;
+                    }
+                    if (handlers.onCommands) handlers.onCommands(message.commands);
+                } else if (message.type === 'log') {
+                    if (handlers.onLog) handlers.onLog(message.message);
+                } else if (message.type === 'done') {
+                    const { error, ...rest } = message.result;
+                    finish({ ...rest, error: error ? new CSharpError(error.message, error.loc, error.code) : null });
+                }
+            };
+
+            this.finishRun = finish;
+
+            if (typeof Worker === 'undefined') {
+                runSandboxed(request, receive);
+                return;
+            }
+
+            this.worker = new Worker(new URL('./CodeSandbox.worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => receive(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                finish({ error: new CSharpError(`Runtime error: ${event.message || 'sandbox crashed'}`, null, 'Exception') });
+            };
+
+            timer = setTimeout(() => {
+                console.warn(`[CodeSandbox] Timed out after ${timeoutMs}ms - terminating worker`);
+                finish({ timedOut: true });
+            }, timeoutMs);
+
+            this.worker.postMessage(request);
+        });
+    }
+
+    /**
+     * Stop the current run. Trees already spawned stay in the scene.
+     */
+    cancel() {
+        if (!this.finishRun) return false;
+        console.log('[CodeSandbox] Run cancelled');
+        this.finishRun({ cancelled: true });
+        return true;
+    }
+
+    disposeWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+export default CodeSandbox;
@@ -0,0 +1,90 @@
+/**
+ * CodeSandbox Test Suite
+ * Under Node (no Worker) this exercises the inline fallback; in the
+ * browser the same cases run through CodeSandbox.worker.js.
+ * Run in browser console: await window.testCodeSandbox()
+ */
+
+import { CodeSandbox } from './CodeSandbox.js';
+import { CSharpError } from './CSharpLexer.js';
+
+export async function runCodeSandboxTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    // Run `code` and keep everything the handlers saw
+    const run = async (code, limits = {}, onBatch = null) => {
+        const sandbox = new CodeSandbox({ batchSize: 25 });
+        const batches = [];
+        const logs = [];
+        const result = await sandbox.run(code, {
+            onCommands: (commands) => {
+                batches.push(commands);
+                if (onBatch) onBatch(sandbox);
+            },
+            onLog: (message) => logs.push(message)
+        }, limits);
+        return { result, batches, logs, sandbox };
+    };
+
+    console.log('═'.repeat(50));
+    console.log(`CODE SANDBOX TEST SUITE (${typeof Worker === 'undefined' ? 'inline' : 'worker'})`);
+    console.log('═'.repeat(50));
+
+    console.log('\nRUN TESTS:');
+    const normal = await run('for (int i = 0; i < 30; i++) { SpawnTree(); } Debug.Log("planted");');
+    record('finishes normally',
+        normal.result.completed && !normal.result.budgetExceeded && normal.result.error === null && normal.result.treeCount === 30,
+        `got ${JSON.stringify(normal.result)}`);
+    record('commands come in batches',
+        JSON.stringify(normal.batches.map(batch => batch.length)) === '[25,5]' && normal.batches[0][0].op === 'tree',
+        `batch sizes ${JSON.stringify(normal.batches.map(batch => batch.length))}`);
+    record('logs come through', JSON.stringify(normal.logs) === '["planted"]', `got ${JSON.stringify(normal.logs)}`);
+
+    const cleared = await run('SpawnTree(); SpawnTree(); ClearTrees(); SpawnTree();');
+    record('ClearTrees restarts the count', cleared.result.treeCount === 1, `got ${cleared.result.treeCount}`);
+
+    const seeded = await Promise.all([1, 1].map(() => run('SpawnTree(Random.Range(-10f, 10f), 0f);', { randomSeed: 7 })));
+    record('same seed, same trees', seeded[0].result.treeCount === 1 && JSON.stringify(seeded[0].batches) === JSON.stringify(seeded[1].batches),
+        `${JSON.stringify(seeded[0].batches)} vs ${JSON.stringify(seeded[1].batches)}`);
+
+    console.log('\nLIMIT TESTS:');
+    const endless = await run('while (true) { SpawnTree(); }', { instructionBudget: 200 });
+    record('budget stops an endless loop',
+        !endless.result.completed && endless.result.budgetExceeded && endless.result.lastLoop?.type === 'WhileStatement' && endless.result.treeCount > 0,
+        `got ${JSON.stringify(endless.result)}`);
+
+    const crashed = await run('int trees = 0; int each = 10 / trees;');
+    record('runtime error is a CSharpError',
+        !crashed.result.completed && crashed.result.error instanceof CSharpError,
+        `got ${JSON.stringify(crashed.result)}`);
+
+    // Stop pressed while trees are still coming in
+    const stopped = await run('for (int i = 0; i < 100; i++) { SpawnTree(); }', {}, (sandbox) => sandbox.cancel());
+    record('cancel ends the run',
+        stopped.result.cancelled && !stopped.result.completed && stopped.result.treeCount === 25 && !stopped.sandbox.isRunning(),
+        `got ${JSON.stringify(stopped.result)}`);
+    record('nothing arrives after cancel', stopped.batches.length === 1, `${stopped.batches.length} batches`);
+    record('cancel with nothing running', new CodeSandbox().cancel() === false);
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testCodeSandbox = runCodeSandboxTests;
+    console.log('[CodeSandbox Test] Run await window.testCodeSandbox() to execute tests');
+}
@@ -0,0 +1,83 @@
+/**
+ * CodeSandbox.worker.js - Runs Student C# Off the Main Thread
+ *
+ * Loaded by CodeSandbox as a module Web Worker. Even a real infinite loop
+ * only spins this worker - the main thread can still render, and
+ * terminate() the worker when the timeout or the Stop button fires.
+ *
+ * MESSAGES IN:
+ * { type: 'run', code, instructionBudget, batchSize, randomSeed }
+ *
+ * MESSAGES OUT:
+ * { type: 'commands', commands } - batch of scene calls, in order:
+ *     { op: 'tree', x, z, type, scale } | { op: 'rock', x, z, scale }
+ *     { op: 'sky', color } | { op: 'clear' }
+ *     { op: 'treeMesh', x, z, type, scale } | { op: 'combine' }
+ * { type: 'log', message }       - Debug.Log / Console.WriteLine output
+ * { type: 'done', result }       - RunResult, with lastLoop/error made cloneable
+ */
+
+import { CSharpInterpreter } from './CSharpInterpreter.js';
+import { SeededRandom } from './SeededRandom.js';
+
+/**
+ * Run code and report through `post`. Shared with CodeSandbox's inline
+ * fallback so both paths behave the same.
+ * @param {Object} request - { code, instructionBudget, batchSize, randomSeed }
+ * @param {Function} post - Receives the outgoing messages
+ */
+export function runSandboxed(request, post) {
+    const batchSize = request.batchSize || 25;
+    let pending = [];
+
+    const flush = () => {
+        if (pending.length > 0) {
+            post({ type: 'commands', commands: pending });
+            pending = [];
+        }
+    };
+    const queue = (command) => {
+        pending.push(command);
+        if (pending.length >= batchSize) flush();
+    };
+
+    const interpreter = new CSharpInterpreter({
+        spawnTree: (tree) => queue({ op: 'tree', ...tree }),
+        spawnRock: (rock) => queue({ op: 'rock', ...rock }),
+        setSkyColor: (color) => queue({ op: 'sky', color }),
+        clearTrees: () => queue({ op: 'clear' }),
+        createTreeMesh: (tree) => queue({ op: 'treeMesh', ...tree }),
+        combineMeshes: () => queue({ op: 'combine' }),
+        log: (message) => {
+            flush(); // Keep logs in order with the scene changes around them
+            post({ type: 'log', message });
+        }
+    }, {
+        instructionBudget: request.instructionBudget,
+        random: request.randomSeed != null ? new SeededRandom(request.randomSeed).next : undefined
+    });
+
+    const run = interpreter.run(request.code);
+    flush();
+
+    // AST nodes and Error objects don't survive postMessage - send plain data
+    post({
+        type: 'done',
+        result: {
+            completed: run.completed,
+            steps: run.steps,
+            budgetExceeded: run.budgetExceeded,
+            lastLoop: run.lastLoop ? { type: run.lastLoop.type, loc: run.lastLoop.loc } : null,
+            error: run.error ? { message: run.error.message, loc: run.error.loc, code: run.error.code } : null
+        }
+    });
+}
+
+// Only wire up message handling when actually running as a worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = (event) => {
+        if (event.data.type === 'run') {
+            runSandboxed(event.data, (message) => self.postMessage(message));
+        }
+    };
+}
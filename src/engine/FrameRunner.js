@@ -0,0 +1,268 @@
+/**
+ * FrameRunner.js - Runs a Script's Update() on a Fixed Tick
+ *
+ * Scripts normally run once. A FrameRunner runs one the way a game engine
+ * does: load() sets the class up (fields, Start() and a first Update()),
+ * then Update() runs again every tick - TICK_RATE times per simulated
+ * second, however fast the browser draws - so the same code does the same
+ * thing every time, in the scene or headless.
+ *
+ * FRAMES:
+ * frame(seconds) is the other way to drive it: Update() once per rendered
+ * frame, with Time.deltaTime set to how long the frame took - what Unity
+ * does, and what frame-rate bugs need. simulateFrames() replays a fixed
+ * frame rate headless, so even those runs are repeatable.
+ *
+ * OBJECTS:
+ * CreateSpark() makes a scene object that stays in memory until Destroy()
+ * frees it - right away, or `delay` seconds later. A spark burns out
+ * (goes dark) after SPARK_LIFETIME seconds but is still there: nothing on
+ * screen, yet it keeps its geometry - a memory leak. RecycleSpark() hands
+ * back a burned-out spark to reuse instead, which makes a pool.
+ *
+ * SAFETY:
+ * - Every tick gets its own instruction budget; an endless loop in
+ *   Update() stops the runner (reason 'budget')
+ * - More than maxObjects objects alive stops it too ('outOfMemory')
+ *
+ * SCENE HOOKS (all optional - leave them out to run headless):
+ * - scene.addSpark(id, time), scene.removeSpark(id), scene.relightSpark(id, time)
+ * - scene.updateSparks(time, lifetime) - after every tick, to animate them
+ *
+ * USAGE:
+ * const runner = new FrameRunner(sceneController);
+ * runner.load(code);              // { valid, errors }
+ * runner.advance(deltaSeconds);   // from the render loop
+ * runner.simulate(10);            // or: 10 seconds at once, headless
+ * runner.frame(deltaSeconds);     // or: Update() once per rendered frame
+ */
+
+import { CSharpInterpreter } from './CSharpInterpreter.js';
+import { compileCSharp } from './CSharpChecker.js';
+
+export const TICK_RATE = 20;         // Update() calls per simulated second
+export const SPARK_LIFETIME = 1.5;   // Seconds before a spark burns out
+
+// Ticks a slow frame may catch up on - a long pause doesn't replay seconds
+const MAX_TICKS_PER_ADVANCE = 5;
+
+// Longest Time.deltaTime a frame reports - Unity's maximumDeltaTime
+const MAX_DELTA_TIME = 1 / 3;
+
+export class FrameRunner {
+    /**
+     * @param {Object} scene - Scene hooks (see SCENE HOOKS), or {} for headless
+     * @param {Object} options - { tickRate, lifetime, maxObjects, instructionBudget,
+     *   random, host } - host adds interpreter hooks (e.g. PhysicsWorld.scriptHooks())
+     */
+    constructor(scene = {}, options = {}) {
+        this.scene = scene;
+        this.tickRate = options.tickRate ?? TICK_RATE;
+        this.lifetime = options.lifetime ?? SPARK_LIFETIME;
+        this.maxObjects = options.maxObjects ?? 1500;
+        this.instructionBudget = options.instructionBudget ?? 3000;
+        this.random = options.random ?? Math.random;
+        this.extraHost = options.host ?? {};
+
+        this.interpreter = null;
+        this.objects = new Map();   // id → time created (or recycled), oldest first
+        this.pending = [];          // Delayed Destroy(): { id, at }
+        this.nextId = 1;
+        this.time = 0;
+        this.ticks = 0;
+        this.deltaTime = 0;         // Time.deltaTime: the last tick or frame's length
+        this.created = 0;
+        this.destroyed = 0;
+        this._carry = 0;
+
+        this.stopped = null;        // Why it stopped: 'budget', 'error', 'outOfMemory', 'stopped'
+        this.error = null;
+
+        // Callbacks
+        this.onStop = null;         // (reason, runner)
+        this.onLog = null;          // Debug.Log(message)
+    }
+
+    /**
+     * Compile the script and run its setup (fields, Start(), first Update())
+     * @returns {Object} { valid, errors: ["Line N: message"] }
+     */
+    load(code) {
+        const { program, diagnostics } = compileCSharp(code);
+        const errors = diagnostics
+            .filter(d => d.severity === 'error')
+            .map(d => `Line ${d.line}: ${d.message}`);
+        if (!program || errors.length > 0) return { valid: false, errors };
+
+        const mainClass = program.classes.find(c => c.baseType === 'ScenarioBase') || program.classes[0];
+        if (!mainClass?.methods.some(m => m.name === 'Update' && m.params.length === 0)) {
+            return { valid: false, errors: ['Add a "public void Update()" method - it runs every tick'] };
+        }
+
+        this.interpreter = new CSharpInterpreter(this._host(), {
+            instructionBudget: this.instructionBudget,
+            random: this.random
+        });
+        this._afterRun(this.interpreter.run(program));
+        return { valid: true, errors: [] };
+    }
+
+    /**
+     * Move time on by a rendered frame's worth and run the ticks that fall in it
+     * @param {number} seconds - Time since the last frame
+     */
+    advance(seconds) {
+        const tick = 1 / this.tickRate;
+        this._carry = Math.min(this._carry + seconds, tick * MAX_TICKS_PER_ADVANCE);
+        while (this._carry >= tick && !this.stopped) {
+            this._carry -= tick;
+            this.tick();
+        }
+    }
+
+    /**
+     * Run one tick: due Destroy() calls, then Update()
+     * @returns {boolean} false once the runner has stopped
+     */
+    tick() {
+        if (this.stopped || !this.interpreter) return false;
+
+        this.ticks++;
+        this.time = this.ticks / this.tickRate;
+        this.deltaTime = 1 / this.tickRate;
+        return this._update();
+    }
+
+    /**
+     * Run `seconds` of ticks at once, headless
+     * @returns {Object} summary()
+     */
+    simulate(seconds) {
+        const ticks = Math.round(seconds * this.tickRate);
+        for (let i = 0; i < ticks && this.tick(); i++);
+        return this.summary();
+    }
+
+    /**
+     * Run Update() once for a rendered frame - Time.deltaTime is the
+     * frame's length, however long that was (up to MAX_DELTA_TIME)
+     * @param {number} seconds - Time since the last frame
+     * @returns {boolean} false once the runner has stopped
+     */
+    frame(seconds) {
+        if (this.stopped || !this.interpreter) return false;
+
+        this.ticks++;
+        this.deltaTime = Math.min(Math.max(seconds, 0), MAX_DELTA_TIME);
+        this.time += this.deltaTime;
+        return this._update();
+    }
+
+    /**
+     * Run `seconds` of frames at a steady `fps` at once, headless
+     * @returns {Object} summary()
+     */
+    simulateFrames(seconds, fps) {
+        const frames = Math.round(seconds * fps);
+        for (let i = 0; i < frames && this.frame(1 / fps); i++);
+        return this.summary();
+    }
+
+    /**
+     * @returns {Object} { time, ticks, created, destroyed, live, stopped, error }
+     */
+    summary() {
+        return {
+            time: this.time,
+            ticks: this.ticks,
+            created: this.created,
+            destroyed: this.destroyed,
+            live: this.objects.size,
+            stopped: this.stopped,
+            error: this.error
+        };
+    }
+
+    stop(reason = 'stopped') {
+        if (this.stopped) return;
+        this.stopped = reason;
+        if (this.onStop) this.onStop(reason, this);
+    }
+
+    /**
+     * Stop and free every object (without counting them as destroyed)
+     */
+    dispose() {
+        this.stop();
+        for (const id of this.objects.keys()) this.scene.removeSpark?.(id);
+        this.objects.clear();
+        this.pending = [];
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // INTERNAL
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Due Destroy() calls, then Update()
+     */
+    _update() {
+        const due = this.pending.filter(p => p.at <= this.time);
+        this.pending = this.pending.filter(p => p.at > this.time);
+        due.forEach(p => this._free(p.id));
+
+        this._afterRun(this.interpreter.callMethod('Update'));
+        this.scene.updateSparks?.(this.time, this.lifetime);
+        return !this.stopped;
+    }
+
+    _host() {
+        return {
+            createSpark: () => this._create(),
+            recycleSpark: () => this._recycle(),
+            destroy: (id, delay) => {
+                if (delay > 0) this.pending.push({ id, at: this.time + delay });
+                else this._free(id);
+            },
+            log: (message) => this.onLog?.(message),
+            deltaTime: () => this.deltaTime,
+            ...this.extraHost
+        };
+    }
+
+    _create() {
+        const id = this.nextId++;
+        this.objects.set(id, this.time);
+        this.created++;
+        this.scene.addSpark?.(id, this.time);
+        if (this.objects.size > this.maxObjects) this.stop('outOfMemory');
+        return id;
+    }
+
+    _free(id) {
+        if (!this.objects.delete(id)) return;
+        this.destroyed++;
+        this.scene.removeSpark?.(id);
+    }
+
+    _recycle() {
+        // The oldest spark is first - reuse it once it has burned out
+        const [id, born] = this.objects.entries().next().value ?? [];
+        if (id === undefined || this.time - born < this.lifetime) return null;
+        this.objects.delete(id);
+        this.objects.set(id, this.time);
+        this.scene.relightSpark?.(id, this.time);
+        return id;
+    }
+
+    _afterRun(run) {
+        if (run.error) {
+            this.error = run.error;
+            this.stop('error');
+        } else if (run.budgetExceeded) {
+            this.stop('budget');
+        }
+    }
+}
+
+export default FrameRunner;
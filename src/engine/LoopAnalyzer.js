@@ -0,0 +1,1006 @@
+/**
+ * LoopAnalyzer.js - Static Termination Analysis for Student Loops
+ *
+ * Decides, without running the code, whether each loop in a program
+ * finishes - and if so, after how many iterations. This is what lets a
+ * scenario grade "does the loop actually stop?" instead of "does the code
+ * contain the text treeCount < 50?".
+ *
+ * HOW A LOOP IS JUDGED:
+ * Every way out of the loop is an "exit": the loop condition, plus the
+ * guard of any `if (...) break;` / `return`. An exit is proven when
+ * - it compares a variable against a value that doesn't change in the loop,
+ * - the variable changes by a known step on EVERY iteration (all its
+ *   updates summed - i += 2; i -= 1; is a step of 1, and the same update
+ *   in both the if and the else counts as one every pass makes),
+ * - the step moves toward the limit (< needs ++, > needs --), and
+ * - for != the step can't jump over the limit.
+ * One proven exit is enough. `&&` / `||` conditions are split up.
+ *
+ * REPORT (one per loop, in source order):
+ * {
+ *   node, kind: 'while'|'do'|'for', loc,
+ *   status: 'terminates' | 'infinite' | 'unknown',
+ *   bound: number|null,      // proven max iterations, if start + limit are known
+ *   variable: string|null,   // the loop variable, e.g. 'treeCount'
+ *   reason: string           // student-facing explanation
+ * }
+ * 'unknown' means "may not terminate" - it is graded the same as 'infinite'.
+ *
+ * Values before a loop (treeCount = 0, int limit = 10 * 5) are tracked
+ * through straight-line code so bounds can be computed.
+ */
+
+import { NUMERIC_TYPES } from './CSharpInterpreter.js';
+
+const LOOP_KINDS = { WhileStatement: 'while', DoWhileStatement: 'do', ForStatement: 'for' };
+
+// `a OP b` is the same as `b FLIPPED a`
+const FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '==': '==', '!=': '!=' };
+
+// GetTreeCount() is tracked like a variable that SpawnTree() increments
+const TREE_COUNT = 'GetTreeCount()';
+
+// !(a OP b) is the same as `a NEGATED b`
+const NEGATED = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '==': '!=', '!=': '==' };
+
+// Non-integer steps are counted one by one up to this many iterations
+const MAX_COUNTED_STEPS = 100000;
+
+/**
+ * Analyze every loop in a parsed program
+ * @returns {Array<LoopReport>}
+ */
+export function analyzeLoops(program) {
+    return new LoopAnalyzer(program).analyze();
+}
+
+export class LoopAnalyzer {
+    constructor(program) {
+        this.program = program;
+        this.reports = [];
+        this.methods = new Map();
+        this.methodEffects = new Map(); // method name → Set of variables it may change
+        this.methodStack = new Set();   // methods being followed, to stop on recursion
+    }
+
+    analyze() {
+        const globals = new Map([['treeCount', 0], [TREE_COUNT, 0]]);
+
+        for (const classDecl of this.program.classes) {
+            this.methods = new Map(classDecl.methods.map(m => [m.name, m]));
+            this.methodEffects = new Map();
+
+            // Field initializers give each method its starting values
+            const fields = new Map(globals);
+            this.walkStatements(classDecl.fields, fields);
+
+            for (const method of classDecl.methods) {
+                const env = new Map(fields);
+                method.params.forEach(param => env.delete(param.name));
+                this.walkStatement(method.body, env);
+            }
+        }
+
+        if (this.program.statements.length > 0) {
+            const mainClass = this.program.classes.find(c => c.baseType === 'ScenarioBase') || this.program.classes[0];
+            this.methods = new Map((mainClass?.methods || []).map(m => [m.name, m]));
+            this.methodEffects = new Map();
+            this.walkStatements(this.program.statements, new Map(globals));
+        }
+
+        return this.reports.sort((a, b) => a.loc.start - b.loc.start);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // STRAIGHT-LINE VALUE TRACKING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * env maps variable name → known numeric/bool value. A name missing
+     * from env means "unknown".
+     */
+    walkStatements(statements, env) {
+        for (const statement of statements) {
+            this.walkStatement(statement, env);
+        }
+    }
+
+    walkStatement(node, env) {
+        switch (node.type) {
+            case 'BlockStatement':
+                this.walkStatements(node.body, env);
+                break;
+
+            case 'VariableDeclaration':
+                for (const decl of node.declarations) {
+                    const value = decl.init ? this.fold(decl.init, env) : this.defaultValue(node.varType);
+                    if (decl.init) this.applyEffects(decl.init, env);
+                    this.setValue(env, decl.name, value);
+                }
+                break;
+
+            case 'ExpressionStatement':
+                this.applyEffects(node.expression, env);
+                break;
+
+            case 'IfStatement': {
+                this.applyEffects(node.test, env);
+                const a = new Map(env);
+                const b = new Map(env);
+                this.walkStatement(node.consequent, a);
+                if (node.alternate) this.walkStatement(node.alternate, b);
+                // Keep only what both branches agree on
+                for (const [name, value] of env) {
+                    if (a.get(name) !== value || b.get(name) !== value) env.delete(name);
+                }
+                for (const [name, value] of a) {
+                    if (b.has(name) && b.get(name) === value) env.set(name, value);
+                }
+                break;
+            }
+
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+            case 'ForStatement': {
+                const entry = new Map(env);
+                if (node.type === 'ForStatement' && node.init) this.walkStatement(node.init, entry);
+
+                const changes = this.collectChanges(node);
+                this.reports.push(this.analyzeLoop(node, entry, changes));
+
+                // Inside the body (and after the loop) anything the loop changes is unknown
+                const inner = new Map(entry);
+                for (const name of changes.names) inner.delete(name);
+                this.walkStatement(node.body, inner);
+                for (const name of changes.names) env.delete(name);
+                break;
+            }
+
+            case 'ReturnStatement':
+                if (node.argument) this.applyEffects(node.argument, env);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Update env for assignments, ++/-- and method calls inside an expression
+     */
+    applyEffects(node, env) {
+        this.visitExpression(node, (expr) => {
+            if (expr.type === 'AssignmentExpression') {
+                const name = this.variableName(expr.target);
+                if (!name) return;
+                if (expr.operator === '=') {
+                    this.setValue(env, name, this.fold(expr.value, env));
+                } else {
+                    const current = env.get(name);
+                    const amount = this.fold(expr.value, env);
+                    this.setValue(env, name, this.arithmetic(expr.operator.slice(0, -1), current, amount));
+                }
+            } else if (expr.type === 'UpdateExpression') {
+                const name = this.variableName(expr.argument);
+                if (!name) return;
+                const current = env.get(name);
+                this.setValue(env, name, current === undefined ? undefined : current + (expr.operator === '++' ? 1 : -1));
+            } else if (expr.type === 'CallExpression') {
+                const method = this.ownMethod(expr);
+                const sceneCall = this.sceneCall(expr);
+                if (method) {
+                    for (const name of this.effectsOf(method)) env.delete(name);
+                } else if (sceneCall === 'SpawnTree') {
+                    const current = env.get(TREE_COUNT);
+                    this.setValue(env, TREE_COUNT, current === undefined ? undefined : current + 1);
+                } else if (sceneCall === 'ClearTrees') {
+                    env.set(TREE_COUNT, 0);
+                }
+            }
+        });
+    }
+
+    /**
+     * Constant-fold an expression using known values
+     * @returns {number|boolean|undefined}
+     */
+    fold(node, env) {
+        switch (node.type) {
+            case 'Literal':
+                return typeof node.value === 'number' || typeof node.value === 'boolean' ? node.value : undefined;
+            case 'Identifier':
+                return env.get(node.name);
+            case 'MemberExpression':
+                return node.object.type === 'ThisExpression' ? env.get(node.property) : undefined;
+            case 'CallExpression': {
+                const name = this.variableName(node);
+                return name ? env.get(name) : undefined;
+            }
+            case 'UnaryExpression': {
+                const value = this.fold(node.argument, env);
+                if (value === undefined) return undefined;
+                if (node.operator === '!') return typeof value === 'boolean' ? !value : undefined;
+                return node.operator === '-' ? -value : value;
+            }
+            case 'CastExpression': {
+                const value = this.fold(node.argument, env);
+                if (typeof value !== 'number') return undefined;
+                return node.targetType === 'int' ? Math.trunc(value) : value;
+            }
+            case 'BinaryExpression':
+                return this.arithmetic(node.operator, this.fold(node.left, env), this.fold(node.right, env));
+            default:
+                return undefined;
+        }
+    }
+
+    arithmetic(operator, a, b) {
+        if (typeof a !== 'number' || typeof b !== 'number') return undefined;
+        switch (operator) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? undefined : (Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b);
+            case '%': return b === 0 ? undefined : a % b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '==': return a === b;
+            case '!=': return a !== b;
+            default: return undefined;
+        }
+    }
+
+    setValue(env, name, value) {
+        if (value === undefined) env.delete(name);
+        else env.set(name, value);
+    }
+
+    defaultValue(type) {
+        if (NUMERIC_TYPES.has(type)) return 0;
+        if (type === 'bool') return false;
+        return undefined;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LOOP ANALYSIS
+    // ═══════════════════════════════════════════════════════════════
+
+    analyzeLoop(node, env, changes) {
+        const report = {
+            node,
+            kind: LOOP_KINDS[node.type],
+            loc: node.loc,
+            status: 'unknown',
+            bound: null,
+            variable: null,
+            reason: ''
+        };
+
+        // Every way out: the condition, plus each `if (guard) break/return`
+        const exits = [];
+        exits.push(node.test || { type: 'Literal', valueType: 'bool', value: true, text: 'for (;;)', loc: node.loc });
+        let opaqueExit = false;
+        for (const exit of changes.exits) {
+            if (exit.guard) exits.push(this.negate(exit.guard));
+            else opaqueExit = true;
+        }
+
+        // An unconditional break/return ends the loop on the first pass
+        if (opaqueExit && changes.exits.some(e => e.unconditional)) {
+            return { ...report, status: 'terminates', bound: 1, reason: 'The loop always exits on its first pass' };
+        }
+
+        const results = exits.map(test => this.analyzeCondition(test, env, changes));
+        const proven = results.filter(r => r.status === 'terminates');
+
+        if (proven.length > 0) {
+            const best = proven.reduce((a, b) => (b.bound !== null && (a.bound === null || b.bound < a.bound)) ? b : a);
+            let bound = best.bound;
+            if (bound !== null && node.type === 'DoWhileStatement') bound = Math.max(1, bound);
+            return {
+                ...report,
+                status: 'terminates',
+                bound,
+                variable: best.variable,
+                reason: bound !== null ? `Stops after ${bound} iteration${bound === 1 ? '' : 's'}` : best.reason
+            };
+        }
+
+        // Nothing proven - explain the condition, unless a break we couldn't follow might save it
+        const main = results[0];
+        if (opaqueExit || results.slice(1).some(r => r.status === 'unknown')) {
+            return {
+                ...report,
+                status: 'unknown',
+                variable: main.variable,
+                reason: `${main.reason} It has a break, but I can't prove it is ever reached.`
+            };
+        }
+        const status = results.every(r => r.status === 'infinite') ? 'infinite' : 'unknown';
+        return { ...report, status, variable: main.variable, reason: main.reason };
+    }
+
+    /**
+     * Can `test` (loop keeps going while it is true) become false?
+     * @returns {Object} { status, bound, variable, reason }
+     */
+    analyzeCondition(test, env, changes) {
+        switch (test.type) {
+            case 'Literal':
+                if (test.value === false) return { status: 'terminates', bound: 0, variable: null, reason: '' };
+                return {
+                    status: 'infinite', bound: null, variable: null,
+                    reason: `'${test.text || 'while (true)'}' never stops by itself and nothing breaks out of it.`
+                };
+
+            case 'LogicalExpression': {
+                const left = this.analyzeCondition(test.left, env, changes);
+                const right = this.analyzeCondition(test.right, env, changes);
+                if (test.operator === '&&') {
+                    // Stops as soon as either side is false
+                    const proven = [left, right].filter(r => r.status === 'terminates');
+                    if (proven.length === 2) return left.bound !== null && (right.bound === null || left.bound <= right.bound) ? left : right;
+                    if (proven.length === 1) return proven[0];
+                    if (left.status === 'infinite' && right.status === 'infinite') return left;
+                    return left.status === 'unknown' ? left : right;
+                }
+                // || keeps going while either side is true - both must stop
+                if (left.status !== 'terminates') return left;
+                if (right.status !== 'terminates') return right;
+                const bound = left.bound !== null && right.bound !== null ? Math.max(left.bound, right.bound) : null;
+                return { ...left, bound };
+            }
+
+            case 'UnaryExpression':
+                if (test.operator === '!' && test.argument.type === 'Identifier') {
+                    return this.analyzeFlag(test.argument.name, true, env, changes);
+                }
+                if (test.operator === '!') {
+                    const negated = this.negate(test.argument);
+                    if (negated.type !== 'UnaryExpression') return this.analyzeCondition(negated, env, changes);
+                }
+                break;
+
+            case 'BinaryExpression':
+                if (FLIPPED[test.operator]) return this.analyzeComparison(test, env, changes);
+                break;
+
+            case 'Identifier':
+                return this.analyzeFlag(test.name, false, env, changes);
+        }
+
+        return {
+            status: 'unknown', bound: null, variable: null,
+            reason: `I can't tell whether '${this.describe(test)}' ever becomes false.`
+        };
+    }
+
+    analyzeComparison(test, env, changes) {
+        let left = test.left;
+        let right = test.right;
+        let operator = test.operator;
+        const condition = this.describe(test);
+
+        const leftName = this.variableName(left);
+        const rightName = this.variableName(right);
+        const leftChanges = leftName && changes.names.has(leftName);
+        const rightChanges = rightName && changes.names.has(rightName);
+        const rightMoves = this.mentionsAny(right, changes.names);
+        const leftMoves = this.mentionsAny(left, changes.names);
+
+        // Put the changing variable on the left: 50 > treeCount → treeCount < 50
+        if (!leftChanges && rightChanges && !leftMoves) {
+            [left, right] = [right, left];
+            operator = FLIPPED[operator];
+        } else if (!leftChanges || rightMoves) {
+            if (!leftMoves && !rightMoves) {
+                return this.invariantCondition(test, env, condition, leftName || rightName);
+            }
+            if (leftMoves && rightMoves) {
+                return {
+                    status: 'unknown', bound: null, variable: leftMoves,
+                    reason: `Both sides of '${condition}' change inside the loop, so I can't tell when it stops.`
+                };
+            }
+            // One side moves, but it's more than a variable: i * 2 < 10
+            return {
+                status: 'unknown', bound: null, variable: leftMoves || rightMoves,
+                reason: `'${this.describe(leftMoves ? left : right)}' changes inside the loop, but it isn't just a variable, so I can't tell when '${condition}' becomes false.`
+            };
+        }
+
+        const name = this.variableName(left);
+        const limit = this.fold(right, env);
+        const start = env.get(name);
+        const limitText = this.describe(right);
+        const entries = changes.byName.get(name);
+
+        // How does the variable move each iteration?
+        if (entries.some(c => c.delta === null)) {
+            const culprit = entries.find(c => c.delta === null);
+            return {
+                status: 'unknown', bound: null, variable: name,
+                reason: culprit.via
+                    ? `'${name}' is changed inside ${culprit.via}(), so I can't tell when '${condition}' becomes false.`
+                    : `'${name}' is set in a way I can't follow, so I can't tell when '${condition}' becomes false.`
+            };
+        }
+
+        const needsIncrease = operator === '<' || operator === '<='
+            || (operator === '!=' && typeof start === 'number' && typeof limit === 'number' && start < limit);
+        const needsDecrease = operator === '>' || operator === '>='
+            || (operator === '!=' && typeof start === 'number' && typeof limit === 'number' && start > limit);
+        const towards = (delta) => (needsIncrease && delta > 0) || (needsDecrease && delta < 0);
+        const away = (delta) => (needsIncrease && delta < 0) || (needsDecrease && delta > 0);
+        // The net change of one iteration: i += 2; i -= 1; is a step of 1.
+        // Changes under an if may not happen - the slowest iteration is the
+        // step plus every conditional one going the wrong way
+        const conditional = entries.filter(c => c.conditional);
+        const step = entries.filter(c => !c.conditional).reduce((sum, c) => sum + c.delta, 0);
+        const slowest = conditional.filter(c => away(c.delta)).reduce((sum, c) => sum + c.delta, step);
+        const increment = name === TREE_COUNT ? 'a SpawnTree() call' : needsDecrease ? `${name}--` : `${name}++`;
+
+        if (operator === '==') {
+            // Any change at all makes == false
+            if (step !== 0) return { status: 'terminates', bound: 1, variable: name, reason: '' };
+        }
+
+        if (operator === '!=' && !needsIncrease && !needsDecrease) {
+            if (typeof start === 'number' && start === limit) {
+                return { status: 'terminates', bound: 0, variable: name, reason: '' };
+            }
+            return {
+                status: 'unknown', bound: null, variable: name,
+                reason: `'${condition}' only stops when ${name} lands exactly on ${limitText} - it could skip over it. Use < or > instead.`
+            };
+        }
+
+        if (away(step)) {
+            // Only an if that sometimes moves it back the right way could help
+            const rescued = conditional.some(c => towards(c.delta));
+            return {
+                status: rescued ? 'unknown' : 'infinite', bound: null, variable: name,
+                reason: `'${name}' moves the wrong way for '${condition}' - it needs ${increment} to ever reach ${limitText}.`
+            };
+        }
+
+        if (step === 0) {
+            const sometimes = conditional.length > 0;
+            return {
+                status: sometimes ? 'unknown' : 'infinite', bound: null, variable: name,
+                reason: sometimes
+                    ? conditional.some(c => away(c.delta))
+                        ? `'${name}' sometimes moves the wrong way for '${condition}', so it may never reach ${limitText}.`
+                        : `'${name}' only changes on some iterations, so '${condition}' may never become false.`
+                    : entries.length > 0
+                        ? `'${name}' ends every iteration where it started - its changes cancel out - so '${condition}' stays true forever.`
+                        : `'${name}' never changes inside the loop, so '${condition}' stays true forever. Add ${increment} inside the loop.`
+            };
+        }
+
+        if (!towards(slowest)) {
+            return {
+                status: 'unknown', bound: null, variable: name,
+                reason: `'${name}' sometimes moves the wrong way for '${condition}', so it may never reach ${limitText}.`
+            };
+        }
+
+        const distance = typeof start === 'number' && typeof limit === 'number' ? limit - start : null;
+        const size = Math.abs(slowest);
+
+        if (operator === '!=') {
+            if (conditional.length > 0) {
+                return {
+                    status: 'unknown', bound: null, variable: name,
+                    reason: `'${condition}' only stops when ${name} lands exactly on ${limitText} - it could skip over it. Use < or > instead.`
+                };
+            }
+            if (distance !== null && distance % step !== 0) {
+                return {
+                    status: 'infinite', bound: null, variable: name,
+                    reason: `'${name}' goes up by ${size}, so it jumps past ${limitText} and '${condition}' never becomes false. Use < instead.`
+                };
+            }
+            return { status: 'terminates', bound: distance !== null ? Math.abs(distance) / size : null, variable: name, reason: '' };
+        }
+
+        if (distance === null) {
+            return {
+                status: 'terminates', bound: null, variable: name,
+                reason: `Stops once '${condition}' becomes false`
+            };
+        }
+
+        // Iterations until the condition fails
+        const span = needsIncrease ? distance : -distance;
+        const inclusive = operator === '<=' || operator === '>=';
+        let bound = inclusive
+            ? (span >= 0 ? Math.floor(span / size) + 1 : 0)
+            : Math.max(0, Math.ceil(span / size));
+        if (!Number.isInteger(slowest) || !Number.isInteger(distance)) {
+            bound = this.countSteps(start, slowest, operator, limit, bound);
+        }
+        return { status: 'terminates', bound, variable: name, reason: '' };
+    }
+
+    /**
+     * Run `x OP limit; x += step` the way the interpreter will. Ten steps
+     * of 0.1 add up to 0.9999999999999999, so x < 1 takes an 11th pass
+     * that span / size doesn't see.
+     * @param {number} estimate - The bound from span / size
+     */
+    countSteps(start, step, operator, limit, estimate) {
+        if (estimate > MAX_COUNTED_STEPS) return estimate;
+        let value = start;
+        let count = 0;
+        while (this.arithmetic(operator, value, limit) && count <= estimate + 1) {
+            value += step;
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * while (!done) { ... if (treeCount >= 50) done = true; }
+     * The loop ends once the flag is set to `stopValue`.
+     */
+    analyzeFlag(name, stopValue, env, changes) {
+        const sets = (changes.byName.get(name) || []).filter(c => c.setTo === stopValue);
+        if (sets.some(c => !c.conditional)) {
+            return { status: 'terminates', bound: 1, variable: name, reason: '' };
+        }
+        for (const set of sets.filter(c => c.guard)) {
+            const result = this.analyzeCondition(this.negate(set.guard), env, changes);
+            if (result.status === 'terminates') {
+                return { ...result, bound: result.bound !== null ? result.bound + 1 : null };
+            }
+        }
+        if (!changes.names.has(name)) {
+            const value = env.get(name);
+            const condition = stopValue ? `!${name}` : name;
+            return {
+                status: value === !stopValue ? 'infinite' : 'unknown', bound: null, variable: name,
+                reason: `Nothing inside the loop changes '${name}', so '${condition}' stays true forever.`
+            };
+        }
+        return {
+            status: 'unknown', bound: null, variable: name,
+            reason: `I can't tell whether '${name}' is ever set to ${stopValue}.`
+        };
+    }
+
+    /**
+     * Neither side changes: the loop runs zero times or forever
+     */
+    invariantCondition(test, env, condition, name) {
+        const value = this.fold(test, env);
+        if (value === false) return { status: 'terminates', bound: 0, variable: name, reason: '' };
+        const fix = name ? ` Add ${name === TREE_COUNT ? 'SpawnTree()' : `${name}++`} inside the loop.` : '';
+        return {
+            status: value === true ? 'infinite' : 'unknown', bound: null, variable: name,
+            reason: `Nothing inside the loop changes '${condition}', so it stays true forever.${fix}`
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // WHAT THE LOOP BODY DOES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Find every variable the loop changes and every break/return
+     * @returns {Object} { names: Set, byName: Map<name, Change[]>, exits: Exit[] }
+     *   Change: { delta: number|null, conditional, setTo, guard, via }
+     *   Exit:   { guard: expression|null, unconditional }
+     */
+    collectChanges(loop) {
+        const changes = { names: new Set(), byName: new Map(), exits: [] };
+        // Where changes go - a branch of an if/else collects its own first
+        let target = changes;
+        const record = (name, change) => {
+            target.names.add(name);
+            if (!target.byName.has(name)) target.byName.set(name, []);
+            target.byName.get(name).push(change);
+        };
+        const collectBranch = (node) => {
+            const outer = target;
+            target = { names: new Set(), byName: new Map(), exits: [] };
+            visit(node, false, null);
+            const branch = target;
+            target = outer;
+            return branch;
+        };
+        // The net change of a branch, if every change in it always happens
+        const netDelta = (list) => list.every(c => c.delta !== null && !c.conditional)
+            ? list.reduce((sum, c) => sum + c.delta, 0)
+            : null;
+
+        const visitExpr = (expr, conditional, guard = null) => {
+            this.visitExpression(expr, (e) => {
+                if (e.type === 'UpdateExpression') {
+                    const name = this.variableName(e.argument);
+                    if (name) record(name, { delta: e.operator === '++' ? 1 : -1, conditional });
+                } else if (e.type === 'AssignmentExpression') {
+                    const name = this.variableName(e.target);
+                    if (name) record(name, { ...this.assignmentDelta(name, e), conditional, guard });
+                } else if (e.type === 'CallExpression') {
+                    const method = this.ownMethod(e);
+                    const sceneCall = this.sceneCall(e);
+                    if (sceneCall === 'SpawnTree') record(TREE_COUNT, { delta: 1, conditional });
+                    if (sceneCall === 'ClearTrees') record(TREE_COUNT, { delta: null, conditional });
+                    if (method) {
+                        // Grow() { treeCount++; } moves treeCount just like an inline ++
+                        const inner = this.methodChanges(method);
+                        for (const name of this.effectsOf(method)) {
+                            const found = inner?.byName.get(name);
+                            if (found) {
+                                found.forEach(c => record(name, { ...c, conditional: conditional || c.conditional, via: c.via || method.name }));
+                            } else {
+                                record(name, { delta: null, conditional, via: method.name });
+                            }
+                        }
+                    }
+                }
+            });
+        };
+
+        const visit = (node, conditional, guard) => {
+            if (!node) return;
+            switch (node.type) {
+                case 'BlockStatement': {
+                    // Anything after a `continue` may be skipped
+                    let skippable = conditional;
+                    for (const statement of node.body) {
+                        visit(statement, skippable, guard);
+                        if (this.containsContinue(statement)) skippable = true;
+                    }
+                    break;
+                }
+                case 'VariableDeclaration':
+                    node.declarations.forEach(d => d.init && visitExpr(d.init, conditional));
+                    break;
+                case 'ExpressionStatement':
+                    visitExpr(node.expression, conditional, guard);
+                    break;
+                case 'IfStatement': {
+                    visitExpr(node.test, conditional);
+                    if (!node.alternate) {
+                        visit(node.consequent, true, node.test);
+                        break;
+                    }
+                    // One path always runs: if (a) i++; else i++; changes i every
+                    // time. With i += 2 / i++ every pass adds 1, one of them 1 more
+                    const branches = [collectBranch(node.consequent), collectBranch(node.alternate)];
+                    const always = new Map();
+                    for (const name of branches[0].names) {
+                        const nets = branches.map(branch => branch.byName.has(name) ? netDelta(branch.byName.get(name)) : null);
+                        if (nets.includes(null) || Math.sign(nets[0]) !== Math.sign(nets[1]) || nets[0] === 0) continue;
+                        always.set(name, { shared: Math.sign(nets[0]) * Math.min(...nets.map(Math.abs)), nets });
+                    }
+                    for (const [i, branch] of branches.entries()) {
+                        for (const [name, list] of branch.byName) {
+                            const net = always.get(name);
+                            if (!net) list.forEach(c => record(name, { ...c, conditional: true }));
+                            else if (net.nets[i] !== net.shared) record(name, { delta: net.nets[i] - net.shared, conditional: true });
+                        }
+                        branch.exits.forEach(exit => target.exits.push({ ...exit, unconditional: false }));
+                    }
+                    always.forEach(({ shared }, name) => record(name, { delta: shared, conditional }));
+                    break;
+                }
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                case 'ForStatement':
+                    // Breaks in here belong to the inner loop; returns still leave ours
+                    if (node.init) visit(node.init, true, null);
+                    if (node.test) visitExpr(node.test, true);
+                    (node.update || []).forEach(u => visitExpr(u, true));
+                    visitNested(node.body);
+                    break;
+                case 'BreakStatement':
+                    target.exits.push({ guard, unconditional: !conditional });
+                    break;
+                case 'ReturnStatement':
+                    if (node.argument) visitExpr(node.argument, conditional);
+                    target.exits.push({ guard, unconditional: !conditional });
+                    break;
+            }
+        };
+
+        // Inside a nested loop: record changes as conditional, ignore its breaks
+        const visitNested = (node) => {
+            if (!node) return;
+            this.visitStatements(node, (statement) => {
+                if (statement.type === 'ExpressionStatement') visitExpr(statement.expression, true);
+                if (statement.type === 'VariableDeclaration') {
+                    statement.declarations.forEach(d => d.init && visitExpr(d.init, true));
+                }
+                if (statement.type === 'IfStatement' || statement.type === 'WhileStatement'
+                    || statement.type === 'DoWhileStatement') {
+                    visitExpr(statement.test, true);
+                }
+                if (statement.type === 'ForStatement') {
+                    if (statement.test) visitExpr(statement.test, true);
+                    statement.update.forEach(u => visitExpr(u, true));
+                }
+                if (statement.type === 'ReturnStatement') {
+                    target.exits.push({ guard: null, unconditional: false });
+                }
+            });
+        };
+
+        visit(loop.body, false, null);
+        if (loop.type === 'ForStatement') {
+            loop.update.forEach(u => visitExpr(u, false));
+        }
+        if (loop.type === 'DoWhileStatement' || loop.type === 'WhileStatement') {
+            visitExpr(loop.test, false);
+        }
+
+        return changes;
+    }
+
+    /**
+     * x = x + 2 → +2, x -= 1 → -1, x = 0 → null (can't follow)
+     */
+    assignmentDelta(name, node) {
+        const constant = (expr) => this.fold(expr, new Map());
+        const isSelf = (expr) => this.variableName(expr) === name;
+
+        if (node.operator === '+=' || node.operator === '-=') {
+            const amount = constant(node.value);
+            if (typeof amount !== 'number') return { delta: null };
+            return { delta: node.operator === '+=' ? amount : -amount };
+        }
+        if (node.operator === '=') {
+            const value = node.value;
+            if (value.type === 'Literal' && typeof value.value === 'boolean') {
+                return { delta: null, setTo: value.value };
+            }
+            if (value.type === 'BinaryExpression' && (value.operator === '+' || value.operator === '-')) {
+                if (isSelf(value.left)) {
+                    const amount = constant(value.right);
+                    if (typeof amount === 'number') return { delta: value.operator === '+' ? amount : -amount };
+                }
+                if (value.operator === '+' && isSelf(value.right)) {
+                    const amount = constant(value.left);
+                    if (typeof amount === 'number') return { delta: amount };
+                }
+            }
+        }
+        return { delta: null };
+    }
+
+    /**
+     * What one call of a method does to the variables it changes, or null
+     * for recursive methods. A return inside an if makes every change
+     * conditional, since the rest of the body may be skipped.
+     */
+    methodChanges(method) {
+        if (this.methodStack.has(method.name)) return null;
+        this.methodStack.add(method.name);
+        const changes = this.collectChanges({ type: 'MethodDeclaration', body: method.body });
+        this.methodStack.delete(method.name);
+
+        if (changes.exits.some(exit => !exit.unconditional)) {
+            changes.byName.forEach(list => list.forEach(c => { c.conditional = true; }));
+        }
+        return changes;
+    }
+
+    /**
+     * Variables a method (or anything it calls) may change
+     */
+    effectsOf(method, visiting = new Set()) {
+        if (this.methodEffects.has(method.name)) return this.methodEffects.get(method.name);
+        if (visiting.has(method.name)) return new Set();
+        visiting.add(method.name);
+
+        const effects = new Set();
+        this.visitStatements(method.body, (statement) => {
+            this.statementExpressions(statement).forEach(expr => this.visitExpression(expr, (e) => {
+                if (e.type === 'UpdateExpression') {
+                    const name = this.variableName(e.argument);
+                    if (name) effects.add(name);
+                } else if (e.type === 'AssignmentExpression') {
+                    const name = this.variableName(e.target);
+                    if (name) effects.add(name);
+                } else if (e.type === 'CallExpression') {
+                    const callee = this.ownMethod(e);
+                    if (callee) this.effectsOf(callee, visiting).forEach(name => effects.add(name));
+                    if (this.sceneCall(e) === 'SpawnTree' || this.sceneCall(e) === 'ClearTrees') effects.add(TREE_COUNT);
+                }
+            }));
+        });
+
+        // Parameters and locals don't leak out
+        method.params.forEach(p => effects.delete(p.name));
+        this.visitStatements(method.body, (statement) => {
+            if (statement.type === 'VariableDeclaration') {
+                statement.declarations.forEach(d => effects.delete(d.name));
+            }
+        });
+
+        this.methodEffects.set(method.name, effects);
+        return effects;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // AST HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Flip a condition: !(a < b) → a >= b, De Morgan for && / ||
+     */
+    negate(test) {
+        if (test.type === 'BinaryExpression' && NEGATED[test.operator]) {
+            return { ...test, operator: NEGATED[test.operator] };
+        }
+        if (test.type === 'LogicalExpression') {
+            return {
+                ...test,
+                operator: test.operator === '&&' ? '||' : '&&',
+                left: this.negate(test.left),
+                right: this.negate(test.right)
+            };
+        }
+        if (test.type === 'UnaryExpression' && test.operator === '!') return test.argument;
+        if (test.type === 'Literal' && typeof test.value === 'boolean') return { ...test, value: !test.value };
+        return { type: 'UnaryExpression', operator: '!', argument: test, loc: test.loc };
+    }
+
+    containsContinue(node) {
+        let found = false;
+        const visit = (n) => {
+            if (!n || found) return;
+            if (n.type === 'ContinueStatement') found = true;
+            else if (n.type === 'BlockStatement') n.body.forEach(visit);
+            else if (n.type === 'IfStatement') { visit(n.consequent); visit(n.alternate); }
+            // continue inside a nested loop belongs to that loop
+        };
+        visit(node);
+        return found;
+    }
+
+    /**
+     * Call fn for every statement, descending into blocks, ifs and loops
+     */
+    visitStatements(node, fn) {
+        if (!node) return;
+        fn(node);
+        switch (node.type) {
+            case 'BlockStatement':
+                node.body.forEach(s => this.visitStatements(s, fn));
+                break;
+            case 'IfStatement':
+                this.visitStatements(node.consequent, fn);
+                this.visitStatements(node.alternate, fn);
+                break;
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.visitStatements(node.body, fn);
+                break;
+            case 'ForStatement':
+                this.visitStatements(node.init, fn);
+                this.visitStatements(node.body, fn);
+                break;
+        }
+    }
+
+    statementExpressions(statement) {
+        switch (statement.type) {
+            case 'ExpressionStatement': return [statement.expression];
+            case 'VariableDeclaration': return statement.declarations.map(d => d.init).filter(Boolean);
+            case 'IfStatement':
+            case 'WhileStatement':
+            case 'DoWhileStatement': return [statement.test];
+            case 'ForStatement': return [statement.test, ...statement.update].filter(Boolean);
+            case 'ReturnStatement': return statement.argument ? [statement.argument] : [];
+            default: return [];
+        }
+    }
+
+    /**
+     * Call fn for an expression and every sub-expression
+     */
+    visitExpression(node, fn) {
+        if (!node || typeof node !== 'object') return;
+        fn(node);
+        switch (node.type) {
+            case 'AssignmentExpression':
+                this.visitExpression(node.value, fn);
+                break;
+            case 'UpdateExpression':
+                break;
+            case 'CallExpression':
+                this.visitExpression(node.callee, fn);
+                node.args.forEach(a => this.visitExpression(a, fn));
+                break;
+            case 'MemberExpression':
+                this.visitExpression(node.object, fn);
+                break;
+            case 'UnaryExpression':
+            case 'CastExpression':
+                this.visitExpression(node.argument, fn);
+                break;
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                this.visitExpression(node.left, fn);
+                this.visitExpression(node.right, fn);
+                break;
+            case 'ConditionalExpression':
+                this.visitExpression(node.test, fn);
+                this.visitExpression(node.consequent, fn);
+                this.visitExpression(node.alternate, fn);
+                break;
+            case 'InterpolatedString':
+                node.parts.forEach(p => typeof p !== 'string' && this.visitExpression(p, fn));
+                break;
+        }
+    }
+
+    /**
+     * @returns {string|null} The first of `names` the expression uses
+     */
+    mentionsAny(node, names) {
+        let found = null;
+        this.visitExpression(node, (e) => {
+            const name = this.variableName(e);
+            if (!found && name && names.has(name)) found = name;
+        });
+        return found;
+    }
+
+    /**
+     * treeCount and this.treeCount both name the variable 'treeCount';
+     * GetTreeCount() is the pseudo-variable TREE_COUNT
+     */
+    variableName(node) {
+        if (!node) return null;
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression') return node.property;
+        if (node.type === 'CallExpression' && node.args.length === 0 && this.sceneCall(node) === 'GetTreeCount') {
+            return TREE_COUNT;
+        }
+        return null;
+    }
+
+    /**
+     * Name of the scene API method a call goes to (SpawnTree, scene.ClearTrees, ...), or null
+     */
+    sceneCall(call) {
+        const { callee } = call;
+        if (callee.type === 'Identifier') {
+            return this.methods.has(callee.name) ? null : callee.name;
+        }
+        if (callee.type === 'MemberExpression'
+            && (callee.object.type === 'ThisExpression' || (callee.object.type === 'Identifier' && callee.object.name === 'scene'))) {
+            return this.methods.has(callee.property) && callee.object.type === 'ThisExpression' ? null : callee.property;
+        }
+        return null;
+    }
+
+    ownMethod(call) {
+        const name = this.variableName(call.callee);
+        return name ? this.methods.get(name) || null : null;
+    }
+
+    describe(node) {
+        switch (node.type) {
+            case 'Literal': return String(node.value);
+            case 'Identifier': return node.name;
+            case 'ThisExpression': return 'this';
+            case 'MemberExpression': return `${this.describe(node.object)}.${node.property}`;
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                return `${this.describe(node.left)} ${node.operator} ${this.describe(node.right)}`;
+            case 'UnaryExpression': return `${node.operator}${this.describe(node.argument)}`;
+            case 'CallExpression': return `${this.describe(node.callee)}()`;
+            default: return '...';
+        }
+    }
+}
+
+export default LoopAnalyzer;
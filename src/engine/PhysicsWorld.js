@@ -0,0 +1,185 @@
+/**
+ * PhysicsWorld.js - A Minimal Fixed-Timestep Physics World
+ *
+ * Just enough physics for the Physics Chaos scenario: rocks fall under
+ * gravity and bounce on the ground. Rocks are spheres that don't spin or
+ * hit each other, so a few dozen of them cost next to nothing on the
+ * N4000. Nothing in here is random - the same steps always give the same
+ * result, which is what lets a scenario grade it headless.
+ *
+ * STEPPING:
+ * step(seconds) moves everything on by one step of `seconds`: velocity
+ * first, then position (semi-implicit Euler). Like Unity's
+ * Physics.Simulate(), it trusts the caller with the step size:
+ * - fixedDelta steps are safe - speeds are capped at maxSpeed, and
+ *   maxSpeed × fixedDelta is less than the ground is thick
+ * - one step per rendered frame is not - a slow frame is a long step
+ * simulate(seconds) is the safe way: as many fixedDelta steps as fit.
+ *
+ * THE GROUND:
+ * A slab from y = 0 down to -groundThickness, checked once per step. A
+ * rock that lands inside it is pushed back on top and bounces (losing
+ * energy to `restitution`); a rock that moves further than the slab is
+ * thick in one step skips it - tunneling - and falls forever.
+ *
+ * METRICS:
+ * - kineticEnergy - ½mv² over every rock (mass = radius³); 0 once they rest
+ * - outOfBounds   - rocks under the ground, or outside ±extent / above ceiling
+ *
+ * USAGE:
+ * const world = new PhysicsWorld();
+ * world.addRock({ x: 0, y: 20, z: 0 });
+ * world.simulate(5);      // 5 seconds in fixed steps
+ * world.metrics();        // { rocks, kineticEnergy, outOfBounds, resting, time }
+ */
+
+import { WORLD_EXTENT, FIXED_DELTA_TIME } from './SceneAPI.js';
+
+export const GRAVITY = -9.81;    // m/s², down
+
+// Bounces slower than this stop - the rock comes to rest
+const REST_SPEED = 1;
+
+export class PhysicsWorld {
+    /**
+     * @param {Object} options - { gravity, fixedDelta, restitution, friction,
+     *   maxSpeed, groundThickness, extent, ceiling }
+     */
+    constructor(options = {}) {
+        this.gravity = options.gravity ?? GRAVITY;
+        this.fixedDelta = options.fixedDelta ?? FIXED_DELTA_TIME;
+        this.restitution = options.restitution ?? 0.4;   // Share of speed kept by a bounce
+        this.friction = options.friction ?? 0.8;         // Share of sideways speed kept by a bounce
+        this.maxSpeed = options.maxSpeed ?? 40;          // m/s - 0.8 m per fixed step
+        this.groundThickness = options.groundThickness ?? 1;
+        this.extent = options.extent ?? WORLD_EXTENT;
+        this.ceiling = options.ceiling ?? 100;
+
+        this.bodies = [];   // { id, x, y, z, vx, vy, vz, radius, resting }
+        this.nextId = 1;
+        this.time = 0;      // Seconds simulated so far
+        this.steps = 0;
+    }
+
+    /**
+     * Add a rock, still or thrown
+     * @param {Object} rock - { x, y, z, radius, vx, vy, vz }
+     * @returns {number} The rock's id
+     */
+    addRock(rock = {}) {
+        const body = {
+            id: this.nextId++,
+            x: rock.x ?? 0,
+            y: rock.y ?? 10,
+            z: rock.z ?? 0,
+            vx: rock.vx ?? 0,
+            vy: rock.vy ?? 0,
+            vz: rock.vz ?? 0,
+            radius: rock.radius ?? 0.5,
+            resting: false
+        };
+        this.bodies.push(body);
+        return body.id;
+    }
+
+    /**
+     * Move every rock on by one step - as long as the caller says
+     * @param {number} seconds - Step length; 0 or less does nothing
+     */
+    step(seconds) {
+        if (!(seconds > 0)) return;
+
+        for (const body of this.bodies) {
+            if (body.resting) continue;
+
+            body.vy += this.gravity * seconds;
+            this.clampSpeed(body);
+            body.x += body.vx * seconds;
+            body.y += body.vy * seconds;
+            body.z += body.vz * seconds;
+
+            // Inside the ground slab: push back on top and bounce
+            const bottom = body.y - body.radius;
+            if (bottom < 0 && bottom > -this.groundThickness && body.vy < 0) {
+                body.y = body.radius;
+                body.vy = -body.vy * this.restitution;
+                body.vx *= this.friction;
+                body.vz *= this.friction;
+                if (body.vy < REST_SPEED) {
+                    body.vx = body.vy = body.vz = 0;
+                    body.resting = true;
+                }
+            }
+        }
+
+        this.time += seconds;
+        this.steps++;
+    }
+
+    /**
+     * Run `seconds` of fixed steps at once (the remainder is dropped)
+     */
+    simulate(seconds) {
+        const steps = Math.floor(seconds / this.fixedDelta + 1e-9);
+        for (let i = 0; i < steps; i++) this.step(this.fixedDelta);
+        return this.metrics();
+    }
+
+    clampSpeed(body) {
+        const speed = Math.hypot(body.vx, body.vy, body.vz);
+        if (speed <= this.maxSpeed) return;
+        const scale = this.maxSpeed / speed;
+        body.vx *= scale;
+        body.vy *= scale;
+        body.vz *= scale;
+    }
+
+    kineticEnergy() {
+        return this.bodies.reduce(
+            (sum, b) => sum + 0.5 * b.radius ** 3 * (b.vx * b.vx + b.vy * b.vy + b.vz * b.vz), 0
+        );
+    }
+
+    /**
+     * Under the ground, off the edge of the world or flung above it
+     */
+    isOutOfBounds(body) {
+        return body.y + body.radius < 0
+            || body.y - body.radius > this.ceiling
+            || Math.abs(body.x) > this.extent
+            || Math.abs(body.z) > this.extent;
+    }
+
+    /**
+     * @returns {Object} { rocks, kineticEnergy, outOfBounds, resting, time }
+     */
+    metrics() {
+        return {
+            rocks: this.bodies.length,
+            kineticEnergy: Math.round(this.kineticEnergy() * 10) / 10,
+            outOfBounds: this.bodies.filter(b => this.isOutOfBounds(b)).length,
+            resting: this.bodies.filter(b => b.resting).length,
+            time: Math.round(this.time * 1000) / 1000
+        };
+    }
+
+    /**
+     * Hooks for a script's interpreter: DropRock(), Physics.Simulate(),
+     * Time.fixedDeltaTime (see CSharpInterpreter's HOST API)
+     */
+    scriptHooks() {
+        return {
+            dropRock: (rock) => this.addRock({ x: rock.x, y: rock.y, z: rock.z, radius: rock.scale * 0.5 }),
+            simulatePhysics: (seconds) => this.step(seconds),
+            fixedDeltaTime: () => this.fixedDelta
+        };
+    }
+
+    clear() {
+        this.bodies = [];
+        this.time = 0;
+        this.steps = 0;
+    }
+}
+
+export default PhysicsWorld;
@@ -0,0 +1,314 @@
+/**
+ * PromptDialogue.js - Conversation State for the Prompt Chats
+ *
+ * Remembers the scene spec (PromptParser groups) each message produced, so
+ * a follow-up edits the last scene instead of starting from nothing:
+ *   "30 pine trees in a grid"   -> new scene
+ *   "add 10 more"               -> 40 pine trees in a grid
+ *   "make them oaks instead"    -> 40 oak trees in a grid
+ *   "spread them out"           -> ... sparse
+ *   "undo that"                 -> back to 40 pines
+ *
+ * A message is a FOLLOW-UP when there is a previous scene and it talks
+ * about "them" / "instead" / "add" / "spread"..., its count is relative
+ * ("twice as many", "5 fewer"), or it only rules something out ("no
+ * oaks"). Follow-ups only change what they mention
+ * (PromptParser.parseChanges); everything else carries over. Anything else
+ * is a NEW scene. Every step records a diff against the spec before it.
+ * The follow-up, start-over and undo words come from the parser's locale
+ * pack (PromptLocales), so "añade 10 más" and "deshacer" work in Spanish.
+ *
+ * Used by PromptInterface (history strip with revert buttons) and
+ * PromptQuest (Fernie understands "undo", and clarify() merges the answer
+ * when Fernie asks "Did you mean rows or scattered?").
+ *
+ * USAGE:
+ * const dialogue = new PromptDialogue(parser);
+ * const turn = dialogue.interpret('add 10 more');
+ * // { kind: 'edit', groups, params, diff: [{ field: 'treeCount', from: 30, to: 40 }], ... }
+ * sceneController.arrangeGroups(turn.groups);
+ */
+
+// Spec fields a follow-up can change
+const FIELDS = ['treeCount', 'treeType', 'arrangement', 'density', 'sizeVariation', 'size', 'region', 'relation'];
+// ...and what the diff compares - includes "no oaks" exclusions
+const DIFF_FIELDS = [...FIELDS, 'excluded'];
+
+
+export class PromptDialogue {
+    /**
+     * @param {PromptParser} parser - Shared with the chat, so seeds match
+     * @param {Object} options - { maxHistory } - oldest steps drop off (default 20)
+     */
+    constructor(parser, options = {}) {
+        this.parser = parser;
+        this.maxHistory = options.maxHistory ?? 20;
+        this.history = []; // [{ id, prompt, kind, groups, params, interpretation, diff }]
+        this.nextId = 1;
+    }
+
+    /**
+     * The scene spec the last step left behind (null = nothing built yet)
+     */
+    get current() {
+        return this.history[this.history.length - 1] ?? null;
+    }
+
+    /**
+     * Turn one chat message into the next scene spec
+     * @returns {Turn} { kind: 'new'|'edit'|'undo', entry, groups, params, diff, result }
+     *   result = the PromptParser result for new scenes (specificity, feedback...);
+     *   edits carry the `corrections` their words needed
+     */
+    interpret(text) {
+        const normalized = this.parser.normalizePrompt(text);
+
+        if (this.parser.dialoguePatterns.undo.test(normalized)) {
+            return this.undo();
+        }
+        if (this.isFollowUp(normalized)) {
+            return this.edit(text);
+        }
+
+        const result = this.parser.parsePrompt(text);
+        const previous = this.current?.params ?? null;
+        const entry = this.record(text, 'new', result.groups, result.params);
+        entry.diff = previous ? this.diff(previous, result.params) : [];
+        return { kind: 'new', entry, groups: entry.groups, params: entry.params, diff: entry.diff, result };
+    }
+
+    /**
+     * Does this message change the last scene rather than describe a new one?
+     */
+    isFollowUp(normalized) {
+        const { fresh, followUp } = this.parser.dialoguePatterns;
+        if (!this.current || fresh.test(normalized)) return false;
+        if (followUp.test(normalized)) return true;
+
+        // "twice as many", "10 fewer trees" - relative counts need a scene to
+        // be relative to; "no oaks" on its own takes something away from it
+        const quantity = this.parser.extractQuantity(normalized);
+        const single = this.parser.splitClauses(normalized).length <= 1;
+        const onlyNegation = quantity.precision === 'default' &&
+            this.parser.extractNegations(normalized).negated.length > 0;
+        return single && (quantity.relative !== null || onlyNegation);
+    }
+
+    /**
+     * Apply a follow-up to the current groups
+     */
+    edit(text) {
+        const before = this.current;
+        const { changes, negated } = this.parser.parseChanges(text, before.params.treeCount);
+        const groups = this.applyChanges(before.groups, changes, negated);
+        const params = groups.length > 1 ? this.parser.combineGroups(groups) : groups[0];
+        const diff = this.diff(before.params, params);
+        // Misspellings read as something else ("spred them out")
+        const { corrections } = this.parser.spelling.correct(text);
+
+        // Nothing we understood changed - don't add an empty undo step
+        if (diff.length === 0) {
+            return { kind: 'edit', entry: before, groups: before.groups, params: before.params, diff, corrections };
+        }
+
+        const entry = this.record(text, 'edit', groups, params);
+        entry.diff = diff;
+        return { kind: 'edit', entry, groups, params, diff, corrections };
+    }
+
+    /**
+     * New groups with `changes` laid over the old ones. Counts: "twice as
+     * many" scales every group, "10 more" grows the last one, a plain
+     * number is shared out in proportion - or evenly, when every group is
+     * empty ("no trees" then "make it 20").
+     */
+    applyChanges(groups, changes, negated = []) {
+        const last = groups.length - 1;
+        const total = groups.reduce((sum, group) => sum + group.treeCount, 0);
+        const clamp = (num) => Math.max(0, Math.min(Math.round(num), 500));
+
+        return groups.map((group, i) => {
+            const next = { ...group, excluded: [...(group.excluded ?? [])] };
+
+            for (const field of FIELDS) {
+                if (field in changes) next[field] = changes[field];
+            }
+
+            const quantity = changes.quantity;
+            if (quantity) {
+                const { op, amount } = quantity.relative ?? {};
+                if (op === 'multiply') {
+                    next.treeCount = clamp(group.treeCount * amount);
+                } else if (op === 'add') {
+                    next.treeCount = i === last ? clamp(group.treeCount + amount) : group.treeCount;
+                } else if (groups.length === 1) {
+                    next.treeCount = quantity.value;
+                } else if (total === 0) {
+                    next.treeCount = Math.floor(quantity.value / groups.length) + (i < quantity.value % groups.length ? 1 : 0);
+                } else {
+                    next.treeCount = clamp(group.treeCount * quantity.value / total);
+                }
+                next.quantity = next.treeCount === quantity.value
+                    ? quantity
+                    : { value: next.treeCount, min: next.treeCount, max: next.treeCount, precision: quantity.precision, relative: quantity.relative };
+            }
+
+            // Asking for a species again lifts an earlier "no oaks"
+            if (changes.treeType) {
+                next.excluded = next.excluded.filter(({ attribute, value }) =>
+                    !(attribute === 'treeType' && value === changes.treeType));
+            }
+            for (const scope of negated) {
+                this.parser.applyExclusions(next, scope);
+            }
+            next.excluded = this.parser.uniqueExclusions(next.excluded);
+            return next;
+        });
+    }
+
+    /**
+     * Fields that differ between two specs
+     * @returns {Array<{field: string, from: *, to: *}>}
+     */
+    diff(before, after) {
+        const changes = [];
+        for (const field of DIFF_FIELDS) {
+            if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+                changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Fill in the answer to a clarifying question ("Did you mean rows or
+     * scattered?"). Amends the current step rather than adding one - the
+     * answer finishes that message, it isn't a new edit.
+     * @param {Ambiguity} ambiguity - From the PromptParser result
+     * @param {*} option - matchClarification()'s pick
+     */
+    clarify(ambiguity, option) {
+        const before = this.current.params;
+        const entry = this.replaceCurrent(this.current.groups.map((group, i) =>
+            i === ambiguity.group ? this.parser.resolveAmbiguity(group, ambiguity, option) : group));
+
+        return { kind: 'clarify', entry, groups: entry.groups, params: entry.params, diff: this.diff(before, entry.params) };
+    }
+
+    /**
+     * Use another backend's reading (PromptInterpreters) for the message
+     * that was just interpreted as a new scene
+     * @param {Interpretation} result - Same shape as a PromptParser result
+     */
+    adopt(result) {
+        const entry = this.replaceCurrent(result.groups);
+        const previous = this.history[this.history.length - 2];
+        entry.diff = previous ? this.diff(previous.params, entry.params) : [];
+        return { kind: 'new', entry, groups: entry.groups, params: entry.params, diff: entry.diff, result };
+    }
+
+    /**
+     * Drop the last step; the one before becomes current again
+     * @returns {Turn} kind 'undo' - groups is empty when nothing is left
+     */
+    undo() {
+        const undone = this.history.pop() ?? null;
+        return this.restoreTurn('undo', undone);
+    }
+
+    /**
+     * Go back to an earlier step, dropping everything after it
+     * @param {number} id - History entry id
+     * @returns {Turn|null} null for an unknown id
+     */
+    revertTo(id) {
+        const index = this.history.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+
+        const undone = this.history.splice(index + 1);
+        return this.restoreTurn('revert', undone[undone.length - 1] ?? null);
+    }
+
+    reset() {
+        this.history = [];
+    }
+
+    /**
+     * Readable lines for a diff: "🌲 30 → 40 trees", "🏷️ pine → oak"
+     */
+    describeDiff(diff) {
+        const parser = this.parser;
+        const { diff: text, typeNames, arrangementNames, densityNames, sizeNames } = parser.strings;
+        const show = {
+            treeCount: (value) => text.trees.replace('{count}', value),
+            treeType: (value) => typeNames[value] || value,
+            arrangement: (value) => arrangementNames[value] || value,
+            density: (value) => densityNames[value] || value,
+            sizeVariation: (value) => (value ? text.variedSizes : text.sameSize),
+            size: (value) => (value ? sizeNames[value] || value : text.normalSize),
+            region: (value) => (value ? parser.describeRegion(value) : text.anywhere),
+            relation: (value) => (value ? parser.describeRelation(value) : text.noRelation)
+        };
+        const icons = {
+            treeCount: '🌲', treeType: '🏷️', arrangement: '📐', density: '🌫️',
+            sizeVariation: '📏', size: '📏', region: '🧭', relation: '🎯'
+        };
+
+        return diff.map(({ field, from, to }) => {
+            if (field === 'excluded') {
+                // Only what's new - "🚫 no birch trees"
+                const had = new Set((from ?? []).map(exclusion => JSON.stringify(exclusion)));
+                const added = (to ?? []).filter(exclusion => !had.has(JSON.stringify(exclusion)));
+                return added.length > 0
+                    ? `🚫 ${added.map(exclusion => parser.describeExclusion(exclusion)).join(', ')}`
+                    : `🚫 ${text.exclusionsLifted}`;
+            }
+            return field === 'treeCount'
+                ? `${icons[field]} ${from} → ${show[field](to)}`
+                : `${icons[field]} ${show[field](from)} → ${show[field](to)}`;
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // INTERNAL
+    // ═══════════════════════════════════════════════════════════
+
+    record(prompt, kind, groups, params) {
+        const entry = {
+            id: this.nextId++,
+            prompt,
+            kind,
+            groups,
+            params,
+            interpretation: groups.map(group => this.parser.generateInterpretation(group)).join(this.parser.strings.groupJoin),
+            diff: []
+        };
+        this.history.push(entry);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        return entry;
+    }
+
+    replaceCurrent(groups) {
+        const entry = this.current;
+        entry.groups = groups;
+        entry.params = groups.length > 1 ? this.parser.combineGroups(groups) : groups[0];
+        entry.interpretation = groups.map(group => this.parser.generateInterpretation(group)).join(this.parser.strings.groupJoin);
+        return entry;
+    }
+
+    restoreTurn(kind, undone) {
+        const entry = this.current;
+        return {
+            kind,
+            entry,
+            undone,
+            groups: entry?.groups ?? [],
+            params: entry?.params ?? null,
+            diff: undone && entry ? this.diff(undone.params, entry.params) : []
+        };
+    }
+}
+
+export default PromptDialogue;
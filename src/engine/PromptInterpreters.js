@@ -0,0 +1,295 @@
+/**
+ * PromptInterpreters.js - Pluggable "AIs" That Read Prompts
+ *
+ * Every backend turns a prompt into the same scene params schema, so the
+ * chat can build a forest from any of them - or show two side by side and
+ * let students see how differently two "AIs" read the same words.
+ *
+ * INTERFACE (what a backend implements):
+ *   id                      - 'keyword', 'http', ...
+ *   name                    - Shown in the backend picker
+ *   async interpret(prompt) - Resolves to an Interpretation:
+ *       { params, groups, interpretation, specificity, rubric,
+ *         ambiguities, feedback, backend, rawPrompt }
+ *   params/groups follow PARAMS_SCHEMA (treeCount, treeType, arrangement,
+ *   density, sizeVariation, size, region, relation, excluded, quantity).
+ *   Rejects with a readable Error when the backend can't answer.
+ *
+ * BACKENDS:
+ *   keyword - PromptParser itself: keyword rules, runs offline
+ *   http    - Any OpenAI-compatible /chat/completions endpoint (a local
+ *             model server, or tools/mock-llm-server.mjs for class demos
+ *             and tests). The model is asked for JSON; normalizeGroups()
+ *             cleans up whatever comes back.
+ *
+ * USAGE:
+ * const backend = createInterpreter('http', { baseUrl: 'http://localhost:8787/v1', parser });
+ * const { params, groups, interpretation } = await backend.interpret('30 pines in a grid');
+ */
+
+import { PromptParser } from './PromptParser.js';
+import { ARRANGEMENTS, REGIONS } from './TreeLayouts.js';
+import { TREE_TYPES } from './SceneAPI.js';
+
+// ═══════════════════════════════════════════════════════════════
+// PARAMS SCHEMA - shared by every backend
+// ═══════════════════════════════════════════════════════════════
+
+export const PARAMS_SCHEMA = {
+    type: 'object',
+    properties: {
+        groups: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    treeCount: { type: 'integer', minimum: 0, maximum: 500 },
+                    treeType: { enum: [...Object.keys(TREE_TYPES), 'mixed', 'generic'] },
+                    arrangement: { enum: ARRANGEMENTS },
+                    density: { enum: ['dense', 'normal', 'sparse'] },
+                    sizeVariation: { type: 'boolean' },
+                    size: { enum: ['large', 'small', null] },
+                    region: { enum: [...Object.keys(REGIONS), 'edge', 'corners', null] },
+                    relation: {
+                        enum: [null, 'around:clearing', 'avoid:clearing', 'near:pond', 'around:center']
+                    },
+                    excludedTypes: { type: 'array', items: { enum: Object.keys(TREE_TYPES) } }
+                },
+                required: ['treeCount']
+            }
+        }
+    },
+    required: ['groups']
+};
+
+/**
+ * Whatever a backend sent back -> clean groups. Unknown values fall back
+ * to the parser defaults, counts are clamped to 0-500 and a negative one is
+ * rejected like the parser's ('invalid', nothing planted).
+ * @param {Object} raw - { groups: [...] } or a single group object
+ * @param {Object} defaults - PromptParser defaults
+ * @returns {Object[]} groups in PromptParser's shape
+ */
+export function normalizeGroups(raw, defaults = new PromptParser().defaults) {
+    const list = Array.isArray(raw?.groups) ? raw.groups : [raw ?? {}];
+    const { properties } = PARAMS_SCHEMA.properties.groups.items;
+    const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+
+    const groups = list.filter(group => group && typeof group === 'object').map(group => {
+        const count = Math.round(Number(group.treeCount));
+        const treeCount = Number.isFinite(count) ? Math.max(0, Math.min(count, 500)) : defaults.treeCount;
+        const precision = count < 0 ? 'invalid' : 'exact';
+        const relation = typeof group.relation === 'string' && properties.relation.enum.includes(group.relation)
+            ? { kind: group.relation.split(':')[0], target: group.relation.split(':')[1] }
+            : defaults.relation;
+        const excludedTypes = Array.isArray(group.excludedTypes) ? group.excludedTypes : [];
+
+        return {
+            treeCount,
+            quantity: { value: treeCount, min: treeCount, max: treeCount, precision, relative: null },
+            treeType: pick(group.treeType, properties.treeType.enum, defaults.treeType),
+            arrangement: pick(group.arrangement, properties.arrangement.enum, defaults.arrangement),
+            density: pick(group.density, properties.density.enum, defaults.density),
+            sizeVariation: typeof group.sizeVariation === 'boolean' ? group.sizeVariation : defaults.sizeVariation,
+            size: pick(group.size, properties.size.enum, defaults.size),
+            region: pick(group.region, properties.region.enum, defaults.region),
+            relation,
+            excluded: excludedTypes
+                .filter(type => properties.excludedTypes.items.enum.includes(type))
+                .map(value => ({ attribute: 'treeType', value }))
+        };
+    });
+
+    return groups.length > 0 ? groups : normalizeGroups({}, defaults);
+}
+
+/**
+ * Groups back to the schema's plain JSON - what a backend should answer
+ */
+export function serializeGroups(groups) {
+    return {
+        groups: groups.map(group => ({
+            treeCount: group.treeCount,
+            treeType: group.treeType,
+            arrangement: group.arrangement,
+            density: group.density,
+            sizeVariation: group.sizeVariation,
+            size: group.size ?? null,
+            region: group.region ?? null,
+            relation: group.relation ? `${group.relation.kind}:${group.relation.target}` : null,
+            excludedTypes: (group.excluded ?? [])
+                .filter(exclusion => exclusion.attribute === 'treeType')
+                .map(exclusion => exclusion.value)
+        }))
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HTTP BACKEND - OpenAI-compatible chat completions
+// ═══════════════════════════════════════════════════════════════
+
+const SYSTEM_PROMPT = `You turn a student's description of a forest into scene settings.
+Answer with JSON only, matching this schema:
+${JSON.stringify(PARAMS_SCHEMA)}
+Use one group per part of the prompt ("20 pines in a circle and 10 oaks in a line" = 2 groups).
+Leave out anything the prompt doesn't say.`;
+
+export class HttpInterpreter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - e.g. 'http://localhost:8787/v1'
+     * @param {string} options.model - Model name sent to the endpoint
+     * @param {string} options.apiKey - Sent as a Bearer token if set
+     * @param {number} options.timeoutMs - Give up after this long (default 8000)
+     * @param {PromptParser} options.parser - Writes the interpretation text
+     * @param {Function} options.fetch - For tests; defaults to global fetch
+     */
+    constructor(options = {}) {
+        this.id = 'http';
+        this.name = 'OpenAI-compatible API';
+        this.baseUrl = (options.baseUrl || 'http://localhost:8787/v1').replace(/\/+$/, '');
+        this.model = options.model || 'forest-mock';
+        this.apiKey = options.apiKey || '';
+        this.timeoutMs = options.timeoutMs ?? 8000;
+        this.parser = options.parser || new PromptParser();
+        this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    }
+
+    async interpret(prompt) {
+        const raw = await this.complete(prompt);
+        const parser = this.parser;
+        const groups = normalizeGroups(raw, parser.defaults);
+        const params = groups.length > 1 ? parser.combineGroups(groups) : groups[0];
+        const normalized = parser.normalizePrompt(prompt);
+        const rubric = parser.scorePrompt(prompt, params);
+        const specificity = rubric.score;
+
+        return {
+            params,
+            groups,
+            ambiguities: [],
+            specificity,
+            rubric,
+            interpretation: groups.map(group => parser.generateInterpretation(group)).join(parser.strings.groupJoin),
+            feedback: parser.generateFeedback(params, normalized, specificity),
+            backend: this.id,
+            rawPrompt: prompt,
+            normalized,
+            raw
+        };
+    }
+
+    /**
+     * Ask the endpoint; resolves to the parsed JSON the model answered
+     */
+    async complete(prompt) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                signal: controller.signal,
+                body: JSON.stringify({
+                    model: this.model,
+                    temperature: 0,
+                    response_format: { type: 'json_object' },
+                    messages: [
+                        { role: 'system', content: SYSTEM_PROMPT },
+                        { role: 'user', content: prompt }
+                    ]
+                })
+            });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError'
+                ? `No answer from ${this.baseUrl} after ${this.timeoutMs / 1000}s`
+                : `Can't reach ${this.baseUrl} - is the server running?`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw new Error(`${this.baseUrl} answered HTTP ${response.status}`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch {
+            throw new Error(`${this.baseUrl} didn't answer with JSON - is it an OpenAI-compatible endpoint?`);
+        }
+        const content = data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('The model sent no message back');
+        }
+        try {
+            // Models like to wrap JSON in ```json fences
+            return JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+        } catch {
+            throw new Error('The model answered, but not with JSON');
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// REGISTRY + TEACHER SETTINGS
+// ═══════════════════════════════════════════════════════════════
+
+export const INTERPRETER_BACKENDS = {
+    keyword: { name: 'Keyword rules', create: ({ parser }) => parser || new PromptParser() },
+    http: { name: 'OpenAI-compatible API', create: (options) => new HttpInterpreter(options) }
+};
+
+/**
+ * @param {string} id - Key of INTERPRETER_BACKENDS (unknown ids get 'keyword')
+ * @param {Object} options - Backend options; `parser` is reused by both
+ */
+export function createInterpreter(id, options = {}) {
+    const backend = INTERPRETER_BACKENDS[id] || INTERPRETER_BACKENDS.keyword;
+    return backend.create(options);
+}
+
+const SETTINGS_KEY = 'orbrya-interpreter';
+
+// Never written to storage: the app runs on shared Chromebooks, and the
+// next student in the browser could read a teacher's key
+const UNSAVED_SETTINGS = ['apiKey'];
+
+export const DEFAULT_INTERPRETER_SETTINGS = {
+    backend: 'keyword',
+    compare: false,
+    baseUrl: 'http://localhost:8787/v1',
+    model: 'forest-mock',
+    apiKey: ''
+};
+
+/**
+ * The teacher's backend choice, kept between visits - the API key is not:
+ * it lives only as long as the page (see UNSAVED_SETTINGS)
+ */
+export function loadInterpreterSettings() {
+    try {
+        const saved = JSON.parse(globalThis.localStorage?.getItem(SETTINGS_KEY) || '{}');
+        // A key saved by an older version is wiped, not loaded
+        if (UNSAVED_SETTINGS.some(key => key in saved)) saveInterpreterSettings(saved);
+        return { ...DEFAULT_INTERPRETER_SETTINGS, ...withoutUnsaved(saved) };
+    } catch {
+        return { ...DEFAULT_INTERPRETER_SETTINGS };
+    }
+}
+
+export function saveInterpreterSettings(settings) {
+    globalThis.localStorage?.setItem(SETTINGS_KEY, JSON.stringify(withoutUnsaved(settings)));
+}
+
+function withoutUnsaved(settings) {
+    const kept = { ...settings };
+    UNSAVED_SETTINGS.forEach(key => delete kept[key]);
+    return kept;
+}
+
+export default createInterpreter;
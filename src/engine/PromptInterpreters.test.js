@@ -0,0 +1,145 @@
+/**
+ * PromptInterpreters Test Suite
+ * Start the mock model first: node tools/mock-llm-server.mjs
+ * Then run in browser console: await window.testPromptInterpreters()
+ */
+
+import { PromptParser } from './PromptParser.js';
+import {
+    HttpInterpreter, normalizeGroups, createInterpreter, loadInterpreterSettings, saveInterpreterSettings
+} from './PromptInterpreters.js';
+
+export async function runPromptInterpreterTests({ baseUrl = 'http://localhost:8787/v1' } = {}) {
+    const parser = new PromptParser({ seed: 1 });
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+    const skips = new Map(); // reason → how many tests it skipped
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+    const skip = (reason, count = 1) => skips.set(reason, (skips.get(reason) || 0) + count);
+
+    console.log('═'.repeat(50));
+    console.log('PROMPT INTERPRETERS TEST SUITE');
+    console.log('═'.repeat(50));
+
+    // Whatever a model sends back ends up as valid params
+    console.log('\nSCHEMA TESTS:');
+    const schemaTests = [
+        { name: 'count clamped', raw: { groups: [{ treeCount: 9999 }] }, expected: { treeCount: 500 } },
+        { name: 'zero count kept', raw: { groups: [{ treeCount: 0 }] }, expected: { treeCount: 0 } },
+        { name: 'negative count rejected', raw: { groups: [{ treeCount: -5 }] }, expected: { treeCount: 0 } },
+        { name: 'numeric string count', raw: { treeCount: '12', treeType: 'oak' }, expected: { treeCount: 12, treeType: 'oak' } },
+        { name: 'unknown values fall back', raw: { groups: [{ treeCount: 5, treeType: 'cactus', arrangement: 'spiral' }] }, expected: { treeType: 'generic', arrangement: 'random' } },
+        { name: 'relation string', raw: { groups: [{ treeCount: 5, relation: 'near:pond' }] }, expected: { relation: 'near:pond' } },
+        { name: 'empty answer', raw: null, expected: { treeCount: parser.defaults.treeCount } }
+    ];
+
+    schemaTests.forEach(({ name, raw, expected }) => {
+        const [group] = normalizeGroups(raw, parser.defaults);
+        const actual = { ...group, relation: group.relation ? `${group.relation.kind}:${group.relation.target}` : null };
+        const wrong = Object.entries(expected).filter(([key, value]) => actual[key] !== value);
+        record(name, wrong.length === 0, wrong.map(([key, value]) => `${key}: expected ${value}, got ${actual[key]}`).join(', '));
+    });
+
+    // Keyword backend implements the interface
+    console.log('\nKEYWORD BACKEND TESTS:');
+    const keyword = createInterpreter('keyword', { parser });
+    const keywordResult = await keyword.interpret('30 pine trees in a grid');
+    record('keyword interpret()', keywordResult.backend === 'keyword' && keywordResult.params.treeCount === 30,
+        `got ${keywordResult.backend} / ${keywordResult.params.treeCount}`);
+
+    // HTTP backend against the mock server - same prompt, same params
+    console.log('\nHTTP BACKEND TESTS:');
+    const http = new HttpInterpreter({ baseUrl, parser, timeoutMs: 3000 });
+    const httpPrompts = [
+        '30 pine trees in a grid',
+        '20 birch in a circle and 10 oaks along the edge',
+        'A dozen palms next to the pond, no pine'
+    ];
+
+    let serverUp = true;
+    for (const prompt of httpPrompts) {
+        if (!serverUp) {
+            skip('mock server not running');
+            continue;
+        }
+        try {
+            const result = await http.interpret(prompt);
+            const expected = parser.parsePrompt(prompt).groups;
+            const same = (group, i) => ['treeCount', 'treeType', 'arrangement', 'region'].every(key => group[key] === expected[i]?.[key]);
+            const success = result.backend === 'http' && result.groups.length === expected.length && result.groups.every(same);
+            record(`"${prompt}"`, success, `got ${result.interpretation}`);
+        } catch (error) {
+            if (/Can't reach/.test(error.message)) {
+                serverUp = false;
+                skip('mock server not running');
+                console.log(`⚠️ ${error.message} - start it with: node tools/mock-llm-server.mjs`);
+            } else {
+                record(`"${prompt}"`, false, error.message);
+            }
+        }
+    }
+
+    // Errors come back readable, not as a crash
+    if (serverUp) {
+        const wrongPath = new HttpInterpreter({ baseUrl: `${baseUrl}/missing`, parser, timeoutMs: 3000 });
+        const message = await wrongPath.interpret('10 trees').then(() => 'no error', error => error.message);
+        record('HTTP error is reported', /HTTP 404/.test(message), message);
+    } else {
+        skip('mock server not running');
+    }
+
+    const notJson = new HttpInterpreter({
+        parser,
+        fetch: async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: 'Sure! Here are some trees.' } }] }) })
+    });
+    const notJsonMessage = await notJson.interpret('10 trees').then(() => 'no error', error => error.message);
+    record('non-JSON answer is reported', /not with JSON/.test(notJsonMessage), notJsonMessage);
+
+    // A proxy's HTML error page instead of a JSON body
+    const htmlPage = new HttpInterpreter({
+        parser,
+        fetch: async () => ({ ok: true, json: async () => JSON.parse('<html>Bad Gateway</html>') })
+    });
+    const htmlMessage = await htmlPage.interpret('10 trees').then(() => 'no error', error => error.message);
+    record('non-JSON body is reported', /didn't answer with JSON/.test(htmlMessage), htmlMessage);
+
+    // The API key stays in memory - never in localStorage
+    console.log('\nSETTINGS TESTS:');
+    if (globalThis.localStorage) {
+        const before = globalThis.localStorage.getItem('orbrya-interpreter');
+        saveInterpreterSettings({ backend: 'http', apiKey: 'sk-teacher' });
+        const stored = globalThis.localStorage.getItem('orbrya-interpreter');
+        record('API key is not saved', !stored.includes('sk-teacher') && loadInterpreterSettings().apiKey === '', stored);
+        globalThis.localStorage.setItem('orbrya-interpreter', JSON.stringify({ backend: 'http', apiKey: 'sk-old' }));
+        const loaded = loadInterpreterSettings();
+        const wiped = !globalThis.localStorage.getItem('orbrya-interpreter').includes('sk-old');
+        record('old saved key is ignored and wiped', loaded.apiKey === '' && loaded.backend === 'http' && wiped,
+            `loaded ${loaded.apiKey}, stored ${globalThis.localStorage.getItem('orbrya-interpreter')}`);
+        if (before === null) globalThis.localStorage.removeItem('orbrya-interpreter');
+        else globalThis.localStorage.setItem('orbrya-interpreter', before);
+    } else {
+        skip('no localStorage here', 2);
+    }
+
+    const total = passed + failed;
+    const skipped = [...skips.values()].reduce((sum, n) => sum + n, 0);
+    const skipNote = [...skips].map(([reason, n]) => `${n} skipped - ${reason}`).join(', ');
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed${skipped ? ` (${skipNote})` : ''}`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, skipped, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testPromptInterpreters = runPromptInterpreterTests;
+    console.log('[PromptInterpreters Test] Start node tools/mock-llm-server.mjs, then run await window.testPromptInterpreters()');
+}
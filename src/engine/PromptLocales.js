@@ -0,0 +1,166 @@
+/**
+ * PromptLocales.js - Language Packs for the Prompt Chats
+ *
+ * Everything language-specific about reading and answering prompts lives
+ * in a JSON pack under locales/ (en.json, es.json):
+ *   vocabulary - PromptParser's keyword tables (tree types, arrangements,
+ *                densities, sizes, regions, quantifiers, negation cues...)
+ *   numbers    - spelled-out numbers, number phrases ("half a dozen"),
+ *                scales ("dozen", "mil"), articles and joiners
+ *   phrases    - [pattern, replacement] pairs that rewrite the language's
+ *                own grammar into the cue words the parser's rules know
+ *                ("entre 30 y 40" -> "between 30 to 40", "10 árboles más"
+ *                -> "10 more árboles"). Applied in order after numbers.
+ *   dialogue   - follow-up / fresh start / undo patterns (PromptDialogue)
+ *   strings    - interpretations, questions, feedback, rubric labels
+ *   ui         - the chat (PromptInterface) and Fernie (PromptQuest)
+ *
+ * A pack only needs what differs - anything missing comes from English.
+ * Prompts are matched with accents folded away ("pequeño" = "pequeno"),
+ * so vocabulary, numbers, phrases and dialogue are folded when a pack
+ * loads; strings and ui keep their accents.
+ *
+ * USAGE:
+ * const locale = getLocale('es');
+ * parser.setLocale('es');
+ * translate(locale.ui.fernie, 'challenge', { number: 2, description });
+ */
+
+import en from './locales/en.json' with { type: 'json' };
+import es from './locales/es.json' with { type: 'json' };
+
+export const LOCALES = { en, es };
+
+export const DEFAULT_LOCALE = 'en';
+
+// The parts of a pack that are matched against prompts
+const MATCHED_SECTIONS = ['vocabulary', 'numbers', 'phrases', 'dialogue'];
+
+const SETTINGS_KEY = 'orbrya-locale';
+
+// What escapeHtml() turns each markup character into
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const cache = new Map();
+
+/**
+ * A complete pack for `code` - English fills the gaps, matched sections
+ * are accent-folded. Unknown codes get English.
+ * @param {string} code - 'en', 'es', or a region tag like 'es-MX'
+ */
+export function getLocale(code = DEFAULT_LOCALE) {
+    const key = resolveLocale(code);
+    if (!cache.has(key)) {
+        const pack = LOCALES[key];
+        const locale = key === DEFAULT_LOCALE ? { ...pack } : merge(LOCALES.en, pack);
+        for (const section of MATCHED_SECTIONS) {
+            // Word tables replace English ones whole - Spanish has no "few"
+            const own = pack[section] ?? (section === 'phrases' ? [] : {});
+            const tables = Array.isArray(own) ? own : { ...LOCALES.en[section], ...own };
+            locale[section] = JSON.parse(stripAccents(JSON.stringify(tables)));
+        }
+        cache.set(key, locale);
+    }
+    return cache.get(key);
+}
+
+/**
+ * Add (or replace) a pack at runtime - a teacher's own translation
+ * @param {Object} pack - Same shape as locales/en.json, needs a `code`
+ */
+export function registerLocale(pack) {
+    if (!pack?.code || typeof pack.code !== 'string') {
+        throw new Error('Locale pack needs a language code');
+    }
+    LOCALES[pack.code] = pack;
+    cache.delete(pack.code);
+    return getLocale(pack.code);
+}
+
+/**
+ * The pack code to use for a language tag: 'es-MX' -> 'es', 'fr' -> 'en'
+ */
+export function resolveLocale(code) {
+    const base = String(code ?? '').toLowerCase().split(/[-_]/)[0];
+    return base in LOCALES ? base : DEFAULT_LOCALE;
+}
+
+/**
+ * Look up a string by dotted path and fill in {placeholders}
+ * @param {Object} strings - A pack section (e.g. locale.ui.chat)
+ * @param {string} path - 'feedback.conflict'
+ * @param {Object} vars - { cues: '"grid" and "scattered"' }
+ * @returns {string|*} The path itself when it's missing; arrays and
+ *   objects come back as they are
+ */
+export function translate(strings, path, vars = {}) {
+    const value = path.split('.').reduce((node, key) => node?.[key], strings);
+    if (value === undefined || value === null) return path;
+    return typeof value === 'string' ? format(value, vars) : value;
+}
+
+/**
+ * "{count} trees" + { count: 5 } -> "5 trees" (unknown names stay as they are)
+ */
+export function format(template, vars = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+/**
+ * Text safe to put in innerHTML - the chats quote students' prompts back
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Lower case without accents, same length as the input - so positions
+ * found in the folded text still point into what the student typed
+ */
+export function foldText(text) {
+    return stripAccents(String(text).toLowerCase());
+}
+
+/**
+ * The language picked in either chat, kept between visits - else the
+ * browser's language if there's a pack for it
+ */
+export function loadLocaleSetting() {
+    try {
+        const saved = globalThis.localStorage?.getItem(SETTINGS_KEY);
+        if (saved) return resolveLocale(saved);
+    } catch {
+        // Storage blocked - fall through to the browser language
+    }
+    return resolveLocale(globalThis.navigator?.language);
+}
+
+export function saveLocaleSetting(code) {
+    globalThis.localStorage?.setItem(SETTINGS_KEY, resolveLocale(code));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTERNAL
+// ═══════════════════════════════════════════════════════════════
+
+function stripAccents(text) {
+    // Char by char, so "ñ" -> "n" never changes the length
+    return [...text].map(char => {
+        const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return plain.length === 1 ? plain : char;
+    }).join('');
+}
+
+function merge(base, overrides = {}) {
+    // Objects merge key by key; arrays and values replace
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+            ? merge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+export default getLocale;
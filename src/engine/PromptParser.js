@@ -5,11 +5,77 @@
  * Uses SIMPLE keyword matching (no NLP libraries) to stay N4000-safe.
  * 
  * SUPPORTED PARAMETERS:
- * - treeCount: "50 trees", "about 30", "a few trees"
+ * - treeCount: "50 trees", "twenty-five", "a dozen", "between 30 and 40",
+ *   "3 rows of 8", "about 30", "a few trees", "twice as many", "10 more"
+ *   quantity: { value, min, max, precision, relative } says how sure the
+ *   count is - 'exact', 'approximate', 'range', 'vague', 'relative' or
+ *   'default'. Relative edits start from the group before, else the default.
+ *   "0 trees" and "no trees" are 0; a negative count ("-5 trees") is
+ *   rejected as 'invalid' - that group plants nothing and
+ *   feedback.countProblem says why.
  * - treeType: "pine", "oak", "birch", "palm", "mixed"
  * - arrangement: "random", "grid", "cluster", "line", "circle"
  * - sizeVariation: "varied sizes", "same size", "mixed"
  * - density: "dense", "sparse", "spread out"
+ * - size: "big trees", "small trees" (null = normal)
+ * - region: "in the middle", "along the edge", "north half", "top left corner",
+ *   "in the corners" (null = anywhere)
+ * - relation: "surrounding a clearing", "leave an empty clearing in the
+ *   middle", "next to the pond", "around the middle" (null = none)
+ *   TreeLayouts turns region + relation into placement constraints.
+ * 
+ * MULTI-PART PROMPTS:
+ * "20 pine trees in a circle and 10 oaks in a line along the edge" is split
+ * at "and" / "then" / commas / "plus" into clauses. Every clause with its
+ * own count starts a scene group, and so does one naming a different
+ * species ("pine trees in a grid and oak trees") or trees in a different
+ * arrangement - that group gets the default count. Other clauses ("... and
+ * dense", "and in a circle") add detail to the group before them, where
+ * a contradiction is listed in `ambiguities`. "10 trees in each corner" is
+ * four groups of 10. parsePrompt() returns every group in `groups`, and
+ * `params` sums them up (total count, shared type or "mixed").
+ * 
+ * NEGATION:
+ * "no pine trees", "not in a grid", "anything but dense", "without big
+ * trees" - a negation cue scopes over the words after it. Those words are
+ * kept out of the normal extractors; what they name is excluded (species)
+ * or flipped to its opposite (dense -> sparse, big -> small, "not in the
+ * middle" -> a clearing). Every exclusion lands in `excluded` as
+ * { attribute, value } and is spelled out in the interpretation.
+ * 
+ * AMBIGUITY:
+ * Cues that contradict each other inside one group ("a few" + "dense",
+ * "grid" + "scattered", "pine oak trees") used to lose silently to
+ * whichever keyword came first. parsePrompt() still guesses, but lists
+ * each one in `ambiguities` with the options, the cues, what it chose
+ * and a clarifying question ("Did you mean rows or scattered?").
+ * matchClarification() reads the answer, resolveAmbiguity() applies it.
+ * Vague counts ("some trees") are listed too, as type 'vague'.
+ * 
+ * SCORING:
+ * `specificity` (0-100) comes from a PromptRubric - rubrics/specificity.json
+ * unless options.rubric or setRubric() gives another. `rubric` in the
+ * result breaks the score down per criterion, with the words of the
+ * prompt that earned each one.
+ * 
+ * SPELLING:
+ * "pien trees", "circel", "forrest" - words the tables don't know are read
+ * as the closest one that does (PromptSpelling), and synonyms ("woods",
+ * "christmas tree") as the word they mean. `corrections` in the result
+ * lists both; the interpretation owns up to each guess ("I read 'pien'
+ * as 'pine'").
+ * 
+ * LANGUAGES:
+ * Keyword tables, number words and every sentence the parser writes come
+ * from a locale pack (PromptLocales: locales/en.json, es.json) - pass
+ * options.locale or call setLocale('es'). A pack's phrases rewrite its own
+ * grammar ("entre 30 y 40", "10 árboles más") into the cue words the
+ * count and relation rules below read.
+ * 
+ * RANDOMNESS:
+ * "about 30", ranges and quantifier words ("a few") pick a count at random. The
+ * pick comes from a SeededRandom forked per prompt, so with the same seed
+ * the same prompt always gives the same count; setSeed() switches seeds.
  * 
  * EXAMPLE PROMPTS:
  * - "Create a forest with 50 pine trees"
@@ -17,47 +83,52 @@
  * - "Generate a dense cluster of varied oak trees"
  */
 
+import { SeededRandom } from './SeededRandom.js';
+import { PromptRubric } from './PromptRubric.js';
+import { getLocale, foldText, format } from './PromptLocales.js';
+import { PromptSpelling } from './PromptSpelling.js';
+
+// TreeLayouts.REGIONS a "corners" group is shared between
+const CORNER_REGIONS = ['northwest', 'northeast', 'southwest', 'southeast'];
+
 export class PromptParser {
-    constructor() {
-        // Keyword dictionaries for pattern matching
-        this.treeTypes = {
-            pine: ['pine', 'conifer', 'evergreen', 'fir', 'spruce'],
-            oak: ['oak', 'deciduous', 'leafy'],
-            birch: ['birch', 'white tree', 'silver'],
-            palm: ['palm', 'tropical', 'beach'],
-            generic: ['tree', 'trees', 'forest']
-        };
-        
-        this.arrangements = {
-            random: ['random', 'scattered', 'natural', 'organic', 'wild'],
-            grid: ['grid', 'rows', 'columns', 'organized', 'lined up', 'orderly'],
-            cluster: ['cluster', 'group', 'clump', 'bunch', 'together'],
-            line: ['line', 'row', 'path', 'along', 'border', 'edge'],
-            circle: ['circle', 'ring', 'around', 'circular', 'surround']
-        };
+    /**
+     * @param {Object} options - { seed, rubric, locale } - seed is usually the
+     *   scene's (random if omitted); rubric is rubric JSON (default
+     *   specificity.json); locale is a language code (default 'en')
+     */
+    constructor(options = {}) {
+        // Interpreter backend identity (see PromptInterpreters.js)
+        this.id = 'keyword';
+        this.name = 'Keyword rules';
+        this.random = new SeededRandom(options.seed);
+        this.rubric = new PromptRubric(options.rubric);
         
-        this.densityKeywords = {
-            dense: ['dense', 'thick', 'packed', 'crowded', 'lots of', 'many', 'full'],
-            sparse: ['sparse', 'spread out', 'few', 'scattered', 'minimal', 'light'],
-            normal: ['normal', 'moderate', 'some', 'several']
-        };
+        // Relations to something in the scene. The matched words are
+        // taken out before the region is read, so "around the middle" is a
+        // ring, not the center region. Other languages reach these (and the
+        // count patterns in extractQuantity) through their pack's phrases.
+        this.relationPatterns = [
+            { kind: 'around', target: 'clearing', pattern: /\b(?:surrounding|around|encircling|ringing)\s+(?:an?\s+|the\s+)?(?:empty\s+|open\s+)?clearing\b/ },
+            { kind: 'avoid', target: 'clearing', pattern: /\b(?:(?:empty|open)\s+)?clearing(?:\s+in\s+the\s+(?:middle|center|centre))?\b|\bempty\s+(?:middle|center|centre)\b|\bopen\s+space\s+in\s+the\s+(?:middle|center|centre)\b/ },
+            { kind: 'near', target: 'pond', pattern: /\b(?:next\s+to|near|by|beside|around|surrounding|close\s+to)\s+(?:an?\s+|the\s+)?(?:pond|lake|pool)\b/ },
+            { kind: 'around', target: 'center', pattern: /\b(?:around|surrounding|encircling)\s+the\s+(?:middle|center|centre)\b/ }
+        ];
         
-        this.sizeKeywords = {
-            varied: ['varied', 'different', 'diverse', 'mixed', 'various', 'assorted'],
-            uniform: ['same', 'uniform', 'identical', 'equal', 'consistent'],
-            large: ['large', 'big', 'tall', 'huge', 'giant'],
-            small: ['small', 'tiny', 'short', 'little', 'mini']
+        // Where "not in the north half" sends a group instead
+        this.oppositeRegions = {
+            north: 'south', south: 'north', east: 'west', west: 'east',
+            northeast: 'southwest', southwest: 'northeast',
+            northwest: 'southeast', southeast: 'northwest',
+            edge: 'center', corners: 'center'
         };
         
-        // Quantifier words that modify numbers
-        this.quantifiers = {
-            few: { min: 5, max: 15 },
-            some: { min: 15, max: 35 },
-            several: { min: 20, max: 40 },
-            many: { min: 50, max: 100 },
-            lots: { min: 75, max: 150 },
-            bunch: { min: 30, max: 60 }
-        };
+        // Relative edits without a number: [factor, pattern]
+        this.relativeWords = [
+            [2, /\b(?:twice as many|double)\b/],
+            [3, /\b(?:triple|thrice as many)\b/],
+            [0.5, /\b(?:half as many|halve)\b/]
+        ];
         
         // Default values
         this.defaults = {
@@ -65,8 +136,94 @@ export class PromptParser {
             treeType: 'generic',
             arrangement: 'random',
             sizeVariation: false,
-            density: 'normal'
+            density: 'normal',
+            region: null,
+            relation: null,
+            size: null
         };
+        
+        // Keyword tables, number words and text come from a locale pack
+        this.setLocale(options.locale);
+    }
+
+    /**
+     * Read and answer prompts in another language from now on
+     * @param {string} code - 'en', 'es'... (PromptLocales; unknown = English)
+     */
+    setLocale(code) {
+        const locale = getLocale(code);
+        const { vocabulary, numbers, dialogue } = locale;
+        const words = (list) => list.map(word => word.replace(/\s+/g, '\\s+')).join('|');
+        this.locale = locale.code;
+        this.strings = locale.strings;
+        
+        // Keyword dictionaries for pattern matching
+        this.treeTypes = vocabulary.treeTypes;
+        this.mixedWords = vocabulary.mixedWords;
+        this.arrangements = vocabulary.arrangements;
+        this.densityKeywords = vocabulary.densityKeywords;
+        this.sizeKeywords = vocabulary.sizeKeywords;
+        // Where on the ground a group goes (TreeLayouts.REGIONS)
+        // Checked in order - corners before the halves they'd also match
+        this.regionKeywords = vocabulary.regionKeywords;
+        // Quantifier words that modify numbers
+        this.quantifiers = vocabulary.quantifiers;
+        
+        // Negation: a cue ("no", "not", "without", "anything but") negates
+        // the words after it, up to a boundary once the scope has content
+        this.negationCues = vocabulary.negationCues;
+        this.scopeFillers = vocabulary.scopeFillers;
+        this.scopeBoundaries = vocabulary.scopeBoundaries;
+        this.treeNouns = vocabulary.treeNouns;
+        
+        // Splits multi-part prompts into clauses
+        this.clauseSeparator = new RegExp(`\\s*(?:[,;]|${vocabulary.clauseWords.map(word => `\\b${word}\\b`).join('|')})\\s*`);
+        // "50 trees", "20 pines" - the count that goes with the trees
+        this.countPattern = new RegExp(`\\b(\\d+) (?:\\w+ ){0,2}(?:${vocabulary.countNouns.join('|')})\\b`);
+        this.countNounPattern = new RegExp(`\\b(?:${vocabulary.countNouns.join('|')})\\b`);
+        // "10 trees in each corner" - the count goes in every corner
+        this.perCornerPattern = new RegExp(`\\b(?:${words(vocabulary.perCorner)})\\b`);
+        this.randomPattern = new RegExp(words(vocabulary.randomCues));
+        
+        // Spelled-out numbers (normalizeNumbers turns them into digits)
+        this.numberWords = numbers.words;
+        this.numberPhrases = numbers.phrases;
+        this.numberScales = numbers.scales;
+        this.numberArticles = numbers.articles;
+        this.numberJoiners = numbers.joiners;
+        const phrases = Object.keys(numbers.phrases).sort((a, b) => b.length - a.length);
+        this.numberPhrasePattern = phrases.length > 0 ? new RegExp(`\\b(?:${words(phrases)})\\b`, 'g') : null;
+        
+        // The language's own grammar rewritten into the cue words above
+        this.phrases = locale.phrases.map(([pattern, replacement]) => [new RegExp(pattern, 'g'), replacement]);
+        
+        // Follow-up / start over / undo (PromptDialogue)
+        this.dialoguePatterns = {
+            followUp: new RegExp(dialogue.followUp),
+            fresh: new RegExp(dialogue.fresh),
+            undo: new RegExp(dialogue.undo)
+        };
+        
+        // Misspellings of the words above ("pien", "forrest") are read as
+        // them; words any rule or pattern uses are left alone
+        const tableWords = (...tables) => tables.flatMap(table => Object.values(table).flat());
+        this.spelling = new PromptSpelling({
+            targets: [
+                ...tableWords(this.treeTypes, this.arrangements, this.densityKeywords, this.sizeKeywords, this.regionKeywords),
+                ...this.mixedWords, ...this.treeNouns, ...Object.keys(this.quantifiers),
+                ...Object.keys(this.numberWords), ...Object.keys(this.numberPhrases), ...Object.keys(this.numberScales)
+            ],
+            known: [
+                ...vocabulary.commonWords, ...this.negationCues, ...this.scopeFillers, ...this.scopeBoundaries,
+                ...vocabulary.clauseWords, ...vocabulary.perCorner, ...vocabulary.countNouns, ...vocabulary.ordinals, ...vocabulary.bothWords,
+                ...vocabulary.moreWords, ...vocabulary.fewerWords, ...this.numberArticles, ...this.numberJoiners, 'minus',
+                ...locale.phrases.flat(), ...Object.values(dialogue),
+                ...this.relationPatterns.map(({ pattern }) => pattern.source),
+                ...this.relativeWords.map(([, pattern]) => pattern.source)
+            ],
+            synonyms: vocabulary.synonyms
+        });
+        return this;
     }
 
     /**
@@ -76,27 +233,45 @@ export class PromptParser {
      */
     parsePrompt(userPrompt) {
         const normalizedPrompt = this.normalizePrompt(userPrompt);
+        const clauses = this.splitClauses(userPrompt);
         
-        const params = {
-            treeCount: this.extractNumber(normalizedPrompt),
-            treeType: this.extractTreeType(normalizedPrompt),
-            arrangement: this.extractArrangement(normalizedPrompt),
-            sizeVariation: this.extractSizeVariation(normalizedPrompt),
-            density: this.extractDensity(normalizedPrompt)
-        };
-        
-        // Apply density modifier to tree count if no explicit number given
-        if (params.treeCount === this.defaults.treeCount && params.density !== 'normal') {
-            params.treeCount = this.applyDensityModifier(params.treeCount, params.density);
+        // One group = the whole prompt, exactly as before multi-part support
+        // Later clauses count relative to the one before ("20 pines and
+        // twice as many oaks")
+        const groups = [];
+        const ambiguities = [];
+        for (const clause of clauses.length > 1 ? clauses : [normalizedPrompt]) {
+            const group = this.parseGroup(clause, groups[groups.length - 1]?.treeCount);
+            for (const ambiguity of this.detectAmbiguities(clause, group)) {
+                ambiguities.push({ ...ambiguity, group: groups.length });
+            }
+            groups.push(...this.splitPerCorner(clause, group));
         }
+        const params = groups.length > 1 ? this.combineGroups(groups) : groups[0];
         
-        const specificity = this.calculateSpecificity(normalizedPrompt, params);
-        const interpretation = this.generateInterpretation(params);
+        // Contradicting yourself costs points too (the rubric's penalties)
+        const conflicts = ambiguities.filter(ambiguity => ambiguity.type === 'conflict');
+        const rubric = this.scorePrompt(userPrompt, params, ambiguities);
+        const specificity = rubric.score;
+        // Say which words were guessed at - the AI can misread you too
+        const { corrections } = this.spelling.correct(userPrompt);
+        const misread = this.describeCorrections(corrections);
+        const interpretation = (misread ? `${misread}: ` : '') +
+            groups.map(group => this.generateInterpretation(group)).join(this.strings.groupJoin);
         const feedback = this.generateFeedback(params, normalizedPrompt, specificity);
+        const { conflict: conflictTip, cueJoin } = this.strings.feedback;
+        feedback.suggestions.unshift(...conflicts.map(conflict => format(conflictTip, {
+            cues: conflict.cues.map(cue => `"${cue}"`).join(cueJoin),
+            choice: this.describeOption(conflict.attribute, conflict.chosen)
+        })));
         
         return {
             params,
+            groups,
+            ambiguities,
+            corrections,
             specificity,
+            rubric,
             interpretation,
             feedback,
             rawPrompt: userPrompt,
@@ -105,58 +280,398 @@ export class PromptParser {
     }
 
     /**
-     * Normalize prompt for easier matching
+     * Interpreter interface (PromptInterpreters.js) - same result as
+     * parsePrompt(), async so it can stand in for a remote model
+     */
+    async interpret(userPrompt) {
+        return { ...this.parsePrompt(userPrompt), backend: this.id };
+    }
+
+    /**
+     * Params for one scene group
+     * @param {string} text - Normalized clause (or whole prompt)
+     * @param {number} base - Count that relative edits start from
+     */
+    parseGroup(text, base = this.defaults.treeCount) {
+        // Negated words ("no pine", "not in a grid") are read separately
+        const { negated, rest: positive } = this.extractNegations(text);
+        const quantity = this.extractQuantity(positive, this.random.fork(text), base);
+        const params = {
+            treeCount: quantity.value,
+            quantity,
+            treeType: this.extractTreeType(positive),
+            arrangement: this.extractArrangement(positive),
+            sizeVariation: this.extractSizeVariation(positive),
+            density: this.extractDensity(positive),
+            size: this.extractSize(positive),
+            region: null,
+            relation: null,
+            excluded: []
+        };
+        
+        const { relation, rest } = this.extractRelation(positive);
+        params.relation = relation;
+        params.region = this.extractRegion(rest);
+        
+        for (const scope of negated) {
+            this.applyExclusions(params, scope);
+        }
+        params.excluded = this.uniqueExclusions(params.excluded);
+        // "no trees" asks for none at all
+        if (quantity.precision === 'default' && negated.some(scope => this.namesOnlyTrees(scope))) {
+            params.quantity = { value: 0, min: 0, max: 0, precision: 'exact', relative: null };
+            params.treeCount = 0;
+        }
+        
+        // Apply density modifier to tree count if no explicit number given
+        if (quantity.precision === 'default' && params.density !== 'normal') {
+            params.treeCount = this.applyDensityModifier(params.treeCount, params.density);
+        }
+        
+        return params;
+    }
+
+    /**
+     * Split a prompt into group texts. A clause with its own count starts a
+     * new group, and so does one that names other trees (startsNewGroup);
+     * the rest ("... and dense") belong to the group before.
+     * @returns {string[]} Normalized group texts (one entry = single group)
+     */
+    splitClauses(prompt) {
+        const groups = [];
+        
+        const read = this.translatePhrases(this.normalizeNumbers(this.spelling.correct(prompt).text));
+        for (const clause of read.split(this.clauseSeparator)) {
+            const text = this.normalizePrompt(clause);
+            if (!text) continue;
+            
+            if (groups.length === 0 || this.hasQuantity(text) || this.startsNewGroup(groups[groups.length - 1], text)) {
+                groups.push(text);
+            } else {
+                groups[groups.length - 1] += ` ${text}`;
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Does a clause without a count name trees the group before doesn't
+     * have? "pine trees in a grid and oak trees" is two groups - a different
+     * species, or trees in a different arrangement. "and in a circle" names
+     * no trees, so it stays put and detectAmbiguities() asks which was meant.
+     * @param {string} group - Text of the group so far
+     */
+    startsNewGroup(group, text) {
+        const named = (words) => {
+            const { rest } = this.extractNegations(words);
+            const treeType = this.extractTreeType(rest);
+            return {
+                treeType: treeType === this.defaults.treeType || treeType === 'mixed' ? null : treeType,
+                arrangement: this.findKeyword(rest, this.arrangements),
+                trees: this.countNounPattern.test(rest)
+            };
+        };
+        const before = named(group);
+        const clause = named(text);
+        const differs = (key) => Boolean(before[key] && clause[key] && before[key] !== clause[key]);
+        return differs('treeType') || (clause.trees && differs('arrangement'));
+    }
+
+    /**
+     * "10 trees in each corner" - the same group once per corner, rather
+     * than 10 trees shared between them
+     * @returns {Object[]} The group, or four copies with a corner each
+     */
+    splitPerCorner(text, group) {
+        if (group.region !== 'corners' || !this.perCornerPattern.test(text)) return [group];
+        return CORNER_REGIONS.map(region => ({ ...group, region }));
+    }
+
+    /**
+     * Does this clause say how many? ("20", "a few", "lots of")
+     */
+    hasQuantity(text) {
+        return /\d/.test(text) ||
+            this.relativeWords.some(([, pattern]) => pattern.test(text)) ||
+            Object.keys(this.quantifiers).some(word => new RegExp(`\\b${word}\\b`).test(text));
+    }
+
+    /**
+     * One params object summing up several groups - for challenge checks
+     * and anything else that looks at the scene as a whole
+     */
+    combineGroups(groups) {
+        const [first] = groups;
+        const types = new Set(groups.map(group => group.treeType));
+        const sum = (key) => groups.reduce((total, group) => total + group.quantity[key], 0);
+        // The whole is only as precise as its vaguest part
+        const precisions = ['exact', 'relative', 'approximate', 'range', 'vague', 'default', 'invalid'];
+        const precision = precisions[Math.max(...groups.map(group => precisions.indexOf(group.quantity.precision)))];
+        
+        return {
+            ...first,
+            excluded: this.uniqueExclusions(groups.flatMap(group => group.excluded)),
+            treeCount: groups.reduce((total, group) => total + group.treeCount, 0),
+            quantity: { value: sum('value'), min: sum('min'), max: sum('max'), precision, relative: null },
+            treeType: types.size === 1 ? first.treeType : 'mixed',
+            sizeVariation: groups.some(group => group.sizeVariation)
+        };
+    }
+
+    /**
+     * Only what a follow-up actually mentions ("make them oaks instead" ->
+     * { treeType: 'oak' }) - PromptDialogue lays it over the previous groups
+     * @param {number} base - Count that relative edits start from
+     * @returns {{changes: Object, negated: string[]}} negated scopes are
+     *   applied with applyExclusions() once the changes are in
+     */
+    parseChanges(text, base = this.defaults.treeCount) {
+        const normalized = this.normalizePrompt(text);
+        const { negated, rest } = this.extractNegations(normalized);
+        const changes = {};
+        
+        const quantity = this.extractQuantity(rest, this.random.fork(normalized), base);
+        const addMatch = rest.match(/\badd (\d+)\b/);
+        if (addMatch && !quantity.relative) {
+            // "add 10" on its own means 10 more here
+            const value = Math.max(1, Math.min(base + parseInt(addMatch[1], 10), 500));
+            changes.quantity = { value, min: value, max: value, precision: 'relative', relative: { op: 'add', amount: parseInt(addMatch[1], 10) } };
+        } else if (negated.some(scope => this.namesOnlyTrees(scope))) {
+            changes.quantity = { value: 0, min: 0, max: 0, precision: 'exact', relative: null };
+        } else if (quantity.precision !== 'default' && quantity.precision !== 'invalid') {
+            // A negative count changes nothing
+            changes.quantity = quantity;
+        }
+        
+        const treeType = this.extractTreeType(rest);
+        if (treeType !== 'generic') changes.treeType = treeType;
+        
+        const arrangement = this.findKeyword(rest, this.arrangements);
+        if (arrangement) changes.arrangement = arrangement;
+        
+        const density = this.extractDensity(rest);
+        if (density !== this.defaults.density) changes.density = density;
+        
+        const { varied, uniform } = this.sizeKeywords;
+        const variation = this.findKeyword(rest, { varied, uniform });
+        if (variation) changes.sizeVariation = variation === 'varied';
+        
+        const size = this.extractSize(rest);
+        if (size) changes.size = size;
+        
+        const { relation, rest: withoutRelation } = this.extractRelation(rest);
+        if (relation) changes.relation = relation;
+        const region = this.extractRegion(withoutRelation);
+        if (region) changes.region = region;
+        
+        return { changes, negated };
+    }
+
+    /**
+     * Normalize prompt for easier matching - misspellings and synonyms
+     * read as vocabulary words first ("pien" -> "pine")
      */
     normalizePrompt(prompt) {
-        return prompt
-            .toLowerCase()
+        return this.translatePhrases(this.normalizeNumbers(this.spelling.correct(prompt).text))
             .replace(/[^\w\s]/g, ' ')  // Remove punctuation
             .replace(/\s+/g, ' ')       // Collapse whitespace
             .trim();
     }
 
     /**
-     * Extract tree count from prompt
-     * Handles: "50 trees", "about 30", "a few", "many trees"
+     * Tree count from a prompt - just the number (see extractQuantity)
+     * @param {SeededRandom} random - Picks "about"/range/quantifier counts
+     */
+    extractNumber(prompt, random = this.random) {
+        return this.extractQuantity(prompt, random).value;
+    }
+
+    /**
+     * How many trees, and how sure we are about it
+     * Handles: "50 trees", "twenty-five", "a dozen", "between 30 and 40",
+     * "3 rows of 8", "5 pairs", "about 30", "a few", "twice as many", "10 more"
+     * Expects normalized text (spelled-out numbers already turned into digits)
+     * @param {SeededRandom} random - Picks "about"/range/quantifier counts
+     * @param {number} base - What relative edits ("10 more") start from
+     * @returns {Quantity} { value, min, max, precision, relative }
+     *   precision: 'exact' | 'approximate' | 'range' | 'vague' | 'relative' |
+     *   'default' | 'invalid' (a negative count - value 0)
+     *   relative: { op: 'add' | 'multiply', amount } for edits, else null
      */
-    extractNumber(prompt) {
-        // Pattern 1: Explicit number (e.g., "50 trees", "create 30")
-        const numberMatch = prompt.match(/(\d+)\s*(?:trees?|objects?)?/i);
-        if (numberMatch) {
-            const num = parseInt(numberMatch[1], 10);
-            // Safety bounds
-            return Math.max(1, Math.min(num, 500));
+    extractQuantity(prompt, random = this.random, base = this.defaults.treeCount) {
+        const clamp = (num) => Math.max(0, Math.min(Math.round(num), 500)); // Safety bounds
+        const exact = (num) => {
+            const value = clamp(num);
+            return { value, min: value, max: value, precision: 'exact', relative: null };
+        };
+        const between = (min, max, precision) => {
+            const low = clamp(Math.min(min, max));
+            const high = clamp(Math.max(min, max));
+            return { value: random.int(low, high), min: low, max: high, precision, relative: null };
+        };
+        const relative = (op, amount) => {
+            const value = clamp(op === 'add' ? base + amount : base * amount);
+            return { value, min: value, max: value, precision: 'relative', relative: { op, amount } };
+        };
+        
+        // "-5 trees" (normalizeNumbers wrote the sign as "minus") - rejected,
+        // not read as 5
+        if (/\bminus \d/.test(prompt)) {
+            return { value: 0, min: 0, max: 0, precision: 'invalid', relative: null };
         }
         
-        // Pattern 2: "about/around N"
-        const aboutMatch = prompt.match(/(?:about|around|approximately|roughly)\s*(\d+)/i);
+        // Relative edits: "10 more", "5 fewer", "twice as many", "halve"
+        const moreMatch = prompt.match(/\b(\d+) (?:more|extra|additional)\b/);
+        if (moreMatch) return relative('add', parseInt(moreMatch[1], 10));
+        
+        const fewerMatch = prompt.match(/\b(\d+) (?:fewer|less)\b/) ||
+            prompt.match(/\b(?:remove|take away|cut down|delete) (\d+)\b/);
+        if (fewerMatch) return relative('add', -parseInt(fewerMatch[1], 10));
+        
+        const timesMatch = prompt.match(/\b(\d+) times (?:as many|more)\b/);
+        if (timesMatch) return relative('multiply', parseInt(timesMatch[1], 10));
+        
+        for (const [factor, pattern] of this.relativeWords) {
+            if (pattern.test(prompt)) return relative('multiply', factor);
+        }
+        
+        // Multipliers: "3 rows of 8", "4 groups of 5", "6 pairs of oaks"
+        const groupsMatch = prompt.match(/\b(\d+) (?:rows?|lines?|columns?|groups?|clusters?|circles?|rings?|sets?) of (\d+)\b/);
+        if (groupsMatch) return exact(parseInt(groupsMatch[1], 10) * parseInt(groupsMatch[2], 10));
+        
+        const pairsMatch = prompt.match(/\b(\d+) pairs?\b/);
+        if (pairsMatch) return exact(parseInt(pairsMatch[1], 10) * 2);
+        
+        // Ranges: "between 30 and 40", "30-40", "from 30 to 40", "2 or 3"
+        const rangeMatch = prompt.match(/\b(\d+) (?:to|or) (\d+)\b/);
+        if (rangeMatch) return between(parseInt(rangeMatch[1], 10), parseInt(rangeMatch[2], 10), 'range');
+        
+        // "about/around N" - checked before plain numbers, which it contains
+        const aboutMatch = prompt.match(/\b(?:about|around|approximately|roughly|nearly|almost|some|maybe)\s*(\d+)/);
         if (aboutMatch) {
             const num = parseInt(aboutMatch[1], 10);
-            // Add slight randomness for "about"
             const variance = Math.floor(num * 0.1);
-            return Math.max(1, Math.min(num + Math.floor(Math.random() * variance * 2) - variance, 500));
+            return between(num - variance, num + variance, 'approximate');
         }
         
-        // Pattern 3: Quantifier words
+        // Explicit number - prefer the one next to the trees ("in 2 lines
+        // with 12 trees" is 12), else the first one
+        const treeMatch = prompt.match(this.countPattern);
+        const numberMatch = treeMatch || prompt.match(/\b(\d+)\b/);
+        if (numberMatch) return exact(parseInt(numberMatch[1], 10));
+        
+        // Quantifier words
         for (const [word, range] of Object.entries(this.quantifiers)) {
             const regex = new RegExp(`\\b${word}\\b`, 'i');
             if (regex.test(prompt)) {
-                // Pick a random number in the range
-                return Math.floor(Math.random() * (range.max - range.min + 1)) + range.min;
+                return between(range.min, range.max, 'vague');
             }
         }
         
-        // Pattern 4: "a forest" implies moderate count
+        // "a forest" implies moderate count
         if (/\bforest\b/i.test(prompt)) {
-            return 50;
+            return { ...exact(50), precision: 'vague' };
         }
         
-        // Pattern 5: "a tree" (singular) = 1
+        // "a tree" (singular) = 1
         if (/\ba tree\b/i.test(prompt) && !/trees/i.test(prompt)) {
-            return 1;
+            return exact(1);
+        }
+        
+        const value = this.defaults.treeCount;
+        return { value, min: value, max: value, precision: 'default', relative: null };
+    }
+
+    /**
+     * Spelled-out numbers to digits: "twenty-five" -> "25", "a dozen" ->
+     * "12", "one hundred and fifty" -> "150", "30-40" -> "30 to 40",
+     * "-5" -> "minus 5" (the sign would go with the punctuation). Runs
+     * before punctuation is stripped and before clauses are split, so
+     * "between 30 and 40" doesn't become two groups. Lower-cases and
+     * folds accents ("dieciséis" -> "dieciseis") on the way.
+     */
+    normalizeNumbers(text) {
+        let folded = foldText(text)
+            .replace(/(\d)\s*-\s*(\d)/g, '$1 to $2')
+            .replace(/(^|[^\w-])-\s*(?=\d)/g, '$1minus ');
+        if (this.numberPhrasePattern) {
+            // "half a dozen", "a couple of", "media docena"
+            folded = folded.replace(this.numberPhrasePattern, phrase =>
+                String(this.numberPhrases[phrase.replace(/\s+/g, ' ')]));
+        }
+        const pieces = folded.split(/([^a-z0-9]+)/); // Words at even indexes, separators between
+        
+        const out = [];
+        for (let i = 0; i < pieces.length; i += 2) {
+            const number = this.readNumberWords(pieces, i);
+            if (number) {
+                out.push(String(number.value));
+                i = number.last;
+            } else {
+                out.push(pieces[i]);
+            }
+            if (i + 1 < pieces.length) out.push(pieces[i + 1]);
         }
         
-        return this.defaults.treeCount;
+        return out.join('').replace(/\bbetween (\d+) and (\d+)\b/g, 'between $1 to $2');
+    }
+
+    /**
+     * Read one spelled-out number starting at pieces[start]
+     * @returns {{value: number, last: number}|null} last = index of its final word
+     */
+    readNumberWords(pieces, start) {
+        const scales = this.numberScales;
+        let total = 0;
+        let current = 0;
+        let last = -1;
+        
+        for (let i = start; i < pieces.length; i += 2) {
+            if (i > start && !/^[\s-]+$/.test(pieces[i - 1])) break;
+            const word = pieces[i];
+            const next = pieces[i + 2];
+            
+            if (word in this.numberWords) {
+                current += this.numberWords[word];
+            } else if (scales[word] >= 1000) {
+                total += (current || 1) * scales[word];
+                current = 0;
+            } else if (word in scales) {
+                current = (current || 1) * scales[word]; // "dozen", "hundred"
+            } else if (i === start && (this.numberArticles.includes(word) || /^\d+$/.test(word)) && next in scales) {
+                current = /^\d+$/.test(word) ? parseInt(word, 10) : 1; // "a dozen", "3 dozen"
+            } else if (this.numberJoiners.includes(word) && last >= 0 && this.canJoin(pieces[last], next)) {
+                continue; // "one hundred and fifty", "treinta y cinco"
+            } else {
+                break;
+            }
+            last = i;
+        }
+        
+        return last >= 0 ? { value: total + current, last } : null;
+    }
+
+    /**
+     * May "and"/"y" join these two number words? After a hundred or a
+     * thousand anything can follow; after a tens word only a unit
+     * ("treinta y cinco") - so "between thirty and forty" stays two numbers
+     */
+    canJoin(previous, next) {
+        if (this.numberScales[previous] >= 100) {
+            return next in this.numberWords || next in this.numberScales;
+        }
+        const tens = this.numberWords[previous];
+        const unit = this.numberWords[next];
+        return tens >= 20 && tens < 100 && tens % 10 === 0 && unit >= 1 && unit <= 9;
+    }
+
+    /**
+     * Rewrite the locale's own grammar into the cue words the rules read
+     * ("entre 30 y 40" -> "between 30 to 40"); English has none to rewrite
+     * @param {string} text - Already through normalizeNumbers()
+     */
+    translatePhrases(text) {
+        return this.phrases.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
     }
 
     /**
@@ -174,7 +689,7 @@ export class PromptParser {
         }
         
         // Check for "mixed" or "variety"
-        if (/mixed|variety|different types|various/i.test(prompt)) {
+        if (this.mixedWords.some(word => prompt.includes(word))) {
             return 'mixed';
         }
         
@@ -185,20 +700,7 @@ export class PromptParser {
      * Extract arrangement pattern from prompt
      */
     extractArrangement(prompt) {
-        for (const [pattern, keywords] of Object.entries(this.arrangements)) {
-            for (const keyword of keywords) {
-                // Use word boundary for single words, includes for phrases
-                const regex = keyword.includes(' ') 
-                    ? new RegExp(keyword, 'i')
-                    : new RegExp(`\\b${keyword}\\b`, 'i');
-                    
-                if (regex.test(prompt)) {
-                    return pattern;
-                }
-            }
-        }
-        
-        return this.defaults.arrangement;
+        return this.findKeyword(prompt, this.arrangements) ?? this.defaults.arrangement;
     }
 
     /**
@@ -223,23 +725,347 @@ export class PromptParser {
         return this.defaults.sizeVariation;
     }
 
+    /**
+     * Extract tree size ("big trees", "small trees" - null = normal)
+     */
+    extractSize(prompt) {
+        const { large, small } = this.sizeKeywords;
+        return this.findKeyword(prompt, { large, small }) ?? this.defaults.size;
+    }
+
     /**
      * Extract density preference
      */
     extractDensity(prompt) {
-        for (const [level, keywords] of Object.entries(this.densityKeywords)) {
+        // "twice as many" is a count, not "many" trees
+        const text = prompt.replace(/\b(?:as|so|how) many\b/g, ' ');
+        return this.findKeyword(text, this.densityKeywords) ?? this.defaults.density;
+    }
+
+    /**
+     * First key of `table` whose keywords appear as whole words, or null
+     * @param {Object<string, string[]>} table - e.g. this.arrangements
+     */
+    findKeyword(prompt, table) {
+        for (const [key, keywords] of Object.entries(table)) {
             for (const keyword of keywords) {
-                const regex = keyword.includes(' ')
-                    ? new RegExp(keyword, 'i')
-                    : new RegExp(`\\b${keyword}\\b`, 'i');
-                    
-                if (regex.test(prompt)) {
-                    return level;
+                if (new RegExp(`\\b${keyword}\\b`, 'i').test(prompt)) {
+                    return key;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Split negated words from the rest: "pines not in a grid" ->
+     * negated ["in a grid"], rest "pines". A scope runs from the cue until
+     * a boundary word ("in", "with", "and"...) once it has content, a
+     * number, or after a tree noun - so "no pine trees in a circle" only
+     * negates the pines, while "no trees in the middle" negates the middle.
+     * @returns {{negated: string[], rest: string}}
+     */
+    extractNegations(prompt) {
+        const words = prompt.split(' ');
+        const negated = [];
+        const kept = [];
+        
+        for (let i = 0; i < words.length;) {
+            const cue = this.negationCues.find(phrase =>
+                phrase.split(' ').every((word, k) => words[i + k] === word));
+            if (!cue) {
+                kept.push(words[i++]);
+                continue;
+            }
+            
+            const scope = [];
+            let content = false;
+            i += cue.split(' ').length;
+            while (i < words.length && scope.length < 5) {
+                const word = words[i];
+                if (/^\d/.test(word) || (content && this.scopeBoundaries.includes(word))) break;
+                scope.push(word);
+                i++;
+                if (this.treeNouns.includes(word)) {
+                    if (content) break;
+                } else if (!this.scopeFillers.includes(word) && !this.scopeBoundaries.includes(word)) {
+                    content = true;
+                }
+            }
+            if (scope.length > 0) negated.push(scope.join(' '));
+        }
+        
+        return { negated, rest: kept.join(' ') };
+    }
+
+    /**
+     * Does a negated scope name just trees ("no trees", "not any trees")?
+     * Then it's a count of zero rather than something to leave out -
+     * "no pine trees" and "no trees in the middle" name more than that.
+     */
+    namesOnlyTrees(scope) {
+        const words = scope.split(' ').filter(word => !this.scopeFillers.includes(word));
+        return words.length > 0 && words.every(word => this.treeNouns.includes(word));
+    }
+
+    /**
+     * Exclusions without repeats - "no oaks" said twice, or by two groups,
+     * is one exclusion
+     */
+    uniqueExclusions(excluded) {
+        const key = ({ attribute, value }) => `${attribute}:${JSON.stringify(value)}`;
+        return excluded.filter((exclusion, i) => excluded.findIndex(other => key(other) === key(exclusion)) === i);
+    }
+
+    /**
+     * Apply one negated scope to params: exclude what it names, or flip
+     * it to the opposite where there is one. Each exclusion is recorded in
+     * params.excluded as { attribute, value }.
+     */
+    applyExclusions(params, scope) {
+        const exclude = (attribute, value) => params.excluded.push({ attribute, value });
+        
+        // Every species named - "no birch or palm"
+        for (const [treeType, keywords] of Object.entries(this.treeTypes)) {
+            if (treeType === 'generic' || !keywords.some(keyword => scope.includes(keyword))) continue;
+            exclude('treeType', treeType);
+            // "no pine" alone = every other species
+            if (params.treeType === 'generic' || params.treeType === treeType) {
+                params.treeType = 'mixed';
+            }
+        }
+        
+        const arrangement = this.findKeyword(scope, this.arrangements);
+        if (arrangement) {
+            exclude('arrangement', arrangement);
+            if (params.arrangement === arrangement) {
+                params.arrangement = arrangement === 'random' ? 'grid' : 'random';
+            }
+        }
+        
+        const density = this.findKeyword(scope, this.densityKeywords);
+        if (density && density !== 'normal') {
+            exclude('density', density);
+            if (params.density === density || params.density === 'normal') {
+                params.density = density === 'dense' ? 'sparse' : 'dense';
+            }
+        }
+        
+        const { varied, uniform } = this.sizeKeywords;
+        const variation = this.findKeyword(scope, { varied, uniform });
+        if (variation) {
+            exclude('sizeVariation', variation);
+            params.sizeVariation = variation === 'uniform';
+        }
+        
+        const size = this.extractSize(scope);
+        if (size) {
+            exclude('size', size);
+            if (params.size === size || params.size === null) {
+                params.size = size === 'large' ? 'small' : 'large';
+            }
+        }
+        
+        const { relation, rest } = this.extractRelation(scope);
+        if (relation) {
+            exclude('relation', relation);
+            return;
+        }
+        const region = this.extractRegion(rest);
+        if (region) {
+            exclude('region', region);
+            if (params.region === region || params.region === null) {
+                // "not in the middle" = leave the middle empty
+                if (region === 'center') {
+                    params.region = null;
+                    params.relation = params.relation ?? { kind: 'avoid', target: 'clearing' };
+                } else {
+                    params.region = this.oppositeRegions[region];
                 }
             }
         }
+    }
+
+    /**
+     * Every key of `table` with a matching keyword, in table order. A
+     * matched keyword is blanked out first, so "top left" counts as the
+     * northwest corner only, not also the west half.
+     * @returns {Array<{key: string, keyword: string}>}
+     */
+    findAllKeywords(prompt, table, suffix = '') {
+        let text = prompt;
+        const matches = [];
+        for (const [key, keywords] of Object.entries(table)) {
+            for (const keyword of keywords) {
+                const regex = new RegExp(`\\b${keyword}${suffix}\\b`, 'i');
+                const match = text.match(regex);
+                if (!match) continue;
+                if (!matches.some(found => found.key === key)) matches.push({ key, keyword: match[0] });
+                text = text.replace(regex, ' ');
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Cues in one group that pull in different directions ("a few" +
+     * "dense", "grid" + "scattered"), plus counts left vague ("some")
+     * @param {string} text - The group's normalized text
+     * @param {Object} params - What parseGroup made of it
+     * @returns {Ambiguity[]} { type: 'conflict'|'vague', attribute, options,
+     *   cues, chosen, question } - `chosen` is what the parser guessed
+     */
+    detectAmbiguities(text, params) {
+        // Negated and relation words don't count ("not in a grid", "around the pond")
+        const { rest: positive } = this.extractNegations(text);
+        const { rest } = this.extractRelation(positive.replace(/\b(?:as|so|how) many\b/g, ' '));
+        const { dense, sparse } = this.densityKeywords;
+        const { varied, uniform, large, small } = this.sizeKeywords;
+        const { generic, ...species } = this.treeTypes;
+        const ambiguities = [];
+        
+        const check = (attribute, matches, options = matches.map(match => match.key)) => {
+            if (matches.length < 2) return;
+            const chosen = attribute === 'sizeVariation'
+                ? (params.sizeVariation ? 'varied' : 'uniform')
+                : params[attribute];
+            ambiguities.push({
+                type: 'conflict',
+                attribute,
+                options,
+                cues: matches.map(match => match.keyword),
+                chosen,
+                question: this.clarifyingQuestion(attribute, options)
+            });
+        };
+        
+        check('arrangement', this.findAllKeywords(rest, this.arrangements));
+        check('density', this.findAllKeywords(rest, { dense, sparse }));
+        check('size', this.findAllKeywords(rest, { large, small }));
+        check('sizeVariation', this.findAllKeywords(rest, { varied, uniform }));
+        check('region', this.findAllKeywords(rest, this.regionKeywords));
+        // Two species and no "mixed" - both, or one of them?
+        if (params.treeType !== 'mixed') {
+            const types = this.findAllKeywords(rest, species, '(?:e?s)?');
+            check('treeType', types, [...types.map(match => match.key), 'mixed']);
+        }
         
-        return this.defaults.density;
+        const { quantity } = params;
+        if (quantity?.precision === 'vague' && quantity.min !== quantity.max) {
+            ambiguities.push({
+                type: 'vague',
+                attribute: 'treeCount',
+                options: [quantity.min, quantity.max],
+                cues: [],
+                chosen: quantity.value,
+                question: format(this.strings.options.countQuestion, { min: quantity.min, max: quantity.max })
+            });
+        }
+        
+        return ambiguities;
+    }
+
+    /**
+     * "Did you mean rows or scattered?"
+     */
+    clarifyingQuestion(attribute, options) {
+        const labels = options.map(option => this.describeOption(attribute, option));
+        const last = labels.pop();
+        return format(this.strings.options.question, { options: labels.join(', '), last });
+    }
+
+    /**
+     * Short, plain-words name for one answer to a clarifying question
+     */
+    describeOption(attribute, option) {
+        const labels = this.strings.options;
+        if (attribute === 'region') return this.describeRegion(option);
+        if (attribute === 'treeType' && option !== 'mixed') {
+            return format(labels.typedTrees, { type: this.strings.typeNames[option] || option });
+        }
+        return labels[attribute]?.[option] ?? String(option);
+    }
+
+    /**
+     * Which option a reply to a clarifying question picks ("rows", "the
+     * second one", "a mix", "about 20"), or null if it doesn't answer it
+     */
+    matchClarification(ambiguity, reply) {
+        const text = this.normalizePrompt(reply);
+        const { attribute, options } = ambiguity;
+        const { vocabulary } = getLocale(this.locale);
+        const anyWord = (words) => new RegExp(`\\b(?:${words.join('|')})\\b`).test(text);
+        
+        if (attribute === 'treeCount') {
+            const number = text.match(/\b(\d+)\b/);
+            if (number) return Math.max(1, Math.min(parseInt(number[1], 10), 500));
+            if (anyWord(vocabulary.moreWords)) return options[1];
+            if (anyWord(vocabulary.fewerWords)) return options[0];
+            return null;
+        }
+        
+        // "the first one", "the second"
+        const ordinal = vocabulary.ordinals.findIndex(word => new RegExp(`\\b${word}\\b`).test(text));
+        if (ordinal !== -1 && ordinal < options.length) return options[ordinal];
+        
+        if (attribute === 'treeType' && anyWord(vocabulary.bothWords)) return 'mixed';
+        
+        // The option's own label or any of its keywords
+        const tables = {
+            arrangement: this.arrangements,
+            density: this.densityKeywords,
+            size: this.sizeKeywords,
+            sizeVariation: this.sizeKeywords,
+            region: this.regionKeywords,
+            treeType: this.treeTypes
+        };
+        const choices = {};
+        for (const option of options) {
+            choices[option] = [foldText(this.describeOption(attribute, option)), ...(tables[attribute]?.[option] ?? [])];
+        }
+        const suffix = attribute === 'treeType' ? '(?:e?s)?' : '';
+        return this.findAllKeywords(text, choices, suffix)[0]?.key ?? null;
+    }
+
+    /**
+     * Group with a clarified answer filled in
+     */
+    resolveAmbiguity(group, ambiguity, option) {
+        const next = { ...group };
+        if (ambiguity.attribute === 'treeCount') {
+            next.treeCount = option;
+            next.quantity = { value: option, min: option, max: option, precision: 'exact', relative: null };
+        } else if (ambiguity.attribute === 'sizeVariation') {
+            next.sizeVariation = option === 'varied';
+        } else {
+            next[ambiguity.attribute] = option;
+        }
+        return next;
+    }
+
+    /**
+     * Extract a relation to a scene feature ("next to the pond")
+     * @returns {{relation: {kind, target}|null, rest: string}} rest = prompt without the relation words
+     */
+    extractRelation(prompt) {
+        for (const { kind, target, pattern } of this.relationPatterns) {
+            const match = prompt.match(pattern);
+            if (match) {
+                return {
+                    relation: { kind, target },
+                    rest: prompt.replace(match[0], ' ').replace(/\s+/g, ' ').trim()
+                };
+            }
+        }
+        
+        return { relation: this.defaults.relation, rest: prompt };
+    }
+
+    /**
+     * Extract where on the ground the trees go (null = anywhere)
+     */
+    extractRegion(prompt) {
+        return this.findKeyword(prompt, this.regionKeywords) ?? this.defaults.region;
     }
 
     /**
@@ -256,87 +1082,180 @@ export class PromptParser {
         }
     }
 
+    /**
+     * Pick counts from another seed from now on - the scene's, when it
+     * switches (SceneController.addSeedCallback)
+     * @param {number|string} seed - Random if omitted
+     */
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        return this;
+    }
+
+    /**
+     * Grade with a different rubric from now on
+     * @param {Object} definition - Rubric JSON; throws if it's invalid
+     */
+    setRubric(definition) {
+        this.rubric = new PromptRubric(definition);
+    }
+
+    /**
+     * Per-criterion breakdown of how specific a prompt is
+     * @param {string} prompt - As typed - evidence spans point into it
+     * @returns {RubricBreakdown} { score, criteria: [{ id, label, points, maxPoints, evidence }], penalties }
+     */
+    scorePrompt(prompt, params, ambiguities = []) {
+        const breakdown = this.rubric.score(prompt, { params, ambiguities }, this);
+        // Labels and tips in the chat's language (strings.rubric, by id)
+        const translated = (item) => ({ ...item, ...this.strings.rubric[item.id] });
+        return { ...breakdown, criteria: breakdown.criteria.map(translated), penalties: breakdown.penalties.map(translated) };
+    }
+
     /**
      * Calculate specificity score (0-100)
      * Higher = more detailed prompt
      */
     calculateSpecificity(prompt, params) {
-        let score = 0;
-        const maxScore = 100;
-        
-        // Points for explicit number (30 pts)
-        if (/\d+/.test(prompt)) {
-            score += 30;
-        } else if (Object.keys(this.quantifiers).some(q => prompt.includes(q))) {
-            score += 15; // Partial credit for quantifier words
-        }
-        
-        // Points for tree type (20 pts)
-        if (params.treeType !== 'generic') {
-            score += 20;
-        }
-        
-        // Points for arrangement (20 pts)
-        if (params.arrangement !== 'random') {
-            score += 20;
-        }
-        
-        // Points for size specification (15 pts)
-        const hasSizeKeyword = [...this.sizeKeywords.varied, ...this.sizeKeywords.uniform, 
-                               ...this.sizeKeywords.large, ...this.sizeKeywords.small]
-                               .some(k => prompt.includes(k));
-        if (hasSizeKeyword) {
-            score += 15;
-        }
-        
-        // Points for density (15 pts)
-        if (params.density !== 'normal') {
-            score += 15;
-        }
-        
-        return Math.min(score, maxScore);
+        return this.scorePrompt(prompt, params).score;
     }
 
     /**
      * Generate human-readable interpretation of parsed params
      */
     generateInterpretation(params) {
+        const text = this.strings.interpretation;
         const parts = [];
         
-        // Count
-        parts.push(`${params.treeCount} ${params.treeCount === 1 ? 'tree' : 'trees'}`);
-        
-        // Type
-        if (params.treeType !== 'generic') {
-            parts[0] = `${params.treeCount} ${params.treeType} ${params.treeCount === 1 ? 'tree' : 'trees'}`;
+        // Count + type
+        parts.push(this.describeTrees(params));
+        const quantity = params.quantity;
+        if (quantity && quantity.min !== quantity.max) {
+            parts[0] += format(text.pickedFrom, { min: quantity.min, max: quantity.max });
+        } else if (quantity?.relative) {
+            const { op, amount } = quantity.relative;
+            parts[0] += op === 'add'
+                ? ` (${amount < 0 ? amount : `+${amount}`})`
+                : ` (×${amount})`;
         }
         
         // Arrangement
         if (params.arrangement !== 'random') {
-            parts.push(`in a ${params.arrangement} pattern`);
+            parts.push(format(text.pattern, { arrangement: this.strings.arrangementNames[params.arrangement] || params.arrangement }));
         } else {
-            parts.push('randomly placed');
+            parts.push(text.randomlyPlaced);
         }
         
         // Size variation
         if (params.sizeVariation) {
-            parts.push('with varied sizes');
+            parts.push(text.variedSizes);
+        }
+        if (params.size) {
+            parts.push(params.size === 'large' ? text.grownLarge : text.keptSmall);
         }
         
         // Density
         if (params.density === 'dense') {
-            parts.push('packed densely');
+            parts.push(text.packedDensely);
         } else if (params.density === 'sparse') {
-            parts.push('spread out');
+            parts.push(text.spreadOut);
+        }
+        
+        // Region + relation
+        if (params.region) {
+            parts.push(this.describeRegion(params.region));
+        }
+        if (params.relation) {
+            parts.push(this.describeRelation(params.relation));
+        }
+        
+        // What the prompt ruled out
+        for (const exclusion of params.excluded ?? []) {
+            parts.push(this.describeExclusion(exclusion));
         }
         
         return parts.join(', ');
     }
 
+    /**
+     * "I read 'pien' as 'pine' and 'circel' as 'circle'" - misspellings
+     * only (a synonym is understood, not guessed). '' if there are none.
+     * @param {Correction[]} corrections - From PromptSpelling.correct()
+     */
+    describeCorrections(corrections = []) {
+        const { misread, readAs } = this.strings.interpretation;
+        const guesses = corrections.filter(({ kind }) => kind === 'spelling')
+            .filter(({ typed }, i, all) => all.findIndex(other => other.typed === typed) === i)
+            .map(({ typed, read }) => format(readAs, { typed, read }));
+        if (guesses.length === 0) return '';
+        // "'a' as 'b', 'c' as 'd' and 'e' as 'f'"
+        const last = guesses.pop();
+        const list = guesses.length > 0 ? `${guesses.join(', ')}${this.strings.feedback.cueJoin}${last}` : last;
+        return format(misread, { list });
+    }
+
+    /**
+     * Read a word or phrase as a vocabulary word from now on ("xmas
+     * tree" -> "pine tree") - until the locale changes
+     * @param {Object<string, string>} synonyms
+     */
+    addSynonyms(synonyms) {
+        this.spelling.addSynonyms(synonyms);
+        return this;
+    }
+
+    /**
+     * "30 pine trees", "1 tree"
+     */
+    describeTrees({ treeCount, treeType }) {
+        const trees = treeCount === 1 ? this.strings.tree : this.strings.trees;
+        return treeType !== 'generic'
+            ? format(this.strings.interpretation.typedCount, { count: treeCount, type: this.strings.typeNames[treeType] || treeType, trees })
+            : format(this.strings.interpretation.count, { count: treeCount, trees });
+    }
+
+    /**
+     * "no pine trees", "not in a grid pattern", "not dense"...
+     */
+    describeExclusion({ attribute, value }) {
+        const { exclusions, typeNames, arrangementNames, sizeNames } = this.strings;
+        switch (attribute) {
+            case 'treeType':
+                return format(exclusions.treeType, { value: typeNames[value] || value });
+            case 'arrangement':
+                return format(exclusions.arrangement, { value: arrangementNames[value] || value });
+            case 'size':
+                return format(exclusions.size, { value: sizeNames[value] || value });
+            case 'sizeVariation':
+                return value === 'varied' ? exclusions.varied : exclusions.uniform;
+            case 'region':
+                return format(exclusions.other, { value: this.describeRegion(value) });
+            case 'relation':
+                return format(exclusions.other, { value: this.describeRelation(value) });
+            default:
+                return format(exclusions.other, { value: this.strings.densityNames[value] || value });
+        }
+    }
+
+    describeRegion(region) {
+        const regions = this.strings.regions;
+        if (['corners', 'edge', 'center'].includes(region)) return regions[region];
+        const side = regions.sides[region] || region;
+        return ['north', 'south', 'east', 'west'].includes(region)
+            ? format(regions.half, { side })
+            : format(regions.corner, { side });
+    }
+
+    describeRelation({ kind, target }) {
+        const relations = this.strings.relations;
+        return relations[`${kind}:${target}`] || format(relations.other, { kind, target });
+    }
+
     /**
      * Generate feedback for the student about their prompt
      */
     generateFeedback(params, prompt, specificity) {
+        const text = this.strings.feedback;
         const feedback = {
             message: '',
             suggestions: [],
@@ -345,26 +1264,41 @@ export class PromptParser {
         
         if (specificity >= 70) {
             feedback.quality = 'excellent';
-            feedback.message = '✨ Great prompt! Very specific and clear.';
+            feedback.message = text.excellent;
         } else if (specificity >= 40) {
             feedback.quality = 'good';
-            feedback.message = '👍 Good prompt! Here\'s what I understood:';
+            feedback.message = text.good;
         } else {
             feedback.quality = 'needs_detail';
-            feedback.message = '💡 Your prompt could be more specific. I\'ll use defaults for missing details.';
+            feedback.message = text.needsDetail;
+        }
+        
+        // Say what was ruled out - "no pine" only works if it's read as a "no"
+        const excluded = (params.excluded ?? []).map(exclusion => this.describeExclusion(exclusion));
+        feedback.excluded = excluded;
+        if (excluded.length > 0) {
+            feedback.message += format(text.leftOut, { list: excluded.join(', ') });
+        }
+        
+        // Nothing to plant - say so instead of showing an empty forest
+        feedback.countProblem = params.quantity?.precision === 'invalid' ? text.negativeCount
+            : params.treeCount === 0 ? text.noTrees
+            : null;
+        if (feedback.countProblem) {
+            feedback.message += ` ${feedback.countProblem}`;
         }
         
         // Add suggestions for improvement
-        if (!/\d+/.test(prompt) && !Object.keys(this.quantifiers).some(q => prompt.includes(q))) {
-            feedback.suggestions.push('Try specifying a number (e.g., "50 trees")');
+        if (params.treeCount > 0 && !/\d+/.test(prompt) && !Object.keys(this.quantifiers).some(q => prompt.includes(q))) {
+            feedback.suggestions.push(text.suggestNumber);
         }
         
         if (params.treeType === 'generic') {
-            feedback.suggestions.push('Specify a tree type (e.g., "pine trees", "oak trees")');
+            feedback.suggestions.push(text.suggestType);
         }
         
-        if (params.arrangement === 'random' && !/random|scatter/i.test(prompt)) {
-            feedback.suggestions.push('Describe the arrangement (e.g., "in a grid", "clustered together")');
+        if (params.arrangement === 'random' && !this.randomPattern.test(prompt)) {
+            feedback.suggestions.push(text.suggestArrangement);
         }
         
         return feedback;
@@ -385,9 +1319,9 @@ export class PromptParser {
             errors.push(`❌ Maximum 500 trees allowed (you specified ${params.treeCount})`);
             params.treeCount = 500;
         }
-        if (params.treeCount < 1) {
-            errors.push('❌ Need at least 1 tree');
-            params.treeCount = 1;
+        if (params.treeCount < 0) {
+            errors.push('❌ Tree count can\'t be negative');
+            params.treeCount = 0;
         }
         
         return {
@@ -402,7 +1336,8 @@ export class PromptParser {
      * Quick parse - just get the tree count (for simple integration)
      */
     quickParse(prompt) {
-        return this.extractNumber(this.normalizePrompt(prompt));
+        const normalized = this.normalizePrompt(prompt);
+        return this.extractNumber(normalized, this.random.fork(normalized));
     }
 
     /**
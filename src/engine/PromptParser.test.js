@@ -4,6 +4,8 @@
  */
 
 import { PromptParser } from './PromptParser.js';
+import { PromptDialogue } from './PromptDialogue.js';
+import { PromptRubric, validateRubric } from './PromptRubric.js';
 
 export function runPromptParserTests() {
     const parser = new PromptParser();
@@ -126,7 +128,446 @@ export function runPromptParserTests() {
         console.log(`  "${prompt}" → Specificity: ${result.specificity}/100`);
     });
     
-    return { passed, failed, total: testCases.length, results };
+    // Seeded parsers: same seed + same prompt = same count, every time
+    console.log('\nSEEDED TESTS:');
+    const seededPrompts = ['Generate about 25 trees', 'Create a few trees', 'Spawn many oak trees', 'Generate lots of trees'];
+    const seeded = new PromptParser({ seed: 42 });
+    const twin = new PromptParser({ seed: 42 });
+    // Switched to 42 later - the scene's seed changed
+    const reseeded = new PromptParser({ seed: 7 }).setSeed(42);
+    
+    seededPrompts.forEach(prompt => {
+        const first = seeded.parsePrompt(prompt).params.treeCount;
+        const again = seeded.parsePrompt(prompt).params.treeCount;
+        const other = twin.parsePrompt(prompt).params.treeCount;
+        const quick = twin.quickParse(prompt);
+        const switched = reseeded.parsePrompt(prompt).params.treeCount;
+        const success = first === again && first === other && first === quick && first === switched;
+        
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected: { seed: 42 }, actual: { first, again, other, quick, switched }, passed: success, failures: [] });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${first}${success ? '' : ` / ${again} / ${other} / ${quick} / ${switched}`}`);
+    });
+    
+    // Multi-part prompts: expected = one entry per group
+    console.log('\nMULTI-PART TESTS:');
+    const groupTests = [
+        {
+            prompt: '20 pine trees in a circle and 10 oaks in a line along the edge',
+            expected: [
+                { treeCount: 20, treeType: 'pine', arrangement: 'circle', region: null },
+                { treeCount: 10, treeType: 'oak', arrangement: 'line', region: 'edge' }
+            ]
+        },
+        {
+            prompt: '30 birch in the middle, 15 pines on the left',
+            expected: [
+                { treeCount: 30, treeType: 'birch', region: 'center' },
+                { treeCount: 15, treeType: 'pine', region: 'west' }
+            ]
+        },
+        // No count in the second clause - it's detail, not a new group
+        { prompt: 'Trees clustered together and dense', expected: [{ arrangement: 'cluster', density: 'dense' }] },
+        // ...unless it names other trees - those get the default count
+        {
+            prompt: 'pine trees in a grid and oak trees',
+            expected: [
+                { treeCount: 25, treeType: 'pine', arrangement: 'grid' },
+                { treeCount: 25, treeType: 'oak', arrangement: 'random' }
+            ]
+        },
+        {
+            prompt: '10 pines in a circle and trees in a grid',
+            expected: [
+                { treeCount: 10, treeType: 'pine', arrangement: 'circle' },
+                { treeCount: 25, treeType: 'generic', arrangement: 'grid' }
+            ]
+        },
+        {
+            prompt: 'first 10 pines then 5 oaks',
+            expected: [{ treeCount: 10, treeType: 'pine' }, { treeCount: 5, treeType: 'oak' }]
+        },
+        {
+            prompt: '10 trees in each corner',
+            expected: ['northwest', 'northeast', 'southwest', 'southeast'].map(region => ({ treeCount: 10, region }))
+        }
+    ];
+    
+    groupTests.forEach(({ prompt, expected }) => {
+        const { groups } = parser.parsePrompt(prompt);
+        const failures = [];
+        
+        if (groups.length !== expected.length) {
+            failures.push(`groups: expected ${expected.length}, got ${groups.length}`);
+        }
+        expected.forEach((group, i) => {
+            for (const [key, value] of Object.entries(group)) {
+                if (groups[i]?.[key] !== value) {
+                    failures.push(`group ${i + 1} ${key}: expected ${value}, got ${groups[i]?.[key]}`);
+                }
+            }
+        });
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual: groups, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt.substring(0, 40)}..." → ${groups.length} group(s)`);
+        failures.forEach(f => console.log(`   └─ ${f}`));
+    });
+    
+    // Spatial language: expected region + relation ("kind:target")
+    console.log('\nSPATIAL TESTS:');
+    const spatialTests = [
+        { prompt: '40 pines in the north half', expected: ['north', null] },
+        { prompt: '15 trees in the top left corner', expected: ['northwest', null] },
+        { prompt: '24 trees in the corners', expected: ['corners', null] },
+        { prompt: 'Trees along the edge', expected: ['edge', null] },
+        { prompt: '50 trees, leave an empty clearing in the middle', expected: [null, 'avoid:clearing'] },
+        { prompt: '30 oaks surrounding a clearing', expected: [null, 'around:clearing'] },
+        { prompt: '20 birch next to the pond', expected: [null, 'near:pond'] },
+        { prompt: '30 trees around the middle', expected: [null, 'around:center'] }
+    ];
+    
+    spatialTests.forEach(({ prompt, expected }) => {
+        const { region, relation } = parser.parsePrompt(prompt).params;
+        const actual = [region, relation ? `${relation.kind}:${relation.target}` : null];
+        const success = JSON.stringify(actual) === JSON.stringify(expected);
+        
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual, passed: success, failures: success ? [] : [`got ${JSON.stringify(actual)}`] });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${actual.filter(Boolean).join(' + ') || 'anywhere'}`);
+    });
+    
+    // Quantity grammar: expected [min, max, precision] - min === max for fixed counts
+    console.log('\nQUANTITY TESTS:');
+    const quantityTests = [
+        { prompt: 'Twenty-five trees', expected: [25, 25, 'exact'] },
+        { prompt: 'A dozen oaks', expected: [12, 12, 'exact'] },
+        { prompt: 'One hundred and fifty pines', expected: [150, 150, 'exact'] },
+        { prompt: '3 rows of 8 trees', expected: [24, 24, 'exact'] },
+        { prompt: '5 pairs of birch trees', expected: [10, 10, 'exact'] },
+        { prompt: 'Between 30 and 40 trees', expected: [30, 40, 'range'] },
+        { prompt: '30-40 trees', expected: [30, 40, 'range'] },
+        { prompt: 'About 30 trees', expected: [27, 33, 'approximate'] },
+        { prompt: 'A few trees', expected: [5, 15, 'vague'] },
+        { prompt: '10 more trees', expected: [35, 35, 'relative'] },
+        { prompt: 'Double the trees', expected: [50, 50, 'relative'] },
+        { prompt: '20 pines and twice as many oaks', expected: [60, 60, 'relative'] },
+        { prompt: '0 trees', expected: [0, 0, 'exact'] },
+        { prompt: 'No trees', expected: [0, 0, 'exact'] },
+        { prompt: '-5 trees', expected: [0, 0, 'invalid'] },
+        { prompt: '10 pines and -3 oaks', expected: [10, 10, 'invalid'] }
+    ];
+    
+    quantityTests.forEach(({ prompt, expected }) => {
+        const { quantity, treeCount } = parser.parsePrompt(prompt).params;
+        const actual = [quantity.min, quantity.max, quantity.precision];
+        const inRange = treeCount >= quantity.min && treeCount <= quantity.max;
+        const success = inRange && JSON.stringify(actual) === JSON.stringify(expected);
+        
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual, passed: success, failures: success ? [] : [`got ${JSON.stringify(actual)}, count ${treeCount}`] });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${treeCount} (${quantity.precision})`);
+        if (!success) console.log(`   → got ${JSON.stringify(actual)}, count ${treeCount}`);
+    });
+    
+    // Nothing to plant: the feedback says why instead of an empty forest
+    const countProblems = [
+        { prompt: '0 trees', expected: parser.strings.feedback.noTrees },
+        { prompt: 'I want no trees', expected: parser.strings.feedback.noTrees },
+        { prompt: '-5 trees', expected: parser.strings.feedback.negativeCount },
+        { prompt: '5 trees', expected: null }
+    ];
+    countProblems.forEach(({ prompt, expected }) => {
+        const { feedback } = parser.parsePrompt(prompt);
+        const success = feedback.countProblem === expected;
+        
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual: feedback.countProblem, passed: success, failures: success ? [] : [`got ${feedback.countProblem}`] });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${feedback.countProblem ?? 'no count problem'}`);
+        if (!success) console.log(`   → expected ${expected}, got ${feedback.countProblem}`);
+    });
+    
+    // Negation: expected params after the "no" is applied, plus what was excluded
+    console.log('\nNEGATION TESTS:');
+    const negationTests = [
+        { prompt: 'No pine trees', expected: { treeType: 'mixed' }, excluded: ['treeType:pine'] },
+        { prompt: '30 trees, not in a grid', expected: { arrangement: 'random' }, excluded: ['arrangement:grid'] },
+        { prompt: 'Anything but dense', expected: { density: 'sparse' }, excluded: ['density:dense'] },
+        { prompt: '40 trees without big trees', expected: { size: 'small', treeCount: 40 }, excluded: ['size:large'] },
+        { prompt: '30 oaks, no birch or palm', expected: { treeType: 'oak' }, excluded: ['treeType:birch', 'treeType:palm'] },
+        { prompt: '50 trees in the north half, no pine trees in a circle', expected: { region: 'north', arrangement: 'circle' }, excluded: ['treeType:pine'] },
+        { prompt: 'No trees in the middle', expected: { region: null }, excluded: ['region:center'] },
+        { prompt: '20 pine trees in a grid', expected: { treeType: 'pine', arrangement: 'grid' }, excluded: [] }
+    ];
+    
+    negationTests.forEach(({ prompt, expected, excluded }) => {
+        const { params, interpretation } = parser.parsePrompt(prompt);
+        const failures = [];
+        
+        for (const [key, value] of Object.entries(expected)) {
+            if (params[key] !== value) failures.push(`${key}: expected ${value}, got ${params[key]}`);
+        }
+        const actualExcluded = params.excluded.map(({ attribute, value }) => `${attribute}:${value}`);
+        if (JSON.stringify(actualExcluded) !== JSON.stringify(excluded)) {
+            failures.push(`excluded: expected ${JSON.stringify(excluded)}, got ${JSON.stringify(actualExcluded)}`);
+        }
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual: params, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${interpretation}`);
+        failures.forEach(f => console.log(`   → ${f}`));
+    });
+    
+    // Dialogue: one conversation, each step checked against the spec it leaves
+    console.log('\nDIALOGUE TESTS:');
+    const dialogue = new PromptDialogue(new PromptParser({ seed: 42 }));
+    const dialogueSteps = [
+        { prompt: '30 pine trees in a grid', expected: { kind: 'new', treeCount: 30, treeType: 'pine', arrangement: 'grid' } },
+        { prompt: 'add 10 more', expected: { kind: 'edit', treeCount: 40, treeType: 'pine', arrangement: 'grid' } },
+        { prompt: 'make them oaks instead', expected: { kind: 'edit', treeCount: 40, treeType: 'oak' } },
+        { prompt: 'spread them out', expected: { kind: 'edit', density: 'sparse', treeType: 'oak' } },
+        { prompt: 'twice as many', expected: { kind: 'edit', treeCount: 80 } },
+        { prompt: 'undo that', expected: { kind: 'undo', treeCount: 40, density: 'sparse' } },
+        { prompt: 'undo', expected: { kind: 'undo', treeCount: 40, density: 'normal', treeType: 'oak' } },
+        { prompt: '12 birch trees in a circle', expected: { kind: 'new', treeCount: 12, treeType: 'birch', arrangement: 'circle' } },
+        { prompt: 'no trees', expected: { kind: 'edit', treeCount: 0, treeType: 'birch' } }
+    ];
+    
+    dialogueSteps.forEach(({ prompt, expected }) => {
+        const turn = dialogue.interpret(prompt);
+        const actual = { kind: turn.kind, ...turn.params };
+        const failures = Object.entries(expected)
+            .filter(([key, value]) => actual[key] !== value)
+            .map(([key, value]) => `${key}: expected ${value}, got ${actual[key]}`);
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${turn.kind}: ${dialogue.describeDiff(turn.diff).join(', ') || turn.entry?.interpretation}`);
+        failures.forEach(f => console.log(`   → ${f}`));
+    });
+    
+    // Going back to the first step drops everything after it
+    const [firstStep] = dialogue.history;
+    const reverted = dialogue.revertTo(firstStep.id);
+    const revertOk = reverted.params.treeCount === 30 && dialogue.history.length === 1;
+    if (revertOk) passed++; else failed++;
+    results.push({ prompt: 'revertTo(first)', passed: revertOk, failures: revertOk ? [] : ['did not return to the first step'] });
+    console.log(`${revertOk ? '✅' : '❌'} revertTo(first) → ${reverted.entry.interpretation}`);
+    
+    // A count for groups that are all empty is shared evenly, and saying
+    // "no oaks" again changes nothing
+    const emptied = new PromptDialogue(new PromptParser({ seed: 42 }));
+    emptied.interpret('10 pines and 5 birch');
+    emptied.interpret('no trees');
+    const regrown = emptied.interpret('make them 21').groups.map(group => group.treeCount);
+    emptied.interpret('no oaks');
+    const repeated = emptied.interpret('no oaks');
+    const emptiedOk = JSON.stringify(regrown) === '[11,10]' &&
+        repeated.params.excluded.length === 1 && repeated.diff.length === 0;
+    if (emptiedOk) passed++; else failed++;
+    results.push({ prompt: 'make them 21 / no oaks twice', passed: emptiedOk, failures: emptiedOk ? [] : [`counts ${JSON.stringify(regrown)}, excluded ${JSON.stringify(repeated.params.excluded)}`] });
+    console.log(`${emptiedOk ? '✅' : '❌'} empty groups regrow ${JSON.stringify(regrown)}; repeated "no oaks" → ${repeated.params.excluded.length} exclusion`);
+    
+    // Ambiguity: expected [type, attribute, options] of the first one (or
+    // none), then what a reply to its question picks
+    console.log('\nAMBIGUITY TESTS:');
+    const ambiguityTests = [
+        { prompt: 'A few dense trees', expected: ['conflict', 'density', ['dense', 'sparse']], reply: 'spread out', picks: 'sparse' },
+        { prompt: '30 trees in a grid, scattered', expected: ['conflict', 'arrangement', ['random', 'grid']], reply: 'rows please', picks: 'grid' },
+        { prompt: 'Pine oak trees', expected: ['conflict', 'treeType', ['pine', 'oak', 'mixed']], reply: 'both', picks: 'mixed' },
+        { prompt: 'Some trees', expected: ['vague', 'treeCount', [15, 35]], reply: 'about 20', picks: 20 },
+        { prompt: '30 trees in the top left corner', expected: null },
+        { prompt: '20 pines in a grid, not scattered', expected: null },
+        // No trees named - one group, asked about rather than dropped
+        { prompt: '10 pines in a circle and in a grid', expected: ['conflict', 'arrangement', ['grid', 'circle']], reply: 'the circle', picks: 'circle' }
+    ];
+    
+    ambiguityTests.forEach(({ prompt, expected, reply, picks }) => {
+        const [first] = parser.parsePrompt(prompt).ambiguities;
+        const actual = first ? [first.type, first.attribute, first.options] : null;
+        const failures = [];
+        
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            failures.push(`expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        } else if (reply !== undefined && parser.matchClarification(first, reply) !== picks) {
+            failures.push(`"${reply}" should pick ${picks}, got ${parser.matchClarification(first, reply)}`);
+        }
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${first ? first.question : 'no ambiguity'}`);
+        failures.forEach(f => console.log(`   → ${f}`));
+    });
+    
+    // Rubric: points per criterion, and the words that earned them
+    console.log('\nRUBRIC TESTS:');
+    const rubricTests = [
+        { prompt: '50 Pine trees in a grid', score: 70, evidence: { count: ['50'], type: ['Pine'], arrangement: ['grid'] } },
+        { prompt: 'Twenty-five oaks, varied sizes', score: 65, evidence: { count: ['Twenty-five'], type: ['oaks'], size: ['varied'] } },
+        { prompt: 'a few trees', score: 30, evidence: { count: ['few'], density: ['few'] } },
+        { prompt: 'A few dense trees', score: 20, evidence: { count: ['few'], density: ['dense'] }, penalties: ['conflicts'] },
+        // A rejected count earns nothing for "How many"
+        { prompt: '-5 oak trees in a circle', score: 40, evidence: { type: ['oak'], arrangement: ['circle'] } },
+        {
+            prompt: '30 pines in a grid',
+            rubric: { id: 'counts-only', criteria: [{ id: 'count', label: 'How many', weight: 5, detectors: [{ type: 'number' }] }] },
+            score: 100,
+            evidence: { count: ['30'] }
+        }
+    ];
+    
+    rubricTests.forEach(({ prompt, rubric, score, evidence, penalties = [] }) => {
+        const graded = rubric ? new PromptParser({ seed: 1, rubric }) : parser;
+        const breakdown = graded.parsePrompt(prompt).rubric;
+        const failures = [];
+        
+        if (breakdown.score !== score) {
+            failures.push(`score: expected ${score}, got ${breakdown.score}`);
+        }
+        for (const criterion of breakdown.criteria) {
+            const words = criterion.evidence.map(span => prompt.slice(span.start, span.end));
+            if (JSON.stringify(words) !== JSON.stringify(evidence[criterion.id] ?? [])) {
+                failures.push(`${criterion.id}: expected ${JSON.stringify(evidence[criterion.id] ?? [])}, got ${JSON.stringify(words)}`);
+            }
+        }
+        if (JSON.stringify(breakdown.penalties.map(penalty => penalty.id)) !== JSON.stringify(penalties)) {
+            failures.push(`penalties: expected ${penalties.join(', ') || 'none'}`);
+        }
+        if (PromptRubric.segments(breakdown).map(piece => piece.text).join('') !== prompt) {
+            failures.push('segments do not add up to the prompt');
+        }
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected: score, actual: breakdown.score, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${breakdown.score}/100`);
+        failures.forEach(f => console.log(`   → ${f}`));
+    });
+    
+    // A broken rubric is reported, not scored
+    const badRubrics = [
+        { criteria: [] },
+        { criteria: [{ id: 'x', label: 'X', weight: 10, detectors: [{ type: 'telepathy' }] }] },
+        { criteria: [{ id: 'x', label: 'X', weight: 10, detectors: [{ type: 'keywords', table: 'colours' }] }] },
+        { criteria: [{ id: 'x', label: 'X', weight: 10, detectors: [{ type: 'regex', pattern: '(' }] }] }
+    ];
+    const rejected = badRubrics.filter(definition => {
+        try {
+            validateRubric(definition);
+            return false;
+        } catch {
+            return true;
+        }
+    }).length;
+    const rejectsBad = rejected === badRubrics.length;
+    if (rejectsBad) passed++; else failed++;
+    results.push({ prompt: '(invalid rubrics)', expected: badRubrics.length, actual: rejected, passed: rejectsBad });
+    console.log(`${rejectsBad ? '✅' : '❌'} invalid rubrics rejected (${rejected}/${badRubrics.length})`);
+    
+    // Locales: Spanish prompts read into the same params, answered in Spanish
+    console.log('\nLOCALE TESTS:');
+    const spanish = new PromptParser({ seed: 42, locale: 'es' });
+    const localeTests = [
+        { prompt: 'Crea 50 pinos en una cuadrícula', expected: { treeCount: 50, treeType: 'pine', arrangement: 'grid' }, says: '50 árboles (pino)' },
+        { prompt: 'treinta y cinco robles agrupados', expected: { treeCount: 35, treeType: 'oak', arrangement: 'cluster' } },
+        { prompt: 'media docena de palmeras', expected: { treeCount: 6, treeType: 'palm' } },
+        { prompt: 'entre 30 y 40 árboles densos', expected: { precision: 'range', min: 30, max: 40, density: 'dense' } },
+        { prompt: '3 filas de 8 abedules', expected: { treeCount: 24, treeType: 'birch', arrangement: 'grid' } },
+        { prompt: 'unos 40 árboles rodeando un claro', expected: { precision: 'approximate', relation: 'around:clearing' } },
+        { prompt: 'árboles pequeños en la mitad norte', expected: { size: 'small', region: 'north', treeCount: 25 } },
+        { prompt: '20 pinos en círculo y 10 robles a lo largo del borde', expected: { groups: 2, treeCount: 30, treeType: 'mixed' }, says: '; además ' },
+        { prompt: 'sin pinos', expected: { treeType: 'mixed', excluded: 'treeType:pine' }, says: 'ningún pino' },
+        { prompt: 'sin árboles', expected: { treeCount: 0, precision: 'exact' } },
+        { prompt: '-5 árboles', expected: { treeCount: 0, precision: 'invalid' } }
+    ];
+    
+    localeTests.forEach(({ prompt, expected, says }) => {
+        const result = spanish.parsePrompt(prompt);
+        const { params } = result;
+        const actual = {
+            ...params,
+            ...params.quantity,
+            groups: result.groups.length,
+            relation: params.relation && `${params.relation.kind}:${params.relation.target}`,
+            excluded: params.excluded.map(({ attribute, value }) => `${attribute}:${value}`).join(',')
+        };
+        const failures = Object.entries(expected)
+            .filter(([key, value]) => actual[key] !== value)
+            .map(([key, value]) => `${key}: expected ${value}, got ${actual[key]}`);
+        if (says && !result.interpretation.includes(says)) {
+            failures.push(`interpretation should say "${says}"`);
+        }
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual: params, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${result.interpretation}`);
+        failures.forEach(f => console.log(`   → ${f}`));
+    });
+    
+    // ...and a Spanish conversation: edits, clarifications and undo
+    const spanishDialogue = new PromptDialogue(spanish);
+    const steps = ['30 pinos en cuadrícula', 'añade 10 más', 'cámbialos por robles', 'sepáralos', 'deshacer']
+        .map(prompt => spanishDialogue.interpret(prompt));
+    const [, added, swapped, spread, undone] = steps;
+    const conflict = spanish.parsePrompt('pinos en cuadrícula esparcidos').ambiguities[0];
+    const localeDialogueOk = added.params.treeCount === 40 && swapped.params.treeType === 'oak' &&
+        spread.params.density === 'sparse' && undone.kind === 'undo' && undone.params.density === 'normal' &&
+        conflict.question.startsWith('¿Querías decir') && spanish.matchClarification(conflict, 'el segundo') === 'grid';
+    if (localeDialogueOk) passed++; else failed++;
+    results.push({ prompt: '(Spanish dialogue)', passed: localeDialogueOk, failures: localeDialogueOk ? [] : ['Spanish follow-ups not understood'] });
+    console.log(`${localeDialogueOk ? '✅' : '❌'} Spanish dialogue → ${spanishDialogue.describeDiff(swapped.diff).join(', ')}`);
+    
+    console.log('\nSPELLING TESTS:');
+    const spellingTests = [
+        { prompt: '20 pien trees in a circel', expected: { treeCount: 20, treeType: 'pine', arrangement: 'circle' }, says: "I read 'pien' as 'pine' and 'circel' as 'circle'" },
+        { prompt: 'a forrest of oaks', expected: { treeType: 'oak', precision: 'vague' }, says: "'forrest' as 'forest'" },
+        { prompt: 'dence gird of plam trees', expected: { density: 'dense', arrangement: 'grid', treeType: 'palm' } },
+        { prompt: 'tweny five birtch trees', expected: { treeCount: 25, treeType: 'birch' } },
+        { prompt: 'scaterred trees in the midle', expected: { density: 'sparse', region: 'center' } },
+        { prompt: 'woods full of christmas trees', expected: { treeType: 'pine', density: 'dense', misread: '' } },
+        { prompt: 'I would like tall trees there in a line', expected: { treeCount: 25, arrangement: 'line', size: 'large', misread: '' } },
+        { prompt: 'pine trees on the left', expected: { treeType: 'pine', region: 'west', misread: '' } },
+        { prompt: 'un bosqe de robles', locale: 'es', expected: { treeType: 'oak' }, says: 'Leí «bosqe» como «bosque»' }
+    ];
+    const parsers = { en: new PromptParser({ seed: 42 }), es: spanish };
+    
+    spellingTests.forEach(({ prompt, locale = 'en', expected, says }) => {
+        const parser = parsers[locale];
+        const result = parser.parsePrompt(prompt);
+        const { params } = result;
+        const actual = { ...params, ...params.quantity, misread: parser.describeCorrections(result.corrections) };
+        const failures = Object.entries(expected)
+            .filter(([key, value]) => actual[key] !== value)
+            .map(([key, value]) => `${key}: expected "${value}", got "${actual[key]}"`);
+        if (says && !result.interpretation.includes(says)) {
+            failures.push(`interpretation should say "${says}"`);
+        }
+        
+        const success = failures.length === 0;
+        if (success) passed++; else failed++;
+        results.push({ prompt, expected, actual: params, passed: success, failures });
+        console.log(`${success ? '✅' : '❌'} "${prompt}" → ${result.interpretation}`);
+        failures.forEach(f => console.log(`   → ${f}`));
+    });
+    
+    // Synonyms added at runtime, and misspellings still earn rubric credit
+    const custom = new PromptParser({ seed: 42 }).addSynonyms({ 'lollipop trees': 'palm trees' });
+    const lollipops = custom.parsePrompt('lollipop trees').params.treeType;
+    const sizeCredit = custom.parsePrompt('hudge trees').rubric.criteria.find(criterion => criterion.id === 'size');
+    const spellingExtrasOk = lollipops === 'palm' && sizeCredit.points > 0 && sizeCredit.evidence[0]?.text === 'hudge';
+    if (spellingExtrasOk) passed++; else failed++;
+    results.push({ prompt: '(synonyms + rubric)', passed: spellingExtrasOk, failures: spellingExtrasOk ? [] : ['custom synonym or misspelled evidence missing'] });
+    console.log(`${spellingExtrasOk ? '✅' : '❌'} "lollipop trees" → ${lollipops}; "hudge" earns ${sizeCredit.points} size points`);
+    
+    const total = testCases.length + seededPrompts.length + groupTests.length + spatialTests.length +
+        quantityTests.length + countProblems.length + negationTests.length + dialogueSteps.length + 2 + ambiguityTests.length +
+        rubricTests.length + 1 + localeTests.length + 1 + spellingTests.length + 1;
+    return { passed, failed, total, results };
 }
 
 // Auto-run if loaded directly
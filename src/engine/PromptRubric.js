@@ -0,0 +1,321 @@
+/**
+ * PromptRubric.js - Configurable Scoring for Student Prompts
+ *
+ * Replaces the hard-coded "30 points for a number, 20 for a type..." sum
+ * with a rubric defined in JSON (rubrics/specificity.json is the default).
+ * Teachers change weights, tips or detectors there; scoring returns a
+ * breakdown per criterion with the exact words that earned the credit, so
+ * the chats can highlight them in the student's own prompt.
+ *
+ * RUBRIC FORMAT:
+ *   { id, name, description,
+ *     criteria: [{ id, label, weight, tip, detectors: [Detector] }],
+ *     penalties: [{ id, label, points, detector: Detector }] }
+ *   Weights are relative - scaled so a perfect prompt scores 100. A
+ *   criterion earns weight × the best credit (0-1) any detector gives it.
+ *   Penalties take `points` off per match.
+ *
+ * DETECTORS:
+ *   number   - a count in digits or words ("50", "twenty", "a dozen"),
+ *              in the parser's language; nothing for a count the parser
+ *              rejected ("-5 trees")
+ *   keywords - any word from a PromptParser table (KEYWORD_TABLES), or
+ *              a misspelling/synonym the parser read as one ("pien")
+ *   param    - the parsed param differs from `not` (or equals `equals`);
+ *              evidence = the words of `keywords` table that mean it
+ *   regex    - `pattern` (case-insensitive) matches the prompt
+ *   conflicts - (penalties) one per contradiction parsePrompt found
+ *
+ * USAGE:
+ * const rubric = new PromptRubric(myRubricJson);   // throws if invalid
+ * const breakdown = rubric.score('50 pine trees', { params }, parser);
+ * // { score: 50, criteria: [{ id: 'count', points: 30, evidence: [{ start: 0, end: 2, text: '50' }] }, ...] }
+ * PromptRubric.segments(breakdown); // prompt split into highlighted pieces
+ */
+
+import specificityRubric from './rubrics/specificity.json' with { type: 'json' };
+import { foldText } from './PromptLocales.js';
+
+export const DEFAULT_RUBRIC = specificityRubric;
+
+// PromptParser dictionaries a keywords/param detector can name
+export const KEYWORD_TABLES = [
+    'treeTypes', 'arrangements', 'densityKeywords', 'sizeKeywords',
+    'regionKeywords', 'quantifiers', 'numberWords'
+];
+
+const PARAMS = ['treeCount', 'treeType', 'arrangement', 'density', 'sizeVariation', 'size', 'region', 'relation'];
+
+// ═══════════════════════════════════════════════════════════════
+// DETECTORS - (detector, context) => { credit, evidence } | null
+// ═══════════════════════════════════════════════════════════════
+
+export const RUBRIC_DETECTORS = {
+    number(detector, { text, normalized, corrections, params, parser }) {
+        // Spelled-out numbers are digits once normalized
+        if (!/\d/.test(normalized) || params?.quantity?.precision === 'invalid') return null;
+        const words = withTypos([...Object.keys(parser.numberPhrases), ...Object.keys(parser.numberScales), ...Object.keys(parser.numberWords)], corrections)
+            .sort((a, b) => b.length - a.length)
+            .join('|');
+        const pattern = new RegExp(`\\d+|\\b(?:${words})(?:[\\s-]+(?:${words}))*\\b`, 'g');
+        return { credit: detector.credit ?? 1, evidence: findSpans(text, pattern) };
+    },
+
+    keywords(detector, { text, corrections, parser }) {
+        const evidence = findSpans(text, keywordPattern(withTypos(tableWords(parser[detector.table]), corrections)));
+        return evidence.length > 0 ? { credit: detector.credit ?? 1, evidence } : null;
+    },
+
+    param(detector, { text, params, corrections, parser }) {
+        const value = params[detector.param];
+        const earned = 'equals' in detector
+            ? JSON.stringify(value) === JSON.stringify(detector.equals)
+            : JSON.stringify(value ?? null) !== JSON.stringify(detector.not ?? null);
+        if (!earned) return null;
+
+        // The words that mean this value; "mixed" = any of the specific ones
+        let evidence = [];
+        const table = parser[detector.keywords];
+        if (table) {
+            const words = table[value] ?? Object.entries(table)
+                .filter(([key]) => key !== detector.not)
+                .flatMap(([, list]) => list);
+            evidence = findSpans(text, keywordPattern(withTypos(words, corrections)));
+        }
+        return { credit: detector.credit ?? 1, evidence };
+    },
+
+    regex(detector, { text }) {
+        const evidence = findSpans(text, new RegExp(detector.pattern, 'gi'));
+        return evidence.length > 0 ? { credit: detector.credit ?? 1, evidence } : null;
+    },
+
+    conflicts(detector, { text, ambiguities }) {
+        const conflicts = ambiguities.filter(ambiguity => ambiguity.type === 'conflict');
+        if (conflicts.length === 0) return null;
+        const cues = conflicts.flatMap(conflict => conflict.cues);
+        return { credit: detector.credit ?? 1, count: conflicts.length, evidence: findSpans(text, keywordPattern(cues)) };
+    }
+};
+
+/**
+ * Throws a readable Error for anything scoring would trip over
+ * @returns {boolean} true when the rubric is usable
+ */
+export function validateRubric(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error('Rubric must be a JSON object');
+    }
+    if (!Array.isArray(definition.criteria) || definition.criteria.length === 0) {
+        throw new Error('Rubric needs at least one criterion');
+    }
+
+    const checkDetector = (detector, where) => {
+        if (!detector || !RUBRIC_DETECTORS[detector.type]) {
+            throw new Error(`${where}: unknown detector type "${detector?.type}"`);
+        }
+        if (detector.type === 'keywords' && !KEYWORD_TABLES.includes(detector.table)) {
+            throw new Error(`${where}: unknown keyword table "${detector.table}"`);
+        }
+        if (detector.type === 'param') {
+            if (!PARAMS.includes(detector.param)) {
+                throw new Error(`${where}: unknown param "${detector.param}"`);
+            }
+            if (detector.keywords && !KEYWORD_TABLES.includes(detector.keywords)) {
+                throw new Error(`${where}: unknown keyword table "${detector.keywords}"`);
+            }
+        }
+        if (detector.type === 'regex') {
+            try {
+                new RegExp(detector.pattern, 'gi');
+            } catch (error) {
+                throw new Error(`${where}: bad pattern - ${error.message}`);
+            }
+        }
+        if (detector.credit !== undefined && !(detector.credit >= 0 && detector.credit <= 1)) {
+            throw new Error(`${where}: credit must be between 0 and 1`);
+        }
+    };
+
+    const ids = new Set();
+    definition.criteria.forEach((criterion, i) => {
+        const where = `Criterion "${criterion?.id ?? i + 1}"`;
+        if (!criterion?.id || !criterion.label) {
+            throw new Error(`Criterion ${i + 1} needs an id and a label`);
+        }
+        if (ids.has(criterion.id)) {
+            throw new Error(`${where} is listed twice`);
+        }
+        ids.add(criterion.id);
+        if (!(criterion.weight > 0)) {
+            throw new Error(`${where}: weight must be a positive number`);
+        }
+        if (!Array.isArray(criterion.detectors) || criterion.detectors.length === 0) {
+            throw new Error(`${where} needs at least one detector`);
+        }
+        criterion.detectors.forEach(detector => checkDetector(detector, where));
+    });
+
+    (definition.penalties ?? []).forEach((penalty, i) => {
+        const where = `Penalty "${penalty?.id ?? i + 1}"`;
+        if (!(penalty?.points >= 0)) {
+            throw new Error(`${where}: points must be zero or more`);
+        }
+        checkDetector(penalty.detector, where);
+    });
+
+    return true;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUBRIC
+// ═══════════════════════════════════════════════════════════════
+
+export class PromptRubric {
+    /**
+     * @param {Object} definition - Rubric JSON (default: rubrics/specificity.json)
+     */
+    constructor(definition = DEFAULT_RUBRIC) {
+        validateRubric(definition);
+        this.definition = definition;
+        this.id = definition.id ?? 'custom';
+        this.name = definition.name ?? 'Custom rubric';
+        this.totalWeight = definition.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    }
+
+    /**
+     * Score one prompt
+     * @param {string} prompt - What the student typed (evidence points into it)
+     * @param {Object} reading - { params, ambiguities } from the interpreter
+     * @param {PromptParser} parser - Keyword tables + normalizePrompt()
+     * @returns {RubricBreakdown} { rubric, prompt, score, criteria, penalties }
+     */
+    score(prompt, { params, ambiguities = [] }, parser) {
+        // Matching runs on lower case without accents; evidence quotes the
+        // prompt as typed
+        const quote = (evidence = []) => evidence.map(span => ({ ...span, text: prompt.slice(span.start, span.end) }));
+        const context = {
+            text: foldText(prompt),
+            normalized: parser.normalizePrompt(prompt),
+            // "pien" earns what "pine" would have (PromptSpelling)
+            corrections: parser.spelling?.correct(prompt).corrections ?? [],
+            params,
+            ambiguities,
+            parser
+        };
+        const scale = 100 / this.totalWeight;
+
+        const criteria = this.definition.criteria.map(criterion => {
+            // Best detector wins - a number beats "a few"
+            let best = null;
+            for (const detector of criterion.detectors) {
+                const hit = RUBRIC_DETECTORS[detector.type](detector, context);
+                if (hit && (!best || hit.credit > best.credit)) best = hit;
+            }
+            const credit = best?.credit ?? 0;
+            return {
+                id: criterion.id,
+                label: criterion.label,
+                tip: criterion.tip ?? null,
+                credit,
+                points: Math.round(criterion.weight * credit * scale),
+                maxPoints: Math.round(criterion.weight * scale),
+                evidence: quote(best?.evidence)
+            };
+        });
+
+        const penalties = (this.definition.penalties ?? []).map(penalty => {
+            const hit = RUBRIC_DETECTORS[penalty.detector.type](penalty.detector, context);
+            const count = hit ? (hit.count ?? hit.evidence.length) : 0;
+            return {
+                id: penalty.id,
+                label: penalty.label ?? penalty.id,
+                count,
+                points: count * penalty.points,
+                evidence: quote(hit?.evidence)
+            };
+        }).filter(penalty => penalty.count > 0);
+
+        const earned = criteria.reduce((sum, criterion) => sum + criterion.points, 0);
+        const lost = penalties.reduce((sum, penalty) => sum + penalty.points, 0);
+
+        return {
+            rubric: this.id,
+            prompt,
+            score: Math.max(0, Math.min(earned - lost, 100)),
+            criteria,
+            penalties
+        };
+    }
+
+    /**
+     * The prompt cut into pieces, each tagged with the criteria (and
+     * penalties) whose evidence covers it - ready to wrap in <mark>s
+     * @returns {Array<{text: string, criteria: string[], penalty: boolean}>}
+     */
+    static segments(breakdown) {
+        const { prompt } = breakdown;
+        const spans = [
+            ...breakdown.criteria.flatMap(({ id, evidence }) => evidence.map(span => ({ ...span, id, penalty: false }))),
+            ...breakdown.penalties.flatMap(({ id, evidence }) => evidence.map(span => ({ ...span, id, penalty: true })))
+        ];
+        const cuts = [...new Set([0, prompt.length, ...spans.flatMap(span => [span.start, span.end])])].sort((a, b) => a - b);
+
+        const pieces = [];
+        for (let i = 0; i < cuts.length - 1; i++) {
+            const [start, end] = [cuts[i], cuts[i + 1]];
+            const covering = spans.filter(span => span.start <= start && span.end >= end);
+            pieces.push({
+                text: prompt.slice(start, end),
+                criteria: [...new Set(covering.map(span => span.id))],
+                penalty: covering.some(span => span.penalty)
+            });
+        }
+        return pieces;
+    }
+}
+
+/**
+ * Fetch a teacher's rubric JSON; throws if it can't be used
+ */
+export async function loadRubric(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return new PromptRubric(await response.json());
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTERNAL
+// ═══════════════════════════════════════════════════════════════
+
+function tableWords(table = {}) {
+    // { pine: ['pine', ...] } -> words; { few: { min, max } } -> keys
+    return Object.entries(table).flatMap(([key, value]) => (Array.isArray(value) ? value : [key]));
+}
+
+function withTypos(words, corrections = []) {
+    // Table words plus what the student typed for them ("pien", "woods")
+    const typed = corrections
+        .filter(({ read }) => words.includes(read) || read.split(' ').some(part => words.includes(part)))
+        .map(({ typed }) => typed);
+    return [...words, ...typed];
+}
+
+function keywordPattern(words) {
+    const escaped = words
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    return escaped.length > 0 ? new RegExp(`\\b(?:${escaped.join('|')})(?:e?s)?\\b`, 'g') : null;
+}
+
+function findSpans(text, pattern) {
+    if (!pattern) return [];
+    return [...text.matchAll(pattern)]
+        .filter(match => match[0].length > 0)
+        .map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }));
+}
+
+export default PromptRubric;
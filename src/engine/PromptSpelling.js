@@ -0,0 +1,176 @@
+/**
+ * PromptSpelling.js - Spelling Tolerance and Synonyms for Prompts
+ *
+ * Kids type "pien trees", "circel" and "forrest". Before PromptParser's
+ * keyword tables look at a prompt, every word they don't know is compared
+ * with the words they do and read as the closest one - if it starts with
+ * the same letter and is close enough for its length:
+ *   1-3 letters - never ("fir" is not "fire")
+ *   4-7 letters - 1 edit ("pien" -> "pine", "forrest" -> "forest")
+ *   8+ letters  - 2 edits ("scaterred" -> "scattered")
+ * An edit is a letter added, dropped or changed, or two neighbours
+ * swapped. The length is the shorter word's.
+ *
+ * Known words are never corrected: every word a keyword table, phrase or
+ * pattern uses, plus the pack's commonWords ("like" is not a typo for
+ * "line"). So are known words with an ending ("pines", "clustered").
+ *
+ * SYNONYMS:
+ * Words and phrases read as a word the tables know - "woods" -> "forest",
+ * "christmas tree" -> "pine tree". Each locale pack brings
+ * vocabulary.synonyms; addSynonyms() adds more at runtime. A plural
+ * ending carries over ("coconuts" -> "palms").
+ *
+ * USAGE:
+ * const spelling = new PromptSpelling({ targets: ['pine', 'circle'], known: ['like'] });
+ * spelling.correct('20 pien trees');
+ * // { text: '20 pine trees', corrections: [{ typed: 'pien', read: 'pine', kind: 'spelling' }] }
+ */
+
+import { foldText } from './PromptLocales.js';
+
+// Endings that make a known word into another known word
+const ENDINGS = ['s', 'es', 'd', 'ed', 'r', 'er', 'ing', 'ly'];
+
+export class PromptSpelling {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.targets - Words a misspelling may be read as
+     *   (phrases are split into words)
+     * @param {string[]} options.known - Words and patterns never corrected
+     * @param {Object<string, string>} options.synonyms - { 'woods': 'forest' }
+     */
+    constructor({ targets = [], known = [], synonyms = {} } = {}) {
+        this.targets = [...new Set(wordsIn(targets))].filter(word => word.length >= 4);
+        this.known = new Set([...wordsIn(known), ...this.targets]);
+        this.synonyms = {};
+        this.synonymPattern = null;
+        this.addSynonyms(synonyms);
+    }
+
+    /**
+     * Read more words as vocabulary words ("xmas tree" -> "pine tree")
+     * @param {Object<string, string>} synonyms - Typed word/phrase -> what to read
+     */
+    addSynonyms(synonyms) {
+        for (const [phrase, word] of Object.entries(synonyms)) {
+            const key = foldText(phrase).trim().replace(/\s+/g, ' ');
+            this.synonyms[key] = foldText(word);
+            for (const part of wordsIn([key])) this.known.add(part);
+        }
+
+        const keys = Object.keys(this.synonyms)
+            .sort((a, b) => b.length - a.length)
+            .map(key => key.replace(/\s/g, '\\s+'));
+        this.synonymPattern = keys.length > 0 ? new RegExp(`\\b(${keys.join('|')})(e?s)?\\b`, 'g') : null;
+        return this;
+    }
+
+    /**
+     * The prompt with misspellings fixed and synonyms swapped in - lower
+     * case, accents folded, punctuation left as it was
+     * @returns {{text: string, corrections: Correction[]}} Correction =
+     *   { typed, read, kind: 'spelling'|'synonym' }, in prompt order
+     */
+    correct(text) {
+        const corrections = [];
+        const spelled = foldText(text).replace(/[a-z]+/g, word => {
+            const read = this.closest(word);
+            if (!read) return word;
+            corrections.push({ typed: word, read, kind: 'spelling' });
+            return read;
+        });
+
+        if (!this.synonymPattern) return { text: spelled, corrections };
+        const expanded = spelled.replace(this.synonymPattern, (match, phrase, plural = '') => {
+            const read = this.synonyms[phrase.replace(/\s+/g, ' ')] + plural;
+            corrections.push({ typed: match, read, kind: 'synonym' });
+            return read;
+        });
+        return { text: expanded, corrections };
+    }
+
+    /**
+     * The word a misspelling was meant to be, or null if `word` is fine
+     * (or too far from anything to guess)
+     */
+    closest(word) {
+        if (this.isKnown(word) || /\d/.test(word)) return null;
+        const read = this.nearest(word);
+        if (read) return read;
+        // "circels" -> "circles"
+        const stem = word.endsWith('s') ? this.nearest(word.slice(0, -1)) : null;
+        return stem ? `${stem}s` : null;
+    }
+
+    isKnown(word) {
+        // "pines", "clustered", "denser" are known words too
+        return this.known.has(word) ||
+            ENDINGS.some(ending => word.endsWith(ending) && this.known.has(word.slice(0, -ending.length)));
+    }
+
+    nearest(word) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const target of this.targets) {
+            if (target[0] !== word[0]) continue;
+            const limit = allowedEdits(Math.min(word.length, target.length));
+            if (limit === 0) continue;
+            const distance = editDistance(word, target, limit);
+            // Ties go to the first target - the tables' order
+            if (distance <= limit && distance < bestDistance) {
+                best = target;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * How many edits a word of `length` letters may be off by
+ */
+export function allowedEdits(length) {
+    if (length < 4) return 0;
+    return length < 8 ? 1 : 2;
+}
+
+/**
+ * Edits between two words - a letter added, dropped or changed, or two
+ * neighbours swapped ("pien" -> "pine" is 1)
+ * @param {number} limit - Stop once the distance is sure to be above
+ *   this (returns limit + 1)
+ */
+export function editDistance(a, b, limit = Infinity) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let before = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let smallest = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], before[j - 2] + 1);
+            }
+            smallest = Math.min(smallest, row[j]);
+        }
+        if (smallest > limit) return limit + 1;
+        before = previous;
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTERNAL
+// ═══════════════════════════════════════════════════════════════
+
+function wordsIn(list) {
+    // Phrases and regex sources -> words ("\\bspread\\s+out" -> spread, out)
+    return list.flatMap(text => foldText(text).replace(/\\[a-z]/g, ' ').match(/[a-z]+/g) ?? []);
+}
+
+export default PromptSpelling;
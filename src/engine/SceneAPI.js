@@ -0,0 +1,92 @@
+/**
+ * SceneAPI.js - The Engine API Student Scripts Can Call
+ *
+ * The one place that documents what C# code can do to the 3D scene.
+ * CSharpInterpreter exposes these as built-in methods; SceneController
+ * implements them. Keeping the constants here means the interpreter
+ * (which also runs inside the CodeSandbox worker, with no three.js) and
+ * the renderer agree on tree types and world size.
+ *
+ * METHODS (callable as SpawnTree(...) or scene.SpawnTree(...)):
+ * - SpawnTree()                    - tree at a random spot
+ * - SpawnTree(x, z)                - tree at a position
+ * - SpawnTree(x, z, type)          - "pine", "oak", "birch" or "palm"
+ * - SpawnTree(x, z, type, scale)   - scale 1 = normal size
+ * - SpawnRock() / SpawnRock(x, z) / SpawnRock(x, z, scale)
+ * - SetSkyColor(color)             - "#87CEEB" or a CSS name like "orange"
+ * - ClearTrees()                   - remove every tree
+ * - CreateTreeMesh(x, z, type, scale) - like SpawnTree, but the tree is its
+ *                                    own meshes: 2 draw calls per tree
+ *                                    instead of 2 per tree type
+ * - CombineMeshes()                - merge the CreateTreeMesh trees into one
+ *                                    mesh per tree type (static batching)
+ * - GetTreeCount()                 - trees currently in the scene (int)
+ * - Random.Range(min, max)         - ints: min..max-1, floats: min..max (Unity rules)
+ *
+ * OBJECTS (scripts run by a FrameRunner - see FrameRunner.js):
+ * - CreateSpark()                  - a new spark (GameObject) at the campfire
+ * - Destroy(obj) / Destroy(obj, delay) - free it now or `delay` seconds later
+ * - RecycleSpark()                 - a burned-out spark to reuse, or null
+ *
+ * PHYSICS (rocks in a PhysicsWorld - see PhysicsWorld.js):
+ * - DropRock(x, y, z) / DropRock(x, y, z, scale) - a rock (GameObject) that falls
+ * - Physics.Simulate(step)         - move the rocks on by one step of `step` seconds
+ * - Time.deltaTime                 - seconds since the last frame (read-only)
+ * - Time.fixedDeltaTime            - the step physics is stable at: 0.02 (read-only)
+ *
+ * COORDINATES:
+ * x and z run from -WORLD_EXTENT to WORLD_EXTENT; (0, 0) is the middle of
+ * the ground. Positions outside that are clamped to the edge.
+ *
+ * HOST PROTOCOL (what the interpreter sends to its host):
+ * - spawnTree({ x, z, type, scale })  - unset fields are null = pick randomly
+ * - spawnRock({ x, z, scale })
+ * - setSkyColor(color)
+ * - clearTrees()
+ * - getTreeCount()                    - optional; the interpreter counts itself otherwise
+ * - createSpark() → id, recycleSpark() → id|null, destroy(id, delay)
+ * - createTreeMesh({ x, z, type, scale }), combineMeshes()
+ * - dropRock({ x, y, z, scale }) → id, simulatePhysics(seconds)
+ * - deltaTime(), fixedDeltaTime()     - optional; FIXED_DELTA_TIME otherwise
+ */
+
+// Half the ground size - objects are kept inside ±WORLD_EXTENT
+export const WORLD_EXTENT = 45;
+
+// Scale limits so one call can't fill the screen or vanish
+export const MIN_SCALE = 0.1;
+export const MAX_SCALE = 5;
+
+// Time.fixedDeltaTime - seconds per physics step (Unity's default), and
+// Time.deltaTime when nothing is running frames
+export const FIXED_DELTA_TIME = 0.02;
+
+export const DEFAULT_TREE_TYPE = 'pine';
+
+// Trunk/foliage colors for each tree type (SceneController builds the shapes)
+export const TREE_TYPES = {
+    pine: { trunk: 0x8B4513, foliage: 0x228B22 },
+    oak: { trunk: 0x6B4226, foliage: 0x3B7A1E },
+    birch: { trunk: 0xE8E4D8, foliage: 0x9ACD32 },
+    palm: { trunk: 0xA0785A, foliage: 0x2E8B57 }
+};
+
+export const SKY_COLOR = '#87CEEB';
+
+/**
+ * Is `color` something SetSkyColor accepts? (#rgb / #rrggbb or a plain name)
+ */
+export function isColorString(color) {
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) || /^[a-z]+$/i.test(color);
+}
+
+/**
+ * Clamp a coordinate onto the ground
+ */
+export function clampToWorld(value) {
+    return Math.max(-WORLD_EXTENT, Math.min(WORLD_EXTENT, value));
+}
+
+export function clampScale(scale) {
+    return Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+}
@@ -13,10 +13,58 @@
  */
 
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { AssetLoader } from './AssetLoader.js';
+import {
+    WORLD_EXTENT, TREE_TYPES, DEFAULT_TREE_TYPE, SKY_COLOR, clampToWorld, clampScale
+} from './SceneAPI.js';
+import { generateLayout, placementConstraints } from './TreeLayouts.js';
+import { SeededRandom } from './SeededRandom.js';
+
+// ═══════════════════════════════════════════════════════════════
+// TREE SPECIES
+// ═══════════════════════════════════════════════════════════════
+// Low-poly procedural geometry per species, built with its base at y = 0.
+// Colors come from TREE_TYPES (SceneAPI.js) so scripts and prompts agree.
+// `weight` = share of a "mixed" forest.
+
+export const TREE_SPECIES = {
+    pine: {
+        weight: 4,
+        build: () => ({
+            trunk: new THREE.CylinderGeometry(0.3, 0.5, 2, 6).translate(0, 1, 0),
+            foliage: new THREE.ConeGeometry(1.5, 4, 6).translate(0, 3.5, 0)
+        })
+    },
+    oak: {
+        weight: 3,
+        build: () => ({
+            trunk: new THREE.CylinderGeometry(0.35, 0.55, 2.4, 6).translate(0, 1.2, 0),
+            foliage: new THREE.IcosahedronGeometry(2, 0).translate(0, 3.8, 0)
+        })
+    },
+    birch: {
+        weight: 2,
+        build: () => ({
+            trunk: new THREE.CylinderGeometry(0.18, 0.24, 3.6, 5).translate(0, 1.8, 0),
+            foliage: new THREE.SphereGeometry(1.2, 6, 4).scale(1, 1.6, 1).translate(0, 4.4, 0)
+        })
+    },
+    palm: {
+        weight: 1,
+        build: () => ({
+            trunk: new THREE.CylinderGeometry(0.15, 0.3, 5, 5).translate(0, 2.5, 0),
+            foliage: new THREE.ConeGeometry(2.4, 1, 7).translate(0, 5.2, 0)
+        })
+    }
+};
 
 export class SceneController {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options - { seed } - same seed = same forest (random if omitted)
+     */
+    constructor(container, options = {}) {
         this.container = container;
         this.scene = null;
         this.camera = null;
@@ -28,10 +76,39 @@ export class SceneController {
         this.assetsLoaded = false;
         this.useLoadedModels = false; // Toggle for loaded vs procedural
         
-        // Tree management
-        this.treeInstancedMesh = null;
+        // Tree management (see TREE POOL)
+        this.speciesPools = {};          // species → { trees, trunk, foliage, geometry, material }
+        this.initialTreeCapacity = 512;  // Per species - covers every scenario without regrowing
+        this.trees = [];                 // Every tree, dense: { id, x, z, type, scale, rotation, custom, index, slot }
+        this.treeById = new Map();       // id → tree
+        this.treeLayout = [];            // Stable default position per tree index
+        this.nextTreeId = 1;
         this.loadedTreeModel = null;
         this.currentTreeCount = 25;
+        this._dummy = new THREE.Object3D();
+        
+        // Seeded randomness (see SeededRandom.js)
+        this.seedCallbacks = new Set();  // (seed) after each setSeed() - see addSeedCallback()
+        this.setSeed(options.seed);
+        
+        // Rocks (SpawnRock from student scripts)
+        this.rockMesh = null;
+        this.rockCount = 0;
+        
+        // Landmarks a prompt asked for ("next to the pond")
+        this.landmarks = [];
+        
+        // Sparks (CreateSpark from FrameRunner scripts): id → { mesh, born }
+        this.sparks = new Map();
+        
+        // Trees as separate meshes (CreateTreeMesh) and their combined batches
+        this.treeMeshes = [];            // { type, trunk, foliage } - not yet combined
+        this.treeBatches = [];           // Merged meshes from combineTreeMeshes()
+        this.treeMeshCount = 0;          // Trees drawn either way
+        this.treeMeshGeometry = {};      // species → { trunk, foliage }, shared
+        
+        // Falling rocks drawn from a PhysicsWorld (see showPhysicsRocks)
+        this.physicsRockMesh = null;
         
         // Camera orbit
         this.cameraAngle = 0;
@@ -49,6 +126,7 @@ export class SceneController {
         // Callbacks
         this.onPerformanceUpdate = null;
         this.onFrameUpdate = null;  // Called each frame for profiler
+        this.frameCallbacks = new Set(); // (deltaSeconds) each frame - see addFrameCallback()
     }
 
 
@@ -57,7 +135,7 @@ export class SceneController {
         
         // Create scene
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x87CEEB);
+        this.scene.background = new THREE.Color(SKY_COLOR);
         
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
@@ -78,7 +156,8 @@ export class SceneController {
         // Create ground
         this.createGround();
         
-        // Spawn initial trees
+        // Preallocate the default species' pool, then spawn the initial trees
+        this.speciesPool(DEFAULT_TREE_TYPE);
         this.spawnTrees(this.currentTreeCount);
         
         // Debounced resize handler (prevents resize spam that causes flickering)
@@ -162,85 +241,699 @@ export class SceneController {
         this.scene.add(grid);
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    // TREE POOL
+    // ═══════════════════════════════════════════════════════════════
+    //
+    // Each species in TREE_SPECIES gets one trunk + one foliage
+    // InstancedMesh, created the first time that species is used,
+    // preallocated with spare capacity and reused for the whole session.
+    // Draw calls = 2 per species on screen, whatever the tree count.
+    //
+    // `this.trees` holds every tree (tree.index = its place there); each
+    // species pool holds its own trees densely (tree.slot = instance slot).
+    // Removing a tree moves the last one into the gap in both lists, so
+    // only one slot is rewritten, and only changed slots are uploaded.
+    //
+    // Trees without an explicit position take index i's entry from
+    // `this.treeLayout`, so spawnTrees(50) then spawnTrees(100) keeps the
+    // first 50 exactly where they were - the forest doesn't jump on Run.
+
+    /**
+     * Show exactly `count` default trees. Existing layout trees stay put;
+     * only the difference is added or removed.
+     */
     spawnTrees(count) {
         console.log(`[Trees] Spawning ${count} trees with GPU Instancing...`);
         
-        // Cleanup existing
-        if (this.treeInstancedMesh) {
-            this.scene.remove(this.treeInstancedMesh.trunk);
-            this.scene.remove(this.treeInstancedMesh.foliage);
-            this.treeInstancedMesh.trunk.geometry.dispose();
-            this.treeInstancedMesh.trunk.material.dispose();
-            this.treeInstancedMesh.foliage.geometry.dispose();
-            this.treeInstancedMesh.foliage.material.dispose();
+        // Drop extras from the end
+        while (this.trees.length > count) {
+            this.removeTree(this.trees[this.trees.length - 1].id);
+        }
+        // Script-placed trees in the kept range go back to the layout
+        this.trees.forEach((tree) => {
+            if (tree.custom) this.resetToLayout(tree);
+        });
+        this.addTrees(count - this.trees.length);
+        
+        const species = Object.values(this.speciesPools).filter(pool => pool.trees.length > 0).length;
+        console.log(`[Trees] ${count} trees = ${species * 2} draw calls (GPU Instancing)`);
+    }
+
+    /**
+     * Add one tree without touching the others
+     * @param {Object} tree - { x, z, type, scale, rotation }; missing/null = from the layout
+     * @returns {number} The new tree's id
+     */
+    addTree(tree = {}) {
+        const index = this.trees.length;
+        const layout = this.layoutSlot(index);
+        const custom = ['x', 'z', 'type', 'scale', 'rotation'].some(key => tree[key] != null);
+        const record = {
+            id: this.nextTreeId++,
+            x: tree.x != null ? clampToWorld(tree.x) : layout.x,
+            z: tree.z != null ? clampToWorld(tree.z) : layout.z,
+            type: TREE_SPECIES[tree.type] ? tree.type : DEFAULT_TREE_TYPE,
+            scale: tree.scale != null ? clampScale(tree.scale) : layout.scale,
+            rotation: tree.rotation ?? layout.rotation,
+            custom,
+            index,
+            slot: -1
+        };
+        
+        this.trees.push(record);
+        this.treeById.set(record.id, record);
+        this.attachToSpecies(record);
+        this.syncTreeCount();
+        return record.id;
+    }
+
+    /**
+     * Add `count` layout trees on top of the current forest
+     * @returns {number[]} ids
+     */
+    addTrees(count) {
+        const ids = [];
+        for (let i = 0; i < count; i++) {
+            ids.push(this.addTree());
         }
+        return ids;
+    }
 
+    /**
+     * Remove one tree. The last tree moves into its place.
+     * @returns {boolean} false if there is no tree with that id
+     */
+    removeTree(id) {
+        const tree = this.treeById.get(id);
+        if (!tree) return false;
+        
+        this.detachFromSpecies(tree);
+        this.treeById.delete(id);
+        const last = this.trees.pop();
+        if (last !== tree) {
+            this.trees[tree.index] = last;
+            last.index = tree.index;
+        }
+        this.syncTreeCount();
+        return true;
+    }
 
-        // Low-poly Kenney-style tree geometry
-        const trunkGeo = new THREE.CylinderGeometry(0.3, 0.5, 2, 6);
-        const trunkMat = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-        const foliageGeo = new THREE.ConeGeometry(1.5, 4, 6);
-        const foliageMat = new THREE.MeshLambertMaterial({ color: 0x228B22 });
+    /**
+     * Move / rescale / rotate one tree in place
+     * @param {number} id
+     * @param {Object} transform - any of { x, z, scale, rotation }
+     * @returns {boolean} false if there is no tree with that id
+     */
+    setTreeTransform(id, transform) {
+        const tree = this.treeById.get(id);
+        if (!tree) return false;
         
-        // GPU Instancing - renders ALL trees in 2 draw calls
-        const trunkInstanced = new THREE.InstancedMesh(trunkGeo, trunkMat, count);
-        const foliageInstanced = new THREE.InstancedMesh(foliageGeo, foliageMat, count);
+        if (transform.x != null) tree.x = clampToWorld(transform.x);
+        if (transform.z != null) tree.z = clampToWorld(transform.z);
+        if (transform.scale != null) tree.scale = clampScale(transform.scale);
+        if (transform.rotation != null) tree.rotation = transform.rotation;
+        tree.custom = true;
         
-        const dummy = new THREE.Object3D();
-        const spreadRadius = 45;
+        this.writeTreeSlot(tree);
+        return true;
+    }
+
+    /**
+     * @returns {Object|null} A copy of the tree's { id, x, z, type, scale, rotation }
+     */
+    getTree(id) {
+        const tree = this.treeById.get(id);
+        if (!tree) return null;
+        const { index, slot, custom, ...copy } = tree;
+        return copy;
+    }
+
+    /**
+     * Replace the forest with a prompt-driven arrangement
+     * @param {Object} params - PromptParser params: { treeCount, arrangement, density, sizeVariation, treeType, region }
+     * @returns {number[]} ids of the new trees
+     */
+    arrangeTrees(params) {
+        return this.arrangeGroups([params]);
+    }
+
+    /**
+     * Replace the forest with several prompt groups ("20 pines in a circle
+     * and 10 oaks along the edge"), each laid out on its own
+     * @param {Object[]} groups - PromptParser `groups`
+     * @returns {number[]} ids of the new trees
+     */
+    arrangeGroups(groups) {
+        // A fresh fork each time - the same prompt always gives the same forest
+        const random = this.random.fork('arrange');
         
-        for (let i = 0; i < count; i++) {
-            const x = (Math.random() - 0.5) * spreadRadius * 2;
-            const z = (Math.random() - 0.5) * spreadRadius * 2;
-            const scale = 0.7 + Math.random() * 0.6;
-            const rotation = Math.random() * Math.PI * 2;
-            
-            // Trunk
-            dummy.position.set(x, 1, z);
-            dummy.scale.set(scale, scale, scale);
-            dummy.rotation.y = rotation;
-            dummy.updateMatrix();
-            trunkInstanced.setMatrixAt(i, dummy.matrix);
+        this.clearTrees();
+        this.clearLandmarks();
+        const ids = [];
+        for (const params of groups) {
+            // Features the group's placement constraints refer to
+            for (const constraint of placementConstraints(params)) {
+                if (constraint.type === 'landmark') this.addLandmark(constraint);
+            }
+            // "no pine trees" - species the prompt ruled out
+            const excludedSpecies = (params.excluded ?? [])
+                .filter(exclusion => exclusion.attribute === 'treeType')
+                .map(exclusion => exclusion.value);
+            for (const spot of generateLayout(params, random.next)) {
+                ids.push(this.addTree({ ...spot, type: this.pickSpecies(params.treeType, random.next, excludedSpecies) }));
+            }
+            console.log(`[Trees] Arranged ${params.treeCount} ${params.treeType || DEFAULT_TREE_TYPE} trees (${params.arrangement || 'random'}, ${params.density || 'normal'}${params.region ? `, ${params.region}` : ''})`);
+        }
+        return ids;
+    }
+
+    /**
+     * Species for one tree of a prompt's treeType. "mixed" draws from
+     * TREE_SPECIES by weight, skipping `excluded`; unknown types
+     * ("generic") get the default.
+     */
+    pickSpecies(treeType, random = this.sceneRandom.next, excluded = []) {
+        if (treeType === 'mixed') {
+            const allowed = Object.entries(TREE_SPECIES).filter(([name]) => !excluded.includes(name));
+            const entries = allowed.length > 0 ? allowed : Object.entries(TREE_SPECIES);
+            let roll = random() * entries.reduce((sum, [, species]) => sum + species.weight, 0);
+            for (const [name, species] of entries) {
+                roll -= species.weight;
+                if (roll < 0) return name;
+            }
+            return entries[entries.length - 1][0];
+        }
+        return TREE_SPECIES[treeType] ? treeType : DEFAULT_TREE_TYPE;
+    }
+
+    /**
+     * Remove all trees. The instanced meshes are kept for reuse; separate
+     * tree meshes (CreateTreeMesh) are disposed.
+     */
+    clearTrees() {
+        for (const pool of Object.values(this.speciesPools)) {
+            pool.trees = [];
+        }
+        this.trees = [];
+        this.treeById.clear();
+        this.syncTreeCount();
+        this.clearTreeMeshes();
+        console.log('[Trees] Cleared all trees');
+    }
+
+    /**
+     * Switch to a new seed. The default layout is regenerated, so the
+     * current trees move to where that seed puts them.
+     * @param {number|string} seed - Random if omitted
+     */
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        this.seed = this.random.seed;
+        this.layoutRandom = this.random.fork('layout');
+        this.sceneRandom = this.random.fork('scene'); // Rocks etc. - restarts on resetScene()
+        
+        if (this.trees.length > 0) {
+            const count = this.trees.length;
+            this.treeLayout = [];
+            this.clearTrees();
+            this.spawnTrees(count);
+        } else {
+            this.treeLayout = [];
+        }
+        console.log(`[Scene] Seed: ${this.seed}`);
+        for (const callback of this.seedCallbacks) callback(this.seed);
+    }
+
+    /**
+     * Follow the scene's seed - prompt parsers pick their "about 30"
+     * counts from it, so a shared seed gives the same forest
+     * @param {Function} callback - (seed) => void
+     */
+    addSeedCallback(callback) {
+        this.seedCallbacks.add(callback);
+    }
+
+    removeSeedCallback(callback) {
+        this.seedCallbacks.delete(callback);
+    }
+
+    /**
+     * Random position/scale/rotation for tree `index`, generated once
+     * from the seed's layout stream
+     */
+    layoutSlot(index) {
+        const random = this.layoutRandom;
+        while (this.treeLayout.length <= index) {
+            this.treeLayout.push({
+                x: random.range(-WORLD_EXTENT, WORLD_EXTENT),
+                z: random.range(-WORLD_EXTENT, WORLD_EXTENT),
+                scale: random.range(0.7, 1.3),
+                rotation: random.range(0, Math.PI * 2)
+            });
+        }
+        return this.treeLayout[index];
+    }
+
+    resetToLayout(tree) {
+        if (tree.type !== DEFAULT_TREE_TYPE) {
+            this.detachFromSpecies(tree);
+            tree.type = DEFAULT_TREE_TYPE;
+            this.attachToSpecies(tree);
+        }
+        Object.assign(tree, this.layoutSlot(tree.index), { custom: false });
+        this.writeTreeSlot(tree);
+        this.syncTreeCount();
+    }
+
+    attachToSpecies(tree) {
+        const pool = this.speciesPool(tree.type);
+        tree.slot = pool.trees.length;
+        this.ensureTreeCapacity(pool, tree.slot + 1);
+        pool.trees.push(tree);
+        this.writeTreeSlot(tree);
+    }
+
+    detachFromSpecies(tree) {
+        const pool = this.speciesPools[tree.type];
+        const last = pool.trees.pop();
+        if (last !== tree) {
+            pool.trees[tree.slot] = last;
+            last.slot = tree.slot;
+            this.writeTreeSlot(last);
+        }
+    }
+
+    /**
+     * The pool for `species`, built (geometry, materials, preallocated
+     * meshes) the first time it's asked for
+     */
+    speciesPool(species) {
+        if (!this.speciesPools[species]) {
+            const colors = TREE_TYPES[species];
+            const pool = {
+                trees: [],
+                trunk: null,
+                foliage: null,
+                geometry: TREE_SPECIES[species].build(),
+                material: {
+                    trunk: new THREE.MeshLambertMaterial({ color: colors.trunk }),
+                    foliage: new THREE.MeshLambertMaterial({ color: colors.foliage })
+                }
+            };
+            this.speciesPools[species] = pool;
+            this.growTreeMeshes(pool, this.initialTreeCapacity);
+        }
+        return this.speciesPools[species];
+    }
+
+    /**
+     * Make sure a species' meshes can hold `needed` instances. Capacity
+     * doubles, so this reallocates only a handful of times per session.
+     */
+    ensureTreeCapacity(pool, needed) {
+        const capacity = pool.trunk.instanceMatrix.count;
+        if (needed > capacity) {
+            this.growTreeMeshes(pool, Math.max(capacity * 2, needed));
+        }
+    }
+
+    /**
+     * Replace a species' meshes with bigger ones, copying every existing
+     * slot. Geometry and materials are shared and never recreated.
+     */
+    growTreeMeshes(pool, capacity) {
+        const count = pool.trees.length;
+        
+        // GPU Instancing - renders every tree of this species in 2 draw calls
+        for (const part of ['trunk', 'foliage']) {
+            const old = pool[part];
+            const mesh = new THREE.InstancedMesh(pool.geometry[part], pool.material[part], capacity);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            if (old) {
+                mesh.instanceMatrix.array.set(old.instanceMatrix.array.subarray(0, count * 16));
+                this.scene.remove(old);
+                old.dispose();
+            }
+            mesh.count = count;
+            mesh.visible = count > 0;
+            this.scene.add(mesh);
+            pool[part] = mesh;
+        }
+        console.log(`[Trees] Pool capacity: ${capacity}`);
+    }
+
+    /**
+     * Write a tree's matrix into its species' slot and upload just that slot.
+     * Species geometry sits on y = 0, so trunk and foliage share one matrix.
+     */
+    writeTreeSlot(tree) {
+        const { trunk, foliage } = this.speciesPools[tree.type];
+        const dummy = this._dummy;
+        
+        dummy.position.set(tree.x, 0, tree.z);
+        dummy.scale.setScalar(tree.scale);
+        dummy.rotation.set(0, tree.rotation, 0);
+        dummy.updateMatrix();
+        
+        for (const mesh of [trunk, foliage]) {
+            mesh.setMatrixAt(tree.slot, dummy.matrix);
+            this.markSlotDirty(mesh.instanceMatrix, tree.slot, 16);
+            mesh.boundingSphere = null; // Recomputed on next render for culling
+        }
+    }
+
+    /**
+     * Queue one slot for upload. Consecutive slots (a batch of adds)
+     * merge into a single range, so N new trees = one bufferSubData.
+     */
+    markSlotDirty(attribute, index, itemSize) {
+        const start = index * itemSize;
+        const last = attribute.updateRanges[attribute.updateRanges.length - 1];
+        if (last && last.start + last.count === start) {
+            last.count += itemSize;
+        } else {
+            attribute.addUpdateRange(start, itemSize);
+        }
+        attribute.needsUpdate = true;
+    }
+
+    syncTreeCount() {
+        this.currentTreeCount = this.trees.length;
+        for (const pool of Object.values(this.speciesPools)) {
+            for (const mesh of [pool.trunk, pool.foliage]) {
+                mesh.count = pool.trees.length;
+                mesh.visible = pool.trees.length > 0; // Empty species cost no draw call
+            }
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCRIPTED SCENE API (see SceneAPI.js)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Add a rock - one InstancedMesh for all rocks, grown like the trees
+     * @param {Object} rock - { x, z, scale }; missing/null = random
+     */
+    addRock(rock = {}) {
+        const index = this.rockCount;
+        const capacity = this.rockMesh ? this.rockMesh.instanceMatrix.count : 0;
+        
+        if (index >= capacity) {
+            const old = this.rockMesh;
+            const matrices = old ? old.instanceMatrix.array.slice(0, index * 16) : null;
+            this.disposeRocks();
             
-            // Foliage
-            dummy.position.set(x, 3.5 * scale, z);
-            dummy.updateMatrix();
-            foliageInstanced.setMatrixAt(i, dummy.matrix);
+            this.rockMesh = new THREE.InstancedMesh(
+                new THREE.DodecahedronGeometry(1, 0),
+                new THREE.MeshLambertMaterial({ color: 0x808080 }),
+                Math.max(16, capacity * 2)
+            );
+            if (matrices) this.rockMesh.instanceMatrix.array.set(matrices);
+            this.scene.add(this.rockMesh);
         }
         
-        trunkInstanced.instanceMatrix.needsUpdate = true;
-        foliageInstanced.instanceMatrix.needsUpdate = true;
+        const dummy = new THREE.Object3D();
+        const random = this.sceneRandom;
+        const x = rock.x != null ? clampToWorld(rock.x) : random.range(-WORLD_EXTENT, WORLD_EXTENT);
+        const z = rock.z != null ? clampToWorld(rock.z) : random.range(-WORLD_EXTENT, WORLD_EXTENT);
+        const scale = rock.scale != null ? clampScale(rock.scale) : random.range(0.5, 1.3);
         
-        this.scene.add(trunkInstanced);
-        this.scene.add(foliageInstanced);
+        dummy.position.set(x, scale * 0.5, z);
+        dummy.scale.set(scale, scale * 0.7, scale);
+        dummy.rotation.set(random.range(0, Math.PI), random.range(0, Math.PI), 0);
+        dummy.updateMatrix();
+        this.rockMesh.setMatrixAt(index, dummy.matrix);
         
-        this.treeInstancedMesh = { trunk: trunkInstanced, foliage: foliageInstanced };
-        this.currentTreeCount = count;
+        this.rockCount = index + 1;
+        this.rockMesh.count = this.rockCount;
+        this.rockMesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Remove every rock
+     */
+    clearRocks() {
+        this.disposeRocks();
+        this.rockCount = 0;
+    }
+
+    disposeRocks() {
+        if (this.rockMesh) {
+            this.scene.remove(this.rockMesh);
+            this.rockMesh.geometry.dispose();
+            this.rockMesh.material.dispose();
+            this.rockMesh = null;
+        }
+    }
+
+    /**
+     * Draw a landmark from a placement constraint - currently ponds
+     * @param {Object} landmark - { kind: 'pond', x, z, radius }
+     */
+    addLandmark(landmark) {
+        if (landmark.kind !== 'pond') return;
+        
+        const pond = new THREE.Mesh(
+            new THREE.CircleGeometry(landmark.radius, 24),
+            new THREE.MeshLambertMaterial({ color: 0x3A7BD5 })
+        );
+        pond.rotation.x = -Math.PI / 2;
+        pond.position.set(landmark.x, 0.05, landmark.z); // Just above the ground
+        this.scene.add(pond);
+        this.landmarks.push(pond);
+    }
+
+    clearLandmarks() {
+        for (const mesh of this.landmarks) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+        this.landmarks = [];
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // TREE MESHES (Render Storm scenario)
+    // ═══════════════════════════════════════════════════════════════
+    // The slow way to draw a forest, on purpose: every tree is its own
+    // trunk + foliage Mesh with its own material, so each one costs 2 draw
+    // calls (renderer.info.render.calls) where the TREE POOL's instancing
+    // costs 2 per species. combineTreeMeshes() is the batching fix - it
+    // merges them into one mesh per species and part.
+
+    /**
+     * Add a tree as two separate meshes
+     * @param {Object} tree - { x, z, type, scale }; missing/null = from the layout
+     */
+    addTreeMesh(tree = {}) {
+        const layout = this.layoutSlot(this.treeMeshCount);
+        const type = TREE_SPECIES[tree.type] ? tree.type : DEFAULT_TREE_TYPE;
+        if (!this.treeMeshGeometry[type]) {
+            this.treeMeshGeometry[type] = TREE_SPECIES[type].build();
+        }
         
-        console.log(`[Trees] ${count} trees = 2 draw calls (GPU Instancing)`);
+        const colors = TREE_TYPES[type];
+        const record = { type };
+        for (const part of ['trunk', 'foliage']) {
+            const mesh = new THREE.Mesh(
+                this.treeMeshGeometry[type][part],
+                new THREE.MeshLambertMaterial({ color: colors[part] })
+            );
+            mesh.position.set(
+                tree.x != null ? clampToWorld(tree.x) : layout.x,
+                0,
+                tree.z != null ? clampToWorld(tree.z) : layout.z
+            );
+            mesh.scale.setScalar(tree.scale != null ? clampScale(tree.scale) : layout.scale);
+            mesh.rotation.y = layout.rotation;
+            mesh.updateMatrix();
+            this.scene.add(mesh);
+            record[part] = mesh;
+        }
+        this.treeMeshes.push(record);
+        this.treeMeshCount++;
     }
 
     /**
-     * Remove all trees from the scene
+     * Merge every separate tree mesh into one mesh per species and part
+     * (static batching) - same trees, 2 draw calls per species
      */
-    clearTrees() {
-        if (this.treeInstancedMesh) {
-            if (this.treeInstancedMesh.trunk) {
-                this.scene.remove(this.treeInstancedMesh.trunk);
-                this.treeInstancedMesh.trunk.geometry.dispose();
-                this.treeInstancedMesh.trunk.material.dispose();
+    combineTreeMeshes() {
+        const bySpecies = {};
+        for (const tree of this.treeMeshes) {
+            if (!bySpecies[tree.type]) bySpecies[tree.type] = [];
+            bySpecies[tree.type].push(tree);
+        }
+        
+        for (const [type, trees] of Object.entries(bySpecies)) {
+            for (const part of ['trunk', 'foliage']) {
+                const merged = mergeGeometries(trees.map(tree => (
+                    tree[part].geometry.clone().applyMatrix4(tree[part].matrix)
+                )));
+                const batch = new THREE.Mesh(merged, new THREE.MeshLambertMaterial({ color: TREE_TYPES[type][part] }));
+                this.scene.add(batch);
+                this.treeBatches.push(batch);
             }
-            if (this.treeInstancedMesh.foliage) {
-                this.scene.remove(this.treeInstancedMesh.foliage);
-                this.treeInstancedMesh.foliage.geometry.dispose();
-                this.treeInstancedMesh.foliage.material.dispose();
+        }
+        
+        this.removeSeparateTreeMeshes();
+        console.log(`[Trees] Combined ${this.treeMeshCount} tree meshes into ${this.treeBatches.length} batches`);
+    }
+
+    removeSeparateTreeMeshes() {
+        for (const tree of this.treeMeshes) {
+            for (const part of ['trunk', 'foliage']) {
+                this.scene.remove(tree[part]);
+                tree[part].material.dispose(); // Geometry is shared per species
             }
-            this.treeInstancedMesh = null;
         }
-        this.currentTreeCount = 0;
-        console.log('[Trees] Cleared all trees');
+        this.treeMeshes = [];
+    }
+
+    clearTreeMeshes() {
+        this.removeSeparateTreeMeshes();
+        for (const batch of this.treeBatches) {
+            this.scene.remove(batch);
+            batch.geometry.dispose();
+            batch.material.dispose();
+        }
+        this.treeBatches = [];
+        this.treeMeshCount = 0;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SPARKS (Memory Leak scenario - see FrameRunner.js)
+    // ═══════════════════════════════════════════════════════════════
+    // Deliberately NOT pooled or instanced: every spark owns a new geometry
+    // and material, so a script that never destroys them shows up in
+    // renderer.info.memory and the profiler's Geo counter.
+
+    /**
+     * Add a spark rising from the campfire at the middle of the forest
+     * @param {number} id - FrameRunner object id
+     * @param {number} time - Simulated seconds when it was created
+     */
+    addSpark(id, time) {
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.35, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xFFA040 })
+        );
+        this.sparks.set(id, { mesh, born: time });
+        this.placeSpark(id, 0);
+        this.scene.add(mesh);
+    }
+
+    /**
+     * Light a burned-out spark again at the fire (RecycleSpark)
+     */
+    relightSpark(id, time) {
+        const spark = this.sparks.get(id);
+        if (!spark) return;
+        spark.born = time;
+        spark.mesh.visible = true;
+        this.placeSpark(id, 0);
+    }
+
+    removeSpark(id) {
+        const spark = this.sparks.get(id);
+        if (!spark) return;
+        this.scene.remove(spark.mesh);
+        spark.mesh.geometry.dispose();
+        spark.mesh.material.dispose();
+        this.sparks.delete(id);
+    }
+
+    /**
+     * Float sparks up and shrink them; burned-out ones are hidden - but
+     * stay in memory until removeSpark()
+     */
+    updateSparks(time, lifetime) {
+        for (const [id, spark] of this.sparks) {
+            const age = time - spark.born;
+            if (age >= lifetime) {
+                spark.mesh.visible = false;
+            } else {
+                this.placeSpark(id, age / lifetime);
+            }
+        }
+    }
+
+    placeSpark(id, progress) {
+        const { mesh } = this.sparks.get(id);
+        // A fixed drift per id (golden angle) so sparks fan out around the fire
+        const angle = id * 2.39996;
+        const drift = 1 + progress * 4;
+        mesh.position.set(Math.cos(angle) * drift, 1 + progress * 12, Math.sin(angle) * drift);
+        mesh.scale.setScalar(1 - progress * 0.8);
+    }
+
+    clearSparks() {
+        for (const id of [...this.sparks.keys()]) this.removeSpark(id);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PHYSICS ROCKS (Physics Chaos scenario - see PhysicsWorld.js)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Draw a PhysicsWorld's rocks where they are now - one InstancedMesh,
+     * rewritten every call. A rock that tunneled is under the ground
+     * @param {Array} bodies - { x, y, z, radius }
+     */
+    showPhysicsRocks(bodies) {
+        const capacity = this.physicsRockMesh ? this.physicsRockMesh.instanceMatrix.count : 0;
+        if (bodies.length > capacity) {
+            this.clearPhysicsRocks();
+            this.physicsRockMesh = new THREE.InstancedMesh(
+                new THREE.DodecahedronGeometry(1, 0),
+                new THREE.MeshLambertMaterial({ color: 0x8A7F72 }),
+                Math.max(32, bodies.length)
+            );
+            this.scene.add(this.physicsRockMesh);
+        }
+
+        const dummy = this._dummy;
+        dummy.rotation.set(0, 0, 0);
+        bodies.forEach((body, index) => {
+            dummy.position.set(body.x, body.y, body.z);
+            dummy.scale.setScalar(body.radius);
+            dummy.updateMatrix();
+            this.physicsRockMesh.setMatrixAt(index, dummy.matrix);
+        });
+        this.physicsRockMesh.count = bodies.length;
+        this.physicsRockMesh.instanceMatrix.needsUpdate = true;
+    }
+
+    clearPhysicsRocks() {
+        if (!this.physicsRockMesh) return;
+        this.scene.remove(this.physicsRockMesh);
+        this.physicsRockMesh.geometry.dispose();
+        this.physicsRockMesh.material.dispose();
+        this.physicsRockMesh = null;
     }
 
+    /**
+     * Back to an empty forest with the default sky - every script run
+     * starts from here
+     */
+    resetScene() {
+        this.clearTrees();
+        this.clearRocks();
+        this.clearLandmarks();
+        this.clearSparks();
+        this.clearPhysicsRocks();
+        this.setSkyColor(SKY_COLOR);
+        this.sceneRandom.reset(); // Same code + same seed = same scene
+    }
+
+    /**
+     * Change the background color ("#ff8800", "orange", or a THREE.Color)
+     */
+    setSkyColor(color) {
+        this.scene.background = new THREE.Color(color);
+    }
 
     onResize() {
         const width = this.container.clientWidth;
@@ -267,6 +960,7 @@ export class SceneController {
         
         // Call frame update for profiler (lightweight)
         if (this.onFrameUpdate) this.onFrameUpdate();
+        for (const callback of this.frameCallbacks) callback(deltaTime);
         
         // Calculate frame time
         this.frameTime = now - this.lastFrameTime;
@@ -297,6 +991,18 @@ export class SceneController {
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Run something every frame (after the profiler hook)
+     * @param {Function} callback - (deltaSeconds) => void
+     */
+    addFrameCallback(callback) {
+        this.frameCallbacks.add(callback);
+    }
+
+    removeFrameCallback(callback) {
+        this.frameCallbacks.delete(callback);
+    }
+
     animate() {
         requestAnimationFrame(() => this.animate());
         this.update();
@@ -367,19 +1073,20 @@ export class SceneController {
         
         this.treeGroup = new THREE.Group();
         const spreadRadius = 45;
+        const random = this.sceneRandom;
         
         for (let i = 0; i < count; i++) {
             const tree = this.loadedTreeModel.clone();
             
             tree.position.set(
-                (Math.random() - 0.5) * spreadRadius * 2,
+                random.range(-spreadRadius, spreadRadius),
                 0,
-                (Math.random() - 0.5) * spreadRadius * 2
+                random.range(-spreadRadius, spreadRadius)
             );
             
-            const scale = 0.5 + Math.random() * 0.5;
+            const scale = random.range(0.5, 1);
             tree.scale.set(scale, scale, scale);
-            tree.rotation.y = Math.random() * Math.PI * 2;
+            tree.rotation.y = random.range(0, Math.PI * 2);
             
             this.treeGroup.add(tree);
         }
@@ -0,0 +1,143 @@
+/**
+ * SceneController Test Suite
+ * Covers the per-species tree pools. The controller is built without a
+ * renderer or camera, so this runs in Node as well as the browser.
+ * Run in browser console: window.testSceneController()
+ */
+
+import * as THREE from 'three';
+import { SceneController } from './SceneController.js';
+
+/**
+ * Just the state the tree pool touches - no canvas, no render loop
+ * @param {number} capacity - Instances per species before the first regrow
+ */
+function headlessController(capacity) {
+    const controller = Object.create(SceneController.prototype);
+    Object.assign(controller, {
+        scene: new THREE.Scene(),
+        speciesPools: {},
+        initialTreeCapacity: capacity,
+        trees: [],
+        treeById: new Map(),
+        treeLayout: [],
+        nextTreeId: 1,
+        currentTreeCount: 0,
+        treeMeshes: [],
+        treeBatches: [],
+        treeMeshCount: 0,
+        seedCallbacks: new Set(),
+        _dummy: new THREE.Object3D()
+    });
+    controller.setSeed(42);
+    return controller;
+}
+
+export function runSceneControllerTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    /**
+     * Everything that must hold after any add/remove: dense trees and
+     * slots, mesh counts = pool sizes, every slot's matrix = its tree
+     * @returns {string|null} The first broken invariant
+     */
+    const invariantError = (controller) => {
+        const position = new THREE.Vector3();
+        const matrix = new THREE.Matrix4();
+        if (controller.currentTreeCount !== controller.trees.length) return `currentTreeCount ${controller.currentTreeCount} for ${controller.trees.length} trees`;
+        if (controller.treeById.size !== controller.trees.length) return `${controller.treeById.size} ids for ${controller.trees.length} trees`;
+        const bad = controller.trees.findIndex((tree, i) => tree.index !== i || controller.treeById.get(tree.id) !== tree);
+        if (bad !== -1) return `tree ${bad} has index ${controller.trees[bad].index}`;
+
+        let pooled = 0;
+        for (const [species, pool] of Object.entries(controller.speciesPools)) {
+            pooled += pool.trees.length;
+            for (const mesh of [pool.trunk, pool.foliage]) {
+                if (mesh.count !== pool.trees.length) return `${species} mesh count ${mesh.count} for ${pool.trees.length} trees`;
+                if (mesh.visible !== pool.trees.length > 0) return `${species} mesh visible = ${mesh.visible}`;
+                if (mesh.instanceMatrix.count < pool.trees.length) return `${species} capacity ${mesh.instanceMatrix.count} for ${pool.trees.length} trees`;
+                if (!controller.scene.children.includes(mesh)) return `${species} mesh isn't in the scene`;
+            }
+            for (const [slot, tree] of pool.trees.entries()) {
+                if (tree.slot !== slot || tree.type !== species) return `${species} slot ${slot} holds tree ${tree.id} (slot ${tree.slot}, ${tree.type})`;
+                pool.trunk.getMatrixAt(slot, matrix);
+                position.setFromMatrixPosition(matrix);
+                if (Math.abs(position.x - tree.x) > 1e-5 || Math.abs(position.z - tree.z) > 1e-5) {
+                    return `${species} slot ${slot} is drawn at (${position.x}, ${position.z}), tree ${tree.id} is at (${tree.x}, ${tree.z})`;
+                }
+            }
+        }
+        if (pooled !== controller.trees.length) return `${pooled} pooled trees for ${controller.trees.length} trees`;
+        // Two meshes per species and nothing left over from a regrow
+        if (controller.scene.children.length !== Object.keys(controller.speciesPools).length * 2) return `${controller.scene.children.length} objects in the scene`;
+        return null;
+    };
+    const check = (name, controller, extra = true, detail = '') => {
+        const error = invariantError(controller);
+        record(name, !error && extra, error ?? detail);
+    };
+    const count = (controller, species) => controller.speciesPools[species]?.trees.length ?? 0;
+
+    console.log('═'.repeat(50));
+    console.log('SCENE CONTROLLER TEST SUITE');
+    console.log('═'.repeat(50));
+
+    console.log('\nADD / REMOVE TESTS:');
+    const controller = headlessController(4);
+    const pines = [0, 1, 2].map(i => controller.addTree({ type: 'pine', x: i * 5, z: 1 }));
+    const oaks = [0, 1].map(i => controller.addTree({ type: 'oak', x: -i * 5, z: 2 }));
+    check('add: one pool per species', controller, count(controller, 'pine') === 3 && count(controller, 'oak') === 2,
+        `pine ${count(controller, 'pine')}, oak ${count(controller, 'oak')}`);
+
+    controller.removeTree(pines[0]);
+    check('remove: last tree fills the gap', controller, count(controller, 'pine') === 2 && controller.getTree(pines[2]) !== null);
+    record('remove: unknown id', controller.removeTree(9999) === false);
+
+    controller.setTreeTransform(oaks[0], { x: 12, z: -7 });
+    check('move: the slot follows the tree', controller, controller.getTree(oaks[0]).x === 12);
+
+    controller.addTree({ type: 'cactus' });
+    check('unknown species: the default pool', controller, count(controller, 'pine') === 3);
+
+    console.log('\nREGROW TESTS:');
+    const before = controller.speciesPools.oak.trunk;
+    for (let i = 0; i < 9; i++) controller.addTree({ type: 'oak', x: i, z: -i });
+    const after = controller.speciesPools.oak.trunk;
+    check('regrow: capacity doubles past 4', controller,
+        after !== before && after.instanceMatrix.count === 16 && count(controller, 'oak') === 11,
+        `capacity ${after.instanceMatrix.count}, ${count(controller, 'oak')} oaks`);
+    record('regrow: other species untouched', controller.speciesPools.pine.trunk.instanceMatrix.count === 4);
+
+    oaks.forEach(id => controller.removeTree(id));
+    check('remove after regrow', controller, count(controller, 'oak') === 9);
+
+    console.log('\nCLEAR TESTS:');
+    const pool = controller.speciesPools.oak;
+    controller.clearTrees();
+    check('clear: every pool empty', controller, controller.trees.length === 0 && pool.trees.length === 0);
+    record('clear: meshes are kept for reuse', controller.speciesPools.oak.trunk === after);
+    controller.addTrees(6);
+    check('refill after clear', controller, count(controller, 'pine') === 6 && count(controller, 'oak') === 0);
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testSceneController = runSceneControllerTests;
+    console.log('[SceneController Test] Run window.testSceneController() to execute tests');
+}
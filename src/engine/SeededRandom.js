@@ -0,0 +1,128 @@
+/**
+ * SeededRandom.js - Reproducible Randomness
+ *
+ * Everything that "rolls dice" - tree layout, prompt arrangements, "about
+ * 30 trees", Random.Range in student scripts - draws from a SeededRandom
+ * instead of Math.random(). Same seed = same forest, so a screenshot, a
+ * bug report or a teacher's demo can be reproduced exactly.
+ *
+ * The seed lives in the page URL (?seed=1234) and in getStats().
+ *
+ * STREAMS:
+ * fork(label) gives an independent generator derived from the seed and a
+ * label. Each consumer takes its own fork, so adding a rock doesn't shift
+ * every tree position after it:
+ *   random.fork('layout')        - SceneController default tree spots
+ *   random.fork('arrange')       - prompt arrangements (same prompt = same forest)
+ *   parser.random.fork(prompt)   - PromptParser counts
+ *
+ * USAGE:
+ * const random = new SeededRandom(1234);
+ * random.next();          // [0, 1) - pass `random.next` anywhere a () => number is expected
+ * random.int(5, 15);      // 5..15 inclusive
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Number, numeric string or any text; random if omitted
+     */
+    constructor(seed = randomSeed()) {
+        this.seed = parseSeed(seed);
+        this.state = this.seed;
+        this.next = this.next.bind(this); // Usable as a bare function
+    }
+
+    /**
+     * Next float in [0, 1) - mulberry32, fast and good enough for scenes
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max] - both ends included
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Independent generator for one consumer, derived from seed + label
+     */
+    fork(label) {
+        return new SeededRandom(hashString(`${this.seed}:${label}`));
+    }
+
+    /**
+     * Start the sequence over
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+/**
+ * Seed as an unsigned 32-bit int. Numbers/numeric strings are used as-is,
+ * anything else ("class-demo") is hashed.
+ */
+export function parseSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.floor(value) >>> 0;
+    }
+    const text = String(value ?? '').trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    return hashString(text);
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * ?seed= from the page URL, or null
+ */
+export function readSeedFromUrl() {
+    if (typeof window === 'undefined') return null;
+    const value = new URLSearchParams(window.location.search).get('seed');
+    return value ? parseSeed(value) : null;
+}
+
+/**
+ * Put the seed in the URL (without reloading) so copying the link
+ * reproduces the scene
+ */
+export function writeSeedToUrl(seed) {
+    if (typeof window === 'undefined') return;
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', String(seed));
+    window.history.replaceState(window.history.state, '', url);
+}
+
+// FNV-1a - turns text seeds and fork labels into 32-bit seeds
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export default SeededRandom;
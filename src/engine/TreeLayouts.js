@@ -0,0 +1,297 @@
+/**
+ * TreeLayouts.js - Where Trees Go for Each Arrangement
+ *
+ * Turns the PromptParser's scene params into tree positions, so
+ * "25 trees in rows" and "25 scattered trees" actually look different.
+ * Pure math, no three.js - SceneController.arrangeTrees() places the
+ * results, and this file can be checked in Node.
+ *
+ * ARRANGEMENTS:
+ * - random  - scattered over a square that grows with the tree count
+ * - grid    - rows and columns, centered on (0, 0)
+ * - cluster - a few clumps, one per ~20 trees
+ * - line    - one row along x
+ * - circle  - evenly spaced ring around the middle
+ *
+ * MODIFIERS:
+ * - density       - 'dense' | 'normal' | 'sparse' - multiplies the spacing
+ * - sizeVariation - true = wide spread of tree sizes, false = nearly uniform
+ * - region        - key of REGIONS; the layout is moved there and squeezed
+ *                   to fit (null = centered on the whole ground)
+ * - relation      - { kind, target } from PromptParser, e.g. near:pond
+ *
+ * PLACEMENT CONSTRAINTS:
+ * placementConstraints(params) turns region + relation into geometry that
+ * generateLayout() applies and SceneController honors:
+ *   { type: 'region', x, z, halfX, halfZ }   - stay inside this rectangle
+ *   { type: 'corners', regions }             - split between four rectangles
+ *   { type: 'ring', x, z, inner, outer }     - stay between two circles
+ *                                              (inner > 0 = empty middle)
+ *   { type: 'landmark', kind, x, z, radius } - a feature SceneController
+ *                                              draws; trees ring around it
+ *
+ * Every layout stays inside ±WORLD_EXTENT: when the requested spacing
+ * doesn't fit, trees are squeezed closer instead of spilling off the ground.
+ *
+ * USAGE:
+ * const spots = generateLayout({ treeCount: 25, arrangement: 'grid', density: 'dense' });
+ * // [{ x, z, scale, rotation }, ...]
+ */
+
+import { WORLD_EXTENT, clampToWorld } from './SceneAPI.js';
+
+// Distance between neighbouring trees at normal density (world units)
+export const BASE_SPACING = 4;
+
+export const DENSITY_SPACING = {
+    dense: 0.6,
+    normal: 1,
+    sparse: 1.6
+};
+
+// Scale = 1 ± this
+export const SIZE_SPREAD = {
+    varied: 0.45,
+    uniform: 0.1
+};
+
+// Whole-group scale for "big trees" / "small trees"
+export const SIZE_SCALE = {
+    large: 1.5,
+    small: 0.6
+};
+
+export const ARRANGEMENTS = ['random', 'grid', 'cluster', 'line', 'circle'];
+
+const TREES_PER_CLUSTER = 20;
+
+// Areas a prompt group can ask for: center + half-size on each axis.
+// North is -z (the far side from the default camera's start).
+const HALF = WORLD_EXTENT / 2;
+const CORNER = 10;
+export const REGIONS = {
+    center: { x: 0, z: 0, halfX: 15, halfZ: 15 },
+    north: { x: 0, z: -HALF, halfX: WORLD_EXTENT, halfZ: HALF },
+    south: { x: 0, z: HALF, halfX: WORLD_EXTENT, halfZ: HALF },
+    east: { x: HALF, z: 0, halfX: HALF, halfZ: WORLD_EXTENT },
+    west: { x: -HALF, z: 0, halfX: HALF, halfZ: WORLD_EXTENT },
+    northeast: { x: WORLD_EXTENT - CORNER, z: -(WORLD_EXTENT - CORNER), halfX: CORNER, halfZ: CORNER },
+    northwest: { x: -(WORLD_EXTENT - CORNER), z: -(WORLD_EXTENT - CORNER), halfX: CORNER, halfZ: CORNER },
+    southeast: { x: WORLD_EXTENT - CORNER, z: WORLD_EXTENT - CORNER, halfX: CORNER, halfZ: CORNER },
+    southwest: { x: -(WORLD_EXTENT - CORNER), z: WORLD_EXTENT - CORNER, halfX: CORNER, halfZ: CORNER }
+};
+
+// Empty space left by "a clearing in the middle"
+export const CLEARING_RADIUS = 12;
+export const POND_RADIUS = 7;
+// Ring hugging the ground's edge ("along the edge", "border")
+const EDGE_BAND = 8;
+// Empty middle of "around the middle"
+const RING_HOLE = 8;
+
+/**
+ * Positions for `treeCount` trees
+ * @param {Object} params - { treeCount, arrangement, density, sizeVariation, size, region }
+ * @param {Function} random - () => [0, 1); Math.random unless the caller seeds it
+ * @returns {Array<{x: number, z: number, scale: number, rotation: number}>}
+ */
+export function generateLayout(params, random = Math.random) {
+    const count = Math.max(0, Math.floor(params.treeCount ?? 0));
+    const spacing = BASE_SPACING * (DENSITY_SPACING[params.density] ?? 1);
+    const arrange = LAYOUTS[params.arrangement] || LAYOUTS.random;
+    const spread = params.sizeVariation ? SIZE_SPREAD.varied : SIZE_SPREAD.uniform;
+    const size = SIZE_SCALE[params.size] ?? 1;
+
+    const points = applyConstraints(arrange(count, spacing, random), placementConstraints(params));
+
+    return points.map(([x, z]) => ({
+        x: clampToWorld(x),
+        z: clampToWorld(z),
+        scale: size * (1 + (random() * 2 - 1) * spread),
+        rotation: random() * Math.PI * 2
+    }));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ARRANGEMENTS - each returns [[x, z], ...]
+// ═══════════════════════════════════════════════════════════════
+
+const LAYOUTS = {
+    random(count, spacing, random) {
+        // Roughly `spacing` between trees on average
+        const half = Math.min(WORLD_EXTENT, spacing * Math.sqrt(count) * 0.75);
+        return repeat(count, () => [
+            (random() * 2 - 1) * half,
+            (random() * 2 - 1) * half
+        ]);
+    },
+
+    grid(count, spacing) {
+        const columns = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / columns);
+        const step = fit(spacing, Math.max(columns, rows));
+        return repeat(count, (i) => [
+            (i % columns - (columns - 1) / 2) * step,
+            (Math.floor(i / columns) - (rows - 1) / 2) * step
+        ]);
+    },
+
+    cluster(count, spacing, random) {
+        const clusters = Math.max(1, Math.round(count / TREES_PER_CLUSTER));
+        const perCluster = Math.ceil(count / clusters);
+        // Clump radius so trees inside are about half the usual spacing apart
+        const radius = spacing * 0.5 * Math.sqrt(perCluster);
+        const reach = Math.max(0, WORLD_EXTENT - radius);
+        const centers = repeat(clusters, () => clusters === 1
+            ? [0, 0]
+            : [(random() * 2 - 1) * reach * 0.7, (random() * 2 - 1) * reach * 0.7]);
+
+        return repeat(count, (i) => {
+            const [cx, cz] = centers[i % clusters];
+            // sqrt keeps the clump evenly filled instead of piling up in the middle
+            const distance = radius * Math.sqrt(random());
+            const angle = random() * Math.PI * 2;
+            return [cx + Math.cos(angle) * distance, cz + Math.sin(angle) * distance];
+        });
+    },
+
+    line(count, spacing) {
+        const step = fit(spacing, count);
+        return repeat(count, (i) => [(i - (count - 1) / 2) * step, 0]);
+    },
+
+    circle(count, spacing) {
+        // Circumference = count * spacing, but never a dot or off the ground
+        const radius = Math.min(WORLD_EXTENT, Math.max(spacing, count * spacing / (Math.PI * 2)));
+        return repeat(count, (i) => {
+            const angle = (i / count) * Math.PI * 2;
+            return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+        });
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// PLACEMENT CONSTRAINTS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Geometry for a group's region + relation (see header)
+ * @param {Object} params - { region, relation, arrangement }
+ * @returns {Object[]} constraints; [] = anywhere
+ */
+export function placementConstraints(params) {
+    const constraints = [];
+    const region = REGIONS[params.region];
+    // Relations happen around the region's middle (or the ground's)
+    const x = region ? region.x : 0;
+    const z = region ? region.z : 0;
+    const room = region ? Math.min(region.halfX, region.halfZ) : WORLD_EXTENT;
+
+    if (params.region === 'corners') {
+        constraints.push({
+            type: 'corners',
+            regions: [REGIONS.northeast, REGIONS.northwest, REGIONS.southeast, REGIONS.southwest]
+        });
+    } else if (params.region === 'edge' && params.arrangement === 'line') {
+        // A line along the edge runs along the far side
+        constraints.push({ type: 'region', x: 0, z: -(WORLD_EXTENT - EDGE_BAND / 2), halfX: WORLD_EXTENT, halfZ: EDGE_BAND / 2 });
+    } else if (params.region === 'edge') {
+        constraints.push({ type: 'ring', x: 0, z: 0, inner: WORLD_EXTENT - EDGE_BAND, outer: WORLD_EXTENT });
+    } else if (region) {
+        constraints.push({ type: 'region', ...region });
+    }
+
+    const relation = params.relation ? `${params.relation.kind}:${params.relation.target}` : null;
+    if (relation === 'around:clearing' || relation === 'avoid:clearing') {
+        constraints.push({ type: 'ring', x, z, inner: Math.min(CLEARING_RADIUS, room * 0.5) });
+    } else if (relation === 'around:center') {
+        constraints.push({ type: 'ring', x, z, inner: Math.min(RING_HOLE, room * 0.5) });
+    } else if (relation === 'near:pond') {
+        const radius = Math.min(POND_RADIUS, room * 0.4);
+        constraints.push({ type: 'landmark', kind: 'pond', x, z, radius });
+        constraints.push({ type: 'ring', x, z, inner: radius + 1.5 });
+    }
+
+    return constraints;
+}
+
+/**
+ * Apply constraints to a layout centered on (0, 0). A ring takes over
+ * from a plain region (it's already centered there); landmarks don't
+ * move trees by themselves.
+ */
+function applyConstraints(points, constraints) {
+    const ring = constraints.find(c => c.type === 'ring');
+    const region = constraints.find(c => c.type === 'region');
+    const corners = constraints.find(c => c.type === 'corners');
+
+    if (corners) {
+        // Deal trees out to the four corners; each pile keeps the layout's shape
+        const placed = [];
+        corners.regions.forEach((area, k) => {
+            const pile = points.filter((_, i) => i % 4 === k);
+            placeInRegion(pile, area).forEach((point, j) => { placed[k + j * 4] = point; });
+        });
+        return placed;
+    }
+    if (ring) {
+        const bounded = region ? { ...ring, outer: ring.outer ?? Math.min(region.halfX, region.halfZ) } : ring;
+        return placeInRing(points, bounded);
+    }
+    if (region) {
+        return placeInRegion(points, region);
+    }
+    return points;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function repeat(count, make) {
+    return Array.from({ length: count }, (_, i) => make(i));
+}
+
+/**
+ * Move a layout (centered on 0, 0) into a region, shrinking each axis that
+ * doesn't fit
+ */
+function placeInRegion(points, region) {
+    const reachX = Math.max(0, ...points.map(([x]) => Math.abs(x)));
+    const reachZ = Math.max(0, ...points.map(([, z]) => Math.abs(z)));
+    const scaleX = reachX > region.halfX ? region.halfX / reachX : 1;
+    const scaleZ = reachZ > region.halfZ ? region.halfZ / reachZ : 1;
+    return points.map(([x, z]) => [region.x + x * scaleX, region.z + z * scaleZ]);
+}
+
+/**
+ * Bend a layout (centered on 0, 0) into a ring: every point keeps its
+ * angle, and its distance from the middle is stretched from [0, reach]
+ * onto [inner, outer]
+ */
+function placeInRing(points, ring) {
+    const reach = Math.max(1e-6, ...points.map(([x, z]) => Math.hypot(x, z)));
+    const outer = ring.outer ?? areaPreservingOuter(reach, ring.inner);
+    return points.map(([x, z]) => {
+        const distance = Math.hypot(x, z);
+        const angle = Math.atan2(z, x);
+        const bent = ring.inner + (distance / reach) * (outer - ring.inner);
+        return [ring.x + Math.cos(angle) * bent, ring.z + Math.sin(angle) * bent];
+    });
+}
+
+/**
+ * Outer radius that gives the ring the same area as the original layout,
+ * so cutting out a clearing doesn't cram the trees together
+ */
+function areaPreservingOuter(reach, inner) {
+    return Math.min(WORLD_EXTENT, Math.sqrt(reach * reach + inner * inner));
+}
+
+/**
+ * Spacing for `slots` trees in a row, shrunk if the row won't fit the ground
+ */
+function fit(spacing, slots) {
+    if (slots <= 1) return spacing;
+    return Math.min(spacing, (WORLD_EXTENT * 2) / (slots - 1));
+}
@@ -0,0 +1,96 @@
+/**
+ * TreeLayouts Test Suite
+ * Run in browser console: window.testTreeLayouts()
+ */
+
+import { generateLayout, ARRANGEMENTS, REGIONS, CLEARING_RADIUS, SIZE_SPREAD } from './TreeLayouts.js';
+import { WORLD_EXTENT } from './SceneAPI.js';
+import { SeededRandom } from './SeededRandom.js';
+
+export function runTreeLayoutsTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    // Every layout here comes from seed 42
+    const layout = (params, seed = 42) => generateLayout(params, new SeededRandom(seed).next);
+    const inside = ({ x, z }, area) => Math.abs(x - area.x) <= area.halfX + 1e-9 && Math.abs(z - area.z) <= area.halfZ + 1e-9;
+    const onGround = (spot) => Math.abs(spot.x) <= WORLD_EXTENT && Math.abs(spot.z) <= WORLD_EXTENT;
+
+    console.log('═'.repeat(50));
+    console.log('TREE LAYOUTS TEST SUITE');
+    console.log('═'.repeat(50));
+
+    // One spot per tree, all on the ground - even 400 sparse ones
+    console.log('\nCOUNT & BOUNDS TESTS:');
+    const treeCounts = [0, 1, 37, 400];
+    for (const arrangement of ARRANGEMENTS) {
+        const layouts = treeCounts.map(treeCount => layout({ treeCount, arrangement, density: 'sparse' }));
+        const sizes = layouts.map(spots => spots.length);
+        const offGround = layouts.flat().filter(spot => !onGround(spot));
+        record(`${arrangement}: count and bounds`, JSON.stringify(sizes) === JSON.stringify(treeCounts) && offGround.length === 0,
+            `${JSON.stringify(sizes)} spots, ${offGround.length} off the ground`);
+    }
+    record('fractional and negative counts', layout({ treeCount: 4.7 }).length === 4 && layout({ treeCount: -3 }).length === 0);
+
+    // Each arrangement's own shape
+    console.log('\nSHAPE TESTS:');
+    const line = layout({ treeCount: 9, arrangement: 'line' });
+    record('line: one row along x', line.every(spot => spot.z === 0) && line.every((spot, i) => i === 0 || spot.x > line[i - 1].x));
+
+    const circle = layout({ treeCount: 24, arrangement: 'circle' });
+    const radii = circle.map(({ x, z }) => Math.hypot(x, z));
+    record('circle: same distance from the middle', Math.max(...radii) - Math.min(...radii) < 1e-6, `radii ${Math.min(...radii)}-${Math.max(...radii)}`);
+
+    const grid = layout({ treeCount: 12, arrangement: 'grid' });
+    const columns = new Set(grid.map(spot => spot.x.toFixed(3)));
+    const rows = new Set(grid.map(spot => spot.z.toFixed(3)));
+    record('grid: 12 trees in 4 columns of 3 rows', columns.size === 4 && rows.size === 3, `${columns.size} × ${rows.size}`);
+
+    const uniform = layout({ treeCount: 50, sizeVariation: false });
+    record('uniform sizes stay within the spread', uniform.every(spot => Math.abs(spot.scale - 1) <= SIZE_SPREAD.uniform));
+
+    // Regions and relations keep trees where the prompt put them
+    console.log('\nPLACEMENT TESTS:');
+    for (const region of ['center', 'north', 'northeast']) {
+        const spots = layout({ treeCount: 60, arrangement: 'random', region });
+        const outside = spots.filter(spot => !inside(spot, REGIONS[region]));
+        record(`region ${region}`, outside.length === 0, `${outside.length} of ${spots.length} outside`);
+    }
+    const corners = layout({ treeCount: 40, region: 'corners' });
+    const corner = ['northeast', 'northwest', 'southeast', 'southwest'];
+    const perCorner = corner.map(name => corners.filter(spot => inside(spot, REGIONS[name])).length);
+    record('corners: every tree in a corner, every corner used',
+        perCorner.reduce((sum, n) => sum + n, 0) === 40 && perCorner.every(n => n > 0), `per corner ${perCorner}`);
+    const clearing = layout({ treeCount: 60, relation: { kind: 'avoid', target: 'clearing' } });
+    record('clearing stays empty', clearing.every(({ x, z }) => Math.hypot(x, z) >= CLEARING_RADIUS - 1e-9));
+
+    // Seeded: the same seed always gives the same forest
+    console.log('\nSEED TESTS:');
+    for (const arrangement of ['random', 'cluster']) {
+        const params = { treeCount: 30, arrangement, sizeVariation: true };
+        const first = JSON.stringify(layout(params));
+        record(`${arrangement}: same seed, same positions`, first === JSON.stringify(layout(params)));
+        record(`${arrangement}: other seed, other positions`, first !== JSON.stringify(layout(params, 7)));
+    }
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testTreeLayouts = runTreeLayoutsTests;
+    console.log('[TreeLayouts Test] Run window.testTreeLayouts() to execute tests');
+}
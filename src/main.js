@@ -10,6 +10,7 @@
  */
 
 import { SceneController } from './engine/SceneController.js';
+import { readSeedFromUrl, writeSeedToUrl, randomSeed } from './engine/SeededRandom.js';
 import { PanelManager } from './ui/PanelManager.js';
 import { VisualProfiler } from './ui/VisualProfiler.js';
 import { CodeEditor } from './ui/CodeEditor.js';
@@ -49,8 +50,12 @@ class OrbryaEngine {
 
 
         // Initialize 3D scene in viewport
+        // Seed from ?seed=, or a new one put in the URL - share the link to share the forest
+        const seed = readSeedFromUrl() ?? randomSeed();
+        writeSeedToUrl(seed);
+        
         const viewportContent = this.panelManager.getPanelContent('viewport-panel');
-        this.sceneController = new SceneController(viewportContent);
+        this.sceneController = new SceneController(viewportContent, { seed });
         await this.sceneController.init();
         
         this.updateLoadingStatus('Setting up profiler...');
@@ -131,6 +136,7 @@ class OrbryaEngine {
         console.log('[Main] Available commands:');
         console.log('  - window.orbrya.runInfiniteForest() - Start the Infinite Forest scenario');
         console.log('  - window.testRunner.runFullTest() - Run full test suite (3 iterations)');
+        console.log(`  - window.orbrya.setSeed(n) - Reproduce a scene (current seed: ${seed})`);
         console.log('  - Press S to start scenario, H for hint, R to reset');
     }
 
@@ -279,9 +285,20 @@ class OrbryaEngine {
         this.sceneController.spawnTrees(count);
     }
 
+    /**
+     * Switch the scene to another seed and put it in the URL. Prompt
+     * parsers follow the scene's seed (SceneController.addSeedCallback).
+     * @param {number|string} seed
+     */
+    setSeed(seed) {
+        this.sceneController.setSeed(seed);
+        writeSeedToUrl(this.sceneController.seed);
+    }
+
     getStats() {
         return {
             fps: this.sceneController.currentFps,
+            seed: this.sceneController.seed,
             treeCount: this.sceneController.currentTreeCount,
             drawCalls: this.sceneController.getRenderer().info.render.calls,
             triangles: this.sceneController.getRenderer().info.render.triangles
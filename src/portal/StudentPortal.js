@@ -8,93 +8,16 @@
  */
 
 import { AuthManager } from './AuthManager.js';
+import { listScenarios } from '../scenarios/ScenarioCatalog.js';
 
 export class StudentPortal {
     static PROGRESS_KEY = 'orbrya_progress';
     
-    // Scenario definitions
-    static SCENARIOS = [
-        {
-            id: 'infinite-forest',
-            name: 'Infinite Forest',
-            icon: '🌲',
-            description: 'Fix an infinite loop that crashes the forest generator',
-            difficulty: 'Beginner',
-            estimatedTime: '15-20 min',
-            prerequisites: [],
-            order: 1,
-            learningObjectives: [
-                'Understanding loop conditions',
-                'Performance impact of infinite loops',
-                'Writing constraints'
-            ],
-            tags: ['loops', 'performance', 'debugging']
-        },
-        {
-            id: 'memory-leak',
-            name: 'Memory Leak',
-            icon: '💾',
-            description: 'Find and fix memory leaks draining system resources',
-            difficulty: 'Intermediate',
-            estimatedTime: '20-25 min',
-            prerequisites: ['infinite-forest'],
-            order: 2,
-            learningObjectives: [
-                'Memory management basics',
-                'Object lifecycle awareness',
-                'Resource cleanup patterns'
-            ],
-            tags: ['memory', 'optimization', 'resources']
-        },
-        {
-            id: 'physics-chaos',
-            name: 'Physics Chaos',
-            icon: '⚙️',
-            description: 'Debug physics calculations causing objects to explode',
-            difficulty: 'Intermediate',
-            estimatedTime: '20-30 min',
-            prerequisites: ['infinite-forest'],
-            order: 3,
-            learningObjectives: [
-                'Understanding physics constraints',
-                'Debugging visual artifacts',
-                'Parameter tuning'
-            ],
-            tags: ['physics', 'debugging', 'math']
-        },
-        {
-            id: 'render-storm',
-            name: 'Render Storm',
-            icon: '🎨',
-            description: 'Optimize excessive draw calls killing frame rate',
-            difficulty: 'Advanced',
-            estimatedTime: '25-35 min',
-            prerequisites: ['memory-leak'],
-            order: 4,
-            learningObjectives: [
-                'Understanding draw calls',
-                'Batching and instancing',
-                'GPU performance profiling'
-            ],
-            tags: ['rendering', 'optimization', 'gpu']
-        },
-        {
-            id: 'ai-rebellion',
-            name: 'AI Rebellion',
-            icon: '🤖',
-            description: 'Constrain an AI that spawns too many enemies',
-            difficulty: 'Advanced',
-            estimatedTime: '30-40 min',
-            prerequisites: ['physics-chaos'],
-            order: 5,
-            learningObjectives: [
-                'AI behavior constraints',
-                'Rate limiting patterns',
-                'System resource budgeting'
-            ],
-            tags: ['ai', 'constraints', 'optimization']
-        }
-    ];
+    // Scenario cards - from the catalog (scenarios/definitions/index.json)
+    static SCENARIOS = listScenarios().map(entry => ({
+        ...entry,
+        difficulty: entry.difficulty.charAt(0).toUpperCase() + entry.difficulty.slice(1)
+    }));
 
     /**
      * Get default progress structure for a new user
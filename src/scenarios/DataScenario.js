@@ -0,0 +1,698 @@
+/**
+ * DataScenario.js - A Scenario Run Entirely From Its JSON Definition
+ *
+ * Runs any definitions/*.json without a JavaScript subclass. Each
+ * section of the definition drives one part of the experience:
+ *
+ * - story       - Inspector panel (intro, problem, goal), success modal,
+ *                 error feedback (ScenarioUI)
+ * - code        - template is the AI's buggy code; acceptablePatterns
+ *                 pick the feedback message (ScenarioLoader grading)
+ * - hints       - trigger "time" (after delaySeconds), "fps_critical"
+ *                 (FPS under validation.minimumFPS) or none (only from
+ *                 the hint button); the button goes through them by level
+ * - validation  - initialTreeCount breaks the scene; checkpoints track
+ *                 progress and decide success (see CHECKPOINT_TYPES).
+ *                 metric_trend checkpoints sample the profiler for
+ *                 `seconds` after a fix before deciding
+ * - performance - budgets the profiler must be under to pass
+ *                 (see PERFORMANCE_BUDGETS)
+ *
+ * SUCCESS:
+ * Every measured checkpoint passes, every performance budget is met and
+ * every required action / code_edit checkpoint has been reached.
+ *
+ * USAGE:
+ * A catalog entry with a `definition` and no `implementation` runs as a
+ * DataScenario - ScenarioManager passes the ID:
+ * const scenario = new DataScenario(sceneController, codeEditor, profiler, 'memory-leak');
+ * await scenario.init();   // loads the definition
+ * await scenario.start();
+ *
+ * Scenarios with a different broken scene override _breakScene(),
+ * _gradeCode() and _executeFix(); everything else stays data. That takes
+ * code when the bug only shows by running the student's script - sparks
+ * made every frame (MemoryLeak), a draw call per mesh (RenderStorm), a
+ * physics step per frame (PhysicsChaos). A pattern can't tell whether a
+ * Destroy() is ever reached or a timestep is fixed, so the subclass runs
+ * the script (FrameRunner, CSharpInterpreter) with the calls its story
+ * needs - CreateSpark(), CreateTreeMesh(), Physics.Simulate() are
+ * interpreter builtins backed by the scene or an engine world - and
+ * grades what the run measured. acceptablePatterns only pick the praise.
+ */
+
+import { Scenario } from './Scenario.js';
+import { ScenarioLoader } from './ScenarioLoader.js';
+import { getScenarioEntry } from './ScenarioCatalog.js';
+import { ScenarioUI } from './ui/ScenarioUI.js';
+
+// Checkpoint type -> how it is reached
+export const CHECKPOINT_TYPES = {
+    action: 'an event with the checkpoint\'s id: inspect_code, code_applied, scene_loaded',
+    code_edit: 'the student runs code that differs from the template',
+    fps_improvement: 'FPS at or above `threshold` (default validation.targetFPS)',
+    object_count: '`metric` (default trees) inside `range` (default validation.acceptableRange)',
+    metric: 'a profiler `metric` between `min` and `max`',
+    metric_trend: 'a profiler `metric` grows by at most `maxGrowthPerSecond` over the last `seconds`',
+    completion: 'everything else passes'
+};
+
+// Checkpoint types measured from the scene - these are the success criteria
+const MEASURED_TYPES = ['fps_improvement', 'object_count', 'metric', 'metric_trend'];
+
+// How often metric_trend checkpoints sample the profiler
+const SAMPLE_INTERVAL_MS = 500;
+
+// performance.* budget -> the metric it caps
+export const PERFORMANCE_BUDGETS = {
+    maxDrawCalls: 'drawCalls',
+    maxTriangles: 'triangles',
+    maxGeometries: 'geometries',
+    maxMemoryMB: 'memory'
+};
+
+// How metrics are named in feedback
+const METRIC_LABELS = {
+    fps: 'FPS',
+    trees: 'Tree count',
+    drawCalls: 'Draw calls',
+    triangles: 'Triangles',
+    geometries: 'Geometries',
+    memory: 'Memory (MB)',
+    rocks: 'Rocks',
+    outOfBounds: 'Rocks out of the world',
+    kineticEnergy: 'Kinetic energy'
+};
+
+export class DataScenario extends Scenario {
+    constructor(sceneController, codeEditor, profiler, scenarioId) {
+        super(sceneController, codeEditor, profiler);
+
+        this.id = scenarioId;
+        this.config = null;
+        this.loader = new ScenarioLoader();
+        this.checkpoints = [];
+        this.ui = null;
+
+        // Progress within one attempt at the scenario
+        this.session = {
+            startTime: null,
+            codeEdits: [],
+            checkpoints: {},        // id -> { reached, timestamp, elapsed }
+            hintsRevealed: [],      // Levels shown (by timer, FPS or button)
+            completed: false
+        };
+
+        this._hintTimers = [];
+        this._fpsWatch = null;
+        this._samples = [];         // readMetrics() + time, for metric_trend
+        this._sampler = null;
+        this._lastFeedback = null;
+        this._lastCompletion = null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LIFECYCLE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Load the definition named by the catalog entry
+     */
+    async load() {
+        const definition = await this.loader.loadDefinition(this.id);
+        if (!definition) {
+            throw new Error(`Couldn't load the definition for scenario "${this.id}"`);
+        }
+        this.useDefinition(definition);
+        return this;
+    }
+
+    /**
+     * Take story, code, validation and hints from a definition
+     * @param {Object} definition - A definitions/*.json file
+     */
+    useDefinition(definition) {
+        const checkpoints = definition.validation?.checkpoints ?? [];
+        for (const checkpoint of checkpoints) {
+            if (!(checkpoint.type in CHECKPOINT_TYPES)) {
+                throw new Error(`${definition.id}: checkpoint "${checkpoint.id}" has unknown type "${checkpoint.type}" (expected ${Object.keys(CHECKPOINT_TYPES).join(', ')})`);
+            }
+        }
+
+        this.config = definition;
+        this.title = definition.name;
+        this.description = definition.story.goal || '';
+        this.difficulty = definition.difficulty || this.difficulty;
+        this.story = definition.story;
+        this.buggyCode = definition.code.template;
+        this.solutionPatterns = this.loader.getValidationPatterns(definition);
+        this.validation = { ...this.validation, ...definition.validation };
+        this.checkpoints = checkpoints;
+        return this;
+    }
+
+    async init() {
+        await this.load();
+        await super.init();
+
+        this.ui = new ScenarioUI().init();
+        this.ui.setHints(this._buttonHints());
+        this.ui.setCallbacks({
+            onHintRequest: () => this._onHintRequest(),
+            onTryAgain: () => this.reset(),
+            onNextScenario: () => this._goToNextScenario(),
+            onBackToDashboard: () => this._goToDashboard(),
+            onInspectorDismiss: (action) => {
+                if (action === 'inspect') this.inspect();
+            }
+        });
+
+        console.log(`[DataScenario:${this.id}] Initialized`);
+        return this;
+    }
+
+    /**
+     * Break the scene, tell the story and start the hint timers
+     */
+    async start() {
+        this.session.startTime = Date.now();
+        this.session.checkpoints = {};
+        this.session.completed = false;
+        this._lastFeedback = null;
+        this._lastCompletion = null;
+
+        await this._breakScene();
+        this._markCheckpoint('scene_loaded');
+
+        this.ui?.showInspector(this.story);
+        this._startHintTimers();
+        this._watchFps();
+
+        await super.start();
+    }
+
+    /**
+     * Put the scene into the state the AI's code leaves it in. The default
+     * spawns validation.initialTreeCount trees
+     */
+    async _breakScene() {
+        const count = this.validation.initialTreeCount;
+        if (!count || !this.sceneController) return;
+
+        this.codeEditor?.clearConsole?.();
+        this.codeEditor?.log('info', '🤖 AI Code Executing...');
+        this.sceneController.spawnTrees(count);
+        this.codeEditor?.log('error', `💥 Performance critical! ${count} trees spawned!`);
+    }
+
+    /**
+     * Load the AI's code into the editor
+     */
+    inspect() {
+        super.inspect();
+        this._markCheckpoint('inspect_code');
+        this.ui?.showHintButton();
+    }
+
+    /**
+     * Track an edit; code that differs from the template reaches the
+     * code_edit checkpoints
+     */
+    onStudentEdit(code) {
+        this.session.codeEdits.push({
+            timestamp: Date.now(),
+            code,
+            elapsed: Date.now() - this.session.startTime
+        });
+
+        if (code.trim() !== this.buggyCode.trim()) {
+            this.checkpoints
+                .filter(checkpoint => checkpoint.type === 'code_edit')
+                .forEach(checkpoint => this._markCheckpoint(checkpoint.id));
+        }
+    }
+
+    /**
+     * Grade the student's code, run the fix and check the result
+     * @returns {Promise<Object>} { success, validation, completion }
+     */
+    async apply(code) {
+        console.log(`[DataScenario:${this.id}] Applying student fix...`);
+        this.attempts++;
+        this.metrics.codeChanges++;
+        this._markCheckpoint('code_applied');
+        this.onStudentEdit(code);
+
+        const grade = this._gradeCode(code);
+        if (!grade.valid) {
+            this._showError(grade.feedback);
+            return { success: false, validation: grade };
+        }
+
+        const run = await this._executeFix(grade.extractedValue, code);
+        if (!run.success) {
+            return { success: false, validation: grade };
+        }
+        this.codeEditor?.log('info', grade.feedback);
+
+        this.state = 'fixed';
+        this._emitStateChange();
+        await this._waitForFPSStabilize();
+        this._startSampling();
+        await this._waitForTrend();
+
+        return { success: true, validation: grade, completion: this.checkCompletion() };
+    }
+
+    /**
+     * Check the student's code before it runs - by default ScenarioLoader
+     * grading (it must stop, and spawn a tree count in range)
+     * @returns {Object} { valid, feedback, extractedValue }
+     */
+    _gradeCode(code) {
+        return this.loader.validateSolution(this.config, code);
+    }
+
+    /**
+     * The acceptablePatterns entry the code matches - for praise only.
+     * Comments are left out: the templates' hints name the fix
+     * ("Destroy(spark, seconds) frees...") and would match unfixed code
+     */
+    _matchPattern(code) {
+        const uncommented = code.replace(/\/\/.*$/gm, '');
+        return this.solutionPatterns.find(p => p.regex.test(uncommented));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // VALIDATION & COMPLETION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * What the profiler and scene measure right now
+     */
+    readMetrics() {
+        const profiled = this.profiler?.metrics ?? {};
+        return {
+            fps: profiled.fps ?? 0,
+            drawCalls: profiled.drawCalls ?? 0,
+            triangles: profiled.triangles ?? 0,
+            geometries: profiled.geometries ?? 0,
+            memory: profiled.memory ?? 0,
+            trees: this.sceneController?.currentTreeCount ?? 0
+        };
+    }
+
+    /**
+     * Check every success criterion without changing anything
+     * @param {Object} metrics - From readMetrics()
+     * @returns {Object} { success, failures: [string], passed: [checkpoint id], missing: [checkpoint id] }
+     */
+    evaluate(metrics = this.readMetrics()) {
+        const failures = [];
+        const passed = [];
+
+        for (const checkpoint of this.checkpoints.filter(c => MEASURED_TYPES.includes(c.type))) {
+            const failure = this._measure(checkpoint, metrics);
+            if (failure) failures.push(failure);
+            else passed.push(checkpoint.id);
+        }
+
+        for (const [budget, metric] of Object.entries(PERFORMANCE_BUDGETS)) {
+            const max = this.config?.performance?.[budget];
+            if (max === undefined) continue;
+            const failure = checkRange(metric, metrics[metric], undefined, max);
+            // A checkpoint on the same limit has already said so
+            if (failure && !failures.includes(failure)) failures.push(failure);
+        }
+
+        const missing = this.checkpoints
+            .filter(c => c.required && (c.type === 'action' || c.type === 'code_edit'))
+            .filter(c => !this.session.checkpoints[c.id])
+            .map(c => c.id);
+
+        return { success: failures.length === 0 && missing.length === 0, failures, passed, missing };
+    }
+
+    /**
+     * Check the scene; complete the scenario or explain what's still off
+     */
+    checkCompletion() {
+        if (this.session.completed) return this._lastCompletion;
+
+        const metrics = this.readMetrics();
+        this.metrics.fpsAfter = metrics.fps;
+        const result = this.evaluate(metrics);
+
+        const completion = {
+            ...result,
+            fps: metrics.fps,
+            targetFPS: this.validation.targetFPS,
+            improvement: metrics.fps - (this.metrics.fpsBefore || 0),
+            message: result.success ? this.story.success : this.story.failure
+        };
+        this._lastCompletion = completion;
+
+        if (result.success) {
+            result.passed.forEach(id => this._markCheckpoint(id));
+            this.checkpoints
+                .filter(c => c.type === 'completion')
+                .forEach(c => this._markCheckpoint(c.id));
+            this._finish(completion);
+        } else {
+            this._showFeedback(result);
+        }
+        return completion;
+    }
+
+    _measure(checkpoint, metrics) {
+        switch (checkpoint.type) {
+            case 'fps_improvement':
+                return checkRange('fps', metrics.fps, checkpoint.threshold ?? this.validation.targetFPS);
+            case 'object_count': {
+                const metric = checkpoint.metric ?? 'trees';
+                const [min, max] = checkpoint.range ??
+                    [this.validation.acceptableRange?.min, this.validation.acceptableRange?.max];
+                return checkRange(metric, metrics[metric], min, max);
+            }
+            case 'metric_trend':
+                return checkTrend(checkpoint, this._samples);
+            default:
+                return checkRange(checkpoint.metric, metrics[checkpoint.metric], checkpoint.min, checkpoint.max);
+        }
+    }
+
+    /**
+     * Sample readMetrics() twice a second for metric_trend checkpoints
+     * (only if the definition has any)
+     */
+    _startSampling() {
+        this._stopSampling();
+        this._samples = [];
+        if (this._trendSeconds() === 0) return;
+
+        const keep = Math.ceil(this._trendSeconds() * 1000 / SAMPLE_INTERVAL_MS) + 1;
+        this._sampler = setInterval(() => {
+            this._samples.push({ time: Date.now() / 1000, ...this.readMetrics() });
+            if (this._samples.length > keep) this._samples.shift();
+        }, SAMPLE_INTERVAL_MS);
+    }
+
+    _stopSampling() {
+        if (this._sampler) clearInterval(this._sampler);
+        this._sampler = null;
+    }
+
+    _trendSeconds() {
+        return Math.max(0, ...this.checkpoints
+            .filter(c => c.type === 'metric_trend')
+            .map(c => c.seconds ?? 0));
+    }
+
+    /**
+     * Give metric_trend checkpoints their full window of samples (sampling
+     * starts once the fix has settled, so start-up isn't read as growth)
+     */
+    async _waitForTrend() {
+        const seconds = this._trendSeconds();
+        if (seconds === 0) return;
+        this.codeEditor?.log('info', `📈 Watching the profiler for ${seconds}s...`);
+        await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    }
+
+    _showFeedback(result) {
+        const lines = result.failures.length > 0
+            ? result.failures
+            : [this.story.failure || 'Not quite right. Keep trying!'];
+        const feedback = lines.join('\n');
+
+        // A second check that finds the same thing stays quiet
+        if (feedback === this._lastFeedback) return;
+        this._lastFeedback = feedback;
+
+        lines.forEach(line => this.codeEditor?.log('warning', line));
+        this.ui?.showError(lines[0]);
+        this.ui?.showHintButton();
+    }
+
+    _finish(completion) {
+        this.session.completed = true;
+        this._stopHints();
+        this._stopSampling();
+
+        const time = Math.floor((Date.now() - this.session.startTime) / 1000);
+        this.ui?.showSuccess({
+            message: this.story.success,
+            fps: completion.fps,
+            time,
+            attempts: this.attempts,
+            hintsUsed: this.metrics.hintsUsed,
+            score: this._calculateScore()
+        });
+        this.codeEditor?.log('success', `🎉 Completed in ${time}s with ${this.attempts} attempt(s)`);
+
+        this.complete(true);
+        this._saveProgress();
+    }
+
+    /**
+     * 100, minus 5 per extra attempt and 10 per hint asked for, plus 10
+     * for finishing inside two minutes
+     */
+    _calculateScore() {
+        let score = 100 - (this.attempts - 1) * 5 - this.metrics.hintsUsed * 10;
+        if (Date.now() - this.session.startTime < 120000) score += 10;
+        return Math.max(0, Math.min(100, score));
+    }
+
+    _saveProgress() {
+        if (typeof window !== 'undefined' && window.ProgressTracker && window.AuthManager) {
+            const user = window.AuthManager.getCurrentUser?.();
+            if (user?.userId) {
+                window.ProgressTracker.markComplete(user.userId, this.id, this._calculateScore());
+            }
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HINTS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Hints the hint button steps through - every hint not tied to an
+     * event, by level
+     */
+    _buttonHints() {
+        return (this.config?.hints ?? [])
+            .filter(hint => hint.trigger !== 'fps_critical')
+            .sort((a, b) => a.level - b.level);
+    }
+
+    _startHintTimers() {
+        for (const hint of this.config?.hints ?? []) {
+            if (hint.trigger === 'time' && hint.delaySeconds) {
+                this._hintTimers.push(setTimeout(() => this._revealHint(hint), hint.delaySeconds * 1000));
+            }
+        }
+    }
+
+    /**
+     * Watch the FPS once a second; under validation.minimumFPS the
+     * fps_critical hints show
+     */
+    _watchFps() {
+        const hints = (this.config?.hints ?? []).filter(hint => hint.trigger === 'fps_critical');
+        const minimumFPS = this.validation.minimumFPS;
+        if (hints.length === 0 || !minimumFPS || !this.profiler) return;
+
+        this._fpsWatch = setInterval(() => {
+            const fps = this.profiler.metrics?.fps ?? 0;
+            if (fps > 0 && fps < minimumFPS) {
+                hints.forEach(hint => this._revealHint(hint));
+                clearInterval(this._fpsWatch);
+                this._fpsWatch = null;
+            }
+        }, 1000);
+    }
+
+    _stopHints() {
+        this._hintTimers.forEach(timer => clearTimeout(timer));
+        this._hintTimers = [];
+        if (this._fpsWatch) clearInterval(this._fpsWatch);
+        this._fpsWatch = null;
+    }
+
+    /**
+     * Show a hint in the console and pulse the hint button
+     */
+    _revealHint(hint) {
+        if (this.session.completed || this.session.hintsRevealed.includes(hint.level)) return;
+        this.session.hintsRevealed.push(hint.level);
+        this.codeEditor?.log('info', hint.text);
+        this.ui?.pulseHintButton();
+    }
+
+    /**
+     * ScenarioUI asks for a hint: the button with nothing shown yet opens
+     * the first one, "Show Next Hint" has already moved on by itself
+     */
+    _onHintRequest() {
+        if (!this.ui) return;
+        if (this.ui.currentHint === 0 && this.ui.totalHints > 0) {
+            this.ui.nextHint();
+            return;
+        }
+        if (this.ui.currentHint > this.metrics.hintsUsed) {
+            this.metrics.hintsUsed = this.ui.currentHint;
+            const hint = this.ui.hints[this.ui.currentHint - 1];
+            if (!this.session.hintsRevealed.includes(hint.level)) this.session.hintsRevealed.push(hint.level);
+            this.codeEditor?.log('info', hint.text);
+        }
+    }
+
+    /**
+     * Next hint (ScenarioManager.getHint)
+     */
+    getHint() {
+        if (!this.ui || this.ui.currentHint >= this.ui.totalHints) {
+            return this.story.hint;
+        }
+        this.ui.nextHint();
+        return this.ui.hints[this.ui.currentHint - 1].text;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CHECKPOINTS
+    // ═══════════════════════════════════════════════════════════════
+
+    _markCheckpoint(checkpointId) {
+        if (this.session.checkpoints[checkpointId]) return;
+        this.session.checkpoints[checkpointId] = {
+            reached: true,
+            timestamp: Date.now(),
+            elapsed: Date.now() - this.session.startTime
+        };
+        console.log(`[DataScenario:${this.id}] Checkpoint: ${checkpointId}`);
+    }
+
+    getCheckpointStatus() {
+        return {
+            scenarioId: this.id,
+            checkpoints: this.session.checkpoints,
+            progress: this.checkpoints.filter(c => this.session.checkpoints[c.id]).length,
+            total: this.checkpoints.length
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // RESET, NAVIGATION & CLEANUP
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Start over: same broken scene, story and hint timers; attempts and
+     * hints used carry over
+     */
+    async reset() {
+        this._stopHints();
+        this._stopSampling();
+        this.session.hintsRevealed = [];
+        this.session.codeEdits = [];
+        this.ui?.reset();
+        super.reset();
+
+        try {
+            await this.start();
+        } catch (error) {
+            console.error(`[DataScenario:${this.id}] Couldn't restart:`, error);
+            this.onError?.({ scenario: this.id, errors: [`❌ ${error.message}`] });
+            return;
+        }
+        this.codeEditor?.log('info', '🔄 Scenario reset - Try again!');
+    }
+
+    _showError(message) {
+        this.codeEditor?.log('error', message);
+        this.ui?.showError(message);
+    }
+
+    _goToNextScenario() {
+        const next = getScenarioEntry(this.id)?.next ?? this.config?.metadata?.nextScenario;
+        const manager = typeof window !== 'undefined' ? window.orbrya?.scenarioManager : null;
+        if (next && manager) {
+            manager.loadScenario(next);
+        } else {
+            console.log(`[DataScenario:${this.id}] No next scenario`);
+        }
+    }
+
+    _goToDashboard() {
+        window.location.href = '/dashboard.html';
+    }
+
+    dispose() {
+        this._stopHints();
+        this._stopSampling();
+        this.ui?.dispose();
+        this.ui = null;
+        this.config = null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PUBLIC API
+    // ═══════════════════════════════════════════════════════════════
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            checkpoints: this.getCheckpointStatus()
+        };
+    }
+
+    getLearningObjectives() {
+        return this.config ? this.loader.getLearningObjectives(this.config) : [];
+    }
+
+    getStandardsAlignment() {
+        return this.config ? this.loader.getStandardsAlignment(this.config) : {};
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTERNAL
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Feedback when `value` is outside [min, max], or null when it's fine
+ */
+function checkRange(metric, value, min, max) {
+    const label = METRIC_LABELS[metric] ?? metric;
+    if (value === undefined) return `${label} can't be measured here`;
+    if (min !== undefined && value < min) return `${label}: ${value} - it needs to be at least ${min}.`;
+    if (max !== undefined && value > max) return `${label}: ${value} - keep it at ${max} or under.`;
+    return null;
+}
+
+/**
+ * Feedback when a metric grew faster than the checkpoint allows over its
+ * window (least-squares slope per second), or null when it's flat enough
+ */
+function checkTrend(checkpoint, samples) {
+    const { metric, seconds = 0, maxGrowthPerSecond = 0 } = checkpoint;
+    const label = METRIC_LABELS[metric] ?? metric;
+    const latest = samples[samples.length - 1]?.time ?? 0;
+    const window = samples.filter(sample => sample.time >= latest - seconds);
+    if (window.length < 2) return `${label} hasn't been watched long enough yet`;
+
+    const meanTime = window.reduce((sum, s) => sum + s.time, 0) / window.length;
+    const meanValue = window.reduce((sum, s) => sum + s[metric], 0) / window.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const sample of window) {
+        covariance += (sample.time - meanTime) * (sample[metric] - meanValue);
+        variance += (sample.time - meanTime) ** 2;
+    }
+    const growth = variance > 0 ? covariance / variance : 0;
+    if (growth <= maxGrowthPerSecond) return null;
+    return `${label}: up about ${Math.round(growth * 10) / 10} every second. Something is created and never freed.`;
+}
+
+export default DataScenario;
@@ -0,0 +1,113 @@
+/**
+ * DataScenario Test Suite
+ * Run in browser console: await window.testDataScenario()
+ */
+
+import { DataScenario } from './DataScenario.js';
+
+export async function runDataScenarioTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    // A scenario with just these checkpoints and budgets - no scene, no UI
+    const scenario = (checkpoints, performance = {}) => new DataScenario(null, null, null, 'test-scenario').useDefinition({
+        id: 'test-scenario',
+        name: 'Test scenario',
+        story: { goal: 'Pass the checks', failure: 'Not yet' },
+        code: { template: 'SpawnTree();' },
+        validation: { checkpoints },
+        performance
+    });
+
+    console.log('═'.repeat(50));
+    console.log('DATA SCENARIO TEST SUITE');
+    console.log('═'.repeat(50));
+
+    // evaluate() against fixed metrics: expected = the one failure, or null
+    console.log('\nRANGE TESTS:');
+    const count = { id: 'count', type: 'object_count', range: [20, 30] };
+    const draws = { id: 'draws', type: 'metric', metric: 'drawCalls', max: 100 };
+    const rangeTests = [
+        { name: 'count inside range', checkpoints: [count], metrics: { trees: 25 }, expected: null },
+        { name: 'count under range', checkpoints: [count], metrics: { trees: 10 }, expected: 'Tree count: 10 - it needs to be at least 20.' },
+        { name: 'count over range', checkpoints: [count], metrics: { trees: 31 }, expected: 'Tree count: 31 - keep it at 30 or under.' },
+        { name: 'metric at its max', checkpoints: [draws], metrics: { drawCalls: 100 }, expected: null },
+        { name: 'metric over its max', checkpoints: [draws], metrics: { drawCalls: 250 }, expected: 'Draw calls: 250 - keep it at 100 or under.' },
+        { name: 'metric not measured', checkpoints: [{ id: 'rocks', type: 'metric', metric: 'rocks', max: 0 }], metrics: {}, expected: 'Rocks can\'t be measured here' },
+        { name: 'fps under threshold', checkpoints: [{ id: 'fps', type: 'fps_improvement', threshold: 30 }], metrics: { fps: 12 }, expected: 'FPS: 12 - it needs to be at least 30.' },
+        { name: 'performance budget', checkpoints: [], performance: { maxDrawCalls: 50 }, metrics: { drawCalls: 80 }, expected: 'Draw calls: 80 - keep it at 50 or under.' }
+    ];
+
+    rangeTests.forEach(({ name, checkpoints, performance, metrics, expected }) => {
+        const result = scenario(checkpoints, performance).evaluate(metrics);
+        const success = expected === null
+            ? result.success && result.failures.length === 0
+            : !result.success && result.failures.length === 1 && result.failures[0] === expected;
+        record(name, success, `got ${JSON.stringify(result.failures)}`);
+    });
+
+    const unreached = scenario([count, { id: 'inspect_code', type: 'action', required: true }]).evaluate({ trees: 25 });
+    record('required action not reached', !unreached.success && unreached.missing[0] === 'inspect_code',
+        `got ${JSON.stringify(unreached)}`);
+
+    // metric_trend: the least-squares slope over the last `seconds` of
+    // samples (taken every 0.5s) against maxGrowthPerSecond
+    console.log('\nTREND TESTS:');
+    const trend = { id: 'memory', type: 'metric_trend', metric: 'memory', seconds: 3, maxGrowthPerSecond: 0.5 };
+    const samples = (values) => values.map((memory, i) => ({ time: 100 + i * 0.5, memory }));
+    const trendTests = [
+        { name: 'growing', values: [10, 11, 12, 13, 14, 15, 16], expected: 'Memory (MB): up about 2 every second' },
+        { name: 'flat', values: [40, 40, 40, 40, 40, 40, 40], expected: null },
+        { name: 'shrinking', values: [60, 55, 50, 45, 40, 35, 30], expected: null },
+        // Last minus first would be 3.2 per second - the fit sees the zig-zag
+        { name: 'noisy but level', values: [50, 58, 50, 58, 50, 58], maxGrowthPerSecond: 2, expected: null },
+        // Only the last 3 seconds count - the climb before them doesn't
+        { name: 'settled after growing', values: [0, 20, 40, 60, 60, 60, 60, 60, 60, 60, 60], expected: null },
+        { name: 'too few samples', values: [40], expected: 'Memory (MB) hasn\'t been watched long enough yet' }
+    ];
+
+    trendTests.forEach(({ name, values, maxGrowthPerSecond = trend.maxGrowthPerSecond, expected }) => {
+        const test = scenario([{ ...trend, maxGrowthPerSecond }]);
+        test._samples = samples(values);
+        const { failures } = test.evaluate({ memory: values[values.length - 1] });
+        const success = expected === null ? failures.length === 0 : failures.length === 1 && failures[0].startsWith(expected);
+        record(name, success, `got ${JSON.stringify(failures)}`);
+    });
+
+    // reset() waits for start(), and a start that throws is reported
+    console.log('\nRESET TESTS:');
+    const restarted = scenario([count]);
+    await restarted.reset();
+    record('reset waits for start()', restarted.state === 'broken' && Boolean(restarted.session.checkpoints.scene_loaded),
+        `state ${restarted.state}`);
+
+    const broken = scenario([count]);
+    const errors = [];
+    broken.onError = (event) => errors.push(...event.errors);
+    broken._breakScene = async () => { throw new Error('The scene is gone'); };
+    let rejected = null;
+    await broken.reset().catch(error => { rejected = error; });
+    record('failed restart is reported', !rejected && errors.some(error => error.includes('The scene is gone')),
+        rejected ? `reset() rejected: ${rejected.message}` : `errors ${JSON.stringify(errors)}`);
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testDataScenario = runDataScenarioTests;
+    console.log('[DataScenario Test] Run await window.testDataScenario() to execute tests');
+}
@@ -345,24 +345,13 @@ export class InfiniteForest extends Scenario {
             return this.loader.validateSolution(this.config, code);
         }
         
-        // Fallback to pattern matching
-        for (const pattern of this.solutionPatterns) {
-            const match = code.match(pattern.regex);
-            if (match) {
-                const value = match[1] ? parseInt(match[1], 10) : null;
-                return {
-                    valid: true,
-                    feedback: pattern.feedback,
-                    extractedValue: value
-                };
-            }
-        }
-        
-        return {
-            valid: false,
-            feedback: this.story?.hint || "Try adding a condition like: treeCount < 50",
-            extractedValue: null
-        };
+        // Fallback config: same grading, with the built-in patterns
+        return this.loader.gradeSolution(
+            code,
+            this.solutionPatterns,
+            this.validation?.acceptableRange,
+            this.story?.hint || "Try adding a condition like: treeCount < 50"
+        );
     }
 
     /**
@@ -0,0 +1,171 @@
+/**
+ * MemoryLeak.js - "MEMORY LEAK" Scenario
+ *
+ * The AI's campfire script makes a spark every tick and never destroys
+ * it. Burned-out sparks vanish from the screen but keep their geometry,
+ * so the profiler's Geo counter and memory climb until the script runs
+ * out of memory. Students free the sparks - Destroy(spark, delay) - or
+ * reuse them with RecycleSpark(), and the counters level off.
+ *
+ * The script really runs: a FrameRunner calls its Update() 20 times a
+ * simulated second from the render loop, and every spark is a real
+ * SceneController mesh. Everything else - story, hints, checkpoints -
+ * comes from definitions/memory-leak.json through DataScenario.
+ *
+ * GRADING:
+ * - Before it runs, the code is simulated headless for 10 seconds: it
+ *   must compile, have an Update() that finishes, and still make sparks
+ * - After it runs, the metric_trend checkpoints decide: geometries and
+ *   memory must stay flat while the profiler watches
+ *
+ * USAGE:
+ * Registered in ScenarioManager's SCENARIO_CLASSES and named by the
+ * catalog entry's `implementation`.
+ */
+
+import { DataScenario } from './DataScenario.js';
+import { FrameRunner } from '../engine/FrameRunner.js';
+
+// Headless dry run: how long, and when to compare spark counts
+const DRY_RUN_SECONDS = 5;
+
+export class MemoryLeak extends DataScenario {
+    constructor(sceneController, codeEditor, profiler, scenarioId = 'memory-leak') {
+        super(sceneController, codeEditor, profiler, scenarioId);
+
+        this.runner = null;             // FrameRunner for the script in the scene
+        this._frameCallback = null;
+    }
+
+    /**
+     * A quiet forest with the AI's campfire script running in it
+     */
+    async _breakScene() {
+        const count = this.validation.initialTreeCount;
+        if (count && this.sceneController) this.sceneController.spawnTrees(count);
+
+        this.codeEditor?.clearConsole?.();
+        this.codeEditor?.log('info', '🤖 AI Code Executing...');
+        if (this._runScript(this.buggyCode)) {
+            this.codeEditor?.log('warning', '🔥 Campfire lit - watch the Geo counter in the profiler');
+        }
+    }
+
+    /**
+     * Simulate the script headless before it touches the scene
+     * @returns {Object} { valid, feedback, extractedValue: summary() after the dry run }
+     */
+    _gradeCode(code) {
+        const runner = new FrameRunner();
+        const loaded = runner.load(code);
+        if (!loaded.valid) {
+            return { valid: false, feedback: loaded.errors[0], extractedValue: null };
+        }
+
+        const early = runner.simulate(DRY_RUN_SECONDS);
+        const late = runner.simulate(DRY_RUN_SECONDS);
+        runner.dispose();
+
+        if (late.stopped === 'budget') {
+            return { valid: false, feedback: 'Your Update() never finishes - it runs 20 times a second, so it can\'t loop forever.', extractedValue: late };
+        }
+        if (late.stopped === 'error') {
+            return { valid: false, feedback: `Your code crashed: ${late.error?.message ?? late.error}`, extractedValue: late };
+        }
+        if (late.stopped === 'outOfMemory') {
+            return { valid: false, feedback: `Your code ran out of memory within ${Math.ceil(late.time)}s - it makes sparks faster than it frees them.`, extractedValue: late };
+        }
+        if (late.created === 0) {
+            return { valid: false, feedback: 'The campfire went out! Keep making sparks in Update() - just don\'t leave them behind.', extractedValue: late };
+        }
+
+        // A leak still runs - the profiler shows it - but earns no praise
+        const counts = `Test run: ${early.live} sparks in memory after ${early.time}s, ${late.live} after ${late.time}s.`;
+        if (late.live > early.live) {
+            return { valid: true, feedback: `${counts} ⚠️ Still climbing - watch the profiler.`, extractedValue: late };
+        }
+        const pattern = this._matchPattern(code);
+        return {
+            valid: true,
+            feedback: `${pattern?.feedback ?? 'Your campfire script runs.'} ${counts} ✓ Holding steady.`,
+            extractedValue: late
+        };
+    }
+
+    /**
+     * Swap the running script for the student's
+     */
+    async _executeFix(_summary, code) {
+        return { success: this._runScript(code) };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCRIPT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Stop the current script, clear its sparks and run `code` from the
+     * render loop
+     * @returns {boolean} false if it didn't load
+     */
+    _runScript(code) {
+        this._stopScript();
+
+        const runner = new FrameRunner(this.sceneController ?? {});
+        runner.onLog = (message) => this.codeEditor?.log('info', message);
+        runner.onStop = (reason) => this._onScriptStop(reason, runner);
+
+        const loaded = runner.load(code);
+        if (!loaded.valid) {
+            loaded.errors.forEach(error => this.codeEditor?.log('error', error));
+            return false;
+        }
+
+        this.runner = runner;
+        this._frameCallback = (deltaSeconds) => runner.advance(deltaSeconds);
+        this.sceneController?.addFrameCallback(this._frameCallback);
+        return true;
+    }
+
+    _stopScript() {
+        if (this._frameCallback) {
+            this.sceneController?.removeFrameCallback(this._frameCallback);
+            this._frameCallback = null;
+        }
+        this.runner?.dispose();
+        this.runner = null;
+    }
+
+    _onScriptStop(reason, runner) {
+        switch (reason) {
+            case 'outOfMemory':
+                this.codeEditor?.log('error', `💥 Out of memory! ${runner.objects.size} sparks were never freed - the campfire script crashed.`);
+                break;
+            case 'budget':
+                this.codeEditor?.log('error', '⏱️ Update() took too long and was stopped.');
+                break;
+            case 'error':
+                this.codeEditor?.log('error', `❌ ${runner.error?.message ?? runner.error}`);
+                break;
+        }
+    }
+
+    async reset() {
+        this._stopScript();
+        await super.reset();
+    }
+
+    dispose() {
+        this._stopScript();
+        super.dispose();
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            sparks: this.runner?.summary() ?? null
+        };
+    }
+}
+
+export default MemoryLeak;
@@ -0,0 +1,222 @@
+/**
+ * PhysicsChaos.js - "PHYSICS CHAOS" Scenario
+ *
+ * The AI's rockslide script takes one physics step per frame, as long as
+ * the frame: Physics.Simulate(Time.deltaTime). Small frames hide the bug;
+ * on a slow frame a falling rock moves further in one step than the ground
+ * is thick, so it drops straight through (tunneling). Students switch to a
+ * fixed timestep - save up frame time, spend it in Time.fixedDeltaTime
+ * steps - and the rocks land and settle at any frame rate.
+ *
+ * The script really runs: a FrameRunner calls its Update() once a frame
+ * and its rocks live in a PhysicsWorld. In the scene Update() runs at
+ * SCRIPT_FPS - what a busy N4000 manages - so the bug shows on every
+ * computer, not just slow ones. Everything else - story, hints,
+ * checkpoints - comes from definitions/physics-chaos.json through
+ * DataScenario.
+ *
+ * GRADING:
+ * - Before it runs, the code is run headless for TEST_SECONDS at
+ *   SCRIPT_FPS: it must compile, have an Update() that finishes, and
+ *   still drop rocks
+ * - The outOfBounds and kineticEnergy checkpoints read that test run, so
+ *   the result is the same on every computer
+ *
+ * USAGE:
+ * Registered in ScenarioManager's SCENARIO_CLASSES and named by the
+ * catalog entry's `implementation`.
+ */
+
+import { DataScenario } from './DataScenario.js';
+import { FrameRunner } from '../engine/FrameRunner.js';
+import { PhysicsWorld } from '../engine/PhysicsWorld.js';
+import { SeededRandom } from '../engine/SeededRandom.js';
+
+// Frame rate the script runs at, in the scene and in the test run
+const SCRIPT_FPS = 15;
+
+// Long enough for rocks dropped from 60 m to land and stop bouncing
+const TEST_SECONDS = 10;
+
+export class PhysicsChaos extends DataScenario {
+    constructor(sceneController, codeEditor, profiler, scenarioId = 'physics-chaos') {
+        super(sceneController, codeEditor, profiler, scenarioId);
+
+        this.runner = null;             // FrameRunner for the script in the scene
+        this.world = null;              // Its PhysicsWorld
+        this.testMetrics = null;        // PhysicsWorld.metrics() after the last test run
+        this._frameCallback = null;
+        this._sinceFrame = 0;
+    }
+
+    /**
+     * A quiet forest with the AI's rockslide falling into it
+     */
+    async _breakScene() {
+        const count = this.validation.initialTreeCount;
+        if (count && this.sceneController) this.sceneController.spawnTrees(count);
+
+        this.codeEditor?.clearConsole?.();
+        this.codeEditor?.log('info', '🤖 AI Code Executing...');
+        if (this._runScript(this.buggyCode)) {
+            const { physics } = this._testRun(this.buggyCode);
+            this.testMetrics = physics;
+            this.codeEditor?.log('error', `💥 ${physics.outOfBounds} of ${physics.rocks} rocks fell through the ground at ${SCRIPT_FPS} FPS!`);
+        }
+    }
+
+    /**
+     * Run the script headless at SCRIPT_FPS before it touches the scene
+     * @returns {Object} { valid, feedback, extractedValue: PhysicsWorld.metrics() }
+     */
+    _gradeCode(code) {
+        const { loaded, run, physics } = this._testRun(code);
+        if (!loaded.valid) {
+            return { valid: false, feedback: loaded.errors[0], extractedValue: null };
+        }
+        if (run.stopped === 'budget') {
+            return { valid: false, feedback: 'Your Update() never finishes - it runs every frame, so it can\'t loop forever.', extractedValue: physics };
+        }
+        if (run.stopped === 'error') {
+            return { valid: false, feedback: `Your code crashed: ${run.error?.message ?? run.error}`, extractedValue: physics };
+        }
+        if (physics.rocks === 0) {
+            return { valid: false, feedback: 'No rocks fell! Keep the DropRock() calls - make the rocks land safely instead.', extractedValue: physics };
+        }
+
+        // Chaos still runs - the scene shows it - but earns no praise
+        const result = `Test run at ${SCRIPT_FPS} FPS: ${physics.rocks} rocks, ${physics.time}s of physics in ${Math.round(run.time)}s.`;
+        const problem = physics.outOfBounds > 0 ? `${physics.outOfBounds} left the world - through the ground or off the edge.`
+            : physics.time < run.time * 0.9 ? 'The physics fell behind - it needs enough steps to keep up with the frames.'
+            : physics.resting < physics.rocks ? `${physics.rocks - physics.resting} are still moving.`
+            : null;
+        if (problem) {
+            return { valid: true, feedback: `${result} ⚠️ ${problem}`, extractedValue: physics };
+        }
+        const pattern = this._matchPattern(code);
+        return {
+            valid: true,
+            feedback: `${pattern?.feedback ?? 'Your rockslide script runs.'} ${result} ✓ Every rock landed.`,
+            extractedValue: physics
+        };
+    }
+
+    /**
+     * Swap the running script for the student's
+     */
+    async _executeFix(physics, code) {
+        this.testMetrics = physics;
+        return { success: this._runScript(code) };
+    }
+
+    /**
+     * Rocks, outOfBounds and kineticEnergy come from the last test run
+     */
+    readMetrics() {
+        const { rocks, outOfBounds, kineticEnergy } = this.testMetrics ?? {};
+        return { ...super.readMetrics(), rocks, outOfBounds, kineticEnergy };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCRIPT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * TEST_SECONDS of frames at SCRIPT_FPS, headless
+     * @returns {Object} { loaded, run: FrameRunner summary(), physics: PhysicsWorld.metrics() }
+     */
+    _testRun(code) {
+        const world = new PhysicsWorld();
+        const runner = new FrameRunner({}, { host: world.scriptHooks(), random: this._random().next });
+        const loaded = runner.load(code);
+        const run = loaded.valid ? runner.simulateFrames(TEST_SECONDS, SCRIPT_FPS) : null;
+        runner.dispose();
+        return { loaded, run, physics: world.metrics() };
+    }
+
+    /**
+     * Stop the current script, clear its rocks and run `code` from the
+     * render loop at SCRIPT_FPS
+     * @returns {boolean} false if it didn't load
+     */
+    _runScript(code) {
+        this._stopScript();
+
+        const world = new PhysicsWorld();
+        const runner = new FrameRunner(this.sceneController ?? {}, {
+            host: world.scriptHooks(),
+            random: this._random().next
+        });
+        runner.onLog = (message) => this.codeEditor?.log('info', message);
+        runner.onStop = (reason) => this._onScriptStop(reason, runner);
+
+        const loaded = runner.load(code);
+        if (!loaded.valid) {
+            loaded.errors.forEach(error => this.codeEditor?.log('error', error));
+            return false;
+        }
+
+        this.world = world;
+        this.runner = runner;
+        this._sinceFrame = 0;
+        this._frameCallback = (deltaSeconds) => {
+            // Rendered frames are saved up into SCRIPT_FPS script frames
+            this._sinceFrame += deltaSeconds;
+            if (this._sinceFrame < 1 / SCRIPT_FPS) return;
+            runner.frame(this._sinceFrame);
+            this._sinceFrame = 0;
+            this.sceneController?.showPhysicsRocks(world.bodies);
+        };
+        this.sceneController?.showPhysicsRocks(world.bodies);
+        this.sceneController?.addFrameCallback(this._frameCallback);
+        return true;
+    }
+
+    _stopScript() {
+        if (this._frameCallback) {
+            this.sceneController?.removeFrameCallback(this._frameCallback);
+            this._frameCallback = null;
+        }
+        this.runner?.dispose();
+        this.runner = null;
+        this.world = null;
+        this.sceneController?.clearPhysicsRocks();
+    }
+
+    _onScriptStop(reason, runner) {
+        switch (reason) {
+            case 'budget':
+                this.codeEditor?.log('error', '⏱️ Update() took too long and was stopped.');
+                break;
+            case 'error':
+                this.codeEditor?.log('error', `❌ ${runner.error?.message ?? runner.error}`);
+                break;
+        }
+    }
+
+    /**
+     * Same seed as the scene, so the test run and the real run match
+     */
+    _random() {
+        return new SeededRandom(this.sceneController?.seed ?? 0);
+    }
+
+    async reset() {
+        this._stopScript();
+        await super.reset();
+    }
+
+    dispose() {
+        this._stopScript();
+        super.dispose();
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            physics: this.world?.metrics() ?? null
+        };
+    }
+}
+
+export default PhysicsChaos;
@@ -0,0 +1,188 @@
+/**
+ * RenderStorm.js - "RENDER STORM" Scenario
+ *
+ * The AI's forest script plants every tree with CreateTreeMesh(): its own
+ * trunk and foliage mesh, each with its own material. Each one is a draw
+ * call, so 300 trees cost 600 - the profiler's DRAW bar goes red and the
+ * frame rate sinks. Students draw the same forest in a handful of calls:
+ * SpawnTree() (GPU instancing - 2 calls per tree type) or CombineMeshes()
+ * after the loop (static batching - the meshes merge into one per type).
+ *
+ * The script runs against the real scene, so renderer.info.render.calls
+ * is what the profiler reports and what the definition's maxDrawCalls is
+ * checked against. Everything else - story, hints, checkpoints - comes
+ * from definitions/render-storm.json through DataScenario.
+ *
+ * GRADING:
+ * - Before it runs, the code is dry-run headless: it must compile, stop,
+ *   and still plant a full forest (validation.acceptableRange)
+ * - After it runs, the profiler decides: draw calls under maxDrawCalls
+ *
+ * USAGE:
+ * Registered in ScenarioManager's SCENARIO_CLASSES and named by the
+ * catalog entry's `implementation`.
+ */
+
+import { DataScenario } from './DataScenario.js';
+import { CSharpInterpreter } from '../engine/CSharpInterpreter.js';
+import { compileCSharp } from '../engine/CSharpChecker.js';
+import { SeededRandom } from '../engine/SeededRandom.js';
+
+// Instructions a forest script may take - 300 trees need about 1500
+const INSTRUCTION_BUDGET = 10000;
+
+/**
+ * Draw calls a script's trees will cost, from what it asked the scene
+ * to do - the same rules SceneController follows
+ * @returns {Object} host for CSharpInterpreter + count() → { trees, drawCalls }
+ */
+export function drawCallCounter() {
+    let instanced = new Set();      // Tree types drawn by the instancing pool
+    let separate = [];              // Types of trees that are still separate meshes
+    let batches = 0;                // Merged meshes from CombineMeshes()
+    let trees = 0;
+
+    return {
+        spawnTree: (tree) => { instanced.add(tree.type); trees++; },
+        createTreeMesh: (tree) => { separate.push(tree.type); trees++; },
+        combineMeshes: () => {
+            batches += new Set(separate).size * 2;
+            separate = [];
+        },
+        clearTrees: () => {
+            instanced = new Set();
+            separate = [];
+            batches = 0;
+            trees = 0;
+        },
+        count: () => ({ trees, drawCalls: instanced.size * 2 + separate.length * 2 + batches })
+    };
+}
+
+export class RenderStorm extends DataScenario {
+    constructor(sceneController, codeEditor, profiler, scenarioId = 'render-storm') {
+        super(sceneController, codeEditor, profiler, scenarioId);
+    }
+
+    /**
+     * Run the AI's forest script - hundreds of separate tree meshes
+     */
+    async _breakScene() {
+        this.codeEditor?.clearConsole?.();
+        this.codeEditor?.log('info', '🤖 AI Code Executing...');
+        if (this._runScript(this.buggyCode)) {
+            const { trees, drawCalls } = this._dryRun(this.buggyCode).count;
+            this.codeEditor?.log('error', `💥 ${trees} trees, ${drawCalls} draw calls - the DRAW bar is in the red!`);
+        }
+    }
+
+    /**
+     * Dry-run the script headless and predict its draw calls
+     * @returns {Object} { valid, feedback, extractedValue: { trees, drawCalls } }
+     */
+    _gradeCode(code) {
+        const { program, diagnostics } = compileCSharp(code);
+        const error = diagnostics.find(d => d.severity === 'error');
+        if (!program || error) {
+            return { valid: false, feedback: error ? `Line ${error.line}: ${error.message}` : 'Your code has a syntax error.', extractedValue: null };
+        }
+
+        const { run, count } = this._dryRun(program);
+        if (run.error) {
+            return { valid: false, feedback: `Your code crashed: ${run.error.message}`, extractedValue: count };
+        }
+        if (run.budgetExceeded) {
+            return { valid: false, feedback: 'Your code never finishes - check that every loop stops.', extractedValue: count };
+        }
+
+        const { min, max } = this.validation.acceptableRange ?? {};
+        if (min && count.trees < min) {
+            return { valid: false, feedback: `Only ${count.trees} trees - keep the forest full (at least ${min}). Draw them more cheaply instead!`, extractedValue: count };
+        }
+        if (max && count.trees > max) {
+            return { valid: false, feedback: `${count.trees} trees is more than the forest needs - keep it to ${max}.`, extractedValue: count };
+        }
+
+        const pattern = this._matchPattern(code);
+        const budget = this.config?.performance?.maxDrawCalls;
+        const estimate = `Your ${count.trees} trees need about ${count.drawCalls} draw calls.`;
+        if (budget !== undefined && count.drawCalls > budget) {
+            return { valid: true, feedback: `${estimate} ⚠️ That's still over ${budget} - watch the DRAW bar.`, extractedValue: count };
+        }
+        return {
+            valid: true,
+            feedback: `${pattern?.feedback ?? 'Your forest script runs.'} ${estimate}`,
+            extractedValue: count
+        };
+    }
+
+    /**
+     * Replace the forest with the student's
+     */
+    async _executeFix(_count, code) {
+        return { success: this._runScript(code) };
+    }
+
+    /**
+     * Trees include the ones drawn as separate or combined meshes
+     */
+    readMetrics() {
+        const metrics = super.readMetrics();
+        return { ...metrics, trees: metrics.trees + (this.sceneController?.treeMeshCount ?? 0) };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SCRIPT
+    // ═══════════════════════════════════════════════════════════════
+
+    _dryRun(source) {
+        const counter = drawCallCounter();
+        const interpreter = new CSharpInterpreter(counter, {
+            instructionBudget: INSTRUCTION_BUDGET,
+            random: this._random().next
+        });
+        return { run: interpreter.run(source), count: counter.count() };
+    }
+
+    /**
+     * Clear the scene and run `code` against it
+     * @returns {boolean} false if it didn't compile or crashed
+     */
+    _runScript(code) {
+        const { program, diagnostics } = compileCSharp(code);
+        const errors = diagnostics.filter(d => d.severity === 'error');
+        if (!program || errors.length > 0) {
+            errors.forEach(d => this.codeEditor?.log('error', `Line ${d.line}: ${d.message}`));
+            return false;
+        }
+        if (!this.sceneController) return true;
+
+        const scene = this.sceneController;
+        scene.resetScene();
+        const interpreter = new CSharpInterpreter({
+            spawnTree: (tree) => scene.addTree(tree),
+            createTreeMesh: (tree) => scene.addTreeMesh(tree),
+            combineMeshes: () => scene.combineTreeMeshes(),
+            spawnRock: (rock) => scene.addRock(rock),
+            setSkyColor: (color) => scene.setSkyColor(color),
+            clearTrees: () => scene.clearTrees(),
+            log: (message) => this.codeEditor?.log('info', message)
+        }, { instructionBudget: INSTRUCTION_BUDGET, random: this._random().next });
+
+        const run = interpreter.run(program);
+        if (run.error) {
+            this.codeEditor?.log('error', `❌ ${run.error.message}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Same seed as the scene, so the dry run and the real run match
+     */
+    _random() {
+        return new SeededRandom(this.sceneController?.seed ?? 0);
+    }
+}
+
+export default RenderStorm;
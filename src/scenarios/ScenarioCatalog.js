@@ -0,0 +1,215 @@
+/**
+ * ScenarioCatalog.js - The One List of Scenarios
+ *
+ * definitions/index.json lists every scenario: what the portal shows
+ * (name, icon, difficulty...), how they unlock (prerequisites), where a
+ * student goes next (next, related), the JSON definition ScenarioLoader
+ * reads and the class ScenarioManager runs. StudentPortal, ScenarioLoader
+ * and ScenarioManager all read it from here - nothing else keeps a list.
+ *
+ * The catalog is checked when this module loads: fields against
+ * ENTRY_SCHEMA (unknown fields are typos, not extras), unique IDs, and
+ * every prerequisite / next / related ID must be in the catalog, with no
+ * prerequisite loops. A bad catalog throws a readable Error right away
+ * instead of leaving a scenario locked forever.
+ *
+ * ENTRY FORMAT:
+ *   { id, name, icon, description, difficulty, estimatedTime, order,
+ *     prerequisites: [id], next: id|null, related: [id],
+ *     definition: 'file.json'|null, implementation: 'ClassName'|null,
+ *     learningObjectives: [string], tags: [string] }
+ * An entry with a definition and no implementation runs as a DataScenario.
+ *
+ * USAGE:
+ * import { listScenarios, getScenarioEntry } from './ScenarioCatalog.js';
+ * listScenarios().map(entry => entry.id);   // in `order`
+ * getScenarioEntry('infinite-forest').next; // 'memory-leak'
+ */
+
+import catalogJson from './definitions/index.json' with { type: 'json' };
+
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// Field -> { type, required, ... } - what validateCatalog() checks
+export const ENTRY_SCHEMA = {
+    id: { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+    name: { type: 'string', required: true },
+    icon: { type: 'string' },
+    description: { type: 'string', required: true },
+    difficulty: { type: 'string', required: true, enum: DIFFICULTIES },
+    estimatedTime: { type: 'string' },
+    order: { type: 'number', required: true },
+    prerequisites: { type: 'array', items: 'string', link: true },
+    next: { type: 'string', nullable: true, link: true },
+    related: { type: 'array', items: 'string', link: true },
+    definition: { type: 'string', nullable: true, pattern: /^[\w-]+\.json$/ },
+    implementation: { type: 'string', nullable: true },
+    learningObjectives: { type: 'array', items: 'string' },
+    tags: { type: 'array', items: 'string' }
+};
+
+/**
+ * Throws a readable Error for anything the portal, loader or manager
+ * would trip over
+ * @returns {boolean} true when the catalog is usable
+ */
+export function validateCatalog(catalog) {
+    if (!catalog || typeof catalog !== 'object' || !Array.isArray(catalog.scenarios)) {
+        throw new Error('Scenario catalog must be a JSON object with a "scenarios" array');
+    }
+    if (catalog.scenarios.length === 0) {
+        throw new Error('Scenario catalog needs at least one scenario');
+    }
+
+    const ids = new Set();
+    catalog.scenarios.forEach((entry, i) => {
+        const where = `scenarios[${i}]${entry?.id ? ` (${entry.id})` : ''}`;
+        checkEntry(entry, where);
+        if (ids.has(entry.id)) {
+            throw new Error(`${where}: duplicate id "${entry.id}"`);
+        }
+        ids.add(entry.id);
+    });
+
+    // Links must point at scenarios that exist - and not back at themselves
+    for (const entry of catalog.scenarios) {
+        for (const [field, spec] of Object.entries(ENTRY_SCHEMA)) {
+            if (!spec.link) continue;
+            for (const target of [entry[field] ?? []].flat()) {
+                if (!ids.has(target)) {
+                    throw new Error(`${entry.id}: ${field} "${target}" is not in the catalog`);
+                }
+                if (target === entry.id) {
+                    throw new Error(`${entry.id}: ${field} points at itself`);
+                }
+            }
+        }
+    }
+
+    const loop = findPrerequisiteLoop(catalog.scenarios);
+    if (loop) {
+        throw new Error(`Prerequisites go in a circle: ${loop.join(' → ')} - none of them could ever unlock`);
+    }
+    return true;
+}
+
+/**
+ * A validated catalog with every optional field filled in
+ * @param {Object} catalog - index.json contents
+ */
+export function loadCatalog(catalog) {
+    validateCatalog(catalog);
+    const scenarios = catalog.scenarios
+        .map(entry => ({
+            icon: '📘',
+            estimatedTime: null,
+            prerequisites: [],
+            next: null,
+            related: [],
+            definition: null,
+            implementation: null,
+            learningObjectives: [],
+            tags: [],
+            ...entry
+        }))
+        .sort((a, b) => a.order - b.order);
+    return { version: catalog.version ?? 1, scenarios };
+}
+
+/**
+ * Check a scenario definition's own links (metadata.prerequisite,
+ * nextScenario, relatedScenarios) against the catalog
+ * @param {Object} definition - A definitions/*.json file
+ * @returns {boolean} true if every link resolves; throws otherwise
+ */
+export function checkDefinitionLinks(definition, catalog = SCENARIO_CATALOG) {
+    const ids = new Set(catalog.scenarios.map(entry => entry.id));
+    if (!ids.has(definition.id)) {
+        throw new Error(`Definition "${definition.id}" is not in the scenario catalog`);
+    }
+    const { prerequisite, nextScenario, relatedScenarios = [] } = definition.metadata ?? {};
+    const links = { prerequisite, nextScenario, relatedScenarios };
+    for (const [field, value] of Object.entries(links)) {
+        for (const target of [value ?? []].flat()) {
+            if (!ids.has(target)) {
+                throw new Error(`${definition.id}: metadata.${field} "${target}" is not in the scenario catalog`);
+            }
+        }
+    }
+    return true;
+}
+
+// The catalog everything reads - checked as soon as it's imported
+export const SCENARIO_CATALOG = loadCatalog(catalogJson);
+
+/**
+ * Every scenario, in `order`
+ */
+export function listScenarios(catalog = SCENARIO_CATALOG) {
+    return catalog.scenarios;
+}
+
+/**
+ * One scenario's catalog entry, or null
+ */
+export function getScenarioEntry(id, catalog = SCENARIO_CATALOG) {
+    return catalog.scenarios.find(entry => entry.id === id) ?? null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// INTERNAL
+// ═══════════════════════════════════════════════════════════════
+
+function checkEntry(entry, where) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${where} must be an object`);
+    }
+    for (const field of Object.keys(entry)) {
+        if (!(field in ENTRY_SCHEMA)) {
+            throw new Error(`${where}: unknown field "${field}"`);
+        }
+    }
+    for (const [field, spec] of Object.entries(ENTRY_SCHEMA)) {
+        const value = entry[field];
+        if (value === undefined || (value === null && spec.nullable)) {
+            if (spec.required) throw new Error(`${where}: missing required field "${field}"`);
+            continue;
+        }
+        const type = Array.isArray(value) ? 'array' : typeof value;
+        if (type !== spec.type || (type === 'string' && value.trim() === '')) {
+            throw new Error(`${where}: "${field}" must be a${spec.type === 'array' ? 'n' : ''} ${spec.type}${spec.type === 'string' ? ' (not empty)' : ''}`);
+        }
+        if (spec.items && value.some(item => typeof item !== spec.items)) {
+            throw new Error(`${where}: every item of "${field}" must be a ${spec.items}`);
+        }
+        if (spec.enum && !spec.enum.includes(value)) {
+            throw new Error(`${where}: "${field}" must be one of ${spec.enum.join(', ')} (got "${value}")`);
+        }
+        if (spec.pattern && !spec.pattern.test(value)) {
+            throw new Error(`${where}: "${field}" "${value}" doesn't match ${spec.pattern}`);
+        }
+    }
+}
+
+function findPrerequisiteLoop(scenarios) {
+    // Depth-first walk; a scenario met again on the current path is a loop
+    const byId = new Map(scenarios.map(entry => [entry.id, entry]));
+    const done = new Set();
+    const visit = (id, path) => {
+        if (path.includes(id)) return [...path.slice(path.indexOf(id)), id];
+        if (done.has(id)) return null;
+        for (const prerequisite of byId.get(id).prerequisites ?? []) {
+            const loop = visit(prerequisite, [...path, id]);
+            if (loop) return loop;
+        }
+        done.add(id);
+        return null;
+    };
+    for (const entry of scenarios) {
+        const loop = visit(entry.id, []);
+        if (loop) return loop;
+    }
+    return null;
+}
+
+export default SCENARIO_CATALOG;
@@ -0,0 +1,93 @@
+/**
+ * ScenarioCatalog Test Suite
+ * Run in browser console: window.testScenarioCatalog()
+ */
+
+import { SCENARIO_CATALOG, validateCatalog, loadCatalog, checkDefinitionLinks } from './ScenarioCatalog.js';
+
+export function runScenarioCatalogTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    // Passes only if `fn` throws an Error whose message contains `message`
+    const rejects = (name, fn, message) => {
+        try {
+            fn();
+            record(name, false, 'no error thrown');
+        } catch (error) {
+            record(name, error.message.includes(message), `wrong error: ${error.message}`);
+        }
+    };
+
+    const entry = (id, fields = {}) => ({ id, name: id, description: `The ${id} scenario`, difficulty: 'beginner', order: 1, ...fields });
+    const catalog = (...scenarios) => ({ version: 1, scenarios });
+
+    console.log('═'.repeat(50));
+    console.log('SCENARIO CATALOG TEST SUITE');
+    console.log('═'.repeat(50));
+
+    console.log('\nVALID CATALOGS:');
+    record('definitions/index.json loads', SCENARIO_CATALOG.scenarios.length > 0);
+    let linked = false;
+    try {
+        linked = validateCatalog(catalog(entry('a', { next: 'b' }), entry('b', { prerequisites: ['a'], related: ['a'] })));
+    } catch (error) {
+        linked = error.message;
+    }
+    record('linked entries pass', linked === true, `got ${linked}`);
+
+    // Every way validateCatalog() and checkDefinitionLinks() turn a catalog down
+    console.log('\nREJECTED CATALOGS:');
+    rejects('dangling prerequisite',
+        () => validateCatalog(catalog(entry('a', { prerequisites: ['ghost'] }))),
+        'a: prerequisites "ghost" is not in the catalog');
+    rejects('duplicate id',
+        () => validateCatalog(catalog(entry('a'), entry('b'), entry('a'))),
+        'scenarios[2] (a): duplicate id "a"');
+    rejects('unknown field',
+        () => validateCatalog(catalog(entry('a', { prerequisite: ['b'] }))),
+        'unknown field "prerequisite"');
+    rejects('prerequisite cycle',
+        () => validateCatalog(catalog(entry('a', { prerequisites: ['c'] }), entry('b', { prerequisites: ['a'] }), entry('c', { prerequisites: ['b'] }))),
+        'Prerequisites go in a circle');
+    rejects('links to itself',
+        () => validateCatalog(catalog(entry('a', { next: 'a' }))),
+        'a: next points at itself');
+    rejects('missing required field',
+        () => validateCatalog(catalog({ id: 'a', name: 'A', difficulty: 'beginner', order: 1 })),
+        'missing required field "description"');
+    rejects('no scenarios',
+        () => validateCatalog(catalog()),
+        'needs at least one scenario');
+
+    console.log('\nDEFINITION LINKS:');
+    const loaded = loadCatalog(catalog(entry('a'), entry('b')));
+    record('known links pass', checkDefinitionLinks({ id: 'a', metadata: { nextScenario: 'b', relatedScenarios: ['b'] } }, loaded));
+    rejects('dangling definition id',
+        () => checkDefinitionLinks({ id: 'ghost', metadata: {} }, loaded),
+        'Definition "ghost" is not in the scenario catalog');
+    rejects('dangling definition link',
+        () => checkDefinitionLinks({ id: 'a', metadata: { prerequisite: 'ghost' } }, loaded),
+        'a: metadata.prerequisite "ghost" is not in the scenario catalog');
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testScenarioCatalog = runScenarioCatalogTests;
+    console.log('[ScenarioCatalog Test] Run window.testScenarioCatalog() to execute tests');
+}
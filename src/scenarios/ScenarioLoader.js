@@ -12,19 +12,22 @@
  * const config = await loader.loadDefinition('infinite-forest');
  * 
  * DEFINITIONS LOCATION:
- * /src/scenarios/definitions/*.json
+ * /src/scenarios/definitions/*.json - which file belongs to which
+ * scenario comes from the catalog, definitions/index.json (ScenarioCatalog)
  */
 
+import { CodeExecutor } from '../engine/CodeExecutor.js';
+import { listScenarios, getScenarioEntry, checkDefinitionLinks } from './ScenarioCatalog.js';
+
 export class ScenarioLoader {
     constructor() {
-        this.definitionsPath = './definitions';
         this.cache = new Map();
         this.loaded = false;
     }
 
     /**
      * Load a scenario definition from JSON
-     * @param {string} scenarioId - The scenario ID (filename without .json)
+     * @param {string} scenarioId - The scenario ID (its catalog entry names the file)
      * @returns {Promise<Object>} The parsed scenario configuration
      */
     async loadDefinition(scenarioId) {
@@ -33,9 +36,13 @@ export class ScenarioLoader {
             return this.cache.get(scenarioId);
         }
 
-        const url = `${this.definitionsPath}/${scenarioId}.json`;
-        
         try {
+            const entry = getScenarioEntry(scenarioId);
+            if (!entry?.definition) {
+                throw new Error(entry ? `${scenarioId} has no definition file yet` : `Unknown scenario: ${scenarioId}`);
+            }
+            // Relative to this module, so Vite bundles definitions/*.json
+            const url = new URL(`./definitions/${entry.definition}`, import.meta.url);
             const response = await fetch(url);
             if (!response.ok) {
                 throw new Error(`Failed to load ${url}: ${response.status}`);
@@ -70,6 +77,9 @@ export class ScenarioLoader {
             }
         }
 
+        // nextScenario & co. must name scenarios that exist
+        checkDefinitionLinks(def);
+
         if (!def.story.intro || !def.story.success) {
             throw new Error('Story must have intro and success messages');
         }
@@ -117,46 +127,76 @@ export class ScenarioLoader {
     }
 
     /**
-     * Check if a solution matches any acceptable pattern
+     * Check a solution against the scenario's definition
      */
     validateSolution(definition, code) {
-        const patterns = this.getValidationPatterns(definition);
-        
-        for (const pattern of patterns) {
-            const match = code.match(pattern.regex);
-            if (match) {
-                const extractedValue = match[1] ? parseInt(match[1], 10) : null;
-                
-                // Check value bounds if specified
-                if (extractedValue !== null) {
-                    if (pattern.minValue && extractedValue < pattern.minValue) {
-                        return {
-                            valid: false,
-                            feedback: `${extractedValue} is too low. Try at least ${pattern.minValue}.`,
-                            extractedValue
-                        };
-                    }
-                    if (pattern.maxValue && extractedValue > pattern.maxValue) {
-                        return {
-                            valid: false,
-                            feedback: `${extractedValue} might cause lag. Try ${pattern.maxValue} or fewer.`,
-                            extractedValue
-                        };
-                    }
-                }
-
-                return {
-                    valid: true,
-                    feedback: pattern.feedback,
-                    extractedValue
-                };
-            }
+        return this.gradeSolution(
+            code,
+            this.getValidationPatterns(definition),
+            definition.validation?.acceptableRange,
+            definition.story?.hint
+        );
+    }
+
+    /**
+     * Grade a solution by what it actually does: it must compile, every
+     * loop must stop (LoopAnalyzer), and the number of trees it spawns
+     * must fall inside the acceptable range. Patterns only pick the
+     * feedback message - `while (treeCount < 50) { SpawnTree(); }` matches
+     * one but never stops, so it fails.
+     * @param {string} code - Student C# code
+     * @param {Array} patterns - From getValidationPatterns()
+     * @param {Object} range - { min, max } trees, or null to use pattern bounds
+     * @param {string} hint - Feedback when nothing else applies
+     * @returns {Object} { valid, feedback, extractedValue, loops }
+     */
+    gradeSolution(code, patterns = [], range = null, hint = null) {
+        const parsed = new CodeExecutor(null).parseStudentCode(code);
+
+        if (!parsed.valid) {
+            return { valid: false, feedback: parsed.errors[0], extractedValue: null, loops: parsed.loops };
+        }
+
+        if (!parsed.terminates) {
+            const stuck = parsed.loops.find(l => l.status !== 'terminates');
+            return {
+                valid: false,
+                feedback: stuck ? `Your loop won't stop. ${stuck.reason}` : parsed.errors[0],
+                extractedValue: null,
+                loops: parsed.loops
+            };
+        }
+
+        if (parsed.budgetExceeded) {
+            return {
+                valid: false,
+                feedback: `Your code spawns too many trees - it was stopped after ${parsed.limit}. Try a smaller limit.`,
+                extractedValue: null,
+                loops: parsed.loops
+            };
+        }
+
+        const trees = parsed.limit;
+        if (trees === 0) {
+            return { valid: false, feedback: hint || 'Try a different approach.', extractedValue: 0, loops: parsed.loops };
+        }
+
+        const pattern = patterns.find(p => p.regex.test(code));
+        const min = range?.min ?? pattern?.minValue;
+        const max = range?.max ?? pattern?.maxValue;
+
+        if (min && trees < min) {
+            return { valid: false, feedback: `${trees} is too low. Try at least ${min}.`, extractedValue: trees, loops: parsed.loops };
+        }
+        if (max && trees > max) {
+            return { valid: false, feedback: `${trees} might cause lag. Try ${max} or fewer.`, extractedValue: trees, loops: parsed.loops };
         }
 
         return {
-            valid: false,
-            feedback: definition.story.hint || 'Try a different approach.',
-            extractedValue: null
+            valid: true,
+            feedback: pattern?.feedback || `Your loop stops after ${trees} trees.`,
+            extractedValue: trees,
+            loops: parsed.loops
         };
     }
 
@@ -184,13 +224,13 @@ export class ScenarioLoader {
     }
 
     /**
-     * List all available scenario definitions
-     * Note: In production, this would fetch from an index file
+     * List all available scenario definitions - catalog entries that have
+     * a definition file
      */
     async listAvailableScenarios() {
-        // For now, return known scenarios
-        // In production, fetch from /definitions/index.json
-        return ['infinite-forest'];
+        return listScenarios()
+            .filter(entry => entry.definition)
+            .map(entry => entry.id);
     }
 }
 
@@ -10,9 +10,21 @@
  * - Connect scenarios to CodeEditor "Run" button
  * - Track completion and analytics
  * - Handle scenario switching
+ * 
+ * Which scenarios exist comes from the catalog (definitions/index.json);
+ * an entry's `implementation` names its class in SCENARIO_CLASSES, and an
+ * entry with only a `definition` runs as a DataScenario.
  */
 
 import { InfiniteForest } from './InfiniteForest.js';
+import { DataScenario } from './DataScenario.js';
+import { MemoryLeak } from './MemoryLeak.js';
+import { RenderStorm } from './RenderStorm.js';
+import { PhysicsChaos } from './PhysicsChaos.js';
+import { listScenarios } from './ScenarioCatalog.js';
+
+// Classes catalog entries can name as their `implementation`
+export const SCENARIO_CLASSES = { InfiniteForest, DataScenario, MemoryLeak, RenderStorm, PhysicsChaos };
 
 export class ScenarioManager {
     constructor(sceneController, codeEditor, profiler) {
@@ -42,8 +54,8 @@ export class ScenarioManager {
     async init() {
         console.log('[ScenarioManager] Initializing...');
         
-        // Register built-in scenarios
-        this.registerScenario('infinite-forest', InfiniteForest);
+        // Register every catalog scenario that has a class to run it
+        this._registerCatalogScenarios();
         
         // Modify CodeEditor to use scenario system
         this._hookCodeEditor();
@@ -80,6 +92,23 @@ export class ScenarioManager {
         }
     }
 
+    /**
+     * Register the catalog's scenarios; entries with neither a class nor a
+     * definition yet show as "coming soon" in the selector
+     */
+    _registerCatalogScenarios() {
+        for (const entry of listScenarios()) {
+            const implementation = entry.implementation ?? (entry.definition ? 'DataScenario' : null);
+            if (!implementation) continue;
+            const ScenarioClass = SCENARIO_CLASSES[implementation];
+            if (!ScenarioClass) {
+                console.warn(`[ScenarioManager] ${entry.id}: no scenario class named ${implementation}`);
+                continue;
+            }
+            this.registerScenario(entry.id, ScenarioClass);
+        }
+    }
+
     /**
      * Register a scenario class
      */
@@ -107,11 +136,12 @@ export class ScenarioManager {
             return null;
         }
         
-        // Create scenario instance
+        // Create scenario instance (DataScenario needs to know which one)
         this.currentScenario = new ScenarioClass(
             this.sceneController,
             this.codeEditor,
-            this.profiler
+            this.profiler,
+            id
         );
         
         // Set up callbacks
@@ -120,8 +150,16 @@ export class ScenarioManager {
         this.currentScenario.onError = (event) => this._onScenarioError(event);
         
         // Initialize and start
-        await this.currentScenario.init();
-        await this.currentScenario.start();
+        try {
+            await this.currentScenario.init();
+            await this.currentScenario.start();
+        } catch (error) {
+            console.error(`[ScenarioManager] Couldn't start ${id}:`, error);
+            this.codeEditor?.log('error', `❌ ${error.message}`);
+            this.currentScenario.dispose?.();
+            this.currentScenario = null;
+            return null;
+        }
         
         return this.currentScenario;
     }
@@ -157,7 +195,7 @@ export class ScenarioManager {
     async applyStudentFix() {
         if (!this.currentScenario) {
             // No active scenario - use default executor
-            this.codeEditor?.runCode();
+            await this.codeEditor?.runCode();
             return;
         }
         
@@ -176,7 +214,8 @@ export class ScenarioManager {
             // Wait for FPS to stabilize then check completion
             setTimeout(() => {
                 const completion = this.currentScenario.checkCompletion();
-                if (!completion.success) {
+                // Scenarios that list their failures have already shown them
+                if (!completion.success && !completion.failures) {
                     this.codeEditor?.log('warning', 
                         `FPS: ${completion.fps} (need ${completion.targetFPS}+ to pass)`);
                 }
@@ -206,9 +245,12 @@ export class ScenarioManager {
         const select = document.createElement('select');
         select.id = 'scenario-selector';
         select.style.cssText = 'margin-right: 10px;';
+        const options = listScenarios().map(entry => (this.scenarios[entry.id]
+            ? `<option value="${entry.id}">${entry.icon} ${entry.name}</option>`
+            : `<option value="${entry.id}" disabled>${entry.icon} ${entry.name} (coming soon)</option>`));
         select.innerHTML = `
             <option value="">📚 Select Scenario</option>
-            <option value="infinite-forest">🌲 The Infinite Forest</option>
+            ${options.join('\n            ')}
             <option value="free-mode">🎮 Free Mode</option>
         `;
         
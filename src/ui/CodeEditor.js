@@ -7,10 +7,13 @@
  * - Console output with errors/warnings
  * - Integration with CodeExecutor
  * - Real-time validation (debounced)
+ * - Step-through debugger (gutter breakpoints, watch pane)
+ * - Inline diagnostics (gutter markers, squiggles, hover tooltips)
  * - Progress tracking for scenarios
  */
 
 import { CodeExecutor } from '../engine/CodeExecutor.js';
+import { diagnosticFromError } from '../engine/CSharpChecker.js';
 import { StudentPortal } from '../portal/StudentPortal.js';
 
 export class CodeEditor {
@@ -31,6 +34,16 @@ export class CodeEditor {
         this.parseTimeout = null;
         this.parseDelay = 500; // Debounce for N4000
         
+        // Debugger state
+        this.breakpoints = new Set();  // 1-based line numbers
+        this.debugLoops = [];          // LoopAnalyzer reports for the session
+        this.debugSession = null;
+        this.pausedLine = null;
+        this.lastWatch = {};           // Previous values, to flag changes
+        
+        // Diagnostics shown as squiggles + gutter markers
+        this.diagnostics = [];
+        
         // Progress tracking state
         this.scenarioId = this.getScenarioFromUrl();
         this.progressMilestones = {
@@ -194,14 +207,29 @@ export class CodeEditor {
                 <select id="script-selector">
                     <option value="TreeSpawner">🌲 TreeSpawner.cs</option>
                     <option value="MemoryDemo">💾 MemoryDemo.cs</option>
+                    <option value="SceneBuilder">🏞️ SceneBuilder.cs</option>
                 </select>
                 <button class="editor-btn" id="validate-btn" title="Validate">✓</button>
                 <button class="editor-btn run-btn" id="run-code-btn" title="Run Code">▶ Run</button>
+                <button class="editor-btn stop-btn" id="stop-run-btn" title="Stop running code (Esc)" style="display:none;">⏹ Stop</button>
                 <button class="editor-btn" id="undo-btn" title="Undo">↩</button>
+                <button class="editor-btn" id="debug-btn" title="Debug - step through the code (F5)">🐞 Debug</button>
+                <span id="debug-controls" style="display:none;">
+                    <button class="editor-btn" id="step-over-btn" title="Step Over (F10)">⤼ Over</button>
+                    <button class="editor-btn" id="step-into-btn" title="Step Into (F11)">⤵ Into</button>
+                    <button class="editor-btn" id="step-out-btn" title="Step Out (Shift+F11)">⤴ Out</button>
+                    <button class="editor-btn" id="continue-btn" title="Continue (F5)">⏵</button>
+                    <button class="editor-btn" id="stop-debug-btn" title="Stop Debugging (Shift+F5)">⏹</button>
+                </span>
             </div>
             <div class="code-editor" style="position:absolute; top:36px; left:0; right:0; bottom:120px; display:flex; overflow:hidden;">
                 <div class="line-numbers" id="line-numbers" style="flex-shrink:0; padding:12px 10px; overflow:hidden; font-size:14px; line-height:1.6;"></div>
-                <textarea id="code-area" spellcheck="false" style="flex:1; resize:none; border:none; outline:none; background:#0d0d1a; color:#e4e4e7; font-family:Consolas,Monaco,'Courier New',monospace; font-size:14px; line-height:1.6; padding:12px; tab-size:4;"></textarea>
+                <div class="code-area-wrapper" style="flex:1; position:relative; min-width:0;">
+                <textarea id="code-area" spellcheck="false" wrap="off" style="position:absolute; top:0; left:0; width:100%; height:100%; box-sizing:border-box; resize:none; border:none; outline:none; background:#0d0d1a; color:#e4e4e7; font-family:Consolas,Monaco,'Courier New',monospace; font-size:14px; line-height:1.6; padding:12px; tab-size:4;"></textarea>
+                <div class="diagnostic-overlay" id="diagnostic-overlay"><pre id="diagnostic-layer"></pre></div>
+                <div class="diagnostic-tooltip" id="diagnostic-tooltip" style="display:none;"></div>
+                </div>
+                <div class="watch-pane" id="watch-pane" style="display:none;"></div>
             </div>
             <div class="console-output" id="console-output" style="position:absolute; bottom:0; left:0; right:0; height:120px; font-size:13px;">
                 <div class="console-line info">📝 Ready - Edit the code and click Run</div>
@@ -232,17 +260,35 @@ export class CodeEditor {
         this.codeArea = document.getElementById('code-area');
         this.lineNumbers = document.getElementById('line-numbers');
         this.consoleOutput = document.getElementById('console-output');
+        this.watchPane = document.getElementById('watch-pane');
+        this.diagnosticLayer = document.getElementById('diagnostic-layer');
+        this.diagnosticTooltip = document.getElementById('diagnostic-tooltip');
 
         // Event listeners
         this.codeArea.addEventListener('input', () => this.onCodeChange());
         this.codeArea.addEventListener('scroll', () => this.syncScroll());
         this.codeArea.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.codeArea.addEventListener('mousemove', (e) => this.onCodeHover(e));
+        this.codeArea.addEventListener('mouseleave', () => this.hideTooltip());
         // Syntax highlighting disabled - was causing corruption
         
         document.getElementById('run-code-btn').addEventListener('click', () => this.runCode());
+        document.getElementById('stop-run-btn').addEventListener('click', () => this.stopRun());
         document.getElementById('validate-btn').addEventListener('click', () => this.validateCode());
         document.getElementById('undo-btn').addEventListener('click', () => this.undoCode());
         document.getElementById('script-selector').addEventListener('change', (e) => this.loadScript(e.target.value));
+        document.getElementById('debug-btn').addEventListener('click', () => this.startDebug());
+        document.getElementById('step-over-btn').addEventListener('click', () => this.stepOver());
+        document.getElementById('step-into-btn').addEventListener('click', () => this.stepInto());
+        document.getElementById('step-out-btn').addEventListener('click', () => this.stepOut());
+        document.getElementById('continue-btn').addEventListener('click', () => this.continueDebug());
+        document.getElementById('stop-debug-btn').addEventListener('click', () => this.stopDebug());
+        
+        // Click a line number to toggle a breakpoint
+        this.lineNumbers.addEventListener('click', (e) => {
+            const line = Number(e.target.dataset?.line);
+            if (line) this.toggleBreakpoint(line);
+        });
 
         // Load default
         this.loadScript('TreeSpawner');
@@ -250,6 +296,8 @@ export class CodeEditor {
     }
 
     loadScript(name) {
+        if (this.debugSession) this.stopDebug();
+        
         const scripts = {
             TreeSpawner: `// ════════════════════════════════════════════
 // ORBRYA SCENARIO: Forest Optimization
@@ -316,13 +364,49 @@ public class MemoryDemo : ScenarioBase
             treeCount++;
         }
     }
+}`,
+
+            SceneBuilder: `// ════════════════════════════════════════════
+// ORBRYA SANDBOX: Build Your Own Scene
+// ════════════════════════════════════════════
+//
+// SpawnTree(x, z, type, scale)  type: "pine", "oak", "birch", "palm"
+// SpawnRock(x, z, scale)        x and z go from -45 to 45
+// SetSkyColor("#ff9966")        ClearTrees()
+// GetTreeCount()                Random.Range(min, max)
+// ════════════════════════════════════════════
+
+using Orbrya.Engine;
+
+public class SceneBuilder : ScenarioBase
+{
+    public void Build()
+    {
+        SetSkyColor("#ffb37a");
+        
+        // A row of birches down the middle
+        for (int i = 0; i < 10; i++)
+        {
+            SpawnTree(-40 + i * 9, 0, "birch", 1.2f);
+        }
+        
+        // Scattered oaks and rocks
+        while (GetTreeCount() < 40)
+        {
+            SpawnTree(Random.Range(-45f, 45f), Random.Range(-45f, 45f), "oak", Random.Range(0.6f, 1.4f));
+            if (GetTreeCount() % 5 == 0) SpawnRock();
+        }
+        
+        Debug.Log($"Built a scene with {GetTreeCount()} trees");
+    }
 }`
         };
 
         this.currentScript = scripts[name] || scripts.TreeSpawner;
+        this.breakpoints.clear();
         this.originalCode = this.currentScript; // Store for change detection
         this.codeArea.value = this.currentScript;
-        this.updateLineNumbers();
+        this.setDiagnostics(this.executor.diagnose(this.currentScript));
         this.log('info', `📂 Loaded ${name}.cs`);
         
         // Reset progress tracking for this script
@@ -331,8 +415,9 @@ public class MemoryDemo : ScenarioBase
 
     // ========== EXECUTION METHODS ==========
 
-    runCode() {
+    async runCode() {
         console.log('[CodeEditor] Run button clicked');
+        if (this.debugSession) this.stopDebug();
         const code = this.codeArea.value;
         this.log('info', '▶ Running code...');
         
@@ -355,21 +440,37 @@ public class MemoryDemo : ScenarioBase
             }, 2000);
         }
         
-        const result = this.executor.execute(code);
+        this.setRunning(true);
+        const result = await this.executor.execute(code);
+        this.setRunning(false);
         
-        // Result handled by callbacks
+        // Success/error handled by callbacks
+        if (result.cancelled) {
+            this.log('warning', `⏹ Stopped - ${result.treeCount} trees were spawned`);
+        }
         return result;
     }
 
+    stopRun() {
+        this.executor.cancel();
+    }
+
+    setRunning(running) {
+        document.getElementById('run-code-btn').style.display = running ? 'none' : '';
+        document.getElementById('stop-run-btn').style.display = running ? '' : 'none';
+    }
+
     validateCode() {
         const code = this.codeArea.value;
         const result = this.executor.validate(code);
         
+        this.setDiagnostics(result.diagnostics);
         if (result.valid) {
             this.log('success', `✓ Valid! Will spawn ${result.limit} trees`);
+        }
+        result.diagnostics.forEach(d => this.logDiagnostic(d));
+        if (result.valid) {
             result.warnings.forEach(w => this.log('warning', w));
-        } else {
-            result.errors.forEach(e => this.log('error', e));
         }
         
         return result;
@@ -385,8 +486,15 @@ public class MemoryDemo : ScenarioBase
     }
 
     onExecuteSuccess(result) {
+        // Debug.Log output from the student's code
+        result.logs.forEach(msg => this.log('info', `📜 ${msg}`));
+        
         this.log('success', `✅ Spawned ${result.treeCount} trees`);
         
+        // Infinite loops still run (that's the lesson) but get flagged
+        this.setDiagnostics(result.diagnostics);
+        result.diagnostics.forEach(d => this.logDiagnostic(d));
+        
         if (result.warnings.length > 0) {
             result.warnings.forEach(w => this.log('warning', w));
         }
@@ -412,15 +520,298 @@ public class MemoryDemo : ScenarioBase
     }
 
     onExecuteError(result) {
-        result.errors.forEach(e => this.log('error', e));
+        this.setDiagnostics(result.diagnostics);
+        if (result.diagnostics.length > 0) {
+            result.diagnostics.forEach(d => this.logDiagnostic(d));
+        } else {
+            result.errors.forEach(e => this.log('error', e));
+        }
+    }
+
+    // ========== DEBUGGER ==========
+
+    startDebug() {
+        if (this.debugSession) {
+            this.continueDebug();
+            return;
+        }
+        if (this.executor.isRunning()) this.stopRun();
+        
+        const { session, diagnostics, loops } = this.executor.debug(this.codeArea.value, {
+            breakpoints: this.breakpoints,
+            onLog: (message) => this.log('info', `📜 ${message}`)
+        });
+        this.setDiagnostics(diagnostics);
+        if (!session) {
+            diagnostics.forEach(d => this.logDiagnostic(d));
+            return;
+        }
+        
+        this.debugSession = session;
+        this.debugLoops = loops;
+        session.onPause = (info) => this.onDebugPause(info);
+        session.onFinish = (result) => this.onDebugFinish(result);
+        
+        this.lastWatch = {};
+        this.setDebugMode(true);
+        this.log('info', '🐞 Debugging - F10 Step Over, F11 Step Into, Shift+F11 Step Out, F5 Continue');
+        
+        // Run to the first breakpoint, or stop on the first line
+        if (this.breakpoints.size > 0) {
+            session.continue();
+        } else {
+            session.stepInto();
+        }
+    }
+
+    stepOver() {
+        this.debugSession?.stepOver();
+    }
+
+    stepInto() {
+        this.debugSession?.stepInto();
+    }
+
+    stepOut() {
+        this.debugSession?.stepOut();
+    }
+
+    continueDebug() {
+        this.debugSession?.continue();
+    }
+
+    stopDebug() {
+        this.debugSession?.stop();
+    }
+
+    toggleBreakpoint(line) {
+        if (this.breakpoints.has(line)) {
+            this.breakpoints.delete(line);
+        } else {
+            this.breakpoints.add(line);
+        }
+        this.updateLineNumbers();
+    }
+
+    onDebugPause(info) {
+        this.pausedLine = info.line;
+        this.updateLineNumbers();
+        this.renderWatch(info);
+        
+        // Select the paused line so it stands out in the textarea
+        const value = this.codeArea.value;
+        const lineEnd = value.indexOf('\n', info.start);
+        this.codeArea.focus();
+        this.codeArea.setSelectionRange(info.start, lineEnd === -1 ? value.length : lineEnd);
+        this.scrollToLine(info.line);
+    }
+
+    onDebugFinish(result) {
+        const trees = this.sceneController.currentTreeCount;
+        
+        if (result.error) {
+            const diagnostic = diagnosticFromError(result.error);
+            this.setDiagnostics([...this.diagnostics, diagnostic]);
+            this.logDiagnostic(diagnostic);
+        } else if (result.budgetExceeded) {
+            const { message, loop } = this.executor.budgetStop(this.debugLoops, result.lastLoop);
+            this.log('error', `${loop?.status === 'terminates' ? '⏳' : '⚠️'} ${message}`, result.lastLoop?.loc);
+            this.log('warning', `Safety stop: ${trees} trees were spawned before the budget ran out`);
+        } else if (result.stopped) {
+            this.log('info', `⏹ Debugging stopped - ${trees} trees spawned`);
+        } else {
+            this.log('success', `✅ Finished - spawned ${trees} trees`);
+        }
+        
+        this.debugSession = null;
+        this.pausedLine = null;
+        this.setDebugMode(false);
+        this.updateLineNumbers();
+    }
+
+    setDebugMode(active) {
+        this.codeArea.readOnly = active;
+        document.getElementById('debug-controls').style.display = active ? 'inline' : 'none';
+        this.watchPane.style.display = active ? 'block' : 'none';
+        if (!active) this.watchPane.innerHTML = '';
+    }
+
+    renderWatch(info) {
+        // treeCount first - it's the variable the lesson is about
+        const names = Object.keys(info.variables)
+            .filter(name => name !== 'scene')
+            .sort((a, b) => (b === 'treeCount') - (a === 'treeCount'));
+        
+        const rows = names.map(name => {
+            const { type, value } = info.variables[name];
+            const changed = name in this.lastWatch && this.lastWatch[name] !== value;
+            return `<div class="watch-row${changed ? ' changed' : ''}" title="${type}">
+                <span class="watch-name">${this.escapeHtml(name)}</span>
+                <span class="watch-value">${this.escapeHtml(value)}</span>
+            </div>`;
+        }).join('');
+        
+        this.lastWatch = Object.fromEntries(names.map(name => [name, info.variables[name].value]));
+        
+        this.watchPane.innerHTML = `
+            <div class="watch-title">👁 Watch</div>
+            ${rows || '<div class="watch-row">No variables yet</div>'}
+            <div class="watch-title">📚 Call Stack</div>
+            ${info.callStack.map(name => `<div class="watch-row">${this.escapeHtml(name)}()</div>`).join('')}
+            <div class="watch-title">🌲 Trees: ${this.sceneController.currentTreeCount}</div>
+        `;
+    }
+
+    scrollToLine(line) {
+        const lineHeight = parseFloat(getComputedStyle(this.codeArea).lineHeight) || 22;
+        const top = (line - 1) * lineHeight;
+        const view = this.codeArea.clientHeight;
+        if (top < this.codeArea.scrollTop || top + lineHeight > this.codeArea.scrollTop + view) {
+            this.codeArea.scrollTop = Math.max(0, top - view / 2);
+        }
+        this.syncScroll();
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ========== DIAGNOSTICS ==========
+
+    refreshDiagnostics() {
+        this.setDiagnostics(this.executor.diagnose(this.codeArea.value));
+    }
+
+    setDiagnostics(diagnostics) {
+        this.diagnostics = diagnostics || [];
+        this.renderDiagnostics();
+        this.updateLineNumbers();
+    }
+
+    /**
+     * Mirror the code into the overlay with squiggle spans under each
+     * diagnostic range. The mirror text is transparent - only the
+     * underlines show through on top of the textarea.
+     */
+    renderDiagnostics() {
+        const code = this.codeArea.value;
+        const ranges = [...this.diagnostics].sort((a, b) => a.range.start - b.range.start);
+        let html = '';
+        let pos = 0;
+        
+        for (const d of ranges) {
+            const start = Math.max(d.range.start, pos);
+            const end = Math.min(Math.max(d.range.end, start), code.length);
+            if (start > code.length) continue;
+            html += this.escapeHtml(code.slice(pos, start));
+            
+            // Ranges that only cover a line break (missing ';' at end of line)
+            // get a one-character marker so there is something to underline
+            const text = code.slice(start, end);
+            const marked = text && !/^\n/.test(text) ? this.escapeHtml(text) : ' ';
+            html += `<span class="squiggle ${d.severity}">${marked}</span>`;
+            pos = text && !/^\n/.test(text) ? end : start;
+        }
+        
+        html += this.escapeHtml(code.slice(pos));
+        this.diagnosticLayer.innerHTML = html + '\n';
+        this.syncScroll();
+    }
+
+    logDiagnostic(d) {
+        const type = d.severity === 'error' ? 'error' : 'warning';
+        this.log(type, `Line ${d.line}:${d.column} ${d.message} (${d.code})`, d.range);
+    }
+
+    /**
+     * Select a source range and scroll it into view - used when a
+     * console entry is clicked
+     */
+    goToLocation(range) {
+        const line = this.codeArea.value.slice(0, range.start).split('\n').length;
+        this.codeArea.focus();
+        this.codeArea.setSelectionRange(range.start, Math.max(range.end, range.start));
+        this.scrollToLine(line);
+    }
+
+    onCodeHover(e) {
+        const offset = this.offsetFromPoint(e.clientX, e.clientY);
+        const hits = offset === null ? [] : this.diagnostics.filter(d =>
+            offset >= d.range.start && offset <= Math.max(d.range.end, d.range.start + 1)
+        );
+        
+        if (hits.length === 0) {
+            this.hideTooltip();
+            return;
+        }
+        
+        this.diagnosticTooltip.innerHTML = hits.map(d =>
+            `<div class="${d.severity}">${d.severity === 'error' ? '❌' : '⚠️'} ${this.escapeHtml(d.message)} <span class="diagnostic-code">${d.code}</span></div>`
+        ).join('');
+        const wrapper = this.codeArea.parentElement.getBoundingClientRect();
+        this.diagnosticTooltip.style.left = `${e.clientX - wrapper.left + 12}px`;
+        this.diagnosticTooltip.style.top = `${e.clientY - wrapper.top + 16}px`;
+        this.diagnosticTooltip.style.display = 'block';
+    }
+
+    hideTooltip() {
+        this.diagnosticTooltip.style.display = 'none';
+    }
+
+    /**
+     * Character offset under the mouse (wrap is off and the font is
+     * monospace, so this is plain arithmetic)
+     */
+    offsetFromPoint(clientX, clientY) {
+        const style = getComputedStyle(this.codeArea);
+        const rect = this.codeArea.getBoundingClientRect();
+        const lineHeight = parseFloat(style.lineHeight) || 22;
+        const x = clientX - rect.left - parseFloat(style.paddingLeft) + this.codeArea.scrollLeft;
+        const y = clientY - rect.top - parseFloat(style.paddingTop) + this.codeArea.scrollTop;
+        
+        const lines = this.codeArea.value.split('\n');
+        const lineIndex = Math.floor(y / lineHeight);
+        if (y < 0 || lineIndex >= lines.length) return null;
+        
+        if (!this.charWidth) {
+            const ctx = document.createElement('canvas').getContext('2d');
+            ctx.font = `${style.fontSize} ${style.fontFamily}`;
+            this.charWidth = ctx.measureText('M').width || 8;
+        }
+        
+        // Walk the line so tabs count as 4 columns
+        const text = lines[lineIndex];
+        const targetColumn = Math.floor(x / this.charWidth);
+        let column = 0;
+        let index = 0;
+        while (index < text.length) {
+            const width = text[index] === '\t' ? 4 - (column % 4) : 1;
+            if (column + width > targetColumn) break;
+            column += width;
+            index++;
+        }
+        
+        let offset = index;
+        for (let i = 0; i < lineIndex; i++) offset += lines[i].length + 1;
+        return offset;
     }
 
     // ========== CONSOLE OUTPUT ==========
 
-    log(type, message) {
+    log(type, message, range = null) {
         const line = document.createElement('div');
         line.className = `console-line ${type}`;
         line.textContent = message;
+        if (range) {
+            // Click to jump to the offending code
+            line.classList.add('clickable');
+            line.title = 'Click to show in the code';
+            line.addEventListener('click', () => this.goToLocation(range));
+        }
         this.consoleOutput.appendChild(line);
         this.consoleOutput.scrollTop = this.consoleOutput.scrollHeight;
         
@@ -437,12 +828,22 @@ public class MemoryDemo : ScenarioBase
     // ========== EDITOR FUNCTIONALITY ==========
 
     onCodeChange() {
+        // Old squiggles would point at the wrong characters until the
+        // debounced check below runs, so drop them while typing
+        this.diagnostics = [];
+        this.renderDiagnostics();
+        this.hideTooltip();
+        
         // Only update line numbers while typing - highlighting on blur
         this.updateLineNumbers();
         
         // Progress tracking: Check for code changes (debounced)
         clearTimeout(this.changeCheckTimeout);
         this.changeCheckTimeout = setTimeout(() => this.checkForCodeChange(), 300);
+        
+        // Live diagnostics (debounced - compiling on every key is too much for N4000)
+        clearTimeout(this.parseTimeout);
+        this.parseTimeout = setTimeout(() => this.refreshDiagnostics(), this.parseDelay);
     }
 
     handleKeyDown(e) {
@@ -450,22 +851,67 @@ public class MemoryDemo : ScenarioBase
             e.preventDefault();
             document.execCommand('insertText', false, '    ');
         }
-        // Ctrl+Enter to run
+        // Ctrl+Enter to run, Esc to stop
         if (e.key === 'Enter' && e.ctrlKey) {
             e.preventDefault();
             this.runCode();
         }
+        if (e.key === 'Escape' && this.executor.isRunning()) {
+            e.preventDefault();
+            this.stopRun();
+        }
+        // Debugger keys (Visual Studio layout)
+        if (e.key === 'F5') {
+            e.preventDefault();
+            if (e.shiftKey) this.stopDebug();
+            else this.startDebug();
+        }
+        if (e.key === 'F10' && this.debugSession) {
+            e.preventDefault();
+            this.stepOver();
+        }
+        if (e.key === 'F11' && this.debugSession) {
+            e.preventDefault();
+            if (e.shiftKey) this.stepOut();
+            else this.stepInto();
+        }
     }
 
     syncScroll() {
         this.lineNumbers.scrollTop = this.codeArea.scrollTop;
+        if (this.diagnosticLayer) {
+            this.diagnosticLayer.style.transform =
+                `translate(${-this.codeArea.scrollLeft}px, ${-this.codeArea.scrollTop}px)`;
+        }
     }
 
     updateLineNumbers() {
         const lines = this.codeArea.value.split('\n').length;
+        
+        // Drop breakpoints on lines that no longer exist
+        for (const line of this.breakpoints) {
+            if (line > lines) this.breakpoints.delete(line);
+        }
+        
+        // Diagnostics per line, for gutter markers
+        const byLine = new Map();
+        for (const d of this.diagnostics) {
+            if (!byLine.has(d.line)) byLine.set(d.line, []);
+            byLine.get(d.line).push(d);
+        }
+        
         let html = '';
         for (let i = 1; i <= lines; i++) {
-            html += `<div>${i}</div>`;
+            const classes = [];
+            let title = '';
+            if (this.breakpoints.has(i)) classes.push('breakpoint');
+            if (this.pausedLine === i) classes.push('current-line');
+            if (byLine.has(i)) {
+                const found = byLine.get(i);
+                classes.push(found.some(d => d.severity === 'error') ? 'diag-error' : 'diag-warning');
+                title = ` title="${this.escapeHtml(found.map(d => `${d.code}: ${d.message}`).join('\n'))}"`;
+            }
+            html += `<div data-line="${i}" class="${classes.join(' ')}"${title}>${i}</div>`;
         }
         this.lineNumbers.innerHTML = html;
     }
@@ -505,6 +951,6 @@ public class MemoryDemo : ScenarioBase
 
     setCode(code) {
         this.codeArea.value = code;
-        this.updateLineNumbers();
+        this.refreshDiagnostics();
     }
 }
@@ -9,15 +9,41 @@
  * - Typing indicators
  * - Conversational responses with personality
  * - Clarifying questions for vague prompts
+ * - Follow-ups edit the last scene ("add 10 more", "make them oaks
+ *   instead", "undo that") - PromptDialogue keeps the history, shown as a
+ *   strip of steps above the input; click one to go back to it
+ * - A teacher picks which "AI" reads new prompts (keyword rules or an
+ *   OpenAI-compatible API, see PromptInterpreters) and can turn on
+ *   "Side by side" to show both readings of every prompt
+ * - Every new prompt gets a score card: the rubric's points per criterion
+ *   and the words of the prompt that earned them, highlighted
+ * - A language picker switches the parser and every line of the chat to
+ *   another locale pack (PromptLocales) - English and Spanish so far
  */
 
 import { PromptParser } from '../engine/PromptParser.js';
+import { PromptDialogue } from '../engine/PromptDialogue.js';
+import { PromptRubric } from '../engine/PromptRubric.js';
+import {
+    INTERPRETER_BACKENDS,
+    createInterpreter,
+    loadInterpreterSettings,
+    saveInterpreterSettings
+} from '../engine/PromptInterpreters.js';
+import { LOCALES, getLocale, translate, format, escapeHtml, loadLocaleSetting, saveLocaleSetting } from '../engine/PromptLocales.js';
 
 export class PromptInterface {
     constructor(panelManager, sceneController) {
         this.panelManager = panelManager;
         this.sceneController = sceneController;
-        this.parser = new PromptParser();
+        this.parser = new PromptParser({ seed: sceneController?.seed, locale: loadLocaleSetting() });
+        // Keep to the scene's seed when it changes (window.orbrya.setSeed)
+        sceneController?.addSeedCallback((seed) => this.parser.setSeed(seed));
+        this.dialogue = new PromptDialogue(this.parser);
+        
+        // Which backend reads new prompts - follow-ups always use the parser
+        this.settings = loadInterpreterSettings();
+        this.interpreters = this.createInterpreters();
         
         this.panel = null;
         this.messagesContainer = null;
@@ -25,7 +51,7 @@ export class PromptInterface {
         this.messages = [];
         
         // AI personality for responses
-        this.aiName = 'Forest Builder';
+        this.aiName = this.t('aiName');
         this.aiAvatar = '🌲';
         
         // Callbacks
@@ -43,7 +69,35 @@ export class PromptInterface {
         const content = document.createElement('div');
         content.className = 'prompt-chat-container';
         content.innerHTML = `
+            <div class="chat-backend-bar">
+                <label class="backend-label" id="language-label" title="${this.t('languageTitle')}">
+                    🌐
+                    <select id="language-select">
+                        ${Object.keys(LOCALES).map(code => `
+                            <option value="${code}">${getLocale(code).name}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="backend-label" id="backend-label" title="${this.t('backendTitle')}">
+                    🧠
+                    <select id="backend-select">
+                        ${Object.entries(INTERPRETER_BACKENDS).map(([id, backend]) => `
+                            <option value="${id}">${backend.name}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="backend-compare">
+                    <input type="checkbox" id="backend-compare"> <span id="backend-compare-text">${this.t('sideBySide')}</span>
+                </label>
+                <button class="backend-settings-btn" id="backend-settings-btn" title="API endpoint">⚙️</button>
+            </div>
+            <div class="backend-settings" id="backend-settings">
+                <input id="backend-url" placeholder="Base URL, e.g. http://localhost:8787/v1">
+                <input id="backend-model" placeholder="Model">
+                <input id="backend-key" type="password" placeholder="API key (optional, not saved)">
+            </div>
             <div class="chat-messages" id="chat-messages"></div>
+            <div class="chat-history" id="chat-history"></div>
             <div class="chat-input-area">
                 <div class="typing-indicator" id="typing-indicator">
                     <span class="dot"></span>
@@ -53,7 +107,7 @@ export class PromptInterface {
                 <div class="input-row">
                     <textarea 
                         id="prompt-input" 
-                        placeholder="Describe what you want to create..."
+                        placeholder="${this.t('placeholder')}"
                         rows="1"
                     ></textarea>
                     <button id="send-btn" class="send-button">
@@ -62,18 +116,13 @@ export class PromptInterface {
                         </svg>
                     </button>
                 </div>
-                <div class="quick-prompts">
-                    <span class="quick-label">Try:</span>
-                    <button class="quick-btn" data-prompt="Create a small forest">🌳 Small forest</button>
-                    <button class="quick-btn" data-prompt="Make 50 pine trees in a grid">📐 Grid of pines</button>
-                    <button class="quick-btn" data-prompt="Spawn a dense cluster of trees">🌲 Dense cluster</button>
-                </div>
+                <div class="quick-prompts" id="quick-prompts">${this.createQuickPrompts()}</div>
             </div>
         `;
         
         this.panel = this.panelManager.createPanel({
             id: 'prompt-interface',
-            title: '💬 AI Forest Builder',
+            title: this.t('title'),
             icon: '💬',
             x: 20,
             y: 100,
@@ -85,9 +134,16 @@ export class PromptInterface {
         });
         
         this.messagesContainer = content.querySelector('#chat-messages');
+        this.historyContainer = content.querySelector('#chat-history');
         this.inputField = content.querySelector('#prompt-input');
         this.typingIndicator = content.querySelector('#typing-indicator');
         this.sendButton = content.querySelector('#send-btn');
+        this.backendSelect = content.querySelector('#backend-select');
+        this.compareToggle = content.querySelector('#backend-compare');
+        this.backendSettings = content.querySelector('#backend-settings');
+        this.languageSelect = content.querySelector('#language-select');
+        this.languageSelect.value = this.parser.locale;
+        this.syncBackendControls();
         
         this.attachEventListeners(content);
         this.injectStyles();
@@ -111,16 +167,193 @@ export class PromptInterface {
             this.inputField.style.height = Math.min(this.inputField.scrollHeight, 100) + 'px';
         });
         
-        // Quick prompt buttons
-        container.querySelectorAll('.quick-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const prompt = btn.dataset.prompt;
-                this.inputField.value = prompt;
-                this.handleSend();
+        // Quick prompt buttons (re-rendered when the language changes)
+        container.querySelector('#quick-prompts').addEventListener('click', (e) => {
+            const btn = e.target.closest('.quick-btn');
+            if (!btn) return;
+            this.inputField.value = btn.dataset.prompt;
+            this.handleSend();
+        });
+        
+        // Language picker - parser and chat switch together
+        this.languageSelect.addEventListener('change', () => {
+            this.setLanguage(this.languageSelect.value);
+        });
+        
+        // History steps - click to go back
+        this.historyContainer.addEventListener('click', (e) => {
+            const step = e.target.closest('.history-step');
+            if (step) this.revertToStep(Number(step.dataset.id));
+        });
+        
+        // Backend picker - saved for the next visit
+        this.backendSelect.addEventListener('change', () => {
+            this.updateSettings({ backend: this.backendSelect.value });
+        });
+        this.compareToggle.addEventListener('change', () => {
+            this.updateSettings({ compare: this.compareToggle.checked });
+        });
+        container.querySelector('#backend-settings-btn').addEventListener('click', () => {
+            this.backendSettings.classList.toggle('visible');
+        });
+        [['#backend-url', 'baseUrl'], ['#backend-model', 'model'], ['#backend-key', 'apiKey']].forEach(([selector, key]) => {
+            container.querySelector(selector).addEventListener('change', (e) => {
+                this.updateSettings({ [key]: e.target.value.trim() });
             });
         });
     }
     
+    // ═══════════════════════════════════════════════════════════════
+    // LANGUAGE
+    // ═══════════════════════════════════════════════════════════════
+    
+    /**
+     * A line of the chat in the current language (locale pack ui.chat)
+     */
+    t(key, vars) {
+        return translate(getLocale(this.parser.locale).ui.chat, key, vars);
+    }
+    
+    createQuickPrompts() {
+        return `
+            <span class="quick-label">${this.t('try')}</span>
+            ${this.t('quickPrompts').map(([label, prompt]) => `
+                <button class="quick-btn" data-prompt="${this.escapeHtml(prompt)}">${label}</button>
+            `).join('')}
+        `;
+    }
+    
+    /**
+     * Read and answer in another language; the scene and history stay
+     * @param {string} code - Key of LOCALES
+     */
+    setLanguage(code) {
+        this.parser.setLocale(code);
+        saveLocaleSetting(code);
+        this.aiName = this.t('aiName');
+        
+        const content = this.panel.querySelector('.prompt-chat-container');
+        this.panel.querySelector('.panel-title').textContent = this.t('title');
+        this.inputField.placeholder = this.t('placeholder');
+        content.querySelector('#quick-prompts').innerHTML = this.createQuickPrompts();
+        content.querySelector('#backend-compare-text').textContent = this.t('sideBySide');
+        content.querySelector('#backend-label').title = this.t('backendTitle');
+        content.querySelector('#language-label').title = this.t('languageTitle');
+        this.languageSelect.value = this.parser.locale;
+        this.renderHistory();
+        
+        this.addMessage('ai', this.t('switched'));
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // INTERPRETER BACKENDS
+    // ═══════════════════════════════════════════════════════════════
+    
+    createInterpreters() {
+        const { baseUrl, model, apiKey } = this.settings;
+        const interpreters = {};
+        for (const id of Object.keys(INTERPRETER_BACKENDS)) {
+            interpreters[id] = createInterpreter(id, { parser: this.parser, baseUrl, model, apiKey });
+        }
+        return interpreters;
+    }
+    
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        saveInterpreterSettings(this.settings);
+        this.interpreters = this.createInterpreters();
+        this.syncBackendControls();
+    }
+    
+    syncBackendControls() {
+        const { backend, compare, baseUrl, model, apiKey } = this.settings;
+        this.backendSelect.value = backend in INTERPRETER_BACKENDS ? backend : 'keyword';
+        this.compareToggle.checked = compare;
+        const fields = { '#backend-url': baseUrl, '#backend-model': model, '#backend-key': apiKey };
+        for (const [selector, value] of Object.entries(fields)) {
+            this.backendSettings.querySelector(selector).value = value;
+        }
+    }
+    
+    /**
+     * Read a new-scene prompt with the chosen backend (and every backend
+     * when comparing). The dialogue already has the keyword reading; if the
+     * chosen backend answers, its reading replaces it.
+     * @returns {{turn: Turn, readings: Array|null, error: Error|null}}
+     */
+    async interpretWithBackends(text, turn) {
+        const chosen = this.settings.backend in INTERPRETER_BACKENDS ? this.settings.backend : 'keyword';
+        const ids = this.settings.compare ? Object.keys(INTERPRETER_BACKENDS) : [chosen];
+        
+        const readings = await Promise.all(ids.map(async (id) => {
+            const name = INTERPRETER_BACKENDS[id].name;
+            if (id === 'keyword') return { id, name, result: turn.result };
+            try {
+                return { id, name, result: await this.interpreters[id].interpret(text) };
+            } catch (error) {
+                console.warn(`[PromptInterface] ${name} failed: ${error.message}`);
+                return { id, name, error };
+            }
+        }));
+        
+        const reading = readings.find(r => r.id === chosen);
+        if (chosen !== 'keyword' && reading.result) {
+            turn = this.dialogue.adopt(reading.result);
+        }
+        
+        // The parser's own result carries no backend id
+        const built = turn.result?.backend ?? 'keyword';
+        return {
+            turn,
+            readings: this.settings.compare ? readings.map(r => ({ ...r, built: r.id === built })) : null,
+            error: reading.error ?? null
+        };
+    }
+    
+    /**
+     * Both readings of the same prompt in two columns, plus what they
+     * disagree on - the point is seeing that "AIs" read words differently
+     */
+    addComparison(readings) {
+        const answered = readings.filter(r => r.result);
+        const disagreements = answered.length === 2
+            ? this.dialogue.diff(answered[0].result.params, answered[1].result.params).map(({ field }) => field)
+            : [];
+        
+        const columns = readings.map(reading => `
+            <div class="compare-column ${reading.built ? 'built' : ''}">
+                <div class="compare-name">${reading.built ? '🏗️ ' : ''}${this.escapeHtml(reading.name)}</div>
+                ${reading.error
+                    ? `<div class="compare-error">⚠️ ${this.escapeHtml(reading.error.message)}</div>`
+                    : `<div class="compare-text">${this.escapeHtml(reading.result.interpretation)}</div>
+                       <div class="compare-score">📊 ${reading.result.specificity}/100</div>
+                       ${this.createParamsPreview(reading.result.params)}`}
+            </div>
+        `).join('');
+        
+        let summary = this.t('compareSummary');
+        if (answered.length === 2) {
+            summary += disagreements.length === 0
+                ? this.t('compareAgree')
+                : this.t('compareDisagree', { fields: disagreements.join(', ') });
+        }
+        
+        this.messages.push({ type: 'comparison', readings, disagreements, timestamp: Date.now() });
+        
+        const msgEl = document.createElement('div');
+        msgEl.className = 'chat-message ai-message comparison-message';
+        msgEl.innerHTML = `
+            <div class="message-avatar">⚖️</div>
+            <div class="message-content">
+                <div class="message-name">${this.t('compareTitle')}</div>
+                <div class="message-text">${this.formatMessageText(summary)}</div>
+                <div class="compare-grid">${columns}</div>
+            </div>
+        `;
+        this.messagesContainer.appendChild(msgEl);
+        this.scrollToBottom();
+    }
+    
     async handleSend() {
         const userText = this.inputField.value.trim();
         if (!userText) return;
@@ -138,100 +371,222 @@ export class PromptInterface {
         // Simulate AI "thinking" time (feels more natural)
         await this.delay(400 + Math.random() * 400);
         
-        // Parse the prompt
-        const result = this.parser.parsePrompt(userText);
+        // New scene, or an edit / undo of the last one
+        let turn = this.dialogue.interpret(userText);
+        let readings = null;
+        let error = null;
+        if (turn.kind === 'new') {
+            ({ turn, readings, error } = await this.interpretWithBackends(userText, turn));
+        }
         
         // Generate conversational response
-        const response = this.generateResponse(result);
+        const response = turn.kind === 'new'
+            ? this.generateResponse(turn.result)
+            : this.generateEditResponse(turn);
         
         // Hide typing, show response
         this.showTyping(false);
-        this.addMessage('ai', response.text, response.params);
+        if (error) {
+            this.addMessage('ai', this.t('backendFailed', { error: error.message }));
+        }
+        this.addMessage('ai', response.text, response.params, { rubric: turn.result?.rubric });
+        if (readings) {
+            this.addComparison(readings);
+        }
+        this.renderHistory();
+        
+        await this.applyTurn(turn);
+    }
+    
+    /**
+     * Rebuild the scene for a dialogue turn and tell listeners
+     */
+    async applyTurn(turn) {
+        const changed = turn.kind !== 'edit' || turn.diff.length > 0;
         
-        // Execute the scene update if we have valid params
-        if (result.params && this.sceneController) {
+        if (changed && this.sceneController) {
             await this.delay(300);
-            this.executeSceneUpdate(result.params);
+            if (turn.groups.length > 0) {
+                this.executeSceneUpdate(turn.params, turn.groups);
+            } else {
+                // Undid the very first step - back to an empty forest
+                this.sceneController.clearTrees();
+                this.sceneController.clearLandmarks();
+            }
         }
         
         // Fire callback
         if (this.onSceneUpdate) {
-            this.onSceneUpdate(result);
+            this.onSceneUpdate(turn.result ?? { params: turn.params, groups: turn.groups, turn });
+        }
+    }
+    
+    /**
+     * Reply for follow-ups and undo - what changed, then where we are now
+     */
+    generateEditResponse(turn) {
+        const current = turn.entry;
+        
+        if (turn.kind === 'undo' || turn.kind === 'revert') {
+            if (!turn.undone) {
+                return { text: this.t('nothingToUndo'), params: null };
+            }
+            const text = turn.kind === 'undo'
+                ? this.t('undid', { prompt: turn.undone.prompt })
+                : this.t('wentBack', { prompt: current.prompt });
+            return current
+                ? { text: `${text}\n\n${this.t('now', { interpretation: current.interpretation })}`, params: current.params }
+                : { text: `${text} ${this.t('emptyAgain')}`, params: null };
+        }
+        
+        if (turn.diff.length === 0) {
+            return { text: this.t('noChange'), params: null };
         }
+        
+        const changes = this.dialogue.describeDiff(turn.diff).map(line => `\n• ${line}`).join('');
+        return {
+            text: `${this.t('updating')}${this.describeMisreadings(turn.corrections)}${changes}\n\n${this.t('now', { interpretation: current.interpretation })}`,
+            params: current.params
+        };
+    }
+    
+    /**
+     * Go back to an earlier step from the history strip
+     */
+    async revertToStep(id) {
+        if (id === this.dialogue.current?.id) return;
+        
+        const turn = this.dialogue.revertTo(id);
+        if (!turn) return;
+        
+        const response = this.generateEditResponse(turn);
+        this.addMessage('ai', response.text, response.params);
+        this.renderHistory();
+        await this.applyTurn(turn);
+    }
+    
+    /**
+     * One chip per step; the current one is highlighted
+     */
+    renderHistory() {
+        const { history, current } = this.dialogue;
+        this.historyContainer.classList.toggle('visible', history.length > 0);
+        this.historyContainer.innerHTML = history.length === 0 ? '' : `
+            <span class="history-label">${this.t('steps')}</span>
+            ${history.map((entry, i) => `
+                <button class="history-step ${entry === current ? 'current' : ''}" data-id="${entry.id}"
+                        title="${this.escapeHtml(entry.interpretation)}">
+                    ${entry.kind === 'edit' ? '✏️' : '🌲'} ${i + 1}. ${this.escapeHtml(entry.prompt)}
+                </button>
+            `).join('')}
+        `;
     }
     
     generateResponse(parseResult) {
-        const { params, specificity, feedback } = parseResult;
+        const { params, groups = [params], specificity, feedback } = parseResult;
         let text = '';
         
-        // High specificity = confident response
+        // High specificity = confident response, medium = confirm
+        // understanding, low = note assumptions
         if (specificity >= 70) {
-            const intros = [
-                "Perfect, I know exactly what you want!",
-                "Great prompt! Here's what I'm creating:",
-                "Got it! Building your scene now:",
-                "Crystal clear! Here we go:"
-            ];
-            text = this.randomChoice(intros);
-        }
-        // Medium specificity = confirm understanding
-        else if (specificity >= 40) {
-            const intros = [
-                "Okay, here's what I understood:",
-                "Let me make sure I got this right:",
-                "Building based on your description:",
-                "Here's my interpretation:"
-            ];
-            text = this.randomChoice(intros);
-        }
-        // Low specificity = note assumptions
-        else {
-            const intros = [
-                "I'll fill in some details for you:",
-                "Your prompt was a bit vague, so I'm making some choices:",
-                "Here's what I'm going with (you can be more specific next time):",
-                "I'll use some defaults since the prompt was brief:"
-            ];
-            text = this.randomChoice(intros);
+            text = this.randomChoice(this.t('introsConfident'));
+        } else if (specificity >= 40) {
+            text = this.randomChoice(this.t('introsConfirm'));
+        } else {
+            text = this.randomChoice(this.t('introsVague'));
         }
+        text += this.describeMisreadings(parseResult.corrections);
         
         // Add the interpretation
-        text += `\n\n**Creating:** ${params.treeCount} ${params.treeType !== 'generic' ? params.treeType + ' ' : ''}trees`;
-        text += `\n**Arrangement:** ${this.formatArrangement(params.arrangement)}`;
+        if (groups.length > 1) {
+            // Multi-part prompt - one line per group
+            text += `\n\n${this.t('groupsHeader', { groups: groups.length, count: params.treeCount })}`;
+            groups.forEach((group, i) => {
+                text += `\n${i + 1}. ${this.formatGroup(group)}`;
+            });
+        } else {
+            text += `\n\n${this.t('creating', { what: this.parser.describeTrees(params) })}`;
+            if (params.quantity && params.quantity.min !== params.quantity.max) {
+                text += this.t('pickedFrom', { min: params.quantity.min, max: params.quantity.max });
+            }
+            text += `\n${this.t('arrangement', { value: this.formatArrangement(params.arrangement) })}`;
+            
+            if (params.region) {
+                text += `\n${this.t('where', { value: this.formatRegion(params.region) })}`;
+            }
+            if (params.relation) {
+                text += `\n${this.t('around', { value: this.parser.describeRelation(params.relation) })}`;
+            }
+            if (params.density !== 'normal') {
+                text += `\n${this.t('density', { value: this.parser.strings.densityNames[params.density] })}`;
+            }
+            if (params.sizeVariation) {
+                text += `\n${this.t('sizes')}`;
+            }
+            if (params.size) {
+                text += `\n${this.t('treeSize', { value: this.t(params.size === 'large' ? 'sizeLarge' : 'sizeSmall') })}`;
+            }
+        }
         
-        if (params.density !== 'normal') {
-            text += `\n**Density:** ${params.density}`;
+        // Say what the prompt ruled out
+        if (feedback.excluded?.length > 0) {
+            text += `\n${this.t('leavingOut', { list: feedback.excluded.join(', ') })}`;
         }
-        if (params.sizeVariation) {
-            text += `\n**Sizes:** Varied`;
+        
+        // "0 trees", "-5 trees" - nothing gets planted
+        if (feedback.countProblem) {
+            text += `\n\n${feedback.countProblem}`;
         }
         
         // Add suggestions if prompt could be improved
         if (feedback.suggestions.length > 0 && specificity < 70) {
-            text += '\n\n💡 *Tip: ' + feedback.suggestions[0] + '*';
+            text += `\n\n${this.t('tip', { tip: feedback.suggestions[0] })}`;
         }
         
         // Performance warning
         if (params.treeCount > 200) {
-            text += '\n\n⚠️ *That\'s a lot of trees! Performance might dip on slower devices.*';
+            text += `\n\n${this.t('tooMany')}`;
         }
         
         return { text, params };
     }
     
+    /**
+     * "🔤 I read 'pien' as 'pine'..." on a line of its own, or '' when
+     * every word was read as typed
+     */
+    describeMisreadings(corrections) {
+        const note = this.parser.describeCorrections(corrections);
+        return note ? `\n${this.t('misread', { note })}` : '';
+    }
+    
+    formatGroup(group) {
+        const { densityNames, sizeNames } = this.parser.strings;
+        const parts = [
+            this.parser.describeTrees(group),
+            this.formatArrangement(group.arrangement).toLowerCase()
+        ];
+        if (group.region) parts.push(this.formatRegion(group.region).toLowerCase());
+        if (group.relation) parts.push(this.parser.describeRelation(group.relation));
+        if (group.density !== 'normal') parts.push(densityNames[group.density]);
+        if (group.sizeVariation) parts.push(this.t('variedSizes'));
+        if (group.size) parts.push(sizeNames[group.size]);
+        return parts.join(', ');
+    }
+    
+    formatRegion(region) {
+        return this.t('regionFormats')[region] || region;
+    }
+    
     formatArrangement(arrangement) {
-        const formats = {
-            random: 'Scattered naturally',
-            grid: 'Organized grid pattern',
-            cluster: 'Grouped together',
-            line: 'In a line/row',
-            circle: 'Circular arrangement'
-        };
-        return formats[arrangement] || arrangement;
+        return this.t('arrangementFormats')[arrangement] || arrangement;
     }
     
-    addMessage(type, text, params = null) {
-        const message = { type, text, params, timestamp: Date.now() };
+    /**
+     * @param {Object} extras - { rubric } - a score breakdown to show under the text
+     */
+    addMessage(type, text, params = null, extras = {}) {
+        const message = { type, text, params, rubric: extras.rubric ?? null, timestamp: Date.now() };
         this.messages.push(message);
         
         const msgEl = document.createElement('div');
@@ -244,6 +599,7 @@ export class PromptInterface {
                     <div class="message-name">${this.aiName}</div>
                     <div class="message-text">${this.formatMessageText(text)}</div>
                     ${params ? this.createParamsPreview(params) : ''}
+                    ${extras.rubric ? this.createScoreCard(extras.rubric) : ''}
                 </div>
             `;
         } else {
@@ -260,11 +616,55 @@ export class PromptInterface {
     }
     
     createParamsPreview(params) {
+        const { arrangementNames, typeNames } = this.parser.strings;
         return `
             <div class="params-preview">
                 <div class="param-chip">🌲 ${params.treeCount}</div>
-                <div class="param-chip">${this.getArrangementIcon(params.arrangement)} ${params.arrangement}</div>
-                ${params.treeType !== 'generic' ? `<div class="param-chip">🏷️ ${params.treeType}</div>` : ''}
+                <div class="param-chip">${this.getArrangementIcon(params.arrangement)} ${arrangementNames[params.arrangement] || params.arrangement}</div>
+                ${params.treeType !== 'generic' ? `<div class="param-chip">🏷️ ${typeNames[params.treeType] || params.treeType}</div>` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Rubric breakdown: the prompt with each criterion's evidence marked in
+     * its colour, then one row per criterion - points, or how to earn them
+     */
+    createScoreCard(rubric) {
+        const colors = new Map(rubric.criteria.map((criterion, i) => [criterion.id, i % 6]));
+        const labels = new Map([...rubric.criteria, ...rubric.penalties].map(item => [item.id, item.label]));
+        
+        const prompt = PromptRubric.segments(rubric).map(({ text, criteria, penalty }) => {
+            if (criteria.length === 0) return this.escapeHtml(text);
+            const mark = penalty ? 'penalty' : colors.get(criteria[0]);
+            const title = criteria.map(id => labels.get(id)).join(', ');
+            return `<mark class="rubric-mark rubric-mark-${mark}" title="${this.escapeHtml(title)}">${this.escapeHtml(text)}</mark>`;
+        }).join('');
+        
+        const rows = rubric.criteria.map(criterion => `
+            <div class="rubric-row ${criterion.points > 0 ? 'earned' : 'missed'}">
+                <span class="rubric-swatch rubric-mark-${colors.get(criterion.id)}"></span>
+                <span class="rubric-label">${this.escapeHtml(criterion.label)}</span>
+                <span class="rubric-points">${criterion.points}/${criterion.maxPoints}</span>
+                ${criterion.points > 0
+                    ? `<span class="rubric-note">${criterion.evidence.map(span => `"${this.escapeHtml(span.text)}"`).join(', ')}</span>`
+                    : `<span class="rubric-note">${this.escapeHtml(criterion.tip ?? '')}</span>`}
+            </div>
+        `).join('');
+        const penalties = rubric.penalties.map(penalty => `
+            <div class="rubric-row penalty">
+                <span class="rubric-swatch rubric-mark-penalty"></span>
+                <span class="rubric-label">${this.escapeHtml(penalty.label)}</span>
+                <span class="rubric-points">−${penalty.points}</span>
+                <span class="rubric-note">${penalty.evidence.map(span => `"${this.escapeHtml(span.text)}"`).join(', ')}</span>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="score-card">
+                <div class="score-header">${this.t('score', { score: rubric.score })}</div>
+                <div class="score-prompt">${prompt}</div>
+                ${rows}${penalties}
             </div>
         `;
     }
@@ -281,53 +681,33 @@ export class PromptInterface {
     }
     
     formatMessageText(text) {
-        // Simple markdown-like formatting
-        return text
+        // Simple markdown-like formatting - escaped first, since replies
+        // quote the student's own prompts ("Undid: ...")
+        return this.escapeHtml(text)
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             .replace(/\*(.*?)\*/g, '<em>$1</em>')
             .replace(/\n/g, '<br>');
     }
     
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeHtml(text);
     }
     
     addWelcomeMessage() {
-        const welcomeText = `Hey! I'm your AI Forest Builder. 🌲
-
-Tell me what kind of scene you want to create, and I'll build it for you. Try being specific about:
-
-• **How many** trees (e.g., "50 trees")
-• **What type** (pine, oak, birch, palm)
-• **How arranged** (grid, clustered, scattered)
-
-The more detail you give, the better I understand!`;
-        
-        this.addMessage('ai', welcomeText);
+        this.addMessage('ai', this.t('welcome'));
     }
     
-    async executeSceneUpdate(params) {
+    async executeSceneUpdate(params, groups = [params]) {
         if (!this.sceneController) return;
         
-        // Clear existing trees
-        this.sceneController.clearTrees?.();
-        
-        // Spawn new trees based on params
-        // Note: SceneController.spawnTrees() currently only takes count
-        // Future: extend to support arrangement, type, etc.
-        this.sceneController.spawnTrees(params.treeCount);
+        // Replace the forest - each group's arrangement, region, density
+        // and size variation decide where its trees go
+        this.sceneController.arrangeGroups(groups);
         
         // Add confirmation message
         await this.delay(500);
-        const confirmations = [
-            `Done! ${params.treeCount} trees are now in your scene.`,
-            `There you go! Check out your ${params.treeCount} trees.`,
-            `All set! Your forest is ready.`,
-            `Created! Take a look at the viewport.`
-        ];
-        this.addMessage('ai', this.randomChoice(confirmations) + ' 🎉');
+        const confirmation = this.randomChoice(this.t('confirmations'));
+        this.addMessage('ai', `${format(confirmation, { count: params.treeCount })} 🎉`);
     }
     
     showTyping(show) {
@@ -355,6 +735,8 @@ The more detail you give, the better I understand!`;
     clearChat() {
         this.messages = [];
         this.messagesContainer.innerHTML = '';
+        this.dialogue.reset();
+        this.renderHistory();
         this.addWelcomeMessage();
     }
     
@@ -477,6 +859,53 @@ The more detail you give, the better I understand!`;
                 font-weight: 500;
             }
             
+            .chat-history {
+                display: none;
+                gap: 6px;
+                padding: 8px 16px;
+                overflow-x: auto;
+                align-items: center;
+                background: #0f1629;
+                border-top: 1px solid #1a2744;
+            }
+            
+            .chat-history.visible {
+                display: flex;
+            }
+            
+            .history-label {
+                font-size: 11px;
+                color: #666;
+                flex-shrink: 0;
+            }
+            
+            .history-step {
+                background: #1a2744;
+                border: 1px solid #2d3748;
+                border-radius: 14px;
+                padding: 4px 10px;
+                font-size: 11px;
+                color: #a5b4fc;
+                cursor: pointer;
+                white-space: nowrap;
+                max-width: 160px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                flex-shrink: 0;
+                transition: all 0.2s;
+            }
+            
+            .history-step:hover {
+                border-color: #667eea;
+            }
+            
+            .history-step.current {
+                background: rgba(102, 126, 234, 0.3);
+                border-color: #667eea;
+                color: #e4e4e7;
+                cursor: default;
+            }
+            
             .chat-input-area {
                 padding: 12px 16px;
                 background: #0f1629;
@@ -593,6 +1022,159 @@ The more detail you give, the better I understand!`;
                 border-color: #667eea;
             }
             
+            .score-card {
+                margin-top: 10px;
+                padding-top: 10px;
+                border-top: 1px solid rgba(255,255,255,0.1);
+                font-size: 12px;
+                color: #e4e4e7;
+            }
+            
+            .score-header strong {
+                color: #00ff88;
+                font-size: 14px;
+            }
+            
+            .score-prompt {
+                margin: 6px 0 8px;
+                padding: 6px 8px;
+                background: #0f1629;
+                border-radius: 8px;
+                line-height: 1.6;
+            }
+            
+            .rubric-mark {
+                color: #0a0f1a;
+                border-radius: 3px;
+                padding: 0 2px;
+            }
+            
+            .rubric-mark-0 { background: #00ff88; }
+            .rubric-mark-1 { background: #a5b4fc; }
+            .rubric-mark-2 { background: #ffc107; }
+            .rubric-mark-3 { background: #f472b6; }
+            .rubric-mark-4 { background: #38bdf8; }
+            .rubric-mark-5 { background: #fb923c; }
+            .rubric-mark-penalty { background: #ef4444; color: #fff; }
+            
+            .rubric-row {
+                display: grid;
+                grid-template-columns: 10px 90px 40px 1fr;
+                gap: 6px;
+                align-items: center;
+                padding: 2px 0;
+            }
+            
+            .rubric-row.missed {
+                opacity: 0.6;
+            }
+            
+            .rubric-swatch {
+                width: 10px;
+                height: 10px;
+                border-radius: 2px;
+            }
+            
+            .rubric-points {
+                text-align: right;
+                font-weight: 600;
+            }
+            
+            .rubric-note {
+                color: #888;
+                font-style: italic;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+            
+            .chat-backend-bar {
+                display: flex;
+                gap: 10px;
+                align-items: center;
+                padding: 6px 16px;
+                background: #0f1629;
+                border-bottom: 1px solid #1a2744;
+                font-size: 12px;
+                color: #a5b4fc;
+            }
+            
+            .backend-label select,
+            .backend-settings input {
+                background: #1a2744;
+                border: 1px solid #2d3748;
+                border-radius: 6px;
+                color: #e4e4e7;
+                font-size: 12px;
+                padding: 3px 6px;
+            }
+            
+            .backend-compare {
+                display: flex;
+                gap: 4px;
+                align-items: center;
+                cursor: pointer;
+            }
+            
+            .backend-settings-btn {
+                margin-left: auto;
+                background: none;
+                border: none;
+                cursor: pointer;
+                font-size: 14px;
+            }
+            
+            .backend-settings {
+                display: none;
+                flex-direction: column;
+                gap: 6px;
+                padding: 8px 16px;
+                background: #0f1629;
+                border-bottom: 1px solid #1a2744;
+            }
+            
+            .backend-settings.visible {
+                display: flex;
+            }
+            
+            .comparison-message {
+                max-width: 100%;
+            }
+            
+            .compare-grid {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 8px;
+                margin-top: 10px;
+            }
+            
+            .compare-column {
+                background: #0f1629;
+                border: 1px solid #2d3748;
+                border-radius: 10px;
+                padding: 8px 10px;
+                font-size: 12px;
+                color: #e4e4e7;
+            }
+            
+            .compare-column.built {
+                border-color: #00ff88;
+            }
+            
+            .compare-name {
+                font-weight: 600;
+                color: #a5b4fc;
+                margin-bottom: 4px;
+            }
+            
+            .compare-score {
+                margin-top: 4px;
+                color: #888;
+            }
+            
+            .compare-error {
+                color: #ffc107;
+            }
+            
             /* Scrollbar styling */
             .chat-messages::-webkit-scrollbar {
                 width: 6px;
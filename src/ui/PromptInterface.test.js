@@ -0,0 +1,65 @@
+/**
+ * PromptInterface Test Suite
+ * Replies are set as innerHTML, so the prompts they quote must be escaped.
+ * Run in browser console: window.testPromptInterface()
+ */
+
+import { PromptInterface } from './PromptInterface.js';
+import { PromptParser } from '../engine/PromptParser.js';
+import { PromptDialogue } from '../engine/PromptDialogue.js';
+
+const ATTACK = '<img src=x onerror=alert(1)>';
+
+export function runPromptInterfaceTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    // Just the parser and dialogue - no panel, no scene
+    const chat = Object.create(PromptInterface.prototype);
+    chat.parser = new PromptParser({ seed: 42 });
+    chat.dialogue = new PromptDialogue(chat.parser);
+    const safe = (html) => !/<img|<script/i.test(html);
+
+    console.log('═'.repeat(50));
+    console.log('PROMPT INTERFACE TEST SUITE');
+    console.log('═'.repeat(50));
+
+    console.log('\nFORMATTING TESTS:');
+    record('markdown still formats', chat.formatMessageText('**Now:** *50* trees\nok') === '<strong>Now:</strong> <em>50</em> trees<br>ok');
+    const escaped = chat.formatMessageText(`Undid "${ATTACK}" & more`);
+    record('markup is escaped', safe(escaped) && escaped.includes('&lt;img src=x onerror=alert(1)&gt;') && escaped.includes('&amp; more'),
+        `got ${escaped}`);
+    record('attribute quotes are escaped', chat.escapeHtml('" onmouseover="x') === '&quot; onmouseover=&quot;x');
+
+    // The prompt comes back in "Undid ..." and "Went back to ..."
+    console.log('\nQUOTED PROMPT TESTS:');
+    chat.dialogue.interpret(`30 pine trees ${ATTACK}`);
+    chat.dialogue.interpret('20 oaks in a grid');
+    const wentBack = chat.generateEditResponse(chat.dialogue.revertTo(chat.dialogue.history[0].id));
+    record('went back reply', wentBack.text.includes(ATTACK) && safe(chat.formatMessageText(wentBack.text)), `got ${chat.formatMessageText(wentBack.text)}`);
+    chat.dialogue.interpret(`12 birch ${ATTACK}`);
+    const undid = chat.generateEditResponse(chat.dialogue.interpret('undo'));
+    record('undo reply', undid.text.includes(ATTACK) && safe(chat.formatMessageText(undid.text)),
+        `got ${chat.formatMessageText(undid.text)}`);
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testPromptInterface = runPromptInterfaceTests;
+    console.log('[PromptInterface Test] Run window.testPromptInterface() to execute tests');
+}
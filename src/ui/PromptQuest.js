@@ -6,15 +6,29 @@
  * that specificity matters when talking to AI.
  * 
  * NO CODE. NO PARAMETERS. Just conversation and consequences.
+ * Fernie remembers the last forest (PromptDialogue): "add 10 more" or
+ * "make them oaks instead" changes it, "undo that" takes a step back.
+ * When a prompt contradicts itself ("a few" + "dense"), Fernie asks which
+ * one was meant before growing anything, and merges the answer.
+ * After each new prompt Fernie shows which words earned credit (the
+ * PromptParser's rubric breakdown, highlighted in the player's prompt).
+ * Fernie speaks every language there's a locale pack for (PromptLocales);
+ * the picker in the header switches the parser and Fernie's lines.
  */
 
 import { PromptParser } from '../engine/PromptParser.js';
+import { PromptDialogue } from '../engine/PromptDialogue.js';
+import { PromptRubric } from '../engine/PromptRubric.js';
+import { LOCALES, getLocale, translate, format, foldText, escapeHtml, loadLocaleSetting, saveLocaleSetting } from '../engine/PromptLocales.js';
 
 export class PromptQuest {
     constructor(panelManager, sceneController) {
         this.panelManager = panelManager;
         this.sceneController = sceneController;
-        this.parser = new PromptParser();
+        this.parser = new PromptParser({ seed: sceneController?.seed, locale: loadLocaleSetting() });
+        // Keep to the scene's seed when it changes (window.orbrya.setSeed)
+        sceneController?.addSeedCallback((seed) => this.parser.setSeed(seed));
+        this.dialogue = new PromptDialogue(this.parser);
         
         // Game state
         this.currentChallenge = null;
@@ -27,6 +41,7 @@ export class PromptQuest {
         this.messages = [];
         this.isTyping = false;
         this.awaitingResponse = false;
+        this.pendingClarifications = []; // Conflicts Fernie still has to ask about
         
         // UI elements
         this.panel = null;
@@ -40,43 +55,17 @@ export class PromptQuest {
             mood: 'curious' // curious, confused, excited, proud
         };
         
-        // Challenge definitions
+        // Challenge definitions - descriptions and hints are in the
+        // locale pack (ui.fernie.challenges, by id)
         this.challenges = [
+            { id: 'intro', type: 'freeplay', target: null },
+            { id: 'challenge_1', type: 'match', target: { treeCount: 10, tolerance: 2 } },
+            { id: 'challenge_2', type: 'match', target: { treeCount: 50, tolerance: 10, density: 'dense' } },
+            { id: 'challenge_3', type: 'match', target: { treeCount: 25, tolerance: 5, arrangement: 'grid' } },
             {
-                id: 'intro',
-                type: 'freeplay',
-                description: null,
-                target: null
-            },
-            {
-                id: 'challenge_1',
-                type: 'match',
-                description: 'Create a small grove of exactly 10 trees',
-                target: { treeCount: 10, tolerance: 2 },
-                hints: [
-                    "How many trees make a 'grove' to you?",
-                    "Try telling me exactly how many trees you want!"
-                ]
-            },
-            {
-                id: 'challenge_2', 
+                id: 'challenge_4',
                 type: 'match',
-                description: 'Build a dense forest with around 50 trees',
-                target: { treeCount: 50, tolerance: 10, density: 'dense' },
-                hints: [
-                    "What makes a forest feel 'dense'?",
-                    "Think about both the number AND how packed together they are"
-                ]
-            },
-            {
-                id: 'challenge_3',
-                type: 'match', 
-                description: 'Plant a neat orchard: 25 trees in organized rows',
-                target: { treeCount: 25, tolerance: 5, arrangement: 'grid' },
-                hints: [
-                    "Orchards aren't random - they have a pattern!",
-                    "Think about words like 'rows', 'grid', 'organized'"
-                ]
+                target: { treeCount: 40, tolerance: 10, relation: ['avoid:clearing', 'around:clearing'] }
             }
         ];
         
@@ -96,9 +85,12 @@ export class PromptQuest {
                 <div class="pq-spirit">${this.spirit.emoji}</div>
                 <div class="pq-title">
                     <span class="pq-name">${this.spirit.name}</span>
-                    <span class="pq-status">Forest Spirit</span>
+                    <span class="pq-status" id="pq-status">${this.t('status')}</span>
                 </div>
                 <div class="pq-score" id="pq-score"></div>
+                <select class="pq-language" id="pq-language" title="🌐">
+                    ${Object.keys(LOCALES).map(code => `<option value="${code}">${getLocale(code).name}</option>`).join('')}
+                </select>
             </div>
             <div class="pq-challenge-bar" id="pq-challenge"></div>
             <div class="pq-chat" id="pq-chat"></div>
@@ -107,7 +99,7 @@ export class PromptQuest {
                     <span></span><span></span><span></span>
                 </div>
                 <div class="pq-input-row">
-                    <input type="text" id="pq-input" placeholder="Type your message..." />
+                    <input type="text" id="pq-input" placeholder="${this.t('placeholder')}" />
                     <button id="pq-send">➤</button>
                 </div>
             </div>
@@ -115,7 +107,7 @@ export class PromptQuest {
         
         this.panel = this.panelManager.createPanel({
             id: 'prompt-quest',
-            title: '🌲 Forest Spirit',
+            title: this.t('title'),
             icon: '🌲',
             x: 20,
             y: 80,
@@ -131,12 +123,15 @@ export class PromptQuest {
         this.typingIndicator = content.querySelector('#pq-typing');
         this.challengeBar = content.querySelector('#pq-challenge');
         this.scoreDisplay = content.querySelector('#pq-score');
+        this.languageSelect = content.querySelector('#pq-language');
+        this.languageSelect.value = this.parser.locale;
         
         // Event listeners
         content.querySelector('#pq-send').addEventListener('click', () => this.handleSend());
         this.inputField.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.handleSend();
         });
+        this.languageSelect.addEventListener('change', () => this.setLanguage(this.languageSelect.value));
         
         this.injectStyles();
     }
@@ -147,27 +142,35 @@ export class PromptQuest {
     
     async showIntro() {
         await this.delay(500);
-        await this.fernieSays(
-            "Oh! A visitor! ✨",
-            300
-        );
-        await this.fernieSays(
-            "I'm Fernie, the spirit of this forest. I can grow trees, shape landscapes, create whole worlds... but I need YOUR words to guide me.",
-            100
-        );
-        await this.fernieSays(
-            "Here's the thing though - I take words very literally. If you say 'some trees', well... that could mean 3 trees or 300! 🤷‍♂️",
-            100
-        );
-        await this.fernieSays(
-            "Want to try? Just tell me what kind of forest to create. Be as specific as you like!",
-            100
-        );
+        const [greeting, ...lines] = this.t('intro');
+        await this.fernieSays(greeting, 300);
+        for (const line of lines) {
+            await this.fernieSays(line, 100);
+        }
         
         this.gameStarted = true;
         this.currentChallenge = this.challenges[0]; // Freeplay intro
     }
     
+    /**
+     * Switch Fernie (and how prompts are read) to another language
+     * @param {string} code - Key of LOCALES
+     */
+    async setLanguage(code) {
+        this.parser.setLocale(code);
+        saveLocaleSetting(code);
+        this.languageSelect.value = this.parser.locale;
+        
+        this.panel.querySelector('.panel-title').textContent = this.t('title');
+        this.panel.querySelector('#pq-status').textContent = this.t('status');
+        this.inputField.placeholder = this.t('placeholder');
+        if (this.challengeBar.classList.contains('visible')) {
+            this.showChallengeBar(this.challengeText(this.currentChallenge).description);
+        }
+        
+        await this.fernieSays(this.t('switched'));
+    }
+    
     async handleSend() {
         if (this.awaitingResponse || this.isTyping) return;
         
@@ -187,20 +190,26 @@ export class PromptQuest {
     }
     
     async processPlayerMessage(text) {
-        const lowerText = text.toLowerCase();
+        const lowerText = foldText(text);
+        const says = (command) => this.t(`commands.${command}`).some(word => lowerText.includes(foldText(word)));
+        
+        // Answer to "Did you mean rows or scattered?"
+        if (this.pendingClarifications.length > 0 && await this.handleClarification(text)) {
+            return;
+        }
         
         // Check for meta commands
-        if (lowerText.includes('help') || lowerText.includes('hint')) {
+        if (says('hint')) {
             await this.giveHint();
             return;
         }
         
-        if (lowerText.includes('challenge') || lowerText.includes('ready') || lowerText.includes('next')) {
+        if (says('next')) {
             await this.startNextChallenge();
             return;
         }
         
-        if (lowerText.includes('restart') || lowerText.includes('start over')) {
+        if (says('restart')) {
             await this.restartGame();
             return;
         }
@@ -210,13 +219,37 @@ export class PromptQuest {
     }
     
     async interpretPrompt(text) {
-        const result = this.parser.parsePrompt(text);
+        const turn = this.dialogue.interpret(text);
+        if (turn.kind !== 'new') {
+            await this.applyEdit(turn);
+            return;
+        }
+        
+        const result = turn.result;
         const params = result.params;
         const specificity = result.specificity;
         
         // Show thinking
         await this.showTyping(600 + Math.random() * 400);
         
+        // Contradicting cues - ask instead of guessing
+        this.pendingClarifications = result.ambiguities.filter(ambiguity => ambiguity.type === 'conflict');
+        if (this.pendingClarifications.length > 0) {
+            await this.askClarification(this.pendingClarifications[0]);
+            return;
+        }
+        
+        // Own up to any word Fernie had to guess at
+        const misread = this.parser.describeCorrections(result.corrections);
+        if (misread) {
+            await this.fernieSays(this.t('misread', { note: misread }));
+        }
+        
+        // "0 trees", "-5 trees" - say why nothing grows
+        if (result.feedback.countProblem) {
+            await this.fernieSays(result.feedback.countProblem);
+        }
+        
         // Fernie's reaction based on specificity
         if (specificity < 25) {
             await this.respondToVaguePrompt(text, params);
@@ -225,9 +258,10 @@ export class PromptQuest {
         } else {
             await this.respondToGreatPrompt(text, params);
         }
+        await this.showPromptScore(result.rubric);
         
-        // Build the scene
-        await this.buildScene(params);
+        // Build the scene - every group of a multi-part prompt
+        await this.buildScene(params, result.groups);
         
         // Check if challenge is complete
         if (this.currentChallenge?.type === 'match') {
@@ -235,68 +269,171 @@ export class PromptQuest {
         }
     }
     
+    /**
+     * "You said grid AND scattered... Did you mean rows or scattered?"
+     */
+    async askClarification(ambiguity) {
+        const [first, second] = ambiguity.cues;
+        await this.fernieSays(this.t('confused', { first, second }));
+        await this.fernieSays(ambiguity.question);
+    }
+    
+    /**
+     * Merge the player's answer into the scene Fernie asked about
+     * @returns {boolean} false if the message wasn't an answer - it's then
+     *   handled as a normal message and Fernie keeps its first guess
+     */
+    async handleClarification(text) {
+        const ambiguity = this.pendingClarifications[0];
+        const option = this.parser.matchClarification(ambiguity, text);
+        
+        if (option === null) {
+            this.pendingClarifications = [];
+            const guess = this.dialogue.current;
+            await this.fernieSays(this.t('firstGuess'));
+            await this.buildScene(guess.params, guess.groups);
+            return false;
+        }
+        
+        const turn = this.dialogue.clarify(ambiguity, option);
+        this.pendingClarifications.shift();
+        const label = this.parser.describeOption(ambiguity.attribute, option);
+        await this.showTyping(400);
+        await this.fernieSays(this.t('gotIt', { answer: `${label.charAt(0).toUpperCase()}${label.slice(1)}` }));
+        
+        // Anything else that didn't add up?
+        if (this.pendingClarifications.length > 0) {
+            await this.askClarification(this.pendingClarifications[0]);
+            return true;
+        }
+        
+        await this.buildScene(turn.params, turn.groups);
+        if (this.currentChallenge?.type === 'match') {
+            await this.checkChallengeProgress(turn.params);
+        }
+        return true;
+    }
+    
+    /**
+     * Follow-up or undo - change only what was asked, then rebuild
+     */
+    async applyEdit(turn) {
+        await this.showTyping(400 + Math.random() * 300);
+        
+        if (turn.kind === 'undo') {
+            if (!turn.undone) {
+                await this.fernieSays(this.t('undoNothing'));
+                return;
+            }
+            await this.fernieSays(this.t('undid', { prompt: turn.undone.prompt }));
+        } else if (turn.diff.length === 0) {
+            await this.fernieSays(this.t('changeWhat'));
+            return;
+        } else {
+            const misread = this.parser.describeCorrections(turn.corrections);
+            if (misread) {
+                await this.fernieSays(this.t('misread', { note: misread }));
+            }
+            await this.fernieSays(this.t('changing', { changes: this.dialogue.describeDiff(turn.diff).join(', ') }));
+        }
+        
+        if (turn.groups.length > 0) {
+            await this.buildScene(turn.params, turn.groups);
+        } else if (this.sceneController) {
+            this.sceneController.clearTrees();
+            this.sceneController.clearLandmarks();
+            await this.fernieSays(this.t('bareGround'));
+            return;
+        }
+        
+        if (this.currentChallenge?.type === 'match') {
+            await this.checkChallengeProgress(turn.params);
+        }
+    }
+    
     async respondToVaguePrompt(text, params) {
-        const responses = [
-            `"${this.extractKeyword(text)}"... hmm, that's pretty open to interpretation! Let me just... *waves branches mysteriously*`,
-            `Ooh, creative freedom! I'll just do what feels right to me... 🎲`,
-            `You're giving me a lot of artistic license here! Don't blame me if it's not what you imagined...`,
-            `*tilts leaves thoughtfully* ...that could mean so many things! Here's my best guess:`
-        ];
-        await this.fernieSays(this.randomChoice(responses));
+        const line = this.randomChoice(this.t('vague'));
+        await this.fernieSays(format(line, { keyword: this.extractKeyword(text) }));
     }
     
     async respondToOkayPrompt(text, params) {
-        const responses = [
-            `Getting warmer! I think I know what you want...`,
-            `Okay, I can work with that! Though a few more details wouldn't hurt...`,
-            `*nods thoughtfully* I have a decent picture in my mind now!`,
-            `Not bad! Let's see if this matches your vision...`
-        ];
-        await this.fernieSays(this.randomChoice(responses));
+        await this.fernieSays(this.randomChoice(this.t('okay')));
     }
     
     async respondToGreatPrompt(text, params) {
-        const responses = [
-            `NOW we're talking! Crystal clear! ✨`,
-            `Ooh, I love a person who knows what they want! Coming right up!`,
-            `Perfect! I can see it clearly in my mind. Watch this... 🌟`,
-            `*excited rustling* Yes! That's exactly the kind of detail I need!`
-        ];
-        await this.fernieSays(this.randomChoice(responses));
+        await this.fernieSays(this.randomChoice(this.t('great')));
+    }
+    
+    /**
+     * "Here's what your words told me" - the prompt with every word that
+     * earned credit highlighted, and what's still missing
+     */
+    async showPromptScore(rubric) {
+        if (!rubric) return;
+        await this.showTyping(500);
+        
+        const labels = new Map([...rubric.criteria, ...rubric.penalties].map(item => [item.id, item.label]));
+        const prompt = PromptRubric.segments(rubric).map(({ text, criteria, penalty }) => criteria.length === 0
+            ? this.escapeHtml(text)
+            : `<mark class="pq-mark ${penalty ? 'pq-mark-penalty' : ''}" title="${this.escapeHtml(criteria.map(id => labels.get(id)).join(', '))}">${this.escapeHtml(text)}</mark>`
+        ).join('');
+        
+        const earned = rubric.criteria.filter(criterion => criterion.points > 0).map(criterion =>
+            `<div class="pq-score-row">✅ ${this.escapeHtml(criterion.label)} <strong>+${criterion.points}</strong></div>`);
+        const missed = rubric.criteria.filter(criterion => criterion.points === 0).map(criterion =>
+            `<div class="pq-score-row pq-missed">❔ ${this.escapeHtml(criterion.label)} - ${this.escapeHtml(criterion.tip ?? this.t('notMentioned'))}</div>`);
+        const lost = rubric.penalties.map(penalty =>
+            `<div class="pq-score-row pq-lost">⚠️ ${this.escapeHtml(penalty.label)} <strong>-${penalty.points}</strong></div>`);
+        
+        this.addMessage('spirit', `
+            ${this.t('scoreIntro', { score: rubric.score })}
+            <div class="pq-score-prompt">${prompt}</div>
+            ${[...earned, ...lost, ...missed].join('')}
+        `, { html: true });
     }
     
-    async buildScene(params) {
+    async buildScene(params, groups = [params]) {
         // Clear and rebuild
         if (this.sceneController) {
             this.sceneController.clearTrees?.();
             await this.delay(200);
-            this.sceneController.spawnTrees(params.treeCount);
+            this.sceneController.arrangeGroups(groups);
         }
         
         // Describe what was created (without technical jargon)
         await this.delay(400);
-        await this.describeResult(params);
+        await this.describeResult(params, groups);
     }
     
-    async describeResult(params) {
+    async describeResult(params, groups = [params]) {
         const count = params.treeCount;
         let description = '';
         
-        if (count === 1) {
-            description = `There! One single, magnificent tree. 🌳`;
+        if (groups.length > 1) {
+            const parts = groups.map(group => this.parser.describeTrees(group));
+            description = this.t('groups', { groups: groups.length, parts: parts.join(', ') });
+        } else if (count === 1) {
+            description = this.t('one');
         } else if (count <= 10) {
-            description = `Done! A cozy little cluster of ${count} trees appeared.`;
+            description = this.t('few', { count });
         } else if (count <= 30) {
-            description = `*whoosh* ${count} trees spring up from the earth!`;
+            description = this.t('some', { count });
         } else if (count <= 75) {
-            description = `Wow, ${count} trees! That's starting to feel like a real forest!`;
+            description = this.t('many', { count });
         } else if (count <= 150) {
-            description = `${count} trees! *slightly out of breath* That's... quite a forest you've got there!`;
+            description = this.t('lots', { count });
         } else {
-            description = `*panting* ${count} trees?! You're really putting me to work! 😅`;
+            description = this.t('tooMany', { count });
         }
         
         await this.fernieSays(description);
+        
+        // Repeat back what was ruled out, so "no" visibly counted
+        const excluded = (params.excluded ?? []).map(exclusion => this.parser.describeExclusion(exclusion));
+        if (excluded.length > 0) {
+            await this.delay(300);
+            await this.fernieSays(this.t('excluded', { list: excluded.join(', ') }));
+        }
     }
     
     // ═══════════════════════════════════════════════════════════
@@ -314,22 +451,19 @@ export class PromptQuest {
         this.currentChallenge = this.challenges[this.challengeIndex];
         this.promptCount = 0;
         
-        await this.fernieSays(`Ooh, ready for a challenge? Let's see... 🎯`);
+        await this.fernieSays(this.t('challengeReady'));
         await this.delay(300);
         
-        this.showChallengeBar(this.currentChallenge.description);
+        const { description } = this.challengeText(this.currentChallenge);
+        this.showChallengeBar(description);
         
-        await this.fernieSays(
-            `**Challenge ${this.challengeIndex}:** ${this.currentChallenge.description}`
-        );
-        await this.fernieSays(
-            `Tell me what to create - but choose your words carefully!`
-        );
+        await this.fernieSays(this.t('challenge', { number: this.challengeIndex, description }));
+        await this.fernieSays(this.t('chooseWords'));
     }
     
     showChallengeBar(text) {
         if (text) {
-            this.challengeBar.innerHTML = `🎯 <strong>Goal:</strong> ${text}`;
+            this.challengeBar.innerHTML = `🎯 <strong>${this.t('goal')}</strong> ${text}`;
             this.challengeBar.classList.add('visible');
         } else {
             this.challengeBar.classList.remove('visible');
@@ -347,9 +481,9 @@ export class PromptQuest {
             if (diff > target.tolerance) {
                 success = false;
                 if (params.treeCount < target.treeCount) {
-                    feedback.push("Hmm, that's fewer than I was hoping for...");
+                    feedback.push(this.t('tooFew'));
                 } else {
-                    feedback.push("Whoa, that's more than I expected!");
+                    feedback.push(this.t('tooManyTrees'));
                 }
             }
         }
@@ -357,13 +491,26 @@ export class PromptQuest {
         // Check arrangement
         if (target.arrangement && params.arrangement !== target.arrangement) {
             success = false;
-            feedback.push("The arrangement isn't quite right...");
+            feedback.push(this.t('wrongArrangement'));
         }
         
         // Check density
         if (target.density && params.density !== target.density) {
             success = false;
-            feedback.push("The spacing feels off somehow...");
+            feedback.push(this.t('wrongDensity'));
+        }
+        
+        // Check where the trees are (region / relation like "avoid:clearing")
+        if (target.region && params.region !== target.region) {
+            success = false;
+            feedback.push(this.t('wrongRegion'));
+        }
+        if (target.relation) {
+            const relation = params.relation ? `${params.relation.kind}:${params.relation.target}` : null;
+            if (!target.relation.includes(relation)) {
+                success = false;
+                feedback.push(this.t('wrongRelation'));
+            }
         }
         
         if (success) {
@@ -373,7 +520,7 @@ export class PromptQuest {
             for (const fb of feedback) {
                 await this.fernieSays(fb);
             }
-            await this.fernieSays("Want to try again? Or say 'hint' if you're stuck!");
+            await this.fernieSays(this.t('tryAgain'));
         }
     }
     
@@ -383,29 +530,29 @@ export class PromptQuest {
         this.totalScore += score;
         
         await this.delay(300);
-        await this.fernieSays(`🎉 **Perfect!** That's exactly what I was imagining!`);
+        await this.fernieSays(this.t('perfect'));
         
         if (this.promptCount === 1) {
-            await this.fernieSays(`And on your FIRST try! You're a natural! (+${score} points)`);
+            await this.fernieSays(this.t('firstTry', { score }));
         } else {
-            await this.fernieSays(`It took ${this.promptCount} tries, but you nailed it! (+${score} points)`);
+            await this.fernieSays(this.t('tries', { tries: this.promptCount, score }));
         }
         
         this.updateScore();
         
         await this.delay(500);
-        await this.fernieSays(`Say "next" when you're ready for another challenge!`);
+        await this.fernieSays(this.t('sayNext'));
         this.challengeBar.classList.remove('visible');
     }
     
     async giveHint() {
-        if (!this.currentChallenge?.hints) {
-            await this.fernieSays("Try being more specific! Tell me exactly what you want - how many, what kind, how arranged...");
+        const { hints } = this.challengeText(this.currentChallenge);
+        if (!hints) {
+            await this.fernieSays(this.t('genericHint'));
             return;
         }
         
-        const hintIndex = Math.min(this.promptCount - 1, this.currentChallenge.hints.length - 1);
-        const hint = this.currentChallenge.hints[hintIndex];
+        const hint = hints[Math.min(this.promptCount - 1, hints.length - 1)];
         
         await this.fernieSays(`💡 ${hint}`);
     }
@@ -416,12 +563,9 @@ export class PromptQuest {
     }
     
     async showEnding() {
-        await this.fernieSays(`🌟 **Amazing!** You've completed all the challenges!`);
-        await this.fernieSays(`Your final score: ${this.totalScore} points`);
-        await this.fernieSays(
-            `You've learned the most important lesson of talking to AI: **be specific**! The clearer your words, the better we understand you.`
-        );
-        await this.fernieSays(`Feel free to keep playing, or say "restart" to begin again!`);
+        for (const line of this.t('ending')) {
+            await this.fernieSays(format(line, { score: this.totalScore }));
+        }
     }
     
     async restartGame() {
@@ -430,10 +574,12 @@ export class PromptQuest {
         this.promptCount = 0;
         this.messages = [];
         this.chatContainer.innerHTML = '';
+        this.dialogue.reset();
+        this.pendingClarifications = [];
         this.challengeBar.classList.remove('visible');
         this.scoreDisplay.classList.remove('visible');
         
-        await this.fernieSays(`Fresh start! Let's grow something beautiful together. 🌱`);
+        await this.fernieSays(this.t('freshStart'));
         this.currentChallenge = this.challenges[0];
         this.gameStarted = true;
     }
@@ -442,14 +588,17 @@ export class PromptQuest {
     // CHAT UI HELPERS
     // ═══════════════════════════════════════════════════════════
     
-    addMessage(type, text) {
+    /**
+     * @param {Object} options - { html } - text is already markup (score cards)
+     */
+    addMessage(type, text, options = {}) {
         const msg = document.createElement('div');
         msg.className = `pq-message pq-${type}`;
         
         if (type === 'spirit') {
             msg.innerHTML = `
                 <div class="pq-avatar">${this.spirit.emoji}</div>
-                <div class="pq-bubble">${this.formatText(text)}</div>
+                <div class="pq-bubble">${options.html ? text : this.formatText(text)}</div>
             `;
         } else {
             msg.innerHTML = `
@@ -481,23 +630,37 @@ export class PromptQuest {
     }
     
     formatText(text) {
-        return text
+        // Escaped first - Fernie quotes the student's prompts back
+        return this.escapeHtml(text)
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             .replace(/\*(.*?)\*/g, '<em>$1</em>');
     }
     
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeHtml(text);
     }
     
     extractKeyword(text) {
+        const ignored = this.t('ignoredWords');
         const words = text.toLowerCase().split(/\s+/);
-        const keywords = words.filter(w => w.length > 3 && !['want', 'make', 'create', 'some', 'please', 'could', 'would'].includes(w));
+        const keywords = words.filter(w => w.length > 3 && !ignored.includes(w));
         return keywords[0] || 'that';
     }
     
+    /**
+     * One of Fernie's lines in the current language (locale pack ui.fernie)
+     */
+    t(key, vars) {
+        return translate(getLocale(this.parser.locale).ui.fernie, key, vars);
+    }
+    
+    /**
+     * { description, hints } for a challenge, in the current language
+     */
+    challengeText(challenge) {
+        return this.t('challenges')[challenge?.id] ?? {};
+    }
+    
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -575,6 +738,15 @@ export class PromptQuest {
                 display: block;
             }
             
+            .pq-language {
+                background: rgba(255,255,255,0.08);
+                border: 1px solid rgba(255,255,255,0.15);
+                border-radius: 8px;
+                color: #e4e4e7;
+                font-size: 12px;
+                padding: 4px 6px;
+            }
+            
             .pq-challenge-bar {
                 display: none;
                 padding: 12px 16px;
@@ -656,6 +828,36 @@ export class PromptQuest {
                 color: #fbbf24;
             }
             
+            .pq-score-prompt {
+                margin: 6px 0;
+                padding: 6px 10px;
+                background: rgba(0,0,0,0.25);
+                border-radius: 10px;
+            }
+            
+            .pq-mark {
+                background: #4ade80;
+                color: #0a1628;
+                border-radius: 3px;
+                padding: 0 2px;
+            }
+            
+            .pq-mark-penalty {
+                background: #f87171;
+            }
+            
+            .pq-score-row {
+                font-size: 12px;
+            }
+            
+            .pq-score-row.pq-missed {
+                opacity: 0.7;
+            }
+            
+            .pq-score-row.pq-lost strong {
+                color: #f87171;
+            }
+            
             .pq-input-area {
                 padding: 12px 16px 16px;
                 background: rgba(0,0,0,0.2);
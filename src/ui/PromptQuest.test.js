@@ -0,0 +1,52 @@
+/**
+ * PromptQuest Test Suite
+ * Fernie's lines are set as innerHTML, so the prompts they quote must be
+ * escaped.
+ * Run in browser console: window.testPromptQuest()
+ */
+
+import { PromptQuest } from './PromptQuest.js';
+import { PromptParser } from '../engine/PromptParser.js';
+
+const ATTACK = '<img src=x onerror=alert(1)>';
+
+export function runPromptQuestTests() {
+    const results = [];
+    let passed = 0;
+    let failed = 0;
+
+    const record = (name, success, detail = '') => {
+        if (success) passed++; else failed++;
+        results.push({ name, success, errors: success ? [] : [detail] });
+        console.log(`${success ? '✅' : '❌'} ${name}`);
+        if (!success) console.log(`   → ${detail}`);
+    };
+
+    // Just the parser - no panel, no scene
+    const quest = Object.create(PromptQuest.prototype);
+    quest.parser = new PromptParser({ seed: 42 });
+
+    console.log('═'.repeat(50));
+    console.log('PROMPT QUEST TEST SUITE');
+    console.log('═'.repeat(50));
+
+    console.log('\nFORMATTING TESTS:');
+    record('markdown still formats', quest.formatText('*grows* **50** trees') === '<em>grows</em> <strong>50</strong> trees');
+    const undid = quest.formatText(quest.t('undid', { prompt: ATTACK }));
+    record('undo line escapes the prompt', !undid.includes('<img') && undid.includes('&lt;img src=x onerror=alert(1)&gt;'),
+        `got ${undid}`);
+    record('attribute quotes are escaped', quest.escapeHtml('" onmouseover="x') === '&quot; onmouseover=&quot;x');
+
+    const total = passed + failed;
+    console.log('─'.repeat(50));
+    console.log(`Results: ${passed}/${total} passed (${Math.round(passed / total * 100)}%)`);
+    console.log('═'.repeat(50));
+
+    return { passed, failed, total, results };
+}
+
+// Auto-run if loaded directly
+if (typeof window !== 'undefined') {
+    window.testPromptQuest = runPromptQuestTests;
+    console.log('[PromptQuest Test] Run window.testPromptQuest() to execute tests');
+}
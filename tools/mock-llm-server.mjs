@@ -0,0 +1,86 @@
+/**
+ * mock-llm-server.mjs - Stand-in for an OpenAI-compatible Model Server
+ *
+ * Answers POST /v1/chat/completions the way a real endpoint would, using
+ * the keyword PromptParser underneath - so the "OpenAI-compatible API"
+ * backend can be demoed in class and tested without a GPU or an API key.
+ *
+ * USAGE:
+ *   node tools/mock-llm-server.mjs [port]      (default 8787)
+ *   then pick "OpenAI-compatible API" in the AI Forest Builder with
+ *   base URL http://localhost:8787/v1, or run window.testPromptInterpreters()
+ *
+ * ROUTES:
+ *   GET  /v1/models            - one model, "forest-mock"
+ *   POST /v1/chat/completions  - JSON scene params for the last user message
+ *   anything else              - 404
+ */
+
+import { createServer } from 'node:http';
+import { PromptParser } from '../src/engine/PromptParser.js';
+import { serializeGroups } from '../src/engine/PromptInterpreters.js';
+
+const MODEL = 'forest-mock';
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const parser = new PromptParser({ seed: 1 });
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The app runs on the Vite dev server's origin
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function complete(request) {
+    const userMessage = [...(request.messages || [])].reverse().find(message => message.role === 'user');
+    const prompt = String(userMessage?.content ?? '');
+    const { groups } = parser.parsePrompt(prompt);
+    const content = JSON.stringify(serializeGroups(groups));
+
+    return {
+        id: `chatcmpl-mock-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model || MODEL,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: prompt.split(/\s+/).length, completion_tokens: content.length, total_tokens: 0 }
+    };
+}
+
+const server = createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+    } else if (req.method === 'GET' && path === '/v1/models') {
+        send(res, 200, { object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'orbrya' }] });
+    } else if (req.method === 'POST' && path === '/v1/chat/completions') {
+        try {
+            const request = JSON.parse(await readBody(req));
+            const reply = complete(request);
+            console.log(`[MockLLM] "${[...request.messages].pop()?.content}" -> ${reply.choices[0].message.content}`);
+            send(res, 200, reply);
+        } catch (error) {
+            send(res, 400, { error: { message: `Bad request: ${error.message}`, type: 'invalid_request_error' } });
+        }
+    } else {
+        send(res, 404, { error: { message: `No route ${req.method} ${path}`, type: 'not_found' } });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`[MockLLM] OpenAI-compatible mock on http://localhost:${port}/v1 (Ctrl+C to stop)`);
+});